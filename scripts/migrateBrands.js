@@ -0,0 +1,70 @@
+/**
+ * Move products from free-text brands to the Brand collection.
+ *
+ * Brand strings that differ only in case or surrounding spaces ("Apple", "apple ") become one
+ * brand named after the most used spelling; the other spellings are kept as aliases. Each
+ * product is then pointed at its brand (brandId, and the brand's name). Safe to run more than once.
+ *
+ * Usage: npm run migrate:brands [-- --dry-run]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Brand = require('../src/models/Brand');
+const Product = require('../src/models/Product');
+const { findBrand, productBrandFields } = require('../src/services/brandService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await connectDB();
+
+  const spellings = await Product.aggregate([
+    { $match: { brandId: null, brand: { $nin: [null, ''] } } },
+    { $group: { _id: '$brand', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  // Group spellings by their lowercase form, most used first
+  const groups = new Map();
+  for (const { _id: spelling, count } of spellings) {
+    const key = spelling.trim().toLowerCase();
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ spelling, count });
+  }
+  console.log(`${groups.size} brand(s) on products without a brand ID`);
+
+  let created = 0;
+  let migrated = 0;
+
+  for (const group of groups.values()) {
+    const spellingsInGroup = group.map((g) => g.spelling);
+    let brand = await findBrand(spellingsInGroup[0]);
+    if (!brand) {
+      const name = spellingsInGroup[0].trim();
+      const aliases = [...new Set(spellingsInGroup.map((s) => s.trim()))].filter((s) => s !== name);
+      console.log(`${dryRun ? 'Would create' : 'Creating'} brand "${name}"${aliases.length ? ` (aliases: ${aliases.join(', ')})` : ''}`);
+      created += 1;
+      if (!dryRun) brand = (await Brand.create({ name, aliases })).toObject();
+    }
+
+    const filter = { brandId: null, brand: { $in: spellingsInGroup } };
+    if (dryRun) {
+      migrated += await Product.countDocuments(filter);
+      continue;
+    }
+    const result = await Product.updateMany(filter, { $set: productBrandFields(brand) });
+    migrated += result.modifiedCount;
+  }
+
+  console.log(`${dryRun ? 'Would create' : 'Created'} ${created} brands, ${dryRun ? 'would migrate' : 'migrated'} ${migrated} products`);
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,71 @@
+/**
+ * Move products from free-text categories to the Category collection.
+ *
+ * Creates a root category for every distinct Product.category string that no category
+ * matches yet (by name, slug or alias), then points each product at its category
+ * (categoryId, categoryPath, and the category's name). Safe to run more than once.
+ *
+ * Usage: npm run migrate:categories [-- --dry-run]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+const { findCategory, productCategoryFields } = require('../src/services/categoryService');
+
+// Names shoppers and old links used for categories before aliases were stored on categories
+const LEGACY_ALIASES = {
+  Smartphones: ['phones', 'phone']
+};
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await connectDB();
+
+  const names = (await Product.distinct('category', { categoryId: null })).filter(Boolean);
+  console.log(`${names.length} category name(s) on products without a category ID`);
+
+  let created = 0;
+  let migrated = 0;
+  const missing = [];
+
+  for (const name of names) {
+    let category = await findCategory(name);
+    if (!category) {
+      console.log(`${dryRun ? 'Would create' : 'Creating'} category "${name}"`);
+      if (dryRun) {
+        missing.push(name);
+      } else {
+        category = (await Category.create({ name: name.trim(), aliases: LEGACY_ALIASES[name.trim()] || [] })).toObject();
+        created += 1;
+      }
+    }
+
+    const filter = { categoryId: null, category: name };
+    if (dryRun) {
+      migrated += await Product.countDocuments(filter);
+      continue;
+    }
+    const result = await Product.updateMany(filter, { $set: productCategoryFields(category) });
+    migrated += result.modifiedCount;
+  }
+
+  // Aliases for categories that already existed
+  if (!dryRun) {
+    for (const [name, aliases] of Object.entries(LEGACY_ALIASES)) {
+      await Category.updateOne({ name }, { $addToSet: { aliases: { $each: aliases } } });
+    }
+  }
+
+  console.log(`${dryRun ? 'Would create' : 'Created'} ${dryRun ? missing.length : created} categories, ${dryRun ? 'would migrate' : 'migrated'} ${migrated} products`);
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,129 @@
+/**
+ * Copy product images from one storage driver to another and point products at the copies.
+ *
+ * Every product image URL stored by the source driver (product images, variant images and
+ * their WebP renditions) is copied under the same file name to the target driver, and the
+ * product's URLs are rewritten. Source files are left in place so the move can be checked (or
+ * rolled back by migrating the other way) before deleting them. URLs of other drivers and
+ * external images are left alone, so the script is safe to run more than once. Category, brand
+ * and review images are not moved.
+ *
+ * Usage: npm run migrate:images -- --from local --to s3 [--base-url https://api.example.com] [--dry-run]
+ *   --base-url is required with --to local (product image URLs must be absolute)
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Product = require('../src/models/Product');
+const { getDriver, driverForUrl } = require('../src/config/storage');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+const RENDITION_FIELDS = ['url', 'thumbnail', 'medium', 'large'];
+
+function option(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1] || null;
+}
+
+const dryRun = process.argv.includes('--dry-run');
+const fromName = option('from');
+const toName = option('to');
+const baseUrl = option('base-url');
+
+async function main() {
+  if (!fromName || !toName || fromName === toName) {
+    throw new Error('Give two different drivers: --from <local|gcs|s3> --to <local|gcs|s3>');
+  }
+  const source = getDriver(fromName);
+  const target = getDriver(toName);
+  if (!source) throw new Error(`Storage driver "${fromName}" is not configured`);
+  if (!target) throw new Error(`Storage driver "${toName}" is not configured`);
+  if (target.name === 'local' && !baseUrl) throw new Error('--base-url is required when migrating to local storage');
+
+  await connectDB();
+
+  // New URL by old URL, so files shared between products are copied once
+  const copied = new Map();
+  let failed = 0;
+
+  async function migrateUrl(url) {
+    const stored = driverForUrl(url);
+    if (!stored || stored.driver.name !== source.name) return url;
+    if (copied.has(url)) return copied.get(url);
+
+    try {
+      let newUrl;
+      if (dryRun) {
+        if (!(await source.exists(stored.key))) throw new Error('file not found');
+        newUrl = `(${target.name}) ${stored.key}`;
+      } else {
+        const buffer = await source.read(stored.key);
+        const contentType = CONTENT_TYPES[path.extname(stored.key).toLowerCase()] || 'application/octet-stream';
+        newUrl = await target.save(stored.key, buffer, contentType, { baseUrl });
+      }
+      copied.set(url, newUrl);
+      return newUrl;
+    } catch (err) {
+      console.error(`Could not copy ${url}: ${err.message}`);
+      failed += 1;
+      return url;
+    }
+  }
+
+  const migrateList = async (urls) => {
+    const result = [];
+    for (const url of urls || []) result.push(await migrateUrl(url));
+    return result;
+  };
+
+  const products = Product.find({
+    $or: [{ 'images.0': { $exists: true } }, { 'variants.images.0': { $exists: true } }]
+  }).select('name images imageRenditions variants._id variants.images').lean().cursor();
+
+  let updated = 0;
+  for await (const product of products) {
+    const $set = {};
+    const images = await migrateList(product.images);
+    if (images.some((url, i) => url !== product.images[i])) $set.images = images;
+
+    const renditions = [];
+    for (const entry of product.imageRenditions || []) {
+      const moved = {};
+      for (const field of RENDITION_FIELDS) moved[field] = entry[field] ? await migrateUrl(entry[field]) : null;
+      renditions.push(moved);
+    }
+    const renditionsChanged = renditions.some((entry, i) => (
+      RENDITION_FIELDS.some((field) => entry[field] !== (product.imageRenditions[i][field] ?? null))
+    ));
+    if (renditionsChanged) $set.imageRenditions = renditions;
+
+    for (const [index, variant] of (product.variants || []).entries()) {
+      const variantImages = await migrateList(variant.images);
+      if (variantImages.some((url, i) => url !== variant.images[i])) $set[`variants.${index}.images`] = variantImages;
+    }
+
+    if (Object.keys($set).length === 0) continue;
+    updated += 1;
+    if (dryRun) continue;
+    await Product.updateOne({ _id: product._id }, { $set });
+  }
+
+  console.log(`${dryRun ? 'Would copy' : 'Copied'} ${copied.size} file(s) from ${source.name} to ${target.name}, ${dryRun ? 'would update' : 'updated'} ${updated} product(s), ${failed} failure(s)`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -29,6 +29,15 @@ require('./src/models/Wishlist');
 require('./src/models/Referral');
 require('./src/models/UserVerification');
 require('./src/models/CurrencyExchangeRate');
+require('./src/models/Promotion');
+require('./src/models/TaxRule');
+require('./src/models/CheckoutQuote');
+require('./src/models/Refund');
+require('./src/models/StockReservation');
+require('./src/models/InventoryMovement');
+require('./src/models/Review');
+require('./src/models/Category');
+require('./src/models/Brand');
 
 // Ensure DB indexes are correct (partial unique, text, etc.)
 const { ensureIndexes } = require('./src/config/ensureIndexes');
@@ -105,9 +114,25 @@ app.use('/api/auth', require('./src/routes/api/auth'));
 app.use('/api/admin', require('./src/routes/api/adminAuth'));
 app.use('/api/admin/orders', require('./src/routes/api/adminOrders'));
 app.use('/api/admin/users', require('./src/routes/api/adminUsers'));
+app.use('/api/admin/promotions', require('./src/routes/api/adminPromotions'));
+app.use('/api/admin/tax-rules', require('./src/routes/api/adminTaxRules'));
 app.use('/api/web3', require('./src/routes/api/web3Auth'));
+app.use('/api/categories', require('./src/routes/api/categories'));
+app.use('/api/brands', require('./src/routes/api/brands'));
 app.use('/api/products', require('./src/routes/api/products'));
 app.use('/api/admin/products', require('./src/routes/api/adminProducts'));
+app.use('/api/admin/categories', require('./src/routes/api/adminCategories'));
+app.use('/api/admin/brands', require('./src/routes/api/adminBrands'));
+app.use('/api/admin/reviews', require('./src/routes/api/adminReviews'));
+app.use('/api/admin/questions', require('./src/routes/api/adminQuestions'));
+app.use('/api/vendor/orders', require('./src/routes/api/vendorOrders'));
+app.use('/api/vendor/payouts', require('./src/routes/api/vendorPayouts'));
+app.use('/api/vendor/applications', require('./src/routes/api/vendorApplications'));
+app.use('/api/vendor/analytics', require('./src/routes/api/vendorAnalytics'));
+app.use('/api/admin/payouts', require('./src/routes/api/adminPayouts'));
+app.use('/api/admin/commission-rules', require('./src/routes/api/adminCommissionRules'));
+app.use('/api/admin/vendor-applications', require('./src/routes/api/adminVendorApplications'));
+app.use('/api/admin/reports', require('./src/routes/api/adminReports'));
 app.use('/api/orders', require('./src/routes/api/orders'));
 app.use('/api/cart', require('./src/routes/api/cart'));
 app.use('/api/wishlist', require('./src/routes/api/wishlist'));
@@ -115,6 +140,7 @@ app.use('/api/delivery-methods', require('./src/routes/api/delivery-methods'));
 app.use('/api/delivery-addresses', require('./src/routes/api/delivery-addresses'));
 app.use('/api/referrals', require('./src/routes/api/referrals'));
 app.use('/api/webhooks', require('./src/routes/api/webhooks'));
+app.use('/api/files', require('./src/routes/api/files'));
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Error logging middleware (should be last)
@@ -132,6 +158,31 @@ const fundSweeperJob = require('./src/jobs/fundSweeperJob');
 fundSweeperJob.start();
 console.log('✅ Fund sweeper job started (runs every 3 minutes)');
 
+// Release stock held by checkouts that were never paid
+const stockReservationJob = require('./src/jobs/stockReservationJob');
+stockReservationJob.start();
+console.log('✅ Stock reservation job started (runs every minute)');
+
+// Email ops a digest of products at or below their low-stock threshold
+const lowStockAlertJob = require('./src/jobs/lowStockAlertJob');
+lowStockAlertJob.start();
+console.log(`✅ Low stock alert job started (${process.env.LOW_STOCK_DIGEST_CRON || '0 8 * * *'})`);
+
+// Start and end scheduled sale prices
+const saleJob = require('./src/jobs/saleJob');
+saleJob.start();
+console.log('✅ Sale job started (runs every minute)');
+
+// Record vendor sales in the commission ledger
+const vendorLedgerJob = require('./src/jobs/vendorLedgerJob');
+vendorLedgerJob.start();
+console.log('✅ Vendor ledger job started (runs every 10 minutes)');
+
+// Pay vendors their available balances
+const vendorPayoutJob = require('./src/jobs/vendorPayoutJob');
+vendorPayoutJob.start();
+console.log(`✅ Vendor payout job started (${process.env.VENDOR_PAYOUT_CRON || '0 9 * * 1'})`);
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
@@ -1,11 +1,24 @@
 const mongoose = require('mongoose');
 
+// Checkout takes stock and records payments in multi-document transactions, which a standalone mongod refuses
+async function assertTransactionsSupported() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB must run as a replica set or sharded cluster, because checkout uses transactions. ' +
+      'For local development start mongod with --replSet rs0 and run rs.initiate() once; ' +
+      'to convert an existing standalone deployment, see "Run" in the README.'
+    );
+  }
+}
+
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/abscobackend', {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
+    await assertTransactionsSupported();
     console.log('MongoDB Connected...');
   } catch (err) {
     console.error(err.message);
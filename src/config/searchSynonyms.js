@@ -0,0 +1,19 @@
+/**
+ * Product search synonyms.
+ * Each group lists words that mean the same thing to shoppers; searching for any of them
+ * also searches for the others. Keep entries lowercase.
+ */
+const SYNONYM_GROUPS = [
+  ['phone', 'phones', 'smartphone', 'smartphones', 'mobile', 'cellphone'],
+  ['laptop', 'laptops', 'notebook', 'notebooks'],
+  ['tablet', 'tablets', 'ipad'],
+  ['headphone', 'headphones', 'headset', 'earphones', 'earbuds'],
+  ['tv', 'television', 'televisions'],
+  ['watch', 'watches', 'smartwatch', 'smartwatches'],
+  ['charger', 'chargers', 'adapter', 'adapters'],
+  ['case', 'cases', 'cover', 'covers']
+];
+
+module.exports = {
+  SYNONYM_GROUPS
+};
@@ -1,106 +1,214 @@
+/**
+ * File storage behind a driver interface (see storageDrivers/):
+ *
+ *   save(key, buffer, contentType, { baseUrl }) → public URL
+ *   read(key) → Buffer
+ *   delete(key) → whether the file existed
+ *   exists(key) → boolean
+ *   signedUrl(key, { expiresIn, baseUrl }) → time-limited URL (seconds, default an hour)
+ *   keyFromUrl(url) → the key of a URL this driver returned, or null
+ *
+ * STORAGE_DRIVER picks where new files go: local, gcs or s3. It defaults to gcs when GCP_BUCKET is
+ * set and local otherwise. Every configured driver stays available, so files saved before a switch
+ * can still be read and deleted by their URL (and moved with `npm run migrate:images`).
+ *
+ * Private documents (vendor KYC files) go through saveDocument instead: to GCP_PRIVATE_BUCKET or
+ * S3_PRIVATE_BUCKET when the active driver has one, otherwise to the local private-uploads/
+ * directory. They get no public URL; callers keep the returned reference ("driver:key") and hand
+ * out signedDocumentUrl links.
+ */
 const path = require('path');
-const fs = require('fs');
+const { createLocalDriver, LOCAL_DIR, LOCAL_PRIVATE_DIR } = require('./storageDrivers/local');
+const { createGcsDriver } = require('./storageDrivers/gcs');
+const { createS3Driver } = require('./storageDrivers/s3');
 
-// Local storage directory
-const LOCAL_DIR = path.resolve(process.cwd(), 'uploads');
+const drivers = { local: createLocalDriver() };
+const gcsDriver = createGcsDriver();
+if (gcsDriver) drivers.gcs = gcsDriver;
+const s3Driver = createS3Driver();
+if (s3Driver) drivers.s3 = s3Driver;
 
-async function ensureLocalDir() {
-  await fs.promises.mkdir(LOCAL_DIR, { recursive: true }).catch(() => {});
+const requestedDriver = process.env.STORAGE_DRIVER || (process.env.GCP_BUCKET ? 'gcs' : 'local');
+let activeDriver = drivers[requestedDriver];
+if (!activeDriver) {
+  console.error(`Storage driver "${requestedDriver}" is not configured; using local file storage`);
+  activeDriver = drivers.local;
+}
+if (activeDriver.name === 'local') {
+  console.log('📁 Using local file storage');
+} else {
+  console.log(`✅ File storage: ${activeDriver.name} (${activeDriver.name === 'gcs' ? process.env.GCP_BUCKET : process.env.S3_BUCKET})`);
 }
 
-async function saveToLocal(filename, buffer, baseUrl) {
-  await ensureLocalDir();
-  const filePath = path.join(LOCAL_DIR, filename);
-  await fs.promises.writeFile(filePath, buffer);
-  // Return absolute URL when baseUrl provided, else relative path
-  const relative = `/uploads/${filename}`;
-  if (baseUrl) {
-    const normalizedBase = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
-    return `${normalizedBase}${relative}`;
-  }
-  return relative;
+const privateDrivers = { local: createLocalDriver({ private: true }) };
+const gcsPrivateDriver = createGcsDriver({ private: true });
+if (gcsPrivateDriver) privateDrivers.gcs = gcsPrivateDriver;
+const s3PrivateDriver = createS3Driver({ private: true });
+if (s3PrivateDriver) privateDrivers.s3 = s3PrivateDriver;
+const documentDriver = privateDrivers[activeDriver.name] || privateDrivers.local;
+
+// Kept for scripts that check whether uploads go to GCS
+const useGCP = activeDriver.name === 'gcs';
+
+/**
+ * @param {string} name - local | gcs | s3
+ * @returns {Object|null} The driver, or null when it is not configured
+ */
+function getDriver(name) {
+  return drivers[name] || null;
 }
 
-// GCP Storage - only initialize if GCP_BUCKET is provided
-let gcs = null;
-let gcsBucket = null;
-const useGCP = !!process.env.GCP_BUCKET;
-
-if (useGCP) {
-  const { Storage } = require('@google-cloud/storage');
-  const gcsOptions = {};
-  
-  if (process.env.GCP_PROJECT_ID) {
-    gcsOptions.projectId = process.env.GCP_PROJECT_ID;
+/**
+ * The driver that stored a URL, and the file's key there
+ * @param {string} url
+ * @returns {{ driver: Object, key: string }|null} null for URLs none of the drivers returned (external images)
+ */
+function driverForUrl(url) {
+  if (typeof url !== 'string' || !url) return null;
+  // Cloud drivers first: their URLs are full addresses, while local matches any /uploads/ path
+  for (const driver of [drivers.gcs, drivers.s3, drivers.local].filter(Boolean)) {
+    const key = driver.keyFromUrl(url);
+    if (key) return { driver, key };
   }
-  
-  if (process.env.GCP_KEYFILE_JSON) {
+  return null;
+}
+
+function buildFileName(originalName) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  const base = Date.now() + '-' + Math.random().toString(36).slice(2, 8);
+  return `${base}${ext || ''}`;
+}
+
+async function saveImage(originalName, buffer, contentType, baseUrl) {
+  const filename = buildFileName(originalName);
+
+  if (activeDriver.name !== 'local') {
     try {
-      const creds = JSON.parse(process.env.GCP_KEYFILE_JSON);
-      gcsOptions.credentials = creds;
+      return await activeDriver.save(filename, buffer, contentType || 'application/octet-stream', { baseUrl });
     } catch (err) {
-      console.error('Failed to parse GCP_KEYFILE_JSON:', err.message);
+      console.error(`Failed to save to ${activeDriver.name}, falling back to local storage:`, err.message);
     }
-  } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-    // The client will pick credentials from this env var path
-  }
-  
-  try {
-    gcs = new Storage(gcsOptions);
-    gcsBucket = gcs.bucket(process.env.GCP_BUCKET);
-    console.log(`✅ GCP Storage initialized with bucket: ${process.env.GCP_BUCKET}`);
-  } catch (err) {
-    console.error('Failed to initialize GCP Storage:', err.message);
   }
-} else {
-  console.log('📁 Using local file storage (GCP_BUCKET not configured)');
+
+  return drivers.local.save(filename, buffer, contentType, { baseUrl });
 }
 
-async function saveToGCS(filename, buffer, contentType) {
-  if (!gcsBucket) throw new Error('GCP bucket is not configured');
-  const file = gcsBucket.file(filename);
-  
-  // Save file without trying to set ACLs (uniform bucket-level access)
-  await file.save(buffer, { 
-    contentType, 
-    resumable: false, 
-    validation: 'crc32c',
-    metadata: {
-      cacheControl: 'public, max-age=31536000',
-    }
-  });
-  
-  // With uniform bucket-level access, files are public if bucket is public
-  // No need to call makePublic() - it will fail with uniform access enabled
-  const publicUrl = `https://storage.googleapis.com/${gcsBucket.name}/${encodeURIComponent(filename)}`;
-  return publicUrl;
+/**
+ * Delete a stored image by the URL saveImage returned. URLs that are not ours (external images)
+ * and files that are already gone are ignored.
+ * @param {string} url
+ * @returns {Promise<boolean>} Whether a file was deleted
+ */
+async function deleteImage(url) {
+  const stored = driverForUrl(url);
+  if (!stored) return false;
+  return stored.driver.delete(stored.key);
 }
 
-function buildFileName(originalName) {
-  const ext = path.extname(originalName || '').toLowerCase();
-  const base = Date.now() + '-' + Math.random().toString(36).slice(2, 8);
-  return `${base}${ext || ''}`;
+/**
+ * @param {string} url
+ * @returns {Promise<boolean>} Whether the file behind a stored URL exists; false for external URLs
+ */
+async function imageExists(url) {
+  const stored = driverForUrl(url);
+  if (!stored) return false;
+  return stored.driver.exists(stored.key);
 }
 
-async function saveImage(originalName, buffer, contentType, baseUrl) {
+/**
+ * Time-limited URL for a stored image (for private buckets); external URLs are returned as they are
+ * @param {string} url
+ * @param {Object} [options] - { expiresIn: seconds, baseUrl }
+ * @returns {Promise<string>}
+ */
+async function signedImageUrl(url, options = {}) {
+  const stored = driverForUrl(url);
+  if (!stored) return url;
+  return stored.driver.signedUrl(stored.key, options);
+}
+
+// The private driver and key behind a saveDocument reference
+function privateFile(reference) {
+  if (typeof reference !== 'string') return null;
+  const separator = reference.indexOf(':');
+  const driver = privateDrivers[reference.slice(0, separator)];
+  const key = reference.slice(separator + 1);
+  return separator > 0 && driver && key ? { driver, key } : null;
+}
+
+/**
+ * Store a private document (never publicly readable)
+ * @param {string} originalName - Used for the extension only
+ * @param {Buffer} buffer
+ * @param {string} contentType
+ * @returns {Promise<string>} Reference for deleteDocument and signedDocumentUrl ("driver:key")
+ */
+async function saveDocument(originalName, buffer, contentType) {
   const filename = buildFileName(originalName);
-  
-  // Use GCP if bucket is configured, otherwise use local storage
-  if (useGCP && gcsBucket) {
+
+  if (documentDriver.name !== 'local') {
     try {
-      return await saveToGCS(filename, buffer, contentType || 'application/octet-stream');
+      await documentDriver.save(filename, buffer, contentType || 'application/octet-stream');
+      return `${documentDriver.name}:${filename}`;
     } catch (err) {
-      console.error('Failed to save to GCP, falling back to local storage:', err.message);
-      return await saveToLocal(filename, buffer, baseUrl);
+      console.error(`Failed to save document to ${documentDriver.name}, falling back to local storage:`, err.message);
     }
   }
-  
-  return await saveToLocal(filename, buffer, baseUrl);
+
+  await privateDrivers.local.save(filename, buffer, contentType);
+  return `local:${filename}`;
+}
+
+/**
+ * @param {string} reference - From saveDocument
+ * @returns {Promise<boolean>} Whether a file was deleted
+ */
+async function deleteDocument(reference) {
+  const stored = privateFile(reference);
+  if (!stored) return false;
+  return stored.driver.delete(stored.key);
+}
+
+/**
+ * Time-limited link to a private document
+ * @param {string} reference - From saveDocument
+ * @param {Object} [options] - { expiresIn: seconds, baseUrl (for local documents) }
+ * @returns {Promise<string|null>} null for unknown references
+ */
+async function signedDocumentUrl(reference, options = {}) {
+  const stored = privateFile(reference);
+  if (!stored) return null;
+  return stored.driver.signedUrl(stored.key, options);
+}
+
+/**
+ * A locally stored private document, when the link's signature is valid and unexpired
+ * @param {string} key
+ * @param {string} expires - Unix seconds from the link
+ * @param {string} signature - From the link
+ * @returns {Promise<Buffer|null>} null for bad or expired links and missing files
+ */
+async function readSignedLocalDocument(key, expires, signature) {
+  const driver = privateDrivers.local;
+  if (!driver.verifySignature(key, expires, signature)) return null;
+  return driver.read(key).catch((err) => {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  });
 }
 
 module.exports = {
   saveImage,
+  deleteImage,
+  imageExists,
+  signedImageUrl,
+  getDriver,
+  driverForUrl,
+  saveDocument,
+  deleteDocument,
+  signedDocumentUrl,
+  readSignedLocalDocument,
   LOCAL_DIR,
+  LOCAL_PRIVATE_DIR,
   useGCP,
 };
-
@@ -0,0 +1,90 @@
+/**
+ * Google Cloud Storage, configured by GCP_BUCKET (plus GCP_PROJECT_ID and GCP_KEYFILE_JSON or
+ * GOOGLE_APPLICATION_CREDENTIALS). The bucket is expected to use uniform bucket-level access
+ * and be publicly readable.
+ * With { private: true } the driver uses GCP_PRIVATE_BUCKET instead, which must not be public:
+ * save returns the key, and files are only read through signed URLs.
+ * @param {Object} [options] - { private: boolean }
+ * @returns {Object|null} null when the bucket is not set or the client cannot be created
+ */
+function createGcsDriver(options = {}) {
+  const isPrivate = options.private === true;
+  const bucketName = isPrivate ? process.env.GCP_PRIVATE_BUCKET : process.env.GCP_BUCKET;
+  if (!bucketName) return null;
+
+  const { Storage } = require('@google-cloud/storage');
+  const gcsOptions = {};
+
+  if (process.env.GCP_PROJECT_ID) {
+    gcsOptions.projectId = process.env.GCP_PROJECT_ID;
+  }
+
+  if (process.env.GCP_KEYFILE_JSON) {
+    try {
+      gcsOptions.credentials = JSON.parse(process.env.GCP_KEYFILE_JSON);
+    } catch (err) {
+      console.error('Failed to parse GCP_KEYFILE_JSON:', err.message);
+    }
+  }
+  // Otherwise the client picks credentials from GOOGLE_APPLICATION_CREDENTIALS or the environment
+
+  let bucket;
+  try {
+    bucket = new Storage(gcsOptions).bucket(bucketName);
+  } catch (err) {
+    console.error('Failed to initialize GCP Storage:', err.message);
+    return null;
+  }
+  const publicPrefix = `https://storage.googleapis.com/${bucket.name}/`;
+
+  return {
+    name: 'gcs',
+
+    async save(key, buffer, contentType) {
+      // Save file without trying to set ACLs (uniform bucket-level access)
+      await bucket.file(key).save(buffer, {
+        contentType: contentType || 'application/octet-stream',
+        resumable: false,
+        validation: 'crc32c',
+        metadata: {
+          cacheControl: isPrivate ? 'private, no-store' : 'public, max-age=31536000',
+        }
+      });
+      if (isPrivate) return key;
+      // With uniform bucket-level access, files are public if bucket is public
+      return `${publicPrefix}${encodeURIComponent(key)}`;
+    },
+
+    async read(key) {
+      const [contents] = await bucket.file(key).download();
+      return contents;
+    },
+
+    async delete(key) {
+      const exists = await this.exists(key);
+      if (exists) await bucket.file(key).delete({ ignoreNotFound: true });
+      return exists;
+    },
+
+    async exists(key) {
+      const [exists] = await bucket.file(key).exists();
+      return exists;
+    },
+
+    async signedUrl(key, options = {}) {
+      const [url] = await bucket.file(key).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: Date.now() + (options.expiresIn || 3600) * 1000
+      });
+      return url;
+    },
+
+    keyFromUrl(url) {
+      if (isPrivate) return null;
+      return url.startsWith(publicPrefix) ? decodeURIComponent(url.slice(publicPrefix.length)) : null;
+    }
+  };
+}
+
+module.exports = { createGcsDriver };
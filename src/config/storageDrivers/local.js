@@ -0,0 +1,106 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Local storage directory, served at /uploads outside production (see server.js)
+const LOCAL_DIR = path.resolve(process.cwd(), 'uploads');
+// Private files (vendor KYC documents): never served statically, only through signed links
+const LOCAL_PRIVATE_DIR = path.resolve(process.cwd(), 'private-uploads');
+// Where signed links to private files are served (see routes/api/files.js)
+const PRIVATE_URL_PATH = '/api/files';
+
+function getSigningSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) must be set to sign private file links');
+  return secret;
+}
+
+function signKey(key, expires) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${key}:${expires}`).digest('hex');
+}
+
+function withBase(relative, baseUrl) {
+  if (!baseUrl) return relative;
+  const normalizedBase = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+  return `${normalizedBase}${relative}`;
+}
+
+function urlFor(key, baseUrl) {
+  // Return absolute URL when baseUrl provided, else relative path
+  return withBase(`/uploads/${encodeURIComponent(key)}`, baseUrl);
+}
+
+/**
+ * Files in a local directory. Public files (uploads/) are served under /uploads, so there is
+ * nothing to sign and signedUrl returns the plain URL. Private files (private-uploads/) have no
+ * public URL: save returns the key, and signedUrl returns an expiring link checked by verifySignature.
+ * @param {Object} [options] - { private: true } for the private directory
+ */
+function createLocalDriver(options = {}) {
+  const isPrivate = options.private === true;
+  const dir = isPrivate ? LOCAL_PRIVATE_DIR : LOCAL_DIR;
+
+  // basename keeps the path inside the directory
+  function filePath(key) {
+    return path.join(dir, path.basename(key));
+  }
+
+  return {
+    name: 'local',
+
+    async save(key, buffer, contentType, saveOptions = {}) {
+      await fs.promises.mkdir(dir, { recursive: true }).catch(() => {});
+      await fs.promises.writeFile(filePath(key), buffer);
+      return isPrivate ? key : urlFor(key, saveOptions.baseUrl);
+    },
+
+    async read(key) {
+      return fs.promises.readFile(filePath(key));
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      return fs.promises.access(filePath(key)).then(() => true, () => false);
+    },
+
+    async signedUrl(key, signOptions = {}) {
+      if (!isPrivate) return urlFor(key, signOptions.baseUrl);
+      const expires = Math.floor(Date.now() / 1000) + (signOptions.expiresIn || 3600);
+      const query = `expires=${expires}&signature=${signKey(key, expires)}`;
+      return withBase(`${PRIVATE_URL_PATH}/${encodeURIComponent(key)}?${query}`, signOptions.baseUrl);
+    },
+
+    /**
+     * @returns {boolean} Whether a private link's signature is ours and has not expired
+     */
+    verifySignature(key, expires, signature) {
+      if (!isPrivate || !/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+      const expected = signKey(key, Number(expires));
+      if (typeof signature !== 'string' || signature.length !== expected.length) return false;
+      return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    },
+
+    keyFromUrl(url) {
+      if (isPrivate) return null;
+      let pathname;
+      try {
+        pathname = new URL(url, 'http://localhost').pathname;
+      } catch (err) {
+        return null;
+      }
+      if (!pathname.startsWith('/uploads/')) return null;
+      return path.basename(decodeURIComponent(pathname));
+    }
+  };
+}
+
+module.exports = { createLocalDriver, LOCAL_DIR, LOCAL_PRIVATE_DIR };
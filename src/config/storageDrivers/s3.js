@@ -0,0 +1,100 @@
+/**
+ * Amazon S3 or an S3-compatible service (MinIO, Cloudflare R2, DigitalOcean Spaces), configured by
+ * S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (or the usual AWS credential
+ * chain), S3_ENDPOINT and S3_FORCE_PATH_STYLE for non-AWS services, and S3_PUBLIC_URL when files
+ * are served from another address (a CDN). The bucket is expected to be publicly readable.
+ * With { private: true } the driver uses S3_PRIVATE_BUCKET instead, which must not be public:
+ * save returns the key, and files are only read through signed URLs.
+ * @param {Object} [options] - { private: boolean }
+ * @returns {Object|null} null when the bucket is not set
+ */
+function createS3Driver(options = {}) {
+  const isPrivate = options.private === true;
+  const bucket = isPrivate ? process.env.S3_PRIVATE_BUCKET : process.env.S3_BUCKET;
+  if (!bucket) return null;
+
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT || null;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    })
+  });
+
+  let publicBase = process.env.S3_PUBLIC_URL;
+  if (!publicBase) {
+    if (endpoint) {
+      const base = endpoint.replace(/\/+$/, '');
+      publicBase = forcePathStyle ? `${base}/${bucket}` : base.replace('://', `://${bucket}.`);
+    } else {
+      publicBase = `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+  }
+  const publicPrefix = `${publicBase.replace(/\/+$/, '')}/`;
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType || 'application/octet-stream',
+        CacheControl: isPrivate ? 'private, no-store' : 'public, max-age=31536000'
+      }));
+      if (isPrivate) return key;
+      return `${publicPrefix}${encodeURIComponent(key)}`;
+    },
+
+    async read(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      const exists = await this.exists(key);
+      if (exists) await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return exists;
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    async signedUrl(key, options = {}) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn: options.expiresIn || 3600
+      });
+    },
+
+    keyFromUrl(url) {
+      if (isPrivate) return null;
+      return url.startsWith(publicPrefix) ? decodeURIComponent(url.slice(publicPrefix.length).split('?')[0]) : null;
+    }
+  };
+}
+
+module.exports = { createS3Driver };
@@ -1,6 +1,22 @@
 const User = require('../models/User');
+const VendorApplication = require('../models/VendorApplication');
 const bcrypt = require('bcryptjs');
 
+const VENDOR_REVIEW_MSG = 'Sellers are approved by reviewing their vendor application (/api/admin/vendor-applications)';
+
+/**
+ * Whether a change would make someone an approved vendor without an approved vendor application.
+ * Vendors who are already approved can still be edited, and unapproving (suspending) one is always allowed.
+ */
+async function skipsVendorReview(user, role, approved) {
+  const nextRole = role || user.role;
+  const nextApproved = typeof approved === 'boolean' ? approved : user.approved;
+  if (nextRole !== 'vendor' || !nextApproved) return false;
+  if (user.role === 'vendor' && user.approved) return false;
+  const hasApproved = await VendorApplication.exists({ user: user._id, status: 'approved' });
+  return !hasApproved;
+}
+
 /**
  * @desc    Get all users
  * @route   GET /api/admin/users
@@ -154,6 +170,10 @@ const updateUser = async (req, res) => {
       user.email = email.toLowerCase();
     }
     
+    if (await skipsVendorReview(user, role, approved)) {
+      return res.status(400).json({ errors: [{ msg: VENDOR_REVIEW_MSG }] });
+    }
+
     // Update fields
     if (name) user.name = name;
     if (role) user.role = role;
@@ -190,7 +210,7 @@ const updateUser = async (req, res) => {
 };
 
 /**
- * @desc    Approve or promote user
+ * @desc    Approve or promote user; vendors can only be approved once their vendor application is approved
  * @route   PATCH /api/admin/users/:id/approve
  * @access  Private (admin)
  */
@@ -211,12 +231,17 @@ const approveUser = async (req, res) => {
       });
     }
     
+    const nextRole = role && ['user', 'vendor', 'admin'].includes(role) ? role : undefined;
+    if (await skipsVendorReview(user, nextRole, approved)) {
+      return res.status(400).json({ errors: [{ msg: VENDOR_REVIEW_MSG }] });
+    }
+
     if (typeof approved === 'boolean') {
       user.approved = approved;
     }
     
-    if (role && ['user', 'vendor', 'admin'].includes(role)) {
-      user.role = role;
+    if (nextRole) {
+      user.role = nextRole;
     }
     
     await user.save();
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Product = require('../models/Product');
+const brandService = require('../services/brandService');
+const bundleService = require('../services/bundleService');
+const saleService = require('../services/saleService');
+const productSearchService = require('../services/productSearchService');
+const searchService = require('../services/searchService');
+const { saveImage } = require('../config/storage');
+
+const EDITABLE_FIELDS = ['name', 'slug', 'logo', 'description', 'featured', 'isActive', 'aliases'];
+
+function pickEditable(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) data[field] = body[field] === '' ? null : body[field];
+  }
+  // Multipart forms send aliases as a comma-separated string
+  if (typeof data.aliases === 'string') data.aliases = data.aliases.split(',').map((a) => a.trim()).filter(Boolean);
+  if (data.aliases === null) data.aliases = [];
+  return data;
+}
+
+// Store an uploaded brand logo and return its URL
+async function saveBrandLogo(req) {
+  if (!req.file) return null;
+  const origin = `${req.protocol}://${req.get('host')}`;
+  return saveImage(req.file.originalname, req.file.buffer, req.file.mimetype, origin);
+}
+
+// Published product count per brand ID
+async function publishedCounts(brandIds) {
+  const counts = await Product.aggregate([
+    { $match: { brandId: { $in: brandIds }, published: true } },
+    { $group: { _id: '$brandId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map((c) => [c._id.toString(), c.count]));
+}
+
+// @desc    Active brands, featured first (?featured=true for featured only)
+// @route   GET /api/brands
+// @access  Public
+const getBrands = async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.featured === 'true') filter.featured = true;
+
+    const brands = await Brand.find(filter)
+      .select('name slug logo description featured')
+      .sort({ featured: -1, name: 1 })
+      .lean();
+    const counts = await publishedCounts(brands.map((b) => b._id));
+
+    return res.json(brands.map((b) => ({ ...b, productCount: counts.get(b._id.toString()) || 0 })));
+  } catch (err) {
+    console.error('Error listing brands:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Brand page: the brand and its published products
+// @route   GET /api/brands/:slug
+// @access  Public
+const getBrandBySlug = async (req, res) => {
+  try {
+    const brand = await Brand.findOne({ slug: String(req.params.slug).toLowerCase(), isActive: true })
+      .select('-aliases')
+      .lean();
+    if (!brand) {
+      return res.status(404).json({ errors: [{ msg: 'Brand not found' }] });
+    }
+
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.max(Math.min(parseInt(req.query.limit || '12', 10), 100), 1);
+
+    // The listing filters (category, price, rating, ...) narrow the brand's products
+    const { base, conditions } = await productSearchService.parseFilters({ ...req.query, search: undefined });
+    conditions.brand = { brandId: brand._id };
+    const filter = productSearchService.buildFilter(base, conditions);
+
+    const [items, total] = await Promise.all([
+      Product.find(filter)
+        .sort(productSearchService.parseSort(req.query.sort))
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Product.countDocuments(filter)
+    ]);
+    await bundleService.withBundleStock(items);
+    saleService.withEffectivePrices(items);
+
+    return res.json({ brand, items, total, page, limit });
+  } catch (err) {
+    console.error('Error fetching brand:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    List brands with product counts
+// @route   GET /api/admin/brands
+// @access  Private (admin)
+const listBrands = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+    if (req.query.featured === 'true') filter.featured = true;
+    if (req.query.search) {
+      const pattern = new RegExp(brandService.escapeRegex(String(req.query.search)), 'i');
+      filter.$or = [{ name: pattern }, { aliases: pattern }];
+    }
+
+    const brands = await Brand.find(filter).sort({ name: 1 }).lean();
+    const counts = await Product.aggregate([
+      { $match: { brandId: { $in: brands.map((b) => b._id) } } },
+      { $group: { _id: '$brandId', count: { $sum: 1 } } }
+    ]);
+    const productCount = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    return res.json(brands.map((b) => ({ ...b, productCount: productCount.get(b._id.toString()) || 0 })));
+  } catch (err) {
+    console.error('Error listing brands:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Get brand by id
+// @route   GET /api/admin/brands/:id
+// @access  Private (admin)
+const getBrandById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid brand ID' }] });
+    }
+    const brand = await Brand.findById(req.params.id).lean();
+    if (!brand) {
+      return res.status(404).json({ errors: [{ msg: 'Brand not found' }] });
+    }
+    const productCount = await Product.countDocuments({ brandId: brand._id });
+    return res.json({ ...brand, productCount });
+  } catch (err) {
+    console.error('Error fetching brand:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Create a brand
+// @route   POST /api/admin/brands
+// @access  Private (admin)
+const createBrand = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    if (!data.name) {
+      return res.status(400).json({ errors: [{ msg: 'Name is required' }] });
+    }
+    const existing = await brandService.findBrand(data.name);
+    if (existing) {
+      return res.status(409).json({ errors: [{ msg: `Brand already exists: ${existing.name}` }] });
+    }
+    const uploaded = await saveBrandLogo(req);
+    if (uploaded) data.logo = uploaded;
+
+    const brand = new Brand(data);
+    const saved = await brand.save();
+    return res.status(201).json(saved);
+  } catch (err) {
+    console.error('Error creating brand:', err);
+    if (err.code === 11000) {
+      return res.status(400).json({ errors: [{ msg: 'Slug already exists' }] });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Update a brand; renaming it renames it on its products
+// @route   PUT /api/admin/brands/:id
+// @access  Private (admin)
+const updateBrand = async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) {
+      return res.status(404).json({ errors: [{ msg: 'Brand not found' }] });
+    }
+
+    const data = pickEditable(req.body);
+    const uploaded = await saveBrandLogo(req);
+    if (uploaded) data.logo = uploaded;
+
+    Object.assign(brand, data);
+    const renamed = brand.isModified('name');
+    const saved = await brand.save();
+
+    if (renamed) {
+      await Product.updateMany({ brandId: saved._id }, { $set: { brand: saved.name } });
+      searchService.invalidateVocabulary();
+    }
+    return res.json(saved);
+  } catch (err) {
+    console.error('Error updating brand:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ errors: [{ msg: 'Brand not found' }] });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ errors: [{ msg: 'Slug already exists' }] });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Merge duplicate brands into this one and re-point their products
+// @route   POST /api/admin/brands/:id/merge
+// @access  Private (admin)
+const mergeBrands = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid brand ID' }] });
+    }
+    const values = [].concat(req.body?.sources || []).filter(Boolean);
+    if (values.length === 0) {
+      return res.status(400).json({ errors: [{ msg: 'List the brands to merge in sources' }] });
+    }
+
+    // Sources may be given by ID, slug or name
+    const sources = await Promise.all(values.map(brandService.findBrand));
+    const unknown = values.filter((_, i) => !sources[i]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ errors: [{ msg: `Brands not found: ${unknown.join(', ')}` }] });
+    }
+
+    const result = await brandService.mergeBrands(req.params.id, sources.map((b) => b._id));
+    if (!result) {
+      return res.status(404).json({ errors: [{ msg: 'Brand not found' }] });
+    }
+    searchService.invalidateVocabulary();
+    return res.json(result);
+  } catch (err) {
+    console.error('Error merging brands:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete a brand without products (merge it into another brand otherwise)
+// @route   DELETE /api/admin/brands/:id
+// @access  Private (admin)
+const deleteBrand = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid brand ID' }] });
+    }
+    const productCount = await Product.countDocuments({ brandId: req.params.id });
+    if (productCount > 0) {
+      return res.status(409).json({
+        errors: [{ msg: `${productCount} product(s) use this brand; merge it into another brand instead` }]
+      });
+    }
+    const brand = await Brand.findByIdAndDelete(req.params.id);
+    if (!brand) {
+      return res.status(404).json({ errors: [{ msg: 'Brand not found' }] });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting brand:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  getBrands,
+  getBrandBySlug,
+  listBrands,
+  getBrandById,
+  createBrand,
+  updateBrand,
+  mergeBrands,
+  deleteBrand,
+};
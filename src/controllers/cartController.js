@@ -1,12 +1,36 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const promotionService = require('../services/promotionService');
+const pricingService = require('../services/pricingService');
+const { findVariant } = require('../services/inventoryService');
+const bundleService = require('../services/bundleService');
+
+// Stock check for a cart line: the variant's stock, the sets a bundle's components allow,
+// or the product's stock
+async function stockProblem(product, variant, quantity) {
+  const available = variant
+    ? (variant.stock || 0)
+    : bundleService.isBundle(product) ? await bundleService.bundleStock(product) : (product.stock || 0);
+  if (quantity <= available) return null;
+  const name = variant ? `${product.name} (${variant.name})` : product.name;
+  return {
+    msg: available > 0 ? `Only ${available} of ${name} left in stock` : `${name} is out of stock`,
+    available
+  };
+}
+
+// Same selected variant: by ID when both sides have one, by name otherwise
+function sameVariant(itemVariant, variantId, variantName) {
+  if (variantId && itemVariant?.variantId) return itemVariant.variantId.toString() === variantId.toString();
+  return (itemVariant?.name || null) === (variantName || null);
+}
 
 // @desc    Update item quantity in cart
 // @route   PUT /api/cart
 // @access  Private
 const updateItemQuantity = async (req, res) => {
   try {
-    const { productId, quantity, variantName, specs } = req.body;
+    const { productId, quantity, variantId, variantName, specs } = req.body;
 
     if (!productId || typeof quantity !== 'number' || quantity < 1) {
       return res.status(400).json({ msg: 'productId and positive quantity are required' });
@@ -20,7 +44,7 @@ const updateItemQuantity = async (req, res) => {
     // Match item by productId, variant, and specs for precise identification
     const itemIndex = cart.items.findIndex(
       (item) => item.productId.toString() === productId &&
-                item.variant?.name === variantName &&
+                sameVariant(item.variant, variantId, variantName) &&
                 JSON.stringify(item.specs || []) === JSON.stringify(specs || []) &&
                 item.status === 'active'
     );
@@ -29,12 +53,20 @@ const updateItemQuantity = async (req, res) => {
       return res.status(404).json({ msg: 'Active item not found in cart' });
     }
 
+    const product = await Product.findById(productId).select('name stock variants type bundle').lean();
+    if (!product) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+    const line = cart.items[itemIndex];
+    const problem = await stockProblem(product, findVariant(product, line.variant?.variantId || line.variant?.name), quantity);
+    if (problem) {
+      return res.status(409).json(problem);
+    }
+
     cart.items[itemIndex].quantity = quantity;
 
     // Recalculate totals based on active items only
-    const activeItems = cart.items.filter(item => item.status === 'active');
-    cart.subtotal = activeItems.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
-    cart.total = cart.subtotal + (cart.deliveryFee || 0) - (cart.discount || 0);
+    await pricingService.priceCart(cart);
 
     await cart.save();
     await cart.populate('items.product', 'name price images firstImage');
@@ -114,8 +146,7 @@ const getCart = async (req, res) => {
         }));
 
       // Recalculate totals based on active items only
-      cart.subtotal = cart.items.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
-      cart.total = cart.subtotal + (cart.deliveryFee || 0) - (cart.discount || 0);
+      await pricingService.priceCart(cart);
     }
 
     if (!cart) {
@@ -186,8 +217,7 @@ const getCartByUserId = async (req, res) => {
         }));
 
       // Recalculate totals based on active items only
-      cart.subtotal = cart.items.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
-      cart.total = cart.subtotal + (cart.deliveryFee || 0) - (cart.discount || 0);
+      await pricingService.priceCart(cart);
     }
 
     res.json(cart);
@@ -202,10 +232,10 @@ const getCartByUserId = async (req, res) => {
 // @access  Private
 const addItemToCart = async (req, res) => {
   try {
-    let { productId, quantity, currency, variantName, specs } = req.body;
+    let { productId, quantity, currency, variantId, variantName, specs } = req.body;
     
     // Mutual exclusion: if variant is selected, clear specs; if specs are selected, clear variant
-    if (variantName) {
+    if (variantId || variantName) {
       specs = null;
     } else if (specs && specs.length > 0) {
       variantName = null;
@@ -228,20 +258,32 @@ const addItemToCart = async (req, res) => {
       return res.status(404).json({ msg: 'Product not found' });
     }
 
-    // Find selected variant
-    const variant = variantName ? product.variants?.find(v => v.name === variantName) : null;
+    // Find selected variant (by ID or name); products sold in variants need one
+    const variant = findVariant(product, variantId || variantName);
+    if ((variantId || variantName) && !variant) {
+      return res.status(400).json({ msg: 'Variant not found' });
+    }
+    if (!variant && product.variants?.length > 0) {
+      return res.status(400).json({ msg: 'Choose an option for this product' });
+    }
     // Use variant price if available, otherwise use product price
-    const finalPrice = variant?.price || product.price;
+    const finalPrice = pricingService.unitPriceFor(product, variant?._id);
     const finalCurrency = variant?.currency || product.currency || currency || 'USDC';
 
     // Check for existing item with same product, variant, and specs
     const itemIndex = cart.items.findIndex(
       (item) => item.productId.toString() === productId &&
-                item.variant?.name === variantName &&
+                sameVariant(item.variant, variant?._id, variant?.name) &&
                 JSON.stringify(item.specs || []) === JSON.stringify(specs || []) &&
                 item.status === 'active'
     );
 
+    const inCart = itemIndex > -1 ? cart.items[itemIndex].quantity : 0;
+    const problem = await stockProblem(product, variant, inCart + (quantity || 1));
+    if (problem) {
+      return res.status(409).json(problem);
+    }
+
     if (itemIndex > -1) {
       // Update existing item quantity
       cart.items[itemIndex].quantity += quantity || 1;
@@ -261,13 +303,15 @@ const addItemToCart = async (req, res) => {
           currency: finalCurrency
         },
         variant: variant ? {
+          variantId: variant._id,
           name: variant.name,
-          price: variant.price,
-          currency: variant.currency,
           attributes: variant.attributes || [],
-          additionalPrice: variant.additionalPrice || 0
+          additionalPrice: variant.additionalPrice || 0,
+          sku: variant.sku || null,
+          image: variant.images?.[0] || null
         } : null,
         specs: specs || null,
+        bundleItems: await bundleService.bundleContents(product),
         quantity: quantity || 1,
         unitPrice: finalPrice,
         currency: finalCurrency,
@@ -276,9 +320,7 @@ const addItemToCart = async (req, res) => {
     }
 
     // Calculate totals based on active items only
-    const activeItems = cart.items.filter(item => item.status === 'active');
-    cart.subtotal = activeItems.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
-    cart.total = cart.subtotal + (cart.deliveryFee || 0) - (cart.discount || 0);
+    await pricingService.priceCart(cart);
 
     // Ensure cart has required fields
     if (!cart.currency) cart.currency = currency || 'USDC';
@@ -364,9 +406,7 @@ const removeItemFromCart = async (req, res) => {
     );
 
     // Recalculate totals based on active items only
-    const activeItems = cart.items.filter(item => item.status === 'active');
-    cart.subtotal = activeItems.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
-    cart.total = cart.subtotal + (cart.deliveryFee || 0) - (cart.discount || 0);
+    await pricingService.priceCart(cart);
 
     await cart.save();
     await cart.populate('items.product', 'name price images firstImage');
@@ -410,6 +450,7 @@ const clearCart = async (req, res) => {
     cart.total = 0;
     cart.deliveryFee = 0;
     cart.discount = 0;
+    cart.promotionCode = null;
     
     await cart.save();
     console.log('Cart cleared successfully for user:', req.user.id);
@@ -432,6 +473,71 @@ const clearCart = async (req, res) => {
   }
 };
 
+// @desc    Apply a promotion code to the cart (previews the discounted total)
+// @route   POST /api/cart/promo
+// @access  Private
+const applyPromoCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ msg: 'Promotion code is required' });
+    }
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || !cart.items.some(item => item.status === 'active')) {
+      return res.status(400).json({ msg: 'Cart is empty' });
+    }
+
+    const previousCode = cart.promotionCode;
+    cart.promotionCode = promotionService.normalizeCode(code);
+    const evaluation = await pricingService.priceCart(cart);
+    if (!evaluation.valid) {
+      cart.promotionCode = previousCode;
+      return res.status(400).json({ msg: evaluation.message || 'Promotion code cannot be applied' });
+    }
+
+    await cart.save();
+
+    res.json({
+      ...cart.toObject(),
+      items: cart.items.filter(item => item.status !== 'ordered'),
+      promotion: {
+        code: cart.promotionCode,
+        discountAmount: evaluation.discountAmount,
+        freeDelivery: evaluation.freeDelivery,
+        eligibleSubtotal: evaluation.eligibleSubtotal
+      }
+    });
+  } catch (err) {
+    console.error('Apply promo code error:', err.message);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+// @desc    Remove the promotion code from the cart
+// @route   DELETE /api/cart/promo
+// @access  Private
+const removePromoCode = async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart) {
+      return res.status(404).json({ msg: 'Cart not found' });
+    }
+
+    cart.promotionCode = null;
+    await pricingService.priceCart(cart);
+    await cart.save();
+
+    res.json({
+      ...cart.toObject(),
+      items: cart.items.filter(item => item.status !== 'ordered')
+    });
+  } catch (err) {
+    console.error('Remove promo code error:', err.message);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
 module.exports = {
   getCart,
   addItemToCart,
@@ -439,4 +545,6 @@ module.exports = {
   getCartByUserId,
   updateItemQuantity,
   clearCart,
+  applyPromoCode,
+  removePromoCode,
 };
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const categoryService = require('../services/categoryService');
+const { saveImage } = require('../config/storage');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'slug',
+  'parent',
+  'description',
+  'image',
+  'sortOrder',
+  'isActive',
+  'aliases',
+  'specTemplate'
+];
+
+function pickEditable(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) data[field] = body[field] === '' ? null : body[field];
+  }
+  // Multipart forms send arrays and templates as JSON strings
+  for (const field of ['aliases', 'specTemplate']) {
+    if (typeof data[field] === 'string') data[field] = JSON.parse(data[field]);
+    if (data[field] === null) data[field] = [];
+  }
+  return data;
+}
+
+// Store an uploaded category image and return its URL
+async function saveCategoryImage(req) {
+  if (!req.file) return null;
+  const origin = `${req.protocol}://${req.get('host')}`;
+  return saveImage(req.file.originalname, req.file.buffer, req.file.mimetype, origin);
+}
+
+// Active categories whose ancestors are all active too
+async function visibleCategories() {
+  const categories = await Category.find({ isActive: true }).select('-aliases').lean();
+  const active = new Set(categories.map((c) => c._id.toString()));
+  return categories.filter((c) => c.ancestors.every((id) => active.has(id.toString())));
+}
+
+// @desc    List categories (flat, or nested with ?tree=true)
+// @route   GET /api/admin/categories
+// @access  Private (admin)
+const listCategories = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+    if (req.query.parent) {
+      filter.parent = req.query.parent === 'root' ? null : req.query.parent;
+    }
+
+    const categories = await Category.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+    const counts = await Product.aggregate([
+      { $match: { categoryId: { $in: categories.map((c) => c._id) } } },
+      { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+    ]);
+    const productCount = new Map(counts.map((c) => [c._id.toString(), c.count]));
+    const withCounts = categories.map((c) => ({ ...c, productCount: productCount.get(c._id.toString()) || 0 }));
+
+    return res.json(req.query.tree === 'true' ? categoryService.buildTree(withCounts) : withCounts);
+  } catch (err) {
+    console.error('Error listing categories:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ errors: [{ msg: 'Invalid parent category ID' }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Get category by id
+// @route   GET /api/admin/categories/:id
+// @access  Private (admin)
+const getCategoryById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid category ID' }] });
+    }
+    const category = await Category.findById(req.params.id).lean();
+    if (!category) {
+      return res.status(404).json({ errors: [{ msg: 'Category not found' }] });
+    }
+    const [children, productCount, effectiveSpecTemplate] = await Promise.all([
+      Category.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 }).lean(),
+      Product.countDocuments({ categoryId: category._id }),
+      categoryService.effectiveSpecTemplate(category)
+    ]);
+    return res.json({ ...category, children, productCount, effectiveSpecTemplate });
+  } catch (err) {
+    console.error('Error fetching category:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Create a category
+// @route   POST /api/admin/categories
+// @access  Private (admin)
+const createCategory = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    if (!data.name) {
+      return res.status(400).json({ errors: [{ msg: 'Name is required' }] });
+    }
+    const uploaded = await saveCategoryImage(req);
+    if (uploaded) data.image = uploaded;
+
+    const category = new Category(data);
+    const saved = await category.save();
+    return res.status(201).json(saved);
+  } catch (err) {
+    console.error('Error creating category:', err);
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ errors: [{ msg: 'Aliases and spec template must be valid JSON' }] });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ errors: [{ msg: 'Slug already exists' }] });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError' || err.message === 'Parent category not found') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Update a category; renaming or moving it updates its subcategories and products
+// @route   PUT /api/admin/categories/:id
+// @access  Private (admin)
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ errors: [{ msg: 'Category not found' }] });
+    }
+
+    const data = pickEditable(req.body);
+    const uploaded = await saveCategoryImage(req);
+    if (uploaded) data.image = uploaded;
+
+    Object.assign(category, data);
+    const moved = category.isModified('parent');
+    const renamed = category.isModified('name');
+    const saved = await category.save();
+
+    if (moved || renamed) await categoryService.syncCategoryTree(saved);
+    return res.json(saved);
+  } catch (err) {
+    console.error('Error updating category:', err);
+    if (err.kind === 'ObjectId' && err.path === '_id') {
+      return res.status(404).json({ errors: [{ msg: 'Category not found' }] });
+    }
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ errors: [{ msg: 'Aliases and spec template must be valid JSON' }] });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ errors: [{ msg: 'Slug already exists' }] });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError' || /^(Parent category|A category cannot)/.test(err.message)) {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete a category; its products can be moved to another category with ?reassignTo=<id>
+// @route   DELETE /api/admin/categories/:id
+// @access  Private (admin)
+const deleteCategory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid category ID' }] });
+    }
+    const category = await Category.findById(req.params.id).lean();
+    if (!category) {
+      return res.status(404).json({ errors: [{ msg: 'Category not found' }] });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ errors: [{ msg: 'Move or delete the subcategories first' }] });
+    }
+
+    const productCount = await Product.countDocuments({ categoryId: category._id });
+    const reassignTo = req.query.reassignTo || req.body?.reassignTo;
+    if (productCount > 0 && !reassignTo) {
+      return res.status(409).json({
+        errors: [{ msg: `${productCount} product(s) are in this category; pass reassignTo to move them` }]
+      });
+    }
+
+    if (productCount > 0) {
+      const target = await categoryService.findCategory(reassignTo);
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({ errors: [{ msg: 'Category to reassign products to not found' }] });
+      }
+      await Product.updateMany(
+        { categoryId: category._id },
+        { $set: categoryService.productCategoryFields(target) }
+      );
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    return res.json({ success: true, reassigned: productCount });
+  } catch (err) {
+    console.error('Error deleting category:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Active category tree
+// @route   GET /api/categories
+// @access  Public
+const getCategoryTree = async (req, res) => {
+  try {
+    const categories = await visibleCategories();
+    return res.json(categoryService.buildTree(categories));
+  } catch (err) {
+    console.error('Error fetching category tree:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Category by ID or slug, with breadcrumb, subcategories and spec template
+// @route   GET /api/categories/:idOrSlug
+// @access  Public
+const getCategory = async (req, res) => {
+  try {
+    const key = req.params.idOrSlug;
+    const query = mongoose.Types.ObjectId.isValid(key) ? { $or: [{ _id: key }, { slug: key }] } : { slug: key };
+    const category = await Category.findOne({ ...query, isActive: true }).select('-aliases').lean();
+    if (!category) {
+      return res.status(404).json({ errors: [{ msg: 'Category not found' }] });
+    }
+
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug isActive').lean();
+    if (ancestors.some((a) => !a.isActive)) {
+      return res.status(404).json({ errors: [{ msg: 'Category not found' }] });
+    }
+    const byId = new Map(ancestors.map((a) => [a._id.toString(), a]));
+    const breadcrumb = category.ancestors
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map(({ _id, name, slug }) => ({ _id, name, slug }));
+
+    const [children, effectiveSpecTemplate] = await Promise.all([
+      Category.find({ parent: category._id, isActive: true })
+        .select('name slug image sortOrder')
+        .sort({ sortOrder: 1, name: 1 })
+        .lean(),
+      categoryService.effectiveSpecTemplate(category)
+    ]);
+
+    return res.json({ ...category, breadcrumb, children, effectiveSpecTemplate });
+  } catch (err) {
+    console.error('Error fetching category:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  listCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryTree,
+  getCategory,
+};
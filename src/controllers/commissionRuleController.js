@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const Category = require('../models/Category');
+const { resolveVendor } = require('../services/vendorService');
+const { DEFAULT_COMMISSION_RATE } = require('../services/commissionService');
+
+const EDITABLE_FIELDS = ['name', 'vendor', 'category', 'rate', 'isActive'];
+
+function pickEditable(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) data[field] = body[field] === '' ? null : body[field];
+  }
+  return data;
+}
+
+// The vendor must be a vendor user and the category must exist
+async function checkScope(data) {
+  if ('vendor' in data) {
+    const { error, vendor } = await resolveVendor(data.vendor);
+    if (error) return error;
+    data.vendor = vendor;
+  }
+  if (data.category != null) {
+    if (!mongoose.Types.ObjectId.isValid(data.category) || !(await Category.exists({ _id: data.category }))) {
+      return 'Category not found';
+    }
+  }
+  return null;
+}
+
+// @desc    List commission rules (filter with ?vendor=&active=true|false) and the default rate
+// @route   GET /api/admin/commission-rules
+// @access  Private (admin)
+const listCommissionRules = async (req, res) => {
+  try {
+    const { vendor, active } = req.query;
+    const filter = {};
+    if (vendor) {
+      if (!mongoose.Types.ObjectId.isValid(vendor)) {
+        return res.status(400).json({ errors: [{ msg: 'Invalid vendor ID' }] });
+      }
+      filter.vendor = vendor;
+    }
+    if (active === 'true') filter.isActive = true;
+    if (active === 'false') filter.isActive = false;
+
+    const rules = await CommissionRule.find(filter)
+      .populate('vendor', ['name', 'companyName'])
+      .populate('category', ['name', 'slug'])
+      .sort({ vendor: 1, category: 1, createdAt: 1 })
+      .lean();
+    return res.json({ rules, defaultRate: DEFAULT_COMMISSION_RATE });
+  } catch (err) {
+    console.error('Error listing commission rules:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Create a commission rule
+// @route   POST /api/admin/commission-rules
+// @access  Private (admin)
+const createCommissionRule = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    if (!data.name || data.rate == null) {
+      return res.status(400).json({ errors: [{ msg: 'Name and rate are required' }] });
+    }
+    const scopeError = await checkScope(data);
+    if (scopeError) return res.status(400).json({ errors: [{ msg: scopeError }] });
+
+    const saved = await new CommissionRule(data).save();
+    return res.status(201).json(saved);
+  } catch (err) {
+    console.error('Error creating commission rule:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Update a commission rule; sales already in the ledger keep their rate
+// @route   PUT /api/admin/commission-rules/:id
+// @access  Private (admin)
+const updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ errors: [{ msg: 'Commission rule not found' }] });
+    }
+    const data = pickEditable(req.body);
+    const scopeError = await checkScope(data);
+    if (scopeError) return res.status(400).json({ errors: [{ msg: scopeError }] });
+
+    Object.assign(rule, data);
+    const saved = await rule.save();
+    return res.json(saved);
+  } catch (err) {
+    console.error('Error updating commission rule:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ errors: [{ msg: 'Commission rule not found' }] });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete a commission rule
+// @route   DELETE /api/admin/commission-rules/:id
+// @access  Private (admin)
+const deleteCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ errors: [{ msg: 'Commission rule not found' }] });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting commission rule:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ errors: [{ msg: 'Commission rule not found' }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  listCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+};
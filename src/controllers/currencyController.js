@@ -19,14 +19,7 @@ async function getRates(req, res) {
     console.error('getRates:', err);
     res.status(500).json({
       base: 'USD',
-      rates: currencyExchangeService.normalizeRates({
-        USDC: 1,
-        USD: 1,
-        NGN: 1500,
-        EUR: 0.92,
-        GHS: 15,
-        GHC: 15
-      })
+      rates: currencyExchangeService.normalizeRates(currencyExchangeService.DEFAULT_RATES)
     });
   }
 }
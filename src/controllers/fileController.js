@@ -0,0 +1,24 @@
+const path = require('path');
+const { readSignedLocalDocument } = require('../config/storage');
+
+// @desc    A locally stored private document, through a signed link (?expires=&signature=)
+// @route   GET /api/files/:key
+// @access  Public (signed link)
+const getSignedDocument = async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    const contents = await readSignedLocalDocument(req.params.key, expires, signature);
+    if (!contents) return res.status(404).json({ errors: [{ msg: 'File not found or link expired' }] });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Content-Type-Options', 'nosniff');
+    return res.type(path.extname(req.params.key) || 'application/octet-stream').send(contents);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  getSignedDocument
+};
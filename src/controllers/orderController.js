@@ -4,66 +4,269 @@ const Payment = require('../models/Payment');
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
 const DeliveryMethod = require('../models/DeliveryMethod');
+const CheckoutQuote = require('../models/CheckoutQuote');
 const { awardReferralBonus } = require('./referralController');
 const User = require('../models/User');
 const PaystackService = require('../services/paystackService');
 const Paystack = require('paystack-api')(process.env.PAYSTACK_SECRET_KEY);
 const seerbitService = require('../services/seerbitService');
-const { reduceStockOnOrder } = require('../utils/stockAnalysis');
+const stockReservationService = require('../services/stockReservationService');
+const promotionService = require('../services/promotionService');
+const pricingService = require('../services/pricingService');
+const checkoutQuoteService = require('../services/checkoutQuoteService');
+const refundService = require('../services/refundService');
+const { findVariant } = require('../services/inventoryService');
+const { bundleContents } = require('../services/bundleService');
+const vendorService = require('../services/vendorService');
+
+/**
+ * Quote items for the active cart lines (products populated with their variants).
+ * Lines are priced at the current price of the selected variant, or of the product without one.
+ */
+function cartQuoteItems(activeItems) {
+  return activeItems.map(item => ({
+    product: item.product,
+    quantity: item.quantity,
+    currency: item.product.currency || item.currency,
+    variant: item.variant?.name ? { variantId: item.variant.variantId || null, name: item.variant.name } : null
+  }));
+}
+
+/**
+ * Order item fields for the variant bought: the variant with its own SKU and image,
+ * and the image shown for the item (the variant's, else the product's)
+ * @param {Object} product - Product with images and variants
+ * @param {Object} [selected] - Selected variant ({ variantId, name, attributes }) from the cart or request
+ */
+function orderItemVariantFields(product, selected) {
+  const productImage = product?.images?.length > 0 ? product.images[0] : '/images/desktop-1.png';
+  const key = selected?.variantId || selected?.name;
+  if (!key) return { productImage };
+
+  const variant = findVariant(product, key);
+  const image = variant?.images?.[0] || null;
+  return {
+    variant: {
+      variantId: variant?._id || selected.variantId || null,
+      name: variant?.name || selected.name || null,
+      attributes: variant?.attributes?.length ? variant.attributes : (selected.attributes || []),
+      additionalPrice: selected.additionalPrice || 0,
+      sku: variant?.sku || null,
+      image
+    },
+    productImage: image || productImage
+  };
+}
+
+/**
+ * Order item fields for a bundle: what one bundle contains, for the order page, emails and refunds
+ * @param {Object} product - Product with type and bundle
+ */
+async function orderItemBundleFields(product, options = {}) {
+  if (product?.type !== 'bundle') return {};
+  return { bundleItems: await bundleContents(product, options) };
+}
+
+/**
+ * Create the order items for the active cart lines at the quoted prices, with the variant's SKU and image,
+ * and split the order per seller. The caller saves the order.
+ * @param {Object} order - New order document
+ * @param {Array} activeItems - Active cart lines, products populated; quote.lines are in the same order
+ * @param {Object} quote - Quote from pricingService
+ * @param {Object} [options] - { session }
+ */
+async function createOrderItemsFromCart(order, activeItems, quote, options = {}) {
+  const { session = null } = options;
+  const orderItems = [];
+  for (const [index, cartItem] of activeItems.entries()) {
+    const line = quote.lines[index];
+    const orderItem = new OrderItem({
+      order: order._id,
+      product: cartItem.product._id,
+      specs: cartItem.specs && Array.isArray(cartItem.specs) ? cartItem.specs : [],
+      quantity: cartItem.quantity,
+      unitPrice: line.unitPrice,
+      onSale: line.onSale,
+      totalPrice: line.lineTotal,
+      currency: quote.currency,
+      status: 'ordered',
+      ...orderItemVariantFields(cartItem.product, cartItem.variant),
+      ...(await orderItemBundleFields(cartItem.product, { session })),
+      productName: cartItem.product.name
+    });
+    await orderItem.save({ session });
+    orderItems.push(orderItem._id);
+  }
+  order.items = orderItems;
+  await vendorService.splitOrder(order, { session });
+  return orderItems;
+}
+
+/**
+ * Create the order items of a paid order that has none from the buyer's cart, at current prices,
+ * with the variant's SKU and image, and split the order per seller. The caller saves the order.
+ * @param {Object} order - Order document
+ * @param {Array} activeItems - Active cart lines, products populated
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array>} The new item IDs; empty when no line has a product
+ */
+async function createOrderItemsFromLiveCart(order, activeItems, options = {}) {
+  const { session = null } = options;
+  const orderCurrency = order.currency || 'NGN';
+  const orderItems = [];
+  for (const cartItem of activeItems) {
+    const product = cartItem.product;
+    const productId = product && (product._id || product);
+    if (!productId) continue;
+    const live = product && product.price != null ? pricingService.linePriceFor(product, cartItem.variant) : null;
+    const unitPrice = live ? live.price : cartItem.unitPrice;
+    const totalPrice = (unitPrice || 0) * (cartItem.quantity || 0);
+    const orderItem = new OrderItem({
+      order: order._id,
+      product: productId,
+      specs: cartItem.specs && Array.isArray(cartItem.specs) ? cartItem.specs : [],
+      quantity: cartItem.quantity,
+      unitPrice: unitPrice || 0,
+      onSale: live ? live.onSale : false,
+      totalPrice,
+      currency: (cartItem.currency || product?.currency || orderCurrency) === 'USDT' ? 'USDC' : (cartItem.currency || product?.currency || orderCurrency),
+      status: 'ordered',
+      ...orderItemVariantFields(product, cartItem.variant),
+      ...(await orderItemBundleFields(product, { session })),
+      productName: (product && product.name) || ''
+    });
+    await orderItem.save({ session });
+    orderItems.push(orderItem._id);
+  }
+  if (orderItems.length > 0) {
+    order.items = orderItems;
+    await vendorService.splitOrder(order, { session });
+  }
+  return orderItems;
+}
+
+/**
+ * The quote a cart checkout is priced with: the signed quote from POST /api/orders/quote when
+ * quoteId is sent, else a fresh quote at current prices. The caller consumes a signed quote
+ * (checkoutQuoteService.consumeQuote) once the stock and promotion are taken, so it can't be paid twice.
+ * @returns {Promise<{ quote?: Object, quoteDoc?: Object|null, status?: number, msg?: string }>}
+ */
+async function checkoutQuoteFor(req, cart, activeItems, options = {}) {
+  const { deliveryMethodId, shippingAddressId, currency = 'USDC', quoteId, quoteSignature } = req.body;
+  const session = options.session || null;
+
+  if (quoteId) {
+    if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+      return { status: 400, msg: 'Invalid quote ID' };
+    }
+    const quoteDoc = await CheckoutQuote.findOne({ _id: quoteId, user: req.user.id }).session(session);
+    if (!quoteDoc) {
+      return { status: 404, msg: 'Quote not found' };
+    }
+    const quoteProblem = checkoutQuoteService.validateQuote(quoteDoc, { signature: quoteSignature, activeItems });
+    if (quoteProblem) {
+      return quoteProblem;
+    }
+    if ((deliveryMethodId && deliveryMethodId.toString() !== quoteDoc.deliveryMethod.toString()) ||
+        (shippingAddressId && shippingAddressId.toString() !== String(quoteDoc.shippingAddress)) ||
+        (req.body.currency && currency !== quoteDoc.currency)) {
+      return { status: 409, msg: 'Checkout details do not match the quote' };
+    }
+    return { quote: pricingService.quoteFromSnapshot(quoteDoc), quoteDoc };
+  }
+
+  const deliveryMethod = await DeliveryMethod.findById(deliveryMethodId).session(session);
+  if (!deliveryMethod) {
+    return { status: 400, msg: 'Invalid delivery method' };
+  }
+
+  // Price everything in the order currency with one locked rate.
+  // A promotion code sent with the checkout wins over the one previewed on the cart.
+  const quoteResult = await pricingService.buildQuote({
+    userId: req.user.id,
+    currency,
+    items: cartQuoteItems(activeItems),
+    deliveryMethod,
+    shippingAddressId,
+    promoCode: req.body.promoCode || cart.promotionCode
+  });
+  if (quoteResult.error) {
+    return { status: 400, msg: quoteResult.error };
+  }
+  return { quote: quoteResult.quote, quoteDoc: null };
+}
+
+/**
+ * Undo a checkout that could not be completed (order not saved, or payment not started):
+ * cancel the order if it was saved and give back its promotion use and its reserved stock
+ */
+async function abandonCheckout(order, reservationId, reason) {
+  if (!order.isNew) {
+    try {
+      order.status = 'cancelled';
+      order.paymentStatus = 'failed';
+      await order.save();
+    } catch (err) {
+      console.error(`Error cancelling order ${order._id} after failed checkout:`, err.message);
+    }
+  }
+  await promotionService.releasePromotion(order);
+  await stockReservationService.releaseReservation(reservationId, reason);
+}
+
+// Once the order carries the cart's promotion code, don't carry it over to the next cart
+async function clearCartPromotion(cart) {
+  if (cart.promotionCode) {
+    await Cart.updateOne({ _id: cart._id }, { $set: { promotionCode: null, discount: 0 } });
+  }
+}
 
 // @desc    Create an order (direct)
 // @route   POST /api/orders
 // @access  Private
 const createOrder = async (req, res) => {
   try {
-    const { products, deliveryMethodId, shippingAddress } = req.body; // products should be an array of { productId, quantity }
+    const { products, deliveryMethodId, promoCode } = req.body; // products should be an array of { productId, quantity, variantId? }
+    const shippingAddressId = req.body.shippingAddressId || req.body.shippingAddress;
 
     if (!products || products.length === 0) {
       return res.status(400).json({ msg: 'No products in order' });
     }
 
-    let subTotalUSD = 0;
-    const orderItems = [];
     const productIds = products.map(p => p.productId);
     const foundProducts = await Product.find({ _id: { $in: productIds } });
 
-    if (foundProducts.length !== productIds.length) {
+    if (foundProducts.length !== new Set(productIds.map(String)).size) {
       return res.status(404).json({ msg: 'One or more products not found' });
     }
 
+    // Products sold in variants are bought per variant (by ID or name)
+    const orderLines = [];
     for (const item of products) {
-      const product = foundProducts.find(p => p._id.toString() === item.productId);
-      if (product) {
-        // Convert item price to order currency if different
-        let itemPrice = product.price;
-        if (product.currency && product.currency !== 'USDC') {
-          // For now, assume USDC/USD are 1:1, and NGN conversion
-          if (product.currency === 'NGN') {
-            itemPrice = product.price / 1500; // Convert NGN to USDC
-          }
-          // Add more conversion logic as needed for other currencies
-        }
-        subTotalUSD += itemPrice * item.quantity;
-        orderItems.push({
-          productId: item.productId,
-          quantity: item.quantity,
-          pricePerUnit: itemPrice,
-        });
-      }
+      const product = foundProducts.find(p => p._id.toString() === String(item.productId));
+      const variantKey = item.variantId || item.variantName || null;
+      const variant = findVariant(product, variantKey);
+      if (variantKey && !variant) {
+        return res.status(400).json({ msg: `Variant not found for ${product.name}` });
+      }
+      if (!variant && product.variants?.length > 0) {
+        return res.status(400).json({ msg: `Choose an option for ${product.name}` });
+      }
+      orderLines.push({
+        product,
+        quantity: item.quantity,
+        variant: variant ? { variantId: variant._id, name: variant.name } : null
+      });
     }
 
-    let deliveryFee = 0;
     let deliveryMethod = null;
     if (deliveryMethodId) {
       deliveryMethod = await DeliveryMethod.findById(deliveryMethodId);
       if (!deliveryMethod) {
         return res.status(400).json({ msg: 'Invalid delivery method' });
       }
-      deliveryFee = deliveryMethod.price || 0;
     }
 
-    const totalAmountUSD = subTotalUSD + deliveryFee;
-
     // Validate shipping address exists if provided
     if (shippingAddressId) {
       const DeliveryAddress = require('../models/DeliveryAddress');
@@ -73,27 +276,79 @@ const createOrder = async (req, res) => {
       }
     }
 
+    const { error, quote } = await pricingService.buildQuote({
+      userId: req.user.id,
+      currency: 'USDC',
+      items: orderLines,
+      deliveryMethod,
+      shippingAddressId,
+      promoCode
+    });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const { error: stockError, product: unavailableProduct, reservation } = await stockReservationService.reserveStock({
+      userId: req.user.id,
+      items: quote.lines.map(line => ({
+        product: line.productId,
+        variant: line.variant?.variantId?.toString() || null,
+        productName: line.product.name,
+        quantity: line.quantity,
+        onSale: line.onSale
+      }))
+    });
+    if (stockError) {
+      return res.status(409).json({ msg: stockError, product: unavailableProduct });
+    }
+    if (!(await pricingService.redeemQuotePromotion(quote))) {
+      await stockReservationService.releaseReservation(reservation._id, 'promotion_unavailable');
+      return res.status(400).json({ msg: 'Promotion usage limit reached' });
+    }
+
     // Create MongoDB order
     const newOrder = new Order({
       buyer: req.user.id, // Use 'buyer' as per schema
-      products: products.map(p => ({ 
-        product: p.product._id, 
-        quantity: p.quantity,
-        price: p.product?.price || 0
-      })),
-      subTotal: subTotalUSD, // Use 'subTotal' as per schema
       deliveryMethod: deliveryMethod ? deliveryMethod._id : undefined,
-      deliveryFee,
-      totalAmount: totalAmountUSD,
+      ...pricingService.orderFieldsFromQuote(quote),
       status: 'pending', // Changed from 'orderStatus' to 'status'
-      currency: 'USDC', // Add currency field
       // Add contract address if user has wallet
       contractAddress: req.user.walletAddress ? `0x${req.user.walletAddress.slice(2)}` : null,
       // Add shipping address ID if provided
       ...(shippingAddressId && { shippingAddress: shippingAddressId })
     });
 
-    const savedOrder = await newOrder.save();
+    let savedOrder;
+    try {
+      savedOrder = await newOrder.save();
+      await stockReservationService.attachOrder(reservation._id, savedOrder._id);
+
+      // Create order items with order reference
+      const itemIds = [];
+      for (const item of quote.lines) {
+        const orderItem = new OrderItem({
+          order: savedOrder._id,
+          product: item.product._id,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          onSale: item.onSale,
+          totalPrice: item.lineTotal,
+          currency: quote.currency,
+          status: 'ordered',
+          ...orderItemVariantFields(item.product, item.variant),
+          ...(await orderItemBundleFields(item.product)),
+          productName: item.product.name
+        });
+        await orderItem.save();
+        itemIds.push(orderItem._id);
+      }
+      savedOrder.items = itemIds;
+      await vendorService.splitOrder(savedOrder);
+      await savedOrder.save();
+    } catch (orderError) {
+      await abandonCheckout(newOrder, reservation._id, 'order_failed');
+      throw orderError;
+    }
 
     // Award referral bonus if applicable
     if (req.user.referredBy) {
@@ -125,6 +380,57 @@ const createOrder = async (req, res) => {
   }
 };
 
+// @desc    Lock cart prices, fees, tax, discount and FX rate in a signed, expiring quote
+// @route   POST /api/orders/quote
+// @access  Private
+const createCheckoutQuote = async (req, res) => {
+  try {
+    const { deliveryMethodId, shippingAddressId, currency = 'USDC', promoCode } = req.body;
+
+    const cart = await Cart.findOne({ user: req.user.id }).populate('items.product', ['name', 'price', 'currency', 'category', 'images', 'variants', 'sale', 'type', 'bundle']);
+    const activeItems = cart ? cart.items.filter(item => item.status !== 'ordered') : [];
+    if (activeItems.length === 0) {
+      return res.status(400).json({ msg: 'Cart is empty' });
+    }
+
+    const deliveryMethod = await DeliveryMethod.findById(deliveryMethodId);
+    if (!deliveryMethod) {
+      return res.status(400).json({ msg: 'Invalid delivery method' });
+    }
+
+    if (shippingAddressId) {
+      const DeliveryAddress = require('../models/DeliveryAddress');
+      const shippingAddress = await DeliveryAddress.findOne({ _id: shippingAddressId, user: req.user.id });
+      if (!shippingAddress) {
+        return res.status(400).json({ msg: 'Invalid shipping address' });
+      }
+    }
+
+    const { error, quote } = await checkoutQuoteService.createQuote({
+      userId: req.user.id,
+      cart,
+      activeItems,
+      items: cartQuoteItems(activeItems),
+      deliveryMethod,
+      shippingAddressId,
+      currency,
+      promoCode: promoCode || cart.promotionCode
+    });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const quoteObj = quote.toObject();
+    return res.json({
+      ...quoteObj,
+      quoteId: quoteObj._id.toString()
+    });
+  } catch (err) {
+    console.error('Quote error:', err.message);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
 // @desc    Checkout from cart to order
 // @route   POST /api/orders/checkout
 // @access  Private
@@ -135,11 +441,10 @@ const checkoutFromCart = async (req, res) => {
       shippingAddressId, 
       paymentMethod = 'wallet',
       walletAddress,
-      currency = 'USDC',
       notes = ''
     } = req.body;
 
-    let cart = await Cart.findOne({ user: req.user.id }).populate('items.product', ['price']);
+    let cart = await Cart.findOne({ user: req.user.id }).populate('items.product', ['name', 'price', 'currency', 'category', 'images', 'variants', 'sale', 'type', 'bundle']);
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({ msg: 'Cart is empty' });
     }
@@ -150,84 +455,78 @@ const checkoutFromCart = async (req, res) => {
       return res.status(400).json({ msg: 'No active items in cart' });
     }
 
-    const products = activeItems.map((item) => ({ productId: item.product._id.toString(), quantity: item.quantity }));
-
-    // NGN/USD rate for conversion (keep in sync with frontend/SeerBit)
-    const NGN_PER_USD = 1500;
-
-    // Calculate total amount - all values in order currency (no mixing USD and NGN)
-    let subTotalInOrderCurrency = 0;
-    for (const item of activeItems) {
-      const productCurrency = item.product.currency === 'USDT' ? 'USDC' : (item.product.currency || 'USDC');
-      let itemPriceInOrderCurrency = item.product.price;
-      if (productCurrency !== currency) {
-        if (productCurrency === 'NGN' && (currency === 'USDC' || currency === 'USD')) {
-          itemPriceInOrderCurrency = item.product.price / NGN_PER_USD;
-        } else if ((productCurrency === 'USDC' || productCurrency === 'USD') && currency === 'NGN') {
-          itemPriceInOrderCurrency = item.product.price * NGN_PER_USD;
-        }
-      }
-      subTotalInOrderCurrency += itemPriceInOrderCurrency * item.quantity;
+    // Check out at the prices locked by POST /api/orders/quote, or at current prices without a quote
+    const { quote, quoteDoc, status: quoteStatus, msg: quoteMsg } = await checkoutQuoteFor(req, cart, activeItems);
+    if (!quote) {
+      return res.status(quoteStatus).json({ msg: quoteMsg });
     }
 
-    // Get delivery method
-    const deliveryMethod = await DeliveryMethod.findById(deliveryMethodId);
-    if (!deliveryMethod) {
-      return res.status(400).json({ msg: 'Invalid delivery method' });
+    // Hold the stock until payment; stockReservationJob puts it back if the payment never arrives.
+    // Wallet orders are paid on the spot, so their reservation is committed once the order is saved.
+    const { error: stockError, product: unavailableProduct, reservation } = await stockReservationService.reserveStock({
+      userId: req.user.id,
+      items: stockReservationService.itemsFromCart(activeItems, quote)
+    });
+    if (stockError) {
+      return res.status(409).json({ msg: stockError, product: unavailableProduct });
     }
-
-    // Convert delivery fee to order currency so totalAmount is in one currency
-    let deliveryFeeInOrderCurrency = deliveryMethod.price;
-    const dmCurrency = deliveryMethod.currency || 'USD';
-    if (dmCurrency !== currency) {
-      if (dmCurrency === 'NGN' && (currency === 'USDC' || currency === 'USD')) {
-        deliveryFeeInOrderCurrency = deliveryMethod.price / NGN_PER_USD;
-      } else if ((dmCurrency === 'USDC' || dmCurrency === 'USD') && currency === 'NGN') {
-        deliveryFeeInOrderCurrency = deliveryMethod.price * NGN_PER_USD;
-      }
+    if (!(await pricingService.redeemQuotePromotion(quote))) {
+      await stockReservationService.releaseReservation(reservation._id, 'promotion_unavailable');
+      return res.status(400).json({ msg: 'Promotion usage limit reached' });
     }
-    const totalAmount = subTotalInOrderCurrency + deliveryFeeInOrderCurrency;
+    if (quoteDoc && !(await checkoutQuoteService.consumeQuote(quoteDoc._id))) {
+      await pricingService.releaseQuotePromotion(quote);
+      await stockReservationService.releaseReservation(reservation._id, 'quote_used');
+      return res.status(409).json({ msg: 'Quote has already been used' });
+    }
+
+    const totalAmount = quote.totalAmount;
+    const orderPricing = pricingService.orderFieldsFromQuote(quote);
+    const orderDeliveryMethod = quoteDoc ? quoteDoc.deliveryMethod : deliveryMethodId;
+    const orderShippingAddress = quoteDoc ? quoteDoc.shippingAddress : (shippingAddressId || null);
 
     // Handle different payment methods
     if (paymentMethod === 'paystack') {
       // For Paystack payments, create order with pending status
       const orderData = {
         buyer: req.user.id,
-        products: cart.items.map(item => ({
-          product: item.product._id,
-          quantity: item.quantity,
-          price: item.product.price
-        })),
-        subTotal: subTotalInOrderCurrency,
-        deliveryMethod: deliveryMethodId,
-        deliveryFee: deliveryFeeInOrderCurrency,
-        totalAmount,
+        deliveryMethod: orderDeliveryMethod,
+        ...orderPricing,
         status: 'pending_payment',
         paymentMethod: 'paystack',
-        currency,
         notes,
-        shippingAddressId
+        shippingAddress: orderShippingAddress
       };
 
       const order = new Order(orderData);
-      await order.save();
-
-      // Initialize Paystack transaction
       const paystackReference = PaystackService.generateReference();
-      const paystackAmount = PaystackService.convertToKobo(totalAmount, 'NGN'); // Convert to NGN for Paystack
-
-      const paystackResponse = await PaystackService.initializeTransaction({
-        email: req.user.email,
-        amount: paystackAmount,
-        reference: paystackReference,
-        currency: 'NGN',
-        metadata: {
-          orderId: order._id.toString(),
-          userId: req.user.id,
-          originalCurrency: currency,
-          originalAmount: totalAmount
-        }
-      });
+      let paystackResponse;
+      try {
+        await createOrderItemsFromCart(order, activeItems, quote);
+        await order.save();
+        await stockReservationService.attachOrder(reservation._id, order._id);
+        if (quoteDoc) await checkoutQuoteService.attachOrder(quoteDoc._id, order._id);
+
+        // Initialize Paystack transaction; Paystack charges NGN, converted with the rate locked on the order
+        const paystackAmount = PaystackService.convertToKobo(pricingService.quoteAmountIn(quote, 'NGN'), 'NGN');
+
+        paystackResponse = await PaystackService.initializeTransaction({
+          email: req.user.email,
+          amount: paystackAmount,
+          reference: paystackReference,
+          currency: 'NGN',
+          metadata: {
+            orderId: order._id.toString(),
+            userId: req.user.id,
+            originalCurrency: quote.currency,
+            originalAmount: totalAmount
+          }
+        });
+      } catch (initError) {
+        await abandonCheckout(order, reservation._id, 'payment_init_failed');
+        throw initError;
+      }
+      await clearCartPromotion(cart);
 
       // Update order with Paystack reference and mark as pending payment
       order.paystackReference = paystackReference;
@@ -252,46 +551,48 @@ const checkoutFromCart = async (req, res) => {
       // SeerBit Standard Checkout: create order, initialize payment, return redirect link
       const orderData = {
         buyer: req.user.id,
-        products: cart.items.map(item => ({
-          product: item.product._id,
-          quantity: item.quantity,
-          price: item.product.price
-        })),
-        subTotal: subTotalInOrderCurrency,
-        deliveryMethod: deliveryMethodId,
-        deliveryFee: deliveryFeeInOrderCurrency,
-        totalAmount,
+        deliveryMethod: orderDeliveryMethod,
+        ...orderPricing,
         status: 'pending',
         paymentMethod: 'seerbit',
         paymentStatus: 'unpaid',
-        currency,
         notes,
-        shippingAddress: shippingAddressId || null
+        shippingAddress: orderShippingAddress
       };
       const order = new Order(orderData);
-      await order.save();
-
       const seerbitReference = seerbitService.generateReference();
-      // totalAmount is already in order currency; SeerBit expects NGN in whole units
-      const amountInNGN = currency === 'NGN' ? totalAmount : totalAmount * NGN_PER_USD;
-      const amountForSeerbit = String(Math.round(amountInNGN));
-      if (process.env.NODE_ENV !== 'production') {
-        console.log('[SeerBit] amount', { subTotalInOrderCurrency, deliveryFeeInOrderCurrency, totalAmount, currency, amountInNGN, amountForSeerbit });
+      let seerbitResult;
+      try {
+        await createOrderItemsFromCart(order, activeItems, quote);
+        await order.save();
+        await stockReservationService.attachOrder(reservation._id, order._id);
+        if (quoteDoc) await checkoutQuoteService.attachOrder(quoteDoc._id, order._id);
+
+        // SeerBit expects NGN in whole units, converted with the rate locked on the order
+        const amountInNGN = pricingService.quoteAmountIn(quote, 'NGN');
+        const amountForSeerbit = String(Math.round(amountInNGN));
+        if (process.env.NODE_ENV !== 'production') {
+          console.log('[SeerBit] amount', { subTotal: quote.subTotal, deliveryFee: quote.deliveryFee, totalAmount, currency: quote.currency, amountInNGN, amountForSeerbit });
+        }
+        const callbackUrl = process.env.FRONTEND_URL
+          ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/checkout/success?reference=${encodeURIComponent(seerbitReference)}`
+          : `${req.protocol}://${req.get('host')}/api/orders/seerbit/callback?reference=${encodeURIComponent(seerbitReference)}`;
+
+        seerbitResult = await seerbitService.initializePayment({
+          publicKey: process.env.SEERBIT_PUBLIC_KEY,
+          amount: amountForSeerbit,
+          currency: 'NGN',
+          country: 'NG',
+          paymentReference: seerbitReference,
+          email: req.user.email,
+          fullName: req.user.name || req.user.email,
+          callbackUrl
+        });
+      } catch (initError) {
+        await abandonCheckout(order, reservation._id, 'payment_init_failed');
+        throw initError;
       }
-      const callbackUrl = process.env.FRONTEND_URL
-        ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/checkout/success?reference=${encodeURIComponent(seerbitReference)}`
-        : `${req.protocol}://${req.get('host')}/api/orders/seerbit/callback?reference=${encodeURIComponent(seerbitReference)}`;
-
-      const seerbitResult = await seerbitService.initializePayment({
-        publicKey: process.env.SEERBIT_PUBLIC_KEY,
-        amount: amountForSeerbit,
-        currency: 'NGN',
-        country: 'NG',
-        paymentReference: seerbitReference,
-        email: req.user.email,
-        fullName: req.user.name || req.user.email,
-        callbackUrl
-      });
+      await clearCartPromotion(cart);
 
       order.seerbitReference = seerbitReference;
       order.paymentReference = seerbitReference;
@@ -309,150 +610,33 @@ const checkoutFromCart = async (req, res) => {
         },
         orderId: orderObj._id
       });
-    } else if (paymentMethod === 'paystack') {
-      // For Paystack payments, verify payment first, then create/update order
-      const { paystackReference } = req.body;
-
-      if (!paystackReference) {
-        return res.status(400).json({ msg: 'Paystack reference is required' });
-      }
-
-      try {
-        // Verify payment with Paystack SDK
-        const verification = await Paystack.transaction.verify({ reference: paystackReference });
-
-        if (!verification.status || verification.data.status !== 'success') {
-          return res.status(400).json({ msg: 'Payment verification failed' });
-        }
-
-        // Check if order already exists for this reference
-        let existingOrder = await Order.findOne({ paystackReference });
-
-        if (existingOrder) {
-          // Update existing order status
-          existingOrder.status = 'confirmed';
-          existingOrder.paymentStatus = 'paid';
-          existingOrder.paymentReference = paystackReference;
-          await existingOrder.save();
-
-          // Mark cart items as ordered
-          const cart = await Cart.findOne({ user: existingOrder.buyer });
-          if (cart) {
-            cart.items = cart.items.map(item => ({
-              ...item.toObject(),
-              status: 'ordered'
-            }));
-            await cart.save();
-          }
-
-          // Award referral bonus
-          if (existingOrder.buyer.referredBy) {
-            await awardReferralBonus(existingOrder.buyer, existingOrder.totalAmount);
-          }
-
-          const populatedOrder = await Order.findById(existingOrder._id)
-            .populate({
-              path: 'items',
-              populate: {
-                path: 'product',
-                select: 'name price images'
-              }
-            })
-            .populate('buyer', ['name', 'email', 'walletAddress']);
-
-          const orderObj = populatedOrder.toObject();
-          orderObj._id = orderObj._id.toString();
-
-          return res.json({
-            ...orderObj,
-            orderId: orderObj._id,
-            message: 'Order payment confirmed successfully'
-          });
-        } else {
-          // Create new order with verified payment
-          const orderData = {
-            buyer: req.user.id,
-            products: cart.items.map(item => ({
-              product: item.product._id,
-              quantity: item.quantity,
-              price: item.product.price
-            })),
-            subTotal: subTotalUSD,
-            deliveryMethod: deliveryMethodId,
-            deliveryFee: deliveryMethod.price,
-            totalAmount,
-            status: 'confirmed',
-            paymentMethod: 'paystack',
-            paymentStatus: 'paid',
-            paystackReference,
-            paymentReference: paystackReference,
-            currency,
-            notes,
-            shippingAddressId
-          };
-
-          const order = new Order(orderData);
-          const savedOrder = await order.save();
-
-          // Mark cart items as ordered
-          cart.items = cart.items.map(item => ({
-            ...item.toObject(),
-            status: 'ordered'
-          }));
-    await cart.save();
-
-          // Award referral bonus
-          if (req.user.referredBy) {
-            await awardReferralBonus(req.user.id, totalAmount);
-          }
-
-          const populatedOrder = await Order.findById(savedOrder._id)
-            .populate({
-              path: 'items',
-              populate: {
-                path: 'product',
-                select: 'name price images'
-              }
-            })
-            .populate('buyer', ['name', 'email', 'walletAddress']);
-
-          const orderObj = populatedOrder.toObject();
-          orderObj._id = orderObj._id.toString();
-
-          return res.json({
-            ...orderObj,
-            orderId: orderObj._id,
-            message: 'Order created and payment confirmed successfully'
-          });
-        }
-      } catch (error) {
-        console.error('Paystack verification error:', error);
-        return res.status(500).json({ msg: 'Payment verification failed', error: error.message });
-      }
     } else {
       // For wallet payments, create order directly
       const orderData = {
         buyer: req.user.id,
-        products: cart.items.map(item => ({
-          product: item.product._id,
-          quantity: item.quantity,
-          price: item.product.price
-        })),
-        subTotal: subTotalUSD,
-        deliveryMethod: deliveryMethodId,
-        deliveryFee: deliveryMethod.price,
-        totalAmount,
+        deliveryMethod: orderDeliveryMethod,
+        ...orderPricing,
         status: 'confirmed', // Wallet payments are immediately paid
         paymentMethod: 'wallet',
         paymentStatus: 'paid',
-        currency,
         notes,
-        shippingAddressId,
+        shippingAddress: orderShippingAddress,
         walletAddress
       };
 
       const order = new Order(orderData);
-      const savedOrder = await order.save();
+      let savedOrder;
+      try {
+        await createOrderItemsFromCart(order, activeItems, quote);
+        savedOrder = await order.save();
+        await stockReservationService.attachOrder(reservation._id, savedOrder._id);
+        await stockReservationService.commitOrderReservation(savedOrder);
+        if (quoteDoc) await checkoutQuoteService.attachOrder(quoteDoc._id, savedOrder._id);
+      } catch (orderError) {
+        await abandonCheckout(order, reservation._id, 'order_failed');
+        throw orderError;
+      }
+      await clearCartPromotion(cart);
 
       // Populate product details for response
       const populatedOrder = await Order.findById(savedOrder._id)
@@ -513,16 +697,41 @@ const handlePaystackWebhook = async (req, res) => {
         const order = await Order.findOne({ paystackReference: reference });
         
         if (order && order.status === 'pending_payment') {
+          // Checkout creates the order items; an order without them gets them from the cart
+          const cart = await Cart.findOne({ user: order.buyer }).populate('items.product', ['name', 'price', 'currency', 'category', 'images', 'variants', 'sale', 'type', 'bundle']);
+          if (!order.items?.length && cart) {
+            await createOrderItemsFromLiveCart(order, cart.items.filter(item => item.status !== 'ordered'));
+          }
+
           // Update order status to paid
           order.status = 'confirmed';
           order.paymentStatus = 'paid';
           order.paymentReference = reference;
           await order.save();
+          await stockReservationService.commitOrderReservation(order);
+
+          // Create payment record
+          const existingPayment = await Payment.findOne({ order: order._id });
+          if (!existingPayment) {
+            const payment = new Payment({
+              order: order._id,
+              user: order.buyer,
+              amount: order.totalAmount,
+              currency: order.currency,
+              method: 'paystack',
+              status: 'completed',
+              paymentDate: new Date(),
+              reference,
+              paystackReference: reference
+            });
+            await payment.save();
+            order.payments = [payment._id];
+            await order.save();
+          }
 
           console.log(`Order ${order._id} payment confirmed via Paystack webhook`);
 
           // Mark cart items as ordered instead of clearing them
-          const cart = await Cart.findOne({ user: order.buyer });
           if (cart) {
             console.log('Marking cart items as ordered for user:', order.buyer, 'Cart items before update:', cart.items.length);
             cart.items = cart.items.map(item => ({
@@ -605,12 +814,36 @@ const handleSeerbitWebhook = async (req, res) => {
         continue;
       }
 
+      // Checkout creates the order items; an order without them gets them from the cart
+      const cart = await Cart.findOne({ user: order.buyer }).populate('items.product', ['name', 'price', 'currency', 'category', 'images', 'variants', 'sale', 'type', 'bundle']);
+      if (!order.items?.length && cart) {
+        await createOrderItemsFromLiveCart(order, cart.items.filter((i) => i.status !== 'ordered'));
+      }
+
       order.status = 'confirmed';
       order.paymentStatus = 'paid';
       order.paymentReference = reference;
       await order.save();
+      await stockReservationService.commitOrderReservation(order);
+
+      const existingPayment = await Payment.findOne({ order: order._id });
+      if (!existingPayment) {
+        const payment = new Payment({
+          order: order._id,
+          user: order.buyer,
+          amount: order.totalAmount,
+          currency: order.currency,
+          method: 'seerbit',
+          status: 'completed',
+          paymentDate: new Date(),
+          reference,
+          seerbitReference: reference
+        });
+        await payment.save();
+        order.payments = [payment._id];
+        await order.save();
+      }
 
-      const cart = await Cart.findOne({ user: order.buyer });
       if (cart) {
         cart.items = cart.items.map((i) => ({ ...i.toObject(), status: 'ordered' }));
         await cart.save();
@@ -723,6 +956,8 @@ const getOrders = async (req, res) => {
       orderObj.pricing = {
         subtotal: orderObj.subTotal,
         delivery: orderObj.deliveryFee,
+        tax: orderObj.taxAmount || 0,
+        taxBreakdown: orderObj.taxBreakdown || [],
         total: orderObj.calculatedTotal || orderObj.totalAmount
       };
 
@@ -893,6 +1128,8 @@ const getOrderById = async (req, res) => {
     orderObj.pricing = {
       subtotal: orderObj.subTotal,
       delivery: orderObj.deliveryFee,
+      tax: orderObj.taxAmount || 0,
+      taxBreakdown: orderObj.taxBreakdown || [],
       total: orderObj.calculatedTotal || orderObj.totalAmount
     };
 
@@ -1049,6 +1286,8 @@ const getOrderByNumber = async (req, res) => {
     orderObj.pricing = {
       subtotal: orderObj.subTotal,
       delivery: orderObj.deliveryFee,
+      tax: orderObj.taxAmount || 0,
+      taxBreakdown: orderObj.taxBreakdown || [],
       total: orderObj.calculatedTotal || orderObj.totalAmount
     };
 
@@ -1200,7 +1439,8 @@ const adminGetOrderById = async (req, res) => {
       })
       .populate('buyer', ['name', 'email', 'walletAddress'])
       .populate('shippingAddress')
-      .populate('deliveryMethod', ['name', 'price', 'currency']);
+      .populate('deliveryMethod', ['name', 'price', 'currency'])
+      .populate('fulfillments.vendor', ['name', 'email', 'companyName']);
     
     if (!order) {
       return res.status(404).json({ msg: 'Order not found' });
@@ -1259,34 +1499,27 @@ const adminUpdateOrder = async (req, res) => {
     if (!order) return res.status(404).json({ msg: 'Order not found' });
 
     const previousStatus = order.status;
+    const statusLower = status ? status.toLowerCase() : null;
 
     if (status) {
       const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
-      const statusLower = status.toLowerCase();
       if (!validStatuses.includes(statusLower)) {
         return res.status(400).json({ msg: 'Invalid order status' });
       }
       order.status = statusLower;
       
-      // Reduce stock when order is marked as delivered
+      // Paid orders already hold their stock; this covers orders delivered without a payment confirmation
       if (statusLower === 'delivered' && previousStatus !== 'delivered') {
         try {
-          // Populate order items to get product and variant info
-          await order.populate({
-            path: 'items',
-            select: 'product variant quantity'
-          });
-          
-          // Reduce stock for each item
-          for (const item of order.items) {
-            const variantId = item.variant?.variantId || item.variant?.name || null;
-            await reduceStockOnOrder(item.product, variantId, item.quantity);
-          }
+          await stockReservationService.commitOrderReservation(order);
         } catch (stockError) {
-          console.error('Error reducing stock on order delivery:', stockError);
+          console.error('Error committing stock on order delivery:', stockError);
           // Don't fail the order update if stock reduction fails, just log it
         }
       }
+      if (statusLower === 'cancelled' && previousStatus !== 'cancelled') {
+        await stockReservationService.releaseOrderReservation(order._id, 'order_cancelled', { actor: req.user.id });
+      }
     }
 
     if (trackingNumber !== undefined) {
@@ -1296,9 +1529,13 @@ const adminUpdateOrder = async (req, res) => {
     if (deliveryMethodId) {
       const method = await DeliveryMethod.findById(deliveryMethodId);
       if (!method) return res.status(400).json({ msg: 'Invalid delivery method' });
+      // Convert with the rate locked on the order and keep its discount and tax
+      const quoteCurrency = order.exchangeRate?.quoteCurrency || order.currency;
+      const deliveryFee = pricingService.convertLocked(method.price || 0, method.currency || 'USD', quoteCurrency, order.exchangeRate);
+      const difference = pricingService.convertLocked(deliveryFee - (order.deliveryFee || 0), quoteCurrency, order.currency, order.exchangeRate);
       order.deliveryMethod = method._id;
-      order.deliveryFee = method.price || 0;
-      order.totalAmount = (order.subTotal || 0) + order.deliveryFee;
+      order.deliveryFee = deliveryFee;
+      order.totalAmount = Math.max(0, (order.totalAmount || 0) + difference);
     }
 
     if (shippingAddress) {
@@ -1335,6 +1572,33 @@ const adminUpdateOrder = async (req, res) => {
   }
 };
 
+// @desc    Admin: update one seller's fulfilment group (status, tracking)
+// @route   PATCH /api/admin/orders/:id/fulfillments/:fulfillmentId
+// @access  Private (admin)
+const adminUpdateFulfillment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ msg: 'Order not found' });
+    const group = order.fulfillments.id(req.params.fulfillmentId);
+    if (!group) return res.status(404).json({ msg: 'Fulfillment not found' });
+
+    const { error } = await vendorService.updateFulfillment(order, group, {
+      status: req.body.status,
+      trackingNumber: req.body.trackingNumber
+    });
+    if (error) return res.status(400).json({ msg: error });
+    await order.save();
+
+    const updated = await Order.findById(order._id)
+      .populate('items')
+      .populate('fulfillments.vendor', ['name', 'email', 'companyName']);
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
 // @desc    Get order by Paystack reference
 // @route   GET /api/orders/by-reference/:reference
 // @access  Private
@@ -1391,14 +1655,11 @@ const verifyPaymentAndCreateOrder = async (req, res) => {
       seerbitReference,
       // Alias for callback/query param name, e.g. { reference: '...' }
       reference,
-      deliveryMethodId,
-      shippingAddressId,
-      currency = 'USDC',
       notes = ''
     } = req.body;
 
     // Get user's cart
-    let cart = await Cart.findOne({ user: userId }).populate('items.product', ['price', 'images', 'currency', 'name']).session(session);
+    let cart = await Cart.findOne({ user: userId }).populate('items.product', ['price', 'images', 'currency', 'name', 'category', 'variants', 'sale', 'type', 'bundle']).session(session);
     if (!cart || !Array.isArray(cart.items) || cart.items.length === 0) {
       await session.abortTransaction();
       return res.status(400).json({ msg: 'Cart is empty' });
@@ -1433,49 +1694,18 @@ const verifyPaymentAndCreateOrder = async (req, res) => {
         await session.abortTransaction();
         return res.status(400).json({ msg: seerbitVerification?.message || 'Payment not confirmed by SeerBit' });
       }
-      if (activeItems.length === 0) {
-        await session.abortTransaction();
-        return res.status(400).json({ msg: 'No active items in cart' });
-      }
-      const orderCurrency = existingOrder.currency || 'NGN';
-      const orderItems = [];
-      for (const cartItem of activeItems) {
-        const product = cartItem.product;
-        const productId = product && (product._id || product);
-        if (!productId) continue;
-        let variantData;
-        if (cartItem.variant && typeof cartItem.variant === 'object') {
-          variantData = {
-            variantId: cartItem.variant._id || cartItem.variant.variantId || null,
-            name: cartItem.variant.name || null,
-            attributes: cartItem.variant.attributes || [],
-            additionalPrice: cartItem.variant.additionalPrice || cartItem.variant.price || 0
-          };
+      // Checkout creates the order items; an order without them gets them from the cart
+      if (!existingOrder.items?.length) {
+        if (activeItems.length === 0) {
+          await session.abortTransaction();
+          return res.status(400).json({ msg: 'No active items in cart' });
+        }
+        const orderItems = await createOrderItemsFromLiveCart(existingOrder, activeItems, { session });
+        if (orderItems.length === 0) {
+          await session.abortTransaction();
+          return res.status(400).json({ msg: 'No valid cart items to confirm (missing product?)' });
         }
-        const unitPrice = cartItem.unitPrice ?? (product && product.price);
-        const totalPrice = (unitPrice || 0) * (cartItem.quantity || 0);
-        const orderItemData = {
-          order: existingOrder._id,
-          product: productId,
-          specs: cartItem.specs && Array.isArray(cartItem.specs) ? cartItem.specs : [],
-          quantity: cartItem.quantity,
-          unitPrice: unitPrice || 0,
-          totalPrice,
-          currency: (cartItem.currency || product?.currency || orderCurrency) === 'USDT' ? 'USDC' : (cartItem.currency || product?.currency || orderCurrency),
-          status: 'ordered',
-          productImage: (product && product.images && product.images.length > 0) ? product.images[0] : '/images/desktop-1.png',
-          productName: (product && product.name) || ''
-        };
-        if (variantData) orderItemData.variant = variantData;
-        const orderItem = new OrderItem(orderItemData);
-        await orderItem.save({ session });
-        orderItems.push(orderItem._id);
-      }
-      if (orderItems.length === 0) {
-        await session.abortTransaction();
-        return res.status(400).json({ msg: 'No valid cart items to confirm (missing product?)' });
       }
-      existingOrder.items = orderItems;
       existingOrder.status = 'confirmed';
       existingOrder.paymentStatus = 'paid';
       existingOrder.paymentReference = refStr;
@@ -1511,6 +1741,7 @@ const verifyPaymentAndCreateOrder = async (req, res) => {
 
       await session.commitTransaction();
       transactionCommitted = true;
+      await stockReservationService.commitOrderReservation(existingOrder);
 
       try {
         const populated = await Order.findById(existingOrder._id).populate('buyer', ['name', 'email']);
@@ -1541,51 +1772,38 @@ const verifyPaymentAndCreateOrder = async (req, res) => {
       return res.status(400).json({ msg: 'No active items in cart' });
     }
 
-    // Calculate totals - convert all prices to order currency before summing
-    let subTotal = 0;
-    for (const item of activeItems) {
-      // Convert item price to order currency if different
-      let itemPrice = item.product.price;
-      if (item.product.currency && item.product.currency !== currency) {
-        // For now, assume USDC/USD are 1:1, and NGN conversion
-        if (item.product.currency === 'NGN' && currency === 'USDC') {
-          itemPrice = item.product.price / 1500; // Convert NGN to USDC
-        } else if (item.product.currency === 'USDC' && currency === 'NGN') {
-          itemPrice = item.product.price * 1500; // Convert USDC to NGN
-        }
-        // Add more conversion logic as needed for other currencies
-      }
-      subTotal += itemPrice * item.quantity;
-    }
-
-    // Get delivery method
-    const deliveryMethod = await DeliveryMethod.findById(deliveryMethodId).session(session);
-    if (!deliveryMethod) {
+    if (!req.user || !req.user.id) {
       await session.abortTransaction();
-      return res.status(400).json({ msg: 'Invalid delivery method' });
+      return res.status(401).json({ msg: 'User authentication required' });
     }
 
-    const totalAmount = subTotal + deliveryMethod.price;
-
     // Validate required fields before creating order
-    if (!deliveryMethodId) {
+    if (!req.body.quoteId && !req.body.deliveryMethodId) {
       await session.abortTransaction();
       return res.status(400).json({ msg: 'Delivery method is required' });
     }
 
-    if (!req.user || !req.user.id) {
+    // Pay at the prices locked by POST /api/orders/quote, or at current prices without a quote
+    const { quote, quoteDoc, status: quoteStatus, msg: quoteMsg } = await checkoutQuoteFor(req, cart, activeItems, { session });
+    if (!quote) {
       await session.abortTransaction();
-      return res.status(401).json({ msg: 'User authentication required' });
+      return res.status(quoteStatus).json({ msg: quoteMsg });
     }
-
-    // Validate delivery method exists
-    if (!deliveryMethod) {
+    if (!(await pricingService.redeemQuotePromotion(quote, { session }))) {
       await session.abortTransaction();
-      return res.status(400).json({ msg: 'Invalid delivery method' });
+      return res.status(400).json({ msg: 'Promotion usage limit reached' });
+    }
+    if (quoteDoc && !(await checkoutQuoteService.consumeQuote(quoteDoc._id, { session }))) {
+      await session.abortTransaction();
+      return res.status(409).json({ msg: 'Quote has already been used' });
     }
+    const totalAmount = quote.totalAmount;
+    const currency = quote.currency;
+    const deliveryMethodId = quoteDoc ? quoteDoc.deliveryMethod : req.body.deliveryMethodId;
+    const shippingAddressId = quoteDoc ? quoteDoc.shippingAddress : req.body.shippingAddressId;
 
     // Validate shipping address exists if provided
-    if (shippingAddressId) {
+    if (shippingAddressId && !quoteDoc) {
       const shippingAddress = await require('../models/DeliveryAddress').findById(shippingAddressId).session(session);
       if (!shippingAddress) {
         await session.abortTransaction();
@@ -1598,57 +1816,30 @@ const verifyPaymentAndCreateOrder = async (req, res) => {
       buyer: req.user.id,
       shippingAddress: shippingAddressId || null,
       deliveryMethod: deliveryMethodId,
-      subTotal,
-      deliveryFee: deliveryMethod.price,
-      totalAmount,
-      currency,
+      ...pricingService.orderFieldsFromQuote(quote),
       status: 'confirmed',
       paymentStatus: 'paid',
       notes
     });
 
     await order.save({ session });
+    if (quoteDoc) await checkoutQuoteService.attachOrder(quoteDoc._id, order._id, { session });
 
-    // Create order items with order reference
-    const orderItems = [];
-    for (const cartItem of activeItems) {
-      // Build variant object only if variant exists
-      let variantData = undefined;
-      if (cartItem.variant && typeof cartItem.variant === 'object') {
-        variantData = {
-          variantId: cartItem.variant._id || cartItem.variant.variantId || null,
-          name: cartItem.variant.name || null,
-          attributes: cartItem.variant.attributes || [],
-          additionalPrice: cartItem.variant.additionalPrice || cartItem.variant.price || 0
-        };
-      }
-
-      const orderItemData = {
-        order: order._id,
-        product: cartItem.product._id,
-        specs: cartItem.specs && Array.isArray(cartItem.specs) ? cartItem.specs : [],
-        quantity: cartItem.quantity,
-        unitPrice: cartItem.unitPrice || cartItem.product.price,
-        totalPrice: (cartItem.unitPrice || cartItem.product.price) * cartItem.quantity,
-        currency: (cartItem.currency || cartItem.product?.currency || currency) === 'USDT' ? 'USDC' : (cartItem.currency || cartItem.product?.currency || currency),
-        status: 'ordered',
-        // Include product image data directly
-        productImage: cartItem.product.images && cartItem.product.images.length > 0 ? cartItem.product.images[0] : '/images/desktop-1.png',
-        productName: cartItem.product.name
-      };
-
-      // Only include variant if it exists
-      if (variantData) {
-        orderItemData.variant = variantData;
-      }
-
-      const orderItem = new OrderItem(orderItemData);
-      await orderItem.save({ session });
-      orderItems.push(orderItem._id);
+    // Paid already: take the stock in the same transaction as the order
+    const { error: stockError, product: unavailableProduct } = await stockReservationService.reserveStock({
+      userId: req.user.id,
+      orderId: order._id,
+      items: stockReservationService.itemsFromCart(activeItems, quote),
+      commit: true,
+      session
+    });
+    if (stockError) {
+      await session.abortTransaction();
+      return res.status(409).json({ msg: stockError, product: unavailableProduct });
     }
 
-    // Update order with items reference
-    order.items = orderItems;
+    // Create order items with order reference, split per seller
+    await createOrderItemsFromCart(order, activeItems, quote, { session });
     await order.save({ session });
 
     // Create payment record
@@ -1712,6 +1903,11 @@ const verifyPaymentAndCreateOrder = async (req, res) => {
       }
       return itemObj;
     });
+    if (cart.promotionCode) {
+      // The code is now attached to the order; don't carry it over to the next cart
+      cart.promotionCode = null;
+      cart.discount = 0;
+    }
     await cart.save({ session });
 
     // Award referral bonus
@@ -1963,26 +2159,24 @@ const cancelOrder = async (req, res) => {
     order.cancelledAt = new Date();
     order.cancelledBy = req.user.id;
 
-    // Create refund record
-    const Payment = require('../models/Payment');
-    const refundPayment = new Payment({
-      order: order._id,
-      user: req.user.id,
-      amount: order.totalAmount,
-      currency: order.currency,
-      method: order.paymentMethod || 'wallet',
-      status: 'pending',
-      paymentDate: new Date(),
-      notes: 'Refund initiated due to order cancellation'
-    });
-
-    await refundPayment.save();
-
-    // Update order with refund reference
-    order.payments = order.payments || [];
-    order.payments.push(refundPayment._id);
+    // Paid orders get a full refund request for the admin refund queue
+    let refund = null;
+    if (order.paymentStatus === 'paid') {
+      const result = await refundService.requestRefund({
+        order,
+        reason: req.body?.reason || 'Order cancelled by customer',
+        requestedBy: req.user.id
+      });
+      if (result.error) {
+        console.warn(`Order ${order._id} cancelled without refund request: ${result.error}`);
+      }
+      refund = result.refund || null;
+    }
 
     await order.save();
+    await promotionService.releasePromotion(order);
+    // Unpaid orders give their held stock back now; paid ones are restocked when the refund completes
+    await stockReservationService.releaseOrderReservation(order._id, 'order_cancelled', { actor: req.user.id });
 
     // Populate order details for response
     const populatedOrder = await Order.findById(order._id)
@@ -2068,8 +2262,11 @@ const cancelOrder = async (req, res) => {
 
     res.json({
       ...orderObj,
-      message: 'Order cancelled successfully. Refund will be processed within 3-5 business days.',
-      refundId: refundPayment._id
+      message: refund
+        ? 'Order cancelled successfully. Your refund has been requested and will be processed once approved.'
+        : 'Order cancelled successfully.',
+      refundId: refund ? refund._id : null,
+      refund
     });
   } catch (err) {
     console.error('Error cancelling order:', err);
@@ -2098,7 +2295,7 @@ const processUSDCWalletPayment = async (req, res) => {
     }
 
     // Get user's cart
-    let cart = await Cart.findOne({ user: req.user.id }).populate('items.product', ['price', 'images', 'currency', 'name']);
+    let cart = await Cart.findOne({ user: req.user.id }).populate('items.product', ['price', 'images', 'currency', 'name', 'category', 'variants', 'sale', 'type', 'bundle']);
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({ msg: 'Cart is empty' });
     }
@@ -2109,27 +2306,24 @@ const processUSDCWalletPayment = async (req, res) => {
       return res.status(400).json({ msg: 'No active items in cart' });
     }
 
-    // Calculate totals
-    let subTotal = 0;
-    for (const item of activeItems) {
-      let itemPrice = item.product.price;
-      if (item.product.currency && item.product.currency !== currency) {
-        if (item.product.currency === 'NGN' && currency === 'USDC') {
-          itemPrice = item.product.price / 1500;
-        } else if (item.product.currency === 'USDC' && currency === 'NGN') {
-          itemPrice = item.product.price * 1500;
-        }
-      }
-      subTotal += itemPrice * item.quantity;
-    }
-
     // Get delivery method
     const deliveryMethod = await DeliveryMethod.findById(deliveryMethodId);
     if (!deliveryMethod) {
       return res.status(400).json({ msg: 'Invalid delivery method' });
     }
 
-    const totalAmount = subTotal + deliveryMethod.price;
+    const { error: quoteError, quote } = await pricingService.buildQuote({
+      userId: req.user.id,
+      currency,
+      items: cartQuoteItems(activeItems),
+      deliveryMethod,
+      shippingAddressId
+    });
+    if (quoteError) {
+      return res.status(400).json({ msg: quoteError });
+    }
+    // The platform balance is held in USDC
+    const totalAmount = pricingService.quoteAmountIn(quote, 'USDC');
 
     // Check if user has sufficient balance
     if (req.user.platformBalance < totalAmount) {
@@ -2141,49 +2335,50 @@ const processUSDCWalletPayment = async (req, res) => {
       });
     }
 
-    // Deduct from user's platform balance
-    req.user.platformBalance -= totalAmount;
-    await req.user.save();
+    // Take the stock before charging the balance; it is committed once the order is saved
+    const { error: stockError, product: unavailableProduct, reservation } = await stockReservationService.reserveStock({
+      userId: req.user.id,
+      items: stockReservationService.itemsFromCart(activeItems, quote)
+    });
+    if (stockError) {
+      return res.status(409).json({ msg: stockError, product: unavailableProduct });
+    }
+
+    // Deduct from user's platform balance, only while it still covers the order
+    const debited = await User.updateOne(
+      { _id: req.user.id, platformBalance: { $gte: totalAmount } },
+      { $inc: { platformBalance: -totalAmount } }
+    );
+    if (debited.modifiedCount === 0) {
+      await stockReservationService.releaseReservation(reservation._id, 'insufficient_balance');
+      const current = await User.findById(req.user.id).select('platformBalance').lean();
+      const available = current ? current.platformBalance : 0;
+      return res.status(400).json({
+        msg: 'Insufficient USDC balance. Please top up your account or use a different payment method.',
+        required: totalAmount,
+        available,
+        shortfall: totalAmount - available
+      });
+    }
 
     // Create order
     const order = new Order({
       buyer: req.user.id,
       shippingAddress: shippingAddressId || null,
       deliveryMethod: deliveryMethodId,
-      subTotal,
-      deliveryFee: deliveryMethod.price,
-      totalAmount,
-      currency,
+      ...pricingService.orderFieldsFromQuote(quote),
       status: 'confirmed',
       paymentStatus: 'paid',
-      paymentMethod: 'usdc_wallet',
+      paymentMethod: 'wallet',
       notes
     });
 
     await order.save();
+    await stockReservationService.attachOrder(reservation._id, order._id);
+    await stockReservationService.commitOrderReservation(order);
 
-    // Create order items
-    const orderItems = [];
-    for (const cartItem of activeItems) {
-      const orderItem = new OrderItem({
-        order: order._id,
-        product: cartItem.product._id,
-        variant: cartItem.variant || null, // Include variant data from cart
-        specs: cartItem.specs || null, // Include specs from cart
-        quantity: cartItem.quantity,
-        unitPrice: cartItem.unitPrice || cartItem.product.price,
-        totalPrice: (cartItem.unitPrice || cartItem.product.price) * cartItem.quantity,
-        currency: (cartItem.currency || cartItem.product?.currency || currency) === 'USDT' ? 'USDC' : (cartItem.currency || cartItem.product?.currency || currency),
-        status: 'ordered',
-        productImage: cartItem.product.images && cartItem.product.images.length > 0 ? cartItem.product.images[0] : '/images/desktop-1.png',
-        productName: cartItem.product.name
-      });
-      await orderItem.save();
-      orderItems.push(orderItem._id);
-    }
-
-    // Update order with items reference
-    order.items = orderItems;
+    // Create order items, split per seller
+    await createOrderItemsFromCart(order, activeItems, quote);
     await order.save();
 
     // Create payment record
@@ -2191,8 +2386,8 @@ const processUSDCWalletPayment = async (req, res) => {
       order: order._id,
       user: req.user.id,
       amount: totalAmount,
-      currency,
-      method: 'usdc_wallet',
+      currency: 'USDC',
+      method: 'wallet',
       status: 'completed',
       paymentDate: new Date(),
       walletAddress: req.user.walletAddress
@@ -2204,18 +2399,6 @@ const processUSDCWalletPayment = async (req, res) => {
     order.payments = [payment._id];
     await order.save();
 
-    // Reduce stock when order is created with completed payment
-    // Stock is reduced immediately when payment is completed
-    try {
-      for (const cartItem of activeItems) {
-        const variantId = cartItem.variantName || cartItem.variant?.name || null;
-        await reduceStockOnOrder(cartItem.product._id, variantId, cartItem.quantity);
-      }
-    } catch (stockError) {
-      console.error('Error reducing stock on order creation:', stockError);
-      // Don't fail the order if stock reduction fails, just log it
-    }
-
     // Mark cart items as ordered
     cart.items = cart.items.map(item => {
       const itemObj = item.toObject();
@@ -2301,7 +2484,7 @@ const createCryptoPaymentOrder = async (req, res) => {
 
     // Get user's cart
     let cart = await Cart.findOne({ user: req.user.id })
-      .populate('items.product', ['price', 'images', 'currency', 'name', 'stock'])
+      .populate('items.product', ['price', 'images', 'currency', 'name', 'stock', 'category', 'variants', 'sale', 'type', 'bundle'])
       .session(session);
     
     if (!cart || cart.items.length === 0) {
@@ -2320,29 +2503,6 @@ const createCryptoPaymentOrder = async (req, res) => {
     // For NGN payments, use NGN (which may be converted by currency provider)
     const orderCalcCurrency = orderCurrency || (currency !== 'NGN' ? 'USD' : 'NGN');
     
-    // Calculate totals in order currency (USD for non-NGN, NGN for NGN)
-    let subTotal = 0;
-    for (const item of activeItems) {
-      let itemPrice = item.product.price;
-      const productCurrency = item.product.currency || 'USD';
-      
-      // Convert product price to order currency if needed
-      if (productCurrency !== orderCalcCurrency) {
-        // Convert from product currency to order currency
-        if (productCurrency === 'NGN' && orderCalcCurrency === 'USD') {
-          itemPrice = item.product.price / 1500; // NGN to USD
-        } else if (productCurrency === 'USD' && orderCalcCurrency === 'NGN') {
-          itemPrice = item.product.price * 1500; // USD to NGN
-        } else if (productCurrency === 'USDC' && orderCalcCurrency === 'USD') {
-          itemPrice = item.product.price; // USDC = USD (1:1)
-        } else if (productCurrency === 'USD' && orderCalcCurrency === 'USDC') {
-          itemPrice = item.product.price; // USD = USDC (1:1)
-        }
-        // Add more conversions as needed
-      }
-      subTotal += itemPrice * item.quantity;
-    }
-
     // Get delivery method
     const deliveryMethod = await DeliveryMethod.findById(deliveryMethodId).session(session);
     if (!deliveryMethod) {
@@ -2350,34 +2510,21 @@ const createCryptoPaymentOrder = async (req, res) => {
       return res.status(400).json({ msg: 'Invalid delivery method' });
     }
 
-    // Convert delivery cost to order currency if needed
-    let deliveryCost = deliveryMethod.price;
-    const deliveryCurrency = deliveryMethod.currency || 'NGN';
-    if (deliveryCurrency !== orderCalcCurrency) {
-      if (deliveryCurrency === 'NGN' && orderCalcCurrency === 'USD') {
-        deliveryCost = deliveryMethod.price / 1500; // NGN to USD
-      } else if (deliveryCurrency === 'USD' && orderCalcCurrency === 'NGN') {
-        deliveryCost = deliveryMethod.price * 1500; // USD to NGN
-      }
+    // Quote in order currency (USD for non-NGN, NGN for NGN)
+    const { error: quoteError, quote } = await pricingService.buildQuote({
+      userId: req.user.id,
+      currency: orderCalcCurrency,
+      items: cartQuoteItems(activeItems),
+      deliveryMethod,
+      shippingAddressId
+    });
+    if (quoteError) {
+      await session.abortTransaction();
+      return res.status(400).json({ msg: quoteError });
     }
 
-    // Total in order currency (USD for non-NGN, NGN for NGN)
-    const totalAmountInOrderCurrency = subTotal + deliveryCost;
-    
-    // Convert total from order currency to payment currency if different
-    let totalAmount = totalAmountInOrderCurrency;
-    if (orderCalcCurrency !== currency) {
-      if (orderCalcCurrency === 'USD' && currency === 'USDC') {
-        totalAmount = totalAmountInOrderCurrency; // USD = USDC (1:1)
-      } else if (orderCalcCurrency === 'USD' && currency === 'NGN') {
-        totalAmount = totalAmountInOrderCurrency * 1500; // USD to NGN
-      } else if (orderCalcCurrency === 'NGN' && currency === 'USD') {
-        totalAmount = totalAmountInOrderCurrency / 1500; // NGN to USD
-      } else if (orderCalcCurrency === 'NGN' && currency === 'USDC') {
-        totalAmount = totalAmountInOrderCurrency / 1500; // NGN to USDC
-      }
-      // Add more conversions as needed
-    }
+    // Convert total from order currency to payment currency with the locked rate
+    const totalAmount = pricingService.quoteAmountIn(quote, currency);
 
     // Validate shipping address if provided
     if (shippingAddressId) {
@@ -2447,8 +2594,7 @@ const createCryptoPaymentOrder = async (req, res) => {
       buyer: req.user.id,
       shippingAddress: shippingAddressId || null,
       deliveryMethod: deliveryMethodId,
-      subTotal: subTotal, // In order currency (USD for non-NGN)
-      deliveryFee: deliveryCost, // In order currency (USD for non-NGN)
+      ...pricingService.orderFieldsFromQuote(quote), // In order currency (USD for non-NGN)
       totalAmount: totalAmount, // In payment currency (what user pays)
       currency: currency, // Payment currency
       status: 'pending',
@@ -2482,47 +2628,48 @@ const createCryptoPaymentOrder = async (req, res) => {
     order.paymentExpiry = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
     await order.save({ session });
 
-    // Create order items (map USDT to USDC - enum only allows USDC)
+    // Create order items (priced in order currency)
     const orderItems = [];
-    for (const cartItem of activeItems) {
-      let variantData = undefined;
-      if (cartItem.variant && typeof cartItem.variant === 'object') {
-        variantData = {
-          variantId: cartItem.variant._id || cartItem.variant.variantId || null,
-          name: cartItem.variant.name || null,
-          attributes: cartItem.variant.attributes || [],
-          additionalPrice: cartItem.variant.additionalPrice || cartItem.variant.price || 0
-        };
-      }
-
-      const rawCurrency = cartItem.currency || cartItem.product?.currency || currency;
-      const itemCurrency = rawCurrency === 'USDT' ? 'USDC' : rawCurrency;
+    for (const [index, cartItem] of activeItems.entries()) {
+      const line = quote.lines[index];
       const orderItemData = {
         order: order._id,
         product: cartItem.product._id,
         specs: cartItem.specs && Array.isArray(cartItem.specs) ? cartItem.specs : [],
         quantity: cartItem.quantity,
-        unitPrice: cartItem.unitPrice || cartItem.product.price,
-        totalPrice: (cartItem.unitPrice || cartItem.product.price) * cartItem.quantity,
-        currency: itemCurrency,
+        unitPrice: line.unitPrice,
+        onSale: line.onSale,
+        totalPrice: line.lineTotal,
+        currency: quote.currency,
         status: 'ordered',
-        productImage: cartItem.product.images && cartItem.product.images.length > 0 ? cartItem.product.images[0] : '/images/desktop-1.png',
+        ...orderItemVariantFields(cartItem.product, cartItem.variant),
+        ...(await orderItemBundleFields(cartItem.product)),
         productName: cartItem.product.name
       };
 
-      if (variantData) {
-        orderItemData.variant = variantData;
-      }
-
       const orderItem = new OrderItem(orderItemData);
       await orderItem.save({ session });
       orderItems.push(orderItem._id);
     }
 
-    // Update order with items
+    // Update order with items, split per seller
     order.items = orderItems;
+    await vendorService.splitOrder(order, { session });
     await order.save({ session });
 
+    // Hold the stock for the payment window; released with the order if payment never arrives
+    const { error: stockError, product: unavailableProduct } = await stockReservationService.reserveStock({
+      userId: req.user.id,
+      orderId: order._id,
+      items: stockReservationService.itemsFromCart(activeItems, quote),
+      expiresAt: order.paymentExpiry,
+      session
+    });
+    if (stockError) {
+      await session.abortTransaction();
+      return res.status(409).json({ msg: stockError, product: unavailableProduct });
+    }
+
     // Start monitoring for payment
     const transactionMonitor = require('../services/transactionMonitor');
     transactionMonitor.startMonitoring(
@@ -2590,8 +2737,8 @@ const createCryptoPaymentOrder = async (req, res) => {
               console.error(`Order ${confirmedOrder._id} payFromWallet error (sweeper will retry):`, sweepErr.message);
             }
 
-            // Reduce stock
-            await reduceStockOnOrder(confirmedOrder);
+            // Keep the stock reserved at checkout
+            await stockReservationService.commitOrderReservation(confirmedOrder);
           }
         } catch (error) {
           console.error('Error processing payment callback:', error);
@@ -2773,6 +2920,7 @@ const confirmCryptoPayment = async (req, res) => {
         order.status = 'cancelled';
         order.paymentStatus = 'failed';
         await order.save().catch(() => {});
+        await stockReservationService.releaseOrderReservation(order._id, 'payment_expired');
         const transactionMonitor = require('../services/transactionMonitor');
         transactionMonitor.stopMonitoring(order._id.toString());
         return res.json({
@@ -2866,6 +3014,7 @@ const handleSeerbitCallback = (req, res) => {
 
 module.exports = {
   createOrder,
+  createCheckoutQuote,
   checkoutFromCart,
   handlePaystackWebhook,
   handleSeerbitCallback,
@@ -2885,4 +3034,5 @@ module.exports = {
   adminListOrders,
   adminGetOrderById,
   adminUpdateOrder,
+  adminUpdateFulfillment,
 };
\ No newline at end of file
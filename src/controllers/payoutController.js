@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const VendorPayout = require('../models/VendorPayout');
+const VendorLedgerEntry = require('../models/VendorLedgerEntry');
+const commissionService = require('../services/commissionService');
+const payoutService = require('../services/payoutService');
+
+function parsePage(query) {
+  const page = Math.max(parseInt(query.page || '1', 10), 1);
+  const limit = Math.max(Math.min(parseInt(query.limit || '20', 10), 100), 1);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Date range on createdAt from ?from=&to= (dates); null when a date is invalid
+function dateRange(query) {
+  const range = {};
+  for (const [key, op] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) return null;
+    range[op] = date;
+  }
+  return range;
+}
+
+// A payout with the ledger entries it paid
+async function payoutStatement(filter) {
+  const payout = await VendorPayout.findOne(filter).populate('vendor', ['name', 'email', 'companyName']).lean();
+  if (!payout) return null;
+  const entries = await VendorLedgerEntry.find({ payout: payout._id })
+    .populate('order', ['orderNumber'])
+    .sort({ createdAt: 1 })
+    .lean();
+  return { payout, entries };
+}
+
+// @desc    Balance and payouts of the signed-in vendor (?status=&page=&limit=)
+// @route   GET /api/vendor/payouts
+// @access  Private (vendor)
+const getVendorPayouts = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePage(req.query);
+    const filter = { vendor: req.user._id };
+    if (req.query.status) {
+      if (!VendorPayout.PAYOUT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ errors: [{ msg: `Status must be one of: ${VendorPayout.PAYOUT_STATUSES.join(', ')}` }] });
+      }
+      filter.status = req.query.status;
+    }
+
+    const [balance, payouts, total] = await Promise.all([
+      commissionService.vendorBalance(req.user._id),
+      VendorPayout.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      VendorPayout.countDocuments(filter)
+    ]);
+    return res.json({
+      balance,
+      payouts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Ledger entries of the signed-in vendor (?type=sale|refund&from=&to=&unpaid=true&page=&limit=)
+// @route   GET /api/vendor/payouts/ledger
+// @access  Private (vendor)
+const getVendorLedger = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePage(req.query);
+    const filter = { vendor: req.user._id };
+    if (req.query.type) {
+      if (!VendorLedgerEntry.LEDGER_ENTRY_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ errors: [{ msg: 'Type must be sale or refund' }] });
+      }
+      filter.type = req.query.type;
+    }
+    const range = dateRange(req.query);
+    if (!range) return res.status(400).json({ errors: [{ msg: 'from and to must be dates' }] });
+    if (Object.keys(range).length > 0) filter.createdAt = range;
+    if (req.query.unpaid === 'true') filter.payout = null;
+
+    const [entries, total, [totals]] = await Promise.all([
+      VendorLedgerEntry.find(filter)
+        .populate('order', ['orderNumber'])
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      VendorLedgerEntry.countDocuments(filter),
+      VendorLedgerEntry.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            gross: { $sum: '$gross' },
+            commission: { $sum: '$commission' },
+            fees: { $sum: '$fees' },
+            net: { $sum: '$net' }
+          }
+        }
+      ])
+    ]);
+
+    const round = commissionService.roundMoney;
+    return res.json({
+      entries,
+      totals: {
+        currency: commissionService.LEDGER_CURRENCY,
+        gross: round(totals?.gross),
+        commission: round(totals?.commission),
+        fees: round(totals?.fees),
+        net: round(totals?.net)
+      },
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Statement of one payout: the ledger entries it paid
+// @route   GET /api/vendor/payouts/:id
+// @access  Private (vendor)
+const getVendorPayout = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid payout ID' }] });
+    }
+    const statement = await payoutStatement({ _id: req.params.id, vendor: req.user._id });
+    if (!statement) return res.status(404).json({ errors: [{ msg: 'Payout not found' }] });
+    return res.json(statement);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    List payouts (?status=&method=&vendor=&batch=&page=&limit=); with ?vendor= the vendor's balance too
+// @route   GET /api/admin/payouts
+// @access  Private (admin)
+const adminListPayouts = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePage(req.query);
+    const { status, method, vendor, batch } = req.query;
+    const filter = {};
+    if (status) {
+      if (!VendorPayout.PAYOUT_STATUSES.includes(status)) {
+        return res.status(400).json({ errors: [{ msg: `Status must be one of: ${VendorPayout.PAYOUT_STATUSES.join(', ')}` }] });
+      }
+      filter.status = status;
+    }
+    if (method) {
+      if (!VendorPayout.PAYOUT_METHODS.includes(method)) {
+        return res.status(400).json({ errors: [{ msg: 'Method must be usdc or bank' }] });
+      }
+      filter.method = method;
+    }
+    if (vendor) {
+      if (!mongoose.Types.ObjectId.isValid(vendor)) {
+        return res.status(400).json({ errors: [{ msg: 'Invalid vendor ID' }] });
+      }
+      filter.vendor = new mongoose.Types.ObjectId(String(vendor));
+    }
+    if (batch) filter.batch = batch;
+
+    const [payouts, total, balance] = await Promise.all([
+      VendorPayout.find(filter)
+        .populate('vendor', ['name', 'email', 'companyName'])
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      VendorPayout.countDocuments(filter),
+      filter.vendor ? commissionService.vendorBalance(filter.vendor) : null
+    ]);
+    return res.json({
+      payouts,
+      ...(balance && { balance }),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Statement of one payout
+// @route   GET /api/admin/payouts/:id
+// @access  Private (admin)
+const adminGetPayout = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid payout ID' }] });
+    }
+    const statement = await payoutStatement({ _id: req.params.id });
+    if (!statement) return res.status(404).json({ errors: [{ msg: 'Payout not found' }] });
+    return res.json(statement);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Run a payout batch now instead of waiting for the schedule
+// @route   POST /api/admin/payouts/run
+// @access  Private (admin)
+const adminRunPayouts = async (req, res) => {
+  try {
+    const result = await payoutService.runPayoutBatch();
+    return res.json(result);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Record that a pending bank payout was transferred
+// @route   POST /api/admin/payouts/:id/paid
+// @access  Private (admin)
+const adminMarkPayoutPaid = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid payout ID' }] });
+    }
+    const { status, error, payout } = await payoutService.markBankPayoutPaid(
+      req.params.id,
+      req.user.id,
+      req.body?.reference
+    );
+    if (error) return res.status(status).json({ errors: [{ msg: error }] });
+    return res.json(payout);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Settle a USDC payout whose transfer outcome was unknown ({ outcome, reference, reason } when it has no transaction)
+// @route   POST /api/admin/payouts/:id/reconcile
+// @access  Private (admin)
+const adminReconcilePayout = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid payout ID' }] });
+    }
+    const { outcome, reference, reason } = req.body || {};
+    const { status, error, payout } = await payoutService.reconcilePayout(req.params.id, req.user.id, {
+      outcome,
+      reference,
+      reason
+    });
+    if (error) return res.status(status).json({ errors: [{ msg: error }] });
+    return res.json(payout);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  getVendorPayouts,
+  getVendorLedger,
+  getVendorPayout,
+  adminListPayouts,
+  adminGetPayout,
+  adminRunPayouts,
+  adminMarkPayoutPaid,
+  adminReconcilePayout
+};
@@ -1,6 +1,21 @@
 const Product = require('../models/Product');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const inventoryService = require('../services/inventoryService');
+const lowStockService = require('../services/lowStockService');
+const productSearchService = require('../services/productSearchService');
+const searchService = require('../services/searchService');
+const categoryService = require('../services/categoryService');
+const brandService = require('../services/brandService');
+const bundleService = require('../services/bundleService');
+const saleService = require('../services/saleService');
+const catalogImportService = require('../services/catalogImportService');
+const catalogFileService = require('../services/catalogFileService');
+const ImportJob = require('../models/ImportJob');
+const questionService = require('../services/questionService');
+const vendorService = require('../services/vendorService');
+const imageService = require('../services/imageService');
+const { takeStock, returnStock } = require('../utils/stockAnalysis');
 
 // Helpers
 function buildError(msg, status = 400) {
@@ -14,14 +29,25 @@ function parsePagination(query) {
   return { page, limit, skip };
 }
 
-function parseSort(sortParam) {
-  if (!sortParam) return { createdAt: -1 };
-  if (sortParam === 'newest') return { createdAt: -1 };
-  if (sortParam.startsWith('price:')) {
-    return { price: sortParam.endsWith(':desc') ? -1 : 1 };
+const { parseSort } = productSearchService;
+
+// Answered questions included in the product detail response
+const PRODUCT_PAGE_QUESTIONS = 5;
+
+// Low-stock settings must be empty or non-negative numbers
+function invalidStockSetting(body) {
+  return ['lowStockThreshold', 'reorderPoint'].find((field) => (
+    body[field] != null && body[field] !== '' && !(Number(body[field]) >= 0)
+  ));
+}
+
+// Record stock changes from a product edit in the inventory ledger; the edit itself has already been saved
+async function logStockChanges(before, after, context) {
+  try {
+    await inventoryService.recordStockChanges(before, after, context);
+  } catch (err) {
+    console.error(`Error recording inventory movements for product ${after._id}:`, err);
   }
-  if (sortParam === 'popularity') return { createdAt: -1 }; // Placeholder
-  return { createdAt: -1 };
 }
 
 // @desc    Create a product (admin/vendor)
@@ -39,16 +65,24 @@ const createProduct = async (req, res) => {
       name,
       description = '',
       price,
+      compareAtPrice = null,
+      sale = null,
       currency = 'USDC',
       images = [],
       badge = null,
       category = null,
+      categoryId = null,
       brand = null,
+      brandId = null,
       sku = null,
       specs = [],
       variants = [],
       stock = 0,
-      published = true,
+      lowStockThreshold = null,
+      reorderPoint = null,
+      published = vendorService.canPublish(req.user),
+      type = 'simple',
+      bundle = null,
       slug
     } = req.body;
 
@@ -66,29 +100,92 @@ const createProduct = async (req, res) => {
       return res.status(e.status).json(e.body);
     }
 
+    // Vendors awaiting approval can save drafts only
+    if (vendorService.isPublishing(published) && !vendorService.canPublish(req.user)) {
+      return res.status(403).json({ errors: [{ msg: vendorService.UNAPPROVED_PUBLISH_MESSAGE }] });
+    }
+
+    // Bundle components must exist; a bundle discount sets the price from the components
+    if (type === 'bundle') {
+      const prepared = await bundleService.prepareBundle(bundle);
+      if (prepared.error) {
+        const e = buildError(prepared.error);
+        return res.status(e.status).json(e.body);
+      }
+      bundle = prepared.bundle;
+      if (prepared.price != null) price = prepared.price;
+    }
+
     if (!price || Number(price) <= 0) {
       const e = buildError('Price must be a number greater than 0');
       return res.status(e.status).json(e.body);
     }
 
+    const invalidSetting = invalidStockSetting(req.body);
+    if (invalidSetting) {
+      const e = buildError(`${invalidSetting} must be a non-negative number`);
+      return res.status(e.status).json(e.body);
+    }
+
+    // Sale prices on the product and its variants: valid dates and cap
+    const pricing = { sale, variants };
+    const saleError = saleService.prepareProductSales(pricing);
+    if (saleError) {
+      const e = buildError(saleError);
+      return res.status(e.status).json(e.body);
+    }
+
+    // Category by ID, slug or name; specs must fit its spec template
+    const { error: categoryError, fields: categoryFields } = await categoryService.categoryForProduct(categoryId || category, specs);
+    if (categoryError) {
+      const e = buildError(categoryError);
+      return res.status(e.status).json(e.body);
+    }
+
+    // Brand by ID, slug or name; a new brand name creates the brand
+    const { error: brandError, fields: brandFields } = await brandService.brandForProduct(brandId || brand);
+    if (brandError) {
+      const e = buildError(brandError);
+      return res.status(e.status).json(e.body);
+    }
+
+    // Vendors sell their own products; admins may list a product for a vendor
+    let vendor = req.user.role === 'vendor' ? req.user._id : null;
+    if (req.user.role !== 'vendor' && req.body.vendor) {
+      const resolved = await vendorService.resolveVendor(req.body.vendor);
+      if (resolved.error) {
+        const e = buildError(resolved.error);
+        return res.status(e.status).json(e.body);
+      }
+      vendor = resolved.vendor;
+    }
+
     const product = new Product({
       name,
       description,
       price,
+      compareAtPrice: compareAtPrice === '' ? null : compareAtPrice,
+      sale: pricing.sale,
       currency,
       images,
       badge,
-      category,
-      brand,
+      ...categoryFields,
+      ...brandFields,
       sku,
       specs,
       variants,
       stock,
+      lowStockThreshold: lowStockThreshold === '' ? null : lowStockThreshold,
+      reorderPoint: reorderPoint === '' ? null : reorderPoint,
       published,
+      type,
+      ...(type === 'bundle' && { bundle }),
       slug,
+      vendor,
     });
 
     const saved = await product.save();
+    await logStockChanges(null, saved, { type: 'initial', actor: req.user.id, reason: 'Product created' });
     return res.json(saved);
   } catch (err) {
     console.error(err);
@@ -105,82 +202,60 @@ const createProduct = async (req, res) => {
 const getProducts = async (req, res) => {
   try {
     const { page, limit, skip } = parsePagination(req.query);
-    const { search, category, minPrice, maxPrice, sort, color, size, brand } = req.query;
-
-    const filter = { published: true };
-
-    // Category filter - support multiple categories and normalize "phones" to "Smartphones"
-    if (category) {
-      const normalizeCategory = (cat) => {
-        const categoryMap = {
-          'phones': 'Smartphones',
-          'phone': 'Smartphones',
-          'Phones': 'Smartphones',
-          'Phone': 'Smartphones'
-        };
-        return categoryMap[cat] || cat;
-      };
-      
-      const categories = Array.isArray(category) ? category : category.split(',');
-      const normalizedCategories = categories.map(cat => normalizeCategory(cat));
-      filter.category = { $in: normalizedCategories };
-    }
+    const { sort } = req.query;
 
-    // Brand filter - support multiple brands
-    if (brand) {
-      const brands = Array.isArray(brand) ? brand : brand.split(',');
-      filter.brand = { $in: brands };
-    }
+    // Category (with subcategories), brand, price, rating, color/size and spec filters, text search
+    const { base, conditions, search } = await productSearchService.parseFilters(req.query);
+    const filter = productSearchService.buildFilter(base, conditions);
 
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
-    }
-
-    // Text search
-    if (search) filter.$text = { $search: search };
-
-    // Advanced filtering using specs and variants
-    const specFilters = [];
-    const variantFilters = [];
-
-    // Color filter - check both specs and variants
-    if (color) {
-      const colors = Array.isArray(color) ? color : color.split(',');
-      specFilters.push({ specs: { $elemMatch: { label: 'Color', value: { $in: colors } } } });
-      variantFilters.push({ variants: { $elemMatch: { attributes: { $elemMatch: { name: 'Color', value: { $in: colors } } } } } });
-    }
-
-    // Size filter - check both specs and variants
-    if (size) {
-      const sizes = Array.isArray(size) ? size : size.split(',');
-      specFilters.push({ specs: { $elemMatch: { label: 'Size', value: { $in: sizes } } } });
-      variantFilters.push({ variants: { $elemMatch: { attributes: { $elemMatch: { name: 'Size', value: { $in: sizes } } } } } });
-    }
-
-    // Combine filters - products must match at least one of the spec filters OR one of the variant filters
-    if (specFilters.length > 0 || variantFilters.length > 0) {
-      const orConditions = [];
-      if (specFilters.length > 0) orConditions.push(...specFilters);
-      if (variantFilters.length > 0) orConditions.push(...variantFilters);
-
-      if (orConditions.length > 0) {
-        filter.$or = orConditions;
-      }
-    }
-
-    const query = Product.find(filter).sort(parseSort(sort));
+    const query = Product.find(filter).sort(parseSort(sort, !!search));
+    if (search) query.select({ score: { $meta: 'textScore' } });
 
     // Support both paginated and plain array outputs; keep simple array here
     const [items, total] = await Promise.all([
       query.skip(skip).limit(limit).lean(),
       Product.countDocuments(filter),
     ]);
+    await bundleService.withBundleStock(items);
+    saleService.withEffectivePrices(items);
 
     // Preferred object response with pagination meta
-    return res.json({ items, total, page, limit });
+    return res.json(search ? { items, total, page, limit, search } : { items, total, page, limit });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Search autocomplete: product names, completed terms, brands and categories for a partly typed query
+// @route   GET /api/products/suggest?q=
+// @access  Public
+const suggestProducts = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) return res.json({ products: [], terms: [], brands: [], categories: [] });
+    const limit = Math.max(Math.min(parseInt(req.query.limit || '8', 10), 20), 1);
+    return res.json(await searchService.suggest(q, limit));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Faceted product search: matching products plus counts per category, brand, price range, spec and variant attribute
+// @route   GET /api/products/search
+// @access  Public
+const searchProducts = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const { items, total, facets, filters, search } = await productSearchService.facetedSearch(req.query, {
+      skip,
+      limit,
+      sort: parseSort(req.query.sort, !!req.query.search)
+    });
+    await bundleService.withBundleStock(items);
+    saleService.withEffectivePrices(items);
+    return res.json({ items, total, page, limit, facets, filters, search });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ errors: [{ msg: 'Server error' }] });
@@ -193,20 +268,28 @@ const getProducts = async (req, res) => {
 const getProductsAdmin = async (req, res) => {
   try {
     const { page, limit, skip } = parsePagination(req.query);
-    const { search, category, minPrice, maxPrice, sort, color, size, brand } = req.query;
+    const { search, category, minPrice, maxPrice, sort, color, size, brand, vendor } = req.query;
+
+    const filter = vendorService.productScope(req.user);
 
-    const filter = {};
+    // Admins can list one seller's products (vendor=none for the store's own)
+    if (vendor && req.user.role !== 'vendor') {
+      if (vendor !== 'none' && !mongoose.Types.ObjectId.isValid(vendor)) {
+        return res.status(400).json({ errors: [{ msg: 'Invalid vendor ID' }] });
+      }
+      filter.vendor = vendor === 'none' ? null : vendor;
+    }
 
-    // Category filter - support multiple categories
+    // Category filter - support multiple categories, each including its subcategories
     if (category) {
       const categories = Array.isArray(category) ? category : category.split(',');
-      filter.category = { $in: categories };
+      filter.$and = [await categoryService.categoryCondition(categories)];
     }
 
-    // Brand filter - support multiple brands
+    // Brand filter - support multiple brands, by ID, slug or name
     if (brand) {
       const brands = Array.isArray(brand) ? brand : brand.split(',');
-      filter.brand = { $in: brands };
+      filter.$and = [...(filter.$and || []), await brandService.brandCondition(brands)];
     }
 
     // Price range filter
@@ -256,6 +339,8 @@ const getProductsAdmin = async (req, res) => {
         .lean(),
       Product.countDocuments(filter),
     ]);
+    await bundleService.withBundleStock(items);
+    saleService.withEffectivePrices(items);
 
     return res.json({ items, total, page, limit });
   } catch (err) {
@@ -275,12 +360,14 @@ const getProductByIdAdmin = async (req, res) => {
       return res.status(400).json({ errors: [{ msg: 'Invalid product ID' }] });
     }
 
-    const product = await Product.findById(id).lean();
+    const product = await Product.findOne({ _id: id, ...vendorService.productScope(req.user) }).lean();
 
     if (!product) {
       return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
     }
 
+    await bundleService.withBundleStock([product]);
+    saleService.withEffectivePrices([product]);
     return res.json(product);
   } catch (err) {
     console.error(err);
@@ -296,8 +383,8 @@ const getUnpublishedProductsAdmin = async (req, res) => {
     const { page, limit, skip } = parsePagination(req.query);
     const { search, category, minPrice, maxPrice, sort, color, size } = req.query;
 
-    const filter = { published: false };
-    if (category) filter.category = category;
+    const filter = { published: false, ...vendorService.productScope(req.user) };
+    if (category) filter.$and = [await categoryService.categoryCondition([category])];
     if (minPrice) filter.price = { ...(filter.price || {}), $gte: Number(minPrice) };
     if (maxPrice) filter.price = { ...(filter.price || {}), $lte: Number(maxPrice) };
     if (search) filter.$text = { $search: search };
@@ -327,6 +414,8 @@ const getUnpublishedProductsAdmin = async (req, res) => {
         .lean(),
       Product.countDocuments(filter),
     ]);
+    await bundleService.withBundleStock(items);
+    saleService.withEffectivePrices(items);
 
     return res.json({ items, total, page, limit });
   } catch (err) {
@@ -355,7 +444,11 @@ const getProductById = async (req, res) => {
       return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
     }
 
-    return res.json(product);
+    await bundleService.withBundleStock([product]);
+    saleService.withEffectivePrices([product]);
+    // Latest answered questions; the rest are paged through GET /api/products/:id/questions
+    const { questions, total } = await questionService.answeredQuestions(product._id, { limit: PRODUCT_PAGE_QUESTIONS });
+    return res.json({ ...product, questions, questionCount: total });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ errors: [{ msg: 'Server error' }] });
@@ -367,11 +460,31 @@ const getProductById = async (req, res) => {
 // @access  Private (admin|vendor)
 const updateProduct = async (req, res) => {
   try {
-    const updates = { ...req.body };
+    const updates = catalogImportService.stripServerFields({ ...req.body });
+    const scope = { _id: req.params.id, ...vendorService.productScope(req.user) };
+
+    // Vendors cannot hand a product to another seller; admins can reassign it
+    if (req.user.role === 'vendor') {
+      delete updates.vendor;
+    } else if ('vendor' in updates) {
+      const { error: vendorError, vendor } = await vendorService.resolveVendor(updates.vendor);
+      if (vendorError) {
+        return res.status(400).json({ errors: [{ msg: vendorError }] });
+      }
+      updates.vendor = vendor;
+    }
+    if ('published' in updates && vendorService.isPublishing(updates.published) && !vendorService.canPublish(req.user)) {
+      return res.status(403).json({ errors: [{ msg: vendorService.UNAPPROVED_PUBLISH_MESSAGE }] });
+    }
     if (updates.price && Number(updates.price) <= 0) {
       return res.status(400).json({ errors: [{ msg: 'Price must be greater than 0' }] });
     }
 
+    const invalidSetting = invalidStockSetting(updates);
+    if (invalidSetting) {
+      return res.status(400).json({ errors: [{ msg: `${invalidSetting} must be a non-negative number` }] });
+    }
+
     // Handle optional fields - convert empty strings to null for optional string fields
     const optionalStringFields = ['badge', 'category', 'brand', 'sku'];
     optionalStringFields.forEach(field => {
@@ -379,9 +492,79 @@ const updateProduct = async (req, res) => {
         updates[field] = null;
       }
     });
+    // Clearing a low-stock setting (or the compare-at price) falls back to the default
+    ['lowStockThreshold', 'reorderPoint', 'compareAtPrice'].forEach(field => {
+      if (field in updates && updates[field] === '') {
+        updates[field] = null;
+      }
+    });
+
+    // Units already sold carry over while a sale runs on
+    const stored = 'sale' in updates || 'variants' in updates
+      ? await Product.findOne(scope).select('sale variants._id variants.name variants.sale').lean()
+      : null;
+    const saleError = saleService.prepareProductSales(updates, stored);
+    if (saleError) {
+      return res.status(400).json({ errors: [{ msg: saleError }] });
+    }
+
+    // Category by ID, slug or name; specs must fit its spec template
+    if ('category' in updates || 'categoryId' in updates || 'specs' in updates) {
+      const current = await Product.findOne(scope).select('categoryId specs').lean();
+      if (!current) {
+        return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+      }
+      const categoryValue = 'categoryId' in updates ? updates.categoryId
+        : 'category' in updates ? updates.category
+          : current.categoryId;
+      const { error: categoryError, fields } = await categoryService.categoryForProduct(
+        categoryValue,
+        'specs' in updates ? updates.specs : current.specs
+      );
+      if (categoryError) {
+        return res.status(400).json({ errors: [{ msg: categoryError }] });
+      }
+      Object.assign(updates, fields);
+    }
+
+    if ('brand' in updates || 'brandId' in updates) {
+      const { error: brandError, fields } = await brandService.brandForProduct(
+        'brandId' in updates ? updates.brandId : updates.brand
+      );
+      if (brandError) {
+        return res.status(400).json({ errors: [{ msg: brandError }] });
+      }
+      Object.assign(updates, fields);
+    }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
+    // Bundles: components checked (and the price worked out from a discount), no stock or variants of their own
+    if (['type', 'bundle', 'stock', 'variants'].some((field) => field in updates)) {
+      const current = await Product.findOne(scope).select('type bundle').lean();
+      if (!current) {
+        return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+      }
+      if ((updates.type || current.type) === 'bundle') {
+        const { error: bundleError, bundle, price } = await bundleService.prepareBundle(
+          'bundle' in updates ? updates.bundle : current.bundle,
+          req.params.id
+        );
+        if (bundleError) {
+          return res.status(400).json({ errors: [{ msg: bundleError }] });
+        }
+        Object.assign(updates, { bundle, stock: 0, variants: [] });
+        if (price != null) updates.price = price;
+      } else if ('type' in updates) {
+        updates.bundle = { items: [], discountPercent: null };
+      }
+    }
+
+    const touchesStock = 'stock' in updates || 'variants' in updates;
+    const before = touchesStock
+      ? await Product.findOne(scope).select('sku stock variants').lean()
+      : null;
+
+    const product = await Product.findOneAndUpdate(
+      scope,
       { $set: updates },
       { new: true, runValidators: true }
     ).lean();
@@ -390,6 +573,21 @@ const updateProduct = async (req, res) => {
       return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
     }
 
+    if (touchesStock && before) {
+      await logStockChanges(before, product, { type: 'adjustment', actor: req.user.id, reason: 'Product edited' });
+    }
+
+    // Bundles priced at a discount on this product follow its new price
+    if (product.type !== 'bundle' && ('price' in updates || 'variants' in updates)) {
+      try {
+        await bundleService.refreshBundlePrices(product._id);
+      } catch (err) {
+        console.error(`Error repricing bundles containing product ${product._id}:`, err);
+      }
+    }
+
+    await bundleService.withBundleStock([product]);
+    saleService.withEffectivePrices([product]);
     return res.json(product);
   } catch (err) {
     console.error(err);
@@ -405,7 +603,7 @@ const updateProduct = async (req, res) => {
 // @access  Private (admin|vendor)
 const deleteProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id).lean();
+    const product = await Product.findOneAndDelete({ _id: req.params.id, ...vendorService.productScope(req.user) }).lean();
     if (!product) {
       return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
     }
@@ -438,8 +636,10 @@ const getRelatedProducts = async (req, res) => {
       published: true,
       _id: { $ne: current._id },
       $or: [
-        current.category ? { category: current.category } : null,
-        current.brand ? { brand: current.brand } : null,
+        current.categoryId ? { categoryId: current.categoryId } : null,
+        !current.categoryId && current.category ? { category: current.category } : null,
+        current.brandId ? { brandId: current.brandId } : null,
+        !current.brandId && current.brand ? { brand: current.brand } : null,
       ].filter(Boolean),
     };
 
@@ -450,6 +650,8 @@ const getRelatedProducts = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(limit)
       .lean();
+    await bundleService.withBundleStock(related);
+    saleService.withEffectivePrices(related);
 
     return res.json(related);
   } catch (err) {
@@ -461,10 +663,14 @@ const getRelatedProducts = async (req, res) => {
 // Admin helpers
 const setPublishStatus = async (req, res) => {
   try {
-    const { published } = req.body;
-    const updated = await Product.findByIdAndUpdate(
-      req.params.id,
-      { $set: { published: Boolean(published) } },
+    // Form posts send "false" and "0", which must unpublish rather than publish
+    const published = vendorService.isPublishing(req.body.published);
+    if (published && !vendorService.canPublish(req.user)) {
+      return res.status(403).json({ errors: [{ msg: vendorService.UNAPPROVED_PUBLISH_MESSAGE }] });
+    }
+    const updated = await Product.findOneAndUpdate(
+      { _id: req.params.id, ...vendorService.productScope(req.user) },
+      { $set: { published } },
       { new: true }
     ).lean();
     if (!updated) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
@@ -475,18 +681,53 @@ const setPublishStatus = async (req, res) => {
   }
 };
 
+// @desc    Set or adjust stock for a product or one of its variants, recorded in the inventory ledger
+// @route   PATCH /api/admin/products/:id/inventory
+// @access  Private (admin|vendor)
 const updateInventory = async (req, res) => {
   try {
-    const { stock } = req.body;
-    if (stock == null || Number(stock) < 0) {
+    const { stock, quantity, variantId = null, reason = '' } = req.body;
+    const type = req.body.type || 'adjustment';
+    if (!['restock', 'adjustment'].includes(type)) {
+      return res.status(400).json({ errors: [{ msg: 'Type must be restock or adjustment' }] });
+    }
+    if (stock == null && quantity == null) {
+      return res.status(400).json({ errors: [{ msg: 'Provide stock (new level) or quantity (change)' }] });
+    }
+    if (stock != null && !(Number(stock) >= 0)) {
       return res.status(400).json({ errors: [{ msg: 'Stock must be a non-negative number' }] });
     }
-    const updated = await Product.findByIdAndUpdate(
-      req.params.id,
-      { $set: { stock: Number(stock) } },
-      { new: true, runValidators: true }
-    ).lean();
-    if (!updated) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+    if (quantity != null && !Number.isInteger(Number(quantity))) {
+      return res.status(400).json({ errors: [{ msg: 'Quantity must be a whole number' }] });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, ...vendorService.productScope(req.user) }).select('sku stock variants type').lean();
+    if (!product) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+    if (product.type === 'bundle') {
+      return res.status(400).json({ errors: [{ msg: 'Bundles have no stock of their own; adjust their components instead' }] });
+    }
+
+    let current = product.stock || 0;
+    if (product.variants?.length) {
+      const variant = inventoryService.findVariant(product, variantId);
+      if (!variant) {
+        return res.status(400).json({ errors: [{ msg: variantId ? 'Variant not found' : 'variantId is required for products with variants' }] });
+      }
+      current = variant.stock || 0;
+    }
+
+    const delta = stock != null ? Number(stock) - current : Number(quantity);
+    if (delta !== 0) {
+      const movement = { type, actor: req.user.id, reason };
+      const applied = delta > 0
+        ? await returnStock(product._id, variantId, delta, { movement })
+        : await takeStock(product._id, variantId, -delta, { movement });
+      if (!applied) {
+        return res.status(409).json({ errors: [{ msg: 'Not enough stock for this adjustment; it may have changed, reload and retry' }] });
+      }
+    }
+
+    const updated = await Product.findById(product._id).lean();
     return res.json(updated);
   } catch (err) {
     console.error(err);
@@ -494,12 +735,95 @@ const updateInventory = async (req, res) => {
   }
 };
 
-// Placeholder for images and bulk endpoints (implement storage later)
-const { saveImage } = require('../config/storage');
+// @desc    Stock movement history for a product
+// @route   GET /api/admin/products/:id/inventory/history
+// @access  Private (admin|vendor)
+const getInventoryHistory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid product ID' }] });
+    }
+    const { type, variantId } = req.query;
+    if (type && type.split(',').some((t) => !inventoryService.MOVEMENT_TYPES.includes(t.trim()))) {
+      return res.status(400).json({ errors: [{ msg: `Type must be one of: ${inventoryService.MOVEMENT_TYPES.join(', ')}` }] });
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid variant ID' }] });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, ...vendorService.productScope(req.user) }).select('name sku stock variants').lean();
+    if (!product) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+
+    const { movements, pagination } = await inventoryService.getMovementHistory(product._id, req.query);
+    return res.json({
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        stock: product.stock,
+        variants: (product.variants || []).map((v) => ({ _id: v._id, name: v.name, sku: v.sku, stock: v.stock }))
+      },
+      movements,
+      pagination
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Reconcile stock levels against the inventory ledger
+// @route   GET /api/admin/products/inventory/reconciliation
+// @access  Private (admin)
+const getInventoryReconciliation = async (req, res) => {
+  try {
+    const { productId } = req.query;
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid product ID' }] });
+    }
+    const report = await inventoryService.reconcileInventory({
+      productId,
+      onlyIssues: req.query.onlyIssues === 'true'
+    });
+    return res.json(report);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Products and variants at or below their low-stock threshold or reorder point
+// @route   GET /api/admin/products/low-stock
+// @access  Private (admin|vendor)
+const getLowStockProducts = async (req, res) => {
+  try {
+    const { status, category } = req.query;
+    if (status && !lowStockService.LOW_STOCK_STATUSES.includes(status)) {
+      return res.status(400).json({ errors: [{ msg: `Status must be one of: ${lowStockService.LOW_STOCK_STATUSES.join(', ')}` }] });
+    }
+    const items = await lowStockService.findLowStockItems({
+      status,
+      category,
+      vendor: req.user.role === 'vendor' ? req.user._id : null,
+      includeUnpublished: req.query.includeUnpublished !== 'false'
+    });
+    return res.json({
+      items,
+      summary: lowStockService.summarize(items),
+      defaultThreshold: lowStockService.DEFAULT_LOW_STOCK_THRESHOLD
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
 
+// @desc    Add images to a product: uploaded files (stored with WebP renditions) and/or image URLs
+// @route   POST /api/admin/products/:id/images (multipart: images[] and/or images as URLs)
+// @access  Private (admin|vendor)
 const uploadImages = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne({ _id: req.params.id, ...vendorService.productScope(req.user) });
     if (!product) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
 
     // Accept both multipart buffers and JSON URLs
@@ -507,22 +831,21 @@ const uploadImages = async (req, res) => {
 
     const files = Array.isArray(req.files) ? req.files : [];
 
-    // Here we only demonstrate a simple in-memory-to-base64 approach or mock URL builder.
-    // In production, forward buffers to S3/Cloudinary and store returned URLs.
-    const generatedUrls = [];
-    for (const f of files) {
-      try {
-        // Build server origin from request for non-prod local URLs
-        const origin = `${req.protocol}://${req.get('host')}`;
-        const url = await saveImage(f.originalname, f.buffer, f.mimetype, origin);
-        generatedUrls.push(url);
-      } catch (e) {
-        console.error('Image save error:', e.message);
-      }
+    // Check every file before storing any, so a bad file does not leave half an upload behind
+    const invalid = (await Promise.all(files.map(imageService.validateImage))).filter(Boolean);
+    if (invalid.length > 0) return res.status(400).json({ errors: invalid.map((msg) => ({ msg })) });
+
+    // Build server origin from request for non-prod local URLs
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const stored = [];
+    try {
+      for (const f of files) stored.push(await imageService.storeImage(f, origin));
+    } catch (e) {
+      await imageService.deleteImageFiles(stored.flatMap((image) => Object.values(image)));
+      throw e;
     }
 
     // Normalize any non-https URLs by prefixing origin so schema URL validator passes
-    const origin = `${req.protocol}://${req.get('host')}`;
     const normalizeUrl = (u) => {
       if (typeof u !== 'string') return u;
       if (/^https?:\/\//i.test(u)) return u;
@@ -531,11 +854,10 @@ const uploadImages = async (req, res) => {
       return `${normalizedBase}${trimmed}`;
     };
 
-    const normalizedUrls = [...urls, ...generatedUrls].map(normalizeUrl);
+    const normalizedUrls = [...urls, ...stored.map((image) => image.url)].map(normalizeUrl);
 
-    const all = [...product.images, ...normalizedUrls];
-
-    product.images = all;
+    product.images = [...product.images, ...normalizedUrls];
+    product.imageRenditions = [...product.imageRenditions, ...stored];
     await product.save();
     return res.json(product.toObject());
   } catch (err) {
@@ -544,15 +866,35 @@ const uploadImages = async (req, res) => {
   }
 };
 
+// @desc    Remove an image from a product and delete its stored files
+// @route   DELETE /api/admin/products/:id/images
+// @access  Private (admin|vendor)
 const removeImage = async (req, res) => {
   try {
     const { image } = req.body;
-    const updated = await Product.findByIdAndUpdate(
-      req.params.id,
-      { $pull: { images: image } },
+    const scope = { _id: req.params.id, ...vendorService.productScope(req.user) };
+    const before = await Product.findOne(scope).select('images imageRenditions').lean();
+    if (!before) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+    // Only this product's own images are removed (and their files deleted)
+    const renditions = before.imageRenditions?.find((r) => r.url === image);
+    if (typeof image !== 'string' || (!before.images?.includes(image) && !renditions)) {
+      return res.status(404).json({ errors: [{ msg: 'Image not found on this product' }] });
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      scope,
+      { $pull: { images: image, imageRenditions: { url: image } } },
       { new: true }
     ).lean();
     if (!updated) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+
+    // Only files uploaded to this product (which have renditions) are deleted: an image added by URL may
+    // be someone else's file. Files can be shared when a product was copied (e.g. through a catalog
+    // import); keep them while in use
+    const inUse = renditions && await Product.exists({ $or: [{ images: image }, { 'variants.images': image }] });
+    if (renditions && !inUse) {
+      await imageService.deleteImageFiles([image, renditions?.thumbnail, renditions?.medium, renditions?.large]);
+    }
     return res.json(updated);
   } catch (err) {
     console.error(err);
@@ -572,30 +914,20 @@ const bulkUpsert = async (req, res) => {
 
     for (const item of items) {
       try {
-        const { slug, name } = item;
-        let identifier = slug;
-        if (!identifier && name) {
-          // rely on model hook to generate slug; use name match fallback
-          identifier = null;
-        }
-
-        if (identifier) {
-          const resDoc = await Product.findOneAndUpdate(
-            { slug: identifier },
-            { $set: item },
-            { upsert: true, new: true, runValidators: true }
-          );
-          if (resDoc.wasNew) upserted += 1; else updated += 1;
-        } else {
-          const doc = new Product(item);
-          await doc.save();
-          upserted += 1;
-        }
+        const action = await catalogImportService.upsertProduct(item, {
+          actor: req.user.id,
+          reason: 'Bulk import',
+          vendor: req.user.role === 'vendor' ? req.user._id : null,
+          canPublish: vendorService.canPublish(req.user)
+        });
+        if (action === 'updated') updated += 1; else upserted += 1;
       } catch (e) {
-        errors.push({ msg: e.message });
+        errors.push({ msg: `${item.name || item.slug || 'Product'}: ${e.message}` });
       }
     }
 
+    // New names and spec values become searchable (typo correction, autocomplete) straight away
+    searchService.invalidateVocabulary();
     return res.json({ upserted, updated, errors });
   } catch (err) {
     console.error(err);
@@ -603,9 +935,85 @@ const bulkUpsert = async (req, res) => {
   }
 };
 
+// @desc    Import products from a CSV or XLSX file: a dry run reports per-row errors, otherwise the import runs in the background
+// @route   POST /api/admin/products/import (multipart: file, mapping?, dryRun?)
+// @access  Private (admin)
+const importProducts = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ errors: [{ msg: 'A CSV or XLSX file is required' }] });
+
+    let mapping = {};
+    if (req.body?.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (e) {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ errors: [{ msg: 'mapping must be a JSON object of file headers to columns' }] });
+      }
+    }
+
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun) === 'true';
+    if (dryRun) {
+      const report = await catalogImportService.dryRunFile(req.file, mapping);
+      if (report.error) return res.status(400).json({ errors: [{ msg: report.error }] });
+      return res.json(report);
+    }
+
+    const { error, job } = await catalogImportService.startImport(req.file, { mapping, user: req.user.id });
+    if (error) return res.status(400).json({ errors: [{ msg: error }] });
+    return res.status(202).json({ job });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Progress and row errors of a catalog import
+// @route   GET /api/admin/products/import/:jobId
+// @access  Private (admin)
+const getImportJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({ errors: [{ msg: 'Import not found' }] });
+    }
+    const job = await ImportJob.findById(req.params.jobId).lean();
+    if (!job) return res.status(404).json({ errors: [{ msg: 'Import not found' }] });
+    return res.json(job);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Download the whole catalog in the import layout (?format=csv|xlsx)
+// @route   GET /api/admin/products/export
+// @access  Private (admin)
+const exportProducts = async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!catalogFileService.FORMATS.includes(format)) {
+    return res.status(400).json({ errors: [{ msg: 'format must be csv or xlsx' }] });
+  }
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+    await catalogImportService.exportCatalog(res, format);
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+    res.destroy(err);
+  }
+};
+
 module.exports = {
   createProduct,
   getProducts,
+  searchProducts,
+  suggestProducts,
   getProductsAdmin,
   getUnpublishedProductsAdmin,
   getProductById,
@@ -615,8 +1023,14 @@ module.exports = {
   getRelatedProducts,
   setPublishStatus,
   updateInventory,
+  getInventoryHistory,
+  getInventoryReconciliation,
+  getLowStockProducts,
   uploadImages,
   removeImage,
   bulkUpsert,
+  importProducts,
+  getImportJob,
+  exportProducts,
 };
 
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const { normalizeCode } = require('../services/promotionService');
+const { escapeRegex } = require('../services/brandService');
+
+const EDITABLE_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'type',
+  'value',
+  'currency',
+  'minSpend',
+  'maxDiscount',
+  'usageLimit',
+  'usageLimitPerUser',
+  'scope',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+function pickEditable(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) data[field] = body[field] === '' ? null : body[field];
+  }
+  if (data.code) data.code = normalizeCode(data.code);
+  return data;
+}
+
+// @desc    List promotions
+// @route   GET /api/admin/promotions
+// @access  Private (admin)
+const listPromotions = async (req, res) => {
+  try {
+    const { active, search } = req.query;
+    const filter = {};
+    if (active === 'true') filter.isActive = true;
+    if (active === 'false') filter.isActive = false;
+    if (search) {
+      const pattern = escapeRegex(String(search));
+      filter.$or = [
+        { code: { $regex: pattern, $options: 'i' } },
+        { name: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const promotions = await Promotion.find(filter).sort({ createdAt: -1 }).lean();
+    return res.json(promotions);
+  } catch (err) {
+    console.error('Error listing promotions:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Get promotion by id
+// @route   GET /api/admin/promotions/:id
+// @access  Private (admin)
+const getPromotionById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid promotion ID' }] });
+    }
+    const promotion = await Promotion.findById(req.params.id).lean();
+    if (!promotion) {
+      return res.status(404).json({ errors: [{ msg: 'Promotion not found' }] });
+    }
+    return res.json(promotion);
+  } catch (err) {
+    console.error('Error fetching promotion:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Create a promotion
+// @route   POST /api/admin/promotions
+// @access  Private (admin)
+const createPromotion = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    if (!data.code || !data.type) {
+      return res.status(400).json({ errors: [{ msg: 'Code and type are required' }] });
+    }
+    if (data.type !== 'free_delivery' && !(Number(data.value) > 0)) {
+      return res.status(400).json({ errors: [{ msg: 'Value must be greater than 0' }] });
+    }
+
+    const promotion = new Promotion({ ...data, createdBy: req.user.id });
+    const saved = await promotion.save();
+    return res.status(201).json(saved);
+  } catch (err) {
+    console.error('Error creating promotion:', err);
+    if (err.code === 11000) {
+      return res.status(400).json({ errors: [{ msg: 'Promotion code already exists' }] });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Update a promotion
+// @route   PUT /api/admin/promotions/:id
+// @access  Private (admin)
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ errors: [{ msg: 'Promotion not found' }] });
+    }
+
+    Object.assign(promotion, pickEditable(req.body));
+    const saved = await promotion.save();
+    return res.json(saved);
+  } catch (err) {
+    console.error('Error updating promotion:', err);
+    if (err.code === 11000) {
+      return res.status(400).json({ errors: [{ msg: 'Promotion code already exists' }] });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ errors: [{ msg: 'Promotion not found' }] });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete a promotion
+// @route   DELETE /api/admin/promotions/:id
+// @access  Private (admin)
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ errors: [{ msg: 'Promotion not found' }] });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting promotion:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ errors: [{ msg: 'Promotion not found' }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  listPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+};
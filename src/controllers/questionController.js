@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const ProductQuestion = require('../models/ProductQuestion');
+const Product = require('../models/Product');
+const questionService = require('../services/questionService');
+const vendorService = require('../services/vendorService');
+
+// Published product by ID or slug
+async function findPublishedProduct(idOrSlug) {
+  let product = null;
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    product = await Product.findOne({ _id: idOrSlug, published: true }).select('_id name slug').lean();
+  }
+  if (!product) {
+    product = await Product.findOne({ slug: idOrSlug, published: true }).select('_id name slug').lean();
+  }
+  return product;
+}
+
+// Vendors answer questions on their own products only
+async function vendorProductIds(user) {
+  if (user.role !== 'vendor') return null;
+  const products = await Product.find(vendorService.productScope(user)).select('_id').lean();
+  return products.map((product) => product._id);
+}
+
+function validateText(value, { min, max, label }) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (text.length < min) return `${label} must be at least ${min} characters`;
+  if (text.length > max) return `${label} must be at most ${max} characters`;
+  return null;
+}
+
+// @desc    Answered questions for a product (myQuestions, including unanswered ones, when signed in)
+// @route   GET /api/products/:id/questions
+// @access  Public
+const getProductQuestions = async (req, res) => {
+  try {
+    const product = await findPublishedProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.max(Math.min(parseInt(req.query.limit || '10', 10), 50), 1);
+
+    const [{ questions, total }, myQuestions] = await Promise.all([
+      questionService.answeredQuestions(product._id, { page, limit }),
+      req.user
+        ? ProductQuestion.find({ product: product._id, user: req.user.id })
+          .populate('answers.user', ['name', 'role', 'companyName'])
+          .sort({ createdAt: -1 })
+          .lean()
+        : []
+    ]);
+
+    return res.json({ questions, total, page, limit, myQuestions });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Ask a question about a product; it is shown once answered
+// @route   POST /api/products/:id/questions
+// @access  Private
+const askQuestion = async (req, res) => {
+  try {
+    const product = await findPublishedProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+
+    const invalid = validateText(req.body?.question, { min: 5, max: 500, label: 'Question' });
+    if (invalid) return res.status(400).json({ errors: [{ msg: invalid }] });
+
+    const question = await ProductQuestion.create({
+      product: product._id,
+      user: req.user.id,
+      question: req.body.question.trim()
+    });
+    return res.status(201).json(question);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete your question
+// @route   DELETE /api/products/:id/questions/:questionId
+// @access  Private
+const deleteQuestion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.questionId)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid question ID' }] });
+    }
+    const question = await ProductQuestion.findById(req.params.questionId).select('user').lean();
+    if (!question) return res.status(404).json({ errors: [{ msg: 'Question not found' }] });
+    if (question.user.toString() !== req.user.id) {
+      return res.status(403).json({ errors: [{ msg: 'Access denied' }] });
+    }
+
+    await ProductQuestion.deleteOne({ _id: question._id });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Questions to answer (filter with ?status=unanswered|answered&product=&hidden=true|false); vendors get their own products' questions
+// @route   GET /api/admin/questions
+// @access  Private (admin|vendor)
+const adminListQuestions = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.max(Math.min(parseInt(req.query.limit || '20', 10), 100), 1);
+    const filter = {};
+    if (req.query.status) {
+      if (!['unanswered', 'answered'].includes(req.query.status)) {
+        return res.status(400).json({ errors: [{ msg: 'Status must be one of: unanswered, answered' }] });
+      }
+      filter.answeredAt = req.query.status === 'answered' ? { $ne: null } : null;
+    }
+    if (req.query.product) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.product)) {
+        return res.status(400).json({ errors: [{ msg: 'Invalid product ID' }] });
+      }
+      filter.product = req.query.product;
+    }
+    const ownProducts = await vendorProductIds(req.user);
+    if (ownProducts) {
+      filter.product = filter.product
+        ? ownProducts.find((id) => id.equals(filter.product)) || null
+        : { $in: ownProducts };
+    }
+    if (req.query.hidden === 'true') filter.hidden = true;
+    if (req.query.hidden === 'false') filter.hidden = false;
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(filter)
+        .populate('product', ['name', 'slug'])
+        .populate('user', ['name', 'email'])
+        .populate('answers.user', ['name', 'email', 'role'])
+        // Oldest unanswered first: they have waited longest
+        .sort(req.query.status === 'unanswered' ? { createdAt: 1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductQuestion.countDocuments(filter)
+    ]);
+
+    return res.json({
+      questions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Answer a question (vendors: on their own products); the asker is emailed
+// @route   POST /api/admin/questions/:id/answers
+// @access  Private (admin|vendor)
+const answerQuestion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid question ID' }] });
+    }
+    const invalid = validateText(req.body?.text, { min: 1, max: 2000, label: 'Answer' });
+    if (invalid) return res.status(400).json({ errors: [{ msg: invalid }] });
+
+    const question = await ProductQuestion.findById(req.params.id);
+    if (!question) return res.status(404).json({ errors: [{ msg: 'Question not found' }] });
+    const ownProducts = await vendorProductIds(req.user);
+    if (ownProducts && !ownProducts.some((id) => id.equals(question.product))) {
+      return res.status(404).json({ errors: [{ msg: 'Question not found' }] });
+    }
+
+    question.answers.push({ user: req.user.id, text: req.body.text.trim() });
+    if (!question.answeredAt) question.answeredAt = new Date();
+    await question.save();
+    const answer = question.answers[question.answers.length - 1];
+
+    try {
+      await question.populate([{ path: 'user', select: 'name email' }, { path: 'product', select: 'name slug' }]);
+      const { sendQuestionAnsweredEmail } = require('../email');
+      await sendQuestionAnsweredEmail(question, answer);
+    } catch (e) {
+      console.error('Question answered email failed:', e.message);
+    }
+
+    return res.status(201).json(question);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete an answer
+// @route   DELETE /api/admin/questions/:id/answers/:answerId
+// @access  Private (admin)
+const deleteAnswer = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.answerId)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid question or answer ID' }] });
+    }
+    const question = await ProductQuestion.findById(req.params.id);
+    const answer = question?.answers.id(req.params.answerId);
+    if (!answer) return res.status(404).json({ errors: [{ msg: 'Answer not found' }] });
+
+    answer.deleteOne();
+    // Without answers the question goes back to the queue and off the product page
+    if (question.answers.length === 0) question.answeredAt = null;
+    await question.save();
+    return res.json(question);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Hide or show a question on the product page
+// @route   PATCH /api/admin/questions/:id/hidden
+// @access  Private (admin)
+const setQuestionHidden = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid question ID' }] });
+    }
+    if (typeof req.body?.hidden !== 'boolean') {
+      return res.status(400).json({ errors: [{ msg: 'hidden must be true or false' }] });
+    }
+    const question = await ProductQuestion.findByIdAndUpdate(
+      req.params.id,
+      { $set: { hidden: req.body.hidden } },
+      { new: true }
+    ).lean();
+    if (!question) return res.status(404).json({ errors: [{ msg: 'Question not found' }] });
+    return res.json(question);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete a question
+// @route   DELETE /api/admin/questions/:id
+// @access  Private (admin)
+const adminDeleteQuestion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid question ID' }] });
+    }
+    const question = await ProductQuestion.findByIdAndDelete(req.params.id).lean();
+    if (!question) return res.status(404).json({ errors: [{ msg: 'Question not found' }] });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  getProductQuestions,
+  askQuestion,
+  deleteQuestion,
+  adminListQuestions,
+  answerQuestion,
+  deleteAnswer,
+  setQuestionHidden,
+  adminDeleteQuestion
+};
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Refund = require('../models/Refund');
+const { Order } = require('../models/Order');
+const refundService = require('../services/refundService');
+
+const REFUND_STATUSES = ['requested', 'approved', 'processing', 'completed', 'rejected', 'failed'];
+
+// @desc    Request a refund for some or all items of a paid order
+// @route   POST /api/orders/:id/refunds
+// @access  Private
+const requestOrderRefund = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid order ID' });
+    }
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const { items, reason = '' } = req.body;
+    // Leaving items out refunds everything still refundable
+    if (items != null && (!Array.isArray(items) || items.some((entry) => !entry || typeof entry !== 'object'))) {
+      return res.status(400).json({ msg: 'items must be a list of { orderItemId, quantity }' });
+    }
+    const { status, error, refund } = await refundService.requestRefund({
+      order,
+      items: items && items.map((entry) => ({
+        orderItem: entry.orderItemId || entry.orderItem,
+        quantity: entry.quantity
+      })),
+      reason,
+      requestedBy: req.user.id
+    });
+    if (error) {
+      return res.status(status || 400).json({ msg: error });
+    }
+
+    res.status(201).json(refund);
+  } catch (err) {
+    console.error('Error requesting refund:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+// @desc    List refunds for one of the user's orders
+// @route   GET /api/orders/:id/refunds
+// @access  Private
+const getOrderRefunds = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid order ID' });
+    }
+    const order = await Order.findById(req.params.id).select('buyer refundedAmount paymentStatus currency').lean();
+    if (!order) {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 }).lean();
+    res.json({
+      refunds,
+      refundedAmount: order.refundedAmount || 0,
+      paymentStatus: order.paymentStatus,
+      currency: order.currency
+    });
+  } catch (err) {
+    console.error('Error fetching order refunds:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+// @desc    Refund queue
+// @route   GET /api/admin/orders/refunds
+// @access  Private (admin)
+const adminListRefunds = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = {};
+    if (req.query.status) {
+      if (!REFUND_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ msg: `Status must be one of: ${REFUND_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.method) filter.method = req.query.method;
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(filter)
+        .populate('order', ['orderNumber', 'totalAmount', 'currency', 'paymentMethod', 'status', 'paymentStatus'])
+        .populate('user', ['name', 'email', 'walletAddress'])
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Refund.countDocuments(filter)
+    ]);
+
+    res.json({
+      refunds,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error listing refunds:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+// @desc    Get a refund
+// @route   GET /api/admin/orders/refunds/:refundId
+// @access  Private (admin)
+const adminGetRefund = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+      return res.status(400).json({ msg: 'Invalid refund ID' });
+    }
+    const refund = await Refund.findById(req.params.refundId)
+      .populate('order')
+      .populate('user', ['name', 'email', 'walletAddress'])
+      .populate('reviewedBy', ['name', 'email'])
+      .populate('payment')
+      .lean();
+    if (!refund) {
+      return res.status(404).json({ msg: 'Refund not found' });
+    }
+    res.json(refund);
+  } catch (err) {
+    console.error('Error fetching refund:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+// @desc    Approve a refund and pay it out (also retries failed refunds)
+// @route   POST /api/admin/orders/refunds/:refundId/approve
+// @access  Private (admin)
+const adminApproveRefund = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+      return res.status(400).json({ msg: 'Invalid refund ID' });
+    }
+    const { status, error, refund } = await refundService.approveRefund(req.params.refundId, req.user.id, {
+      payoutAddress: req.body?.payoutAddress
+    });
+    if (error) {
+      return res.status(status || 400).json({ msg: error });
+    }
+    if (refund.status === 'failed') {
+      return res.status(502).json({ msg: `Refund payout failed: ${refund.failureReason}`, refund });
+    }
+    if (refund.status === 'processing') {
+      return res.status(202).json({ msg: refund.failureReason, refund });
+    }
+    res.json(refund);
+  } catch (err) {
+    console.error('Error approving refund:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+// @desc    Settle a refund whose payout outcome was unknown ({ outcome, providerReference, reason } when not on-chain)
+// @route   POST /api/admin/orders/refunds/:refundId/reconcile
+// @access  Private (admin)
+const adminReconcileRefund = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+      return res.status(400).json({ msg: 'Invalid refund ID' });
+    }
+    const { outcome, providerReference, reason } = req.body || {};
+    const { status, error, refund } = await refundService.reconcileRefund(req.params.refundId, req.user.id, {
+      outcome,
+      providerReference,
+      reason
+    });
+    if (error) {
+      return res.status(status || 400).json({ msg: error });
+    }
+    res.json(refund);
+  } catch (err) {
+    console.error('Error reconciling refund:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+// @desc    Reject a refund request
+// @route   POST /api/admin/orders/refunds/:refundId/reject
+// @access  Private (admin)
+const adminRejectRefund = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+      return res.status(400).json({ msg: 'Invalid refund ID' });
+    }
+    const { status, error, refund } = await refundService.rejectRefund(req.params.refundId, req.user.id, req.body?.reason);
+    if (error) {
+      return res.status(status || 400).json({ msg: error });
+    }
+    res.json(refund);
+  } catch (err) {
+    console.error('Error rejecting refund:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+};
+
+module.exports = {
+  requestOrderRefund,
+  getOrderRefunds,
+  adminListRefunds,
+  adminGetRefund,
+  adminApproveRefund,
+  adminReconcileRefund,
+  adminRejectRefund
+};
@@ -0,0 +1,67 @@
+const reportService = require('../services/reportService');
+
+const FORMATS = ['json', 'csv'];
+
+// Runs one report over ?from=&to=&granularity= (and ?currency=&limit=); ?format=csv downloads the rows
+function adminReport(name) {
+  return async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ errors: [{ msg: 'format must be json or csv' }] });
+    }
+    try {
+      const params = reportService.reportParams(req.query);
+      if (params.error) return res.status(400).json({ errors: [{ msg: params.error }] });
+
+      const report = await reportService.runReport(name, params);
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${reportService.reportFileName(report)}"`);
+        return res.send(reportService.reportCsv(report));
+      }
+      return res.json(report);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+    }
+  };
+}
+
+// @desc    GMV, refunds, tax, net revenue and average order value per period
+// @route   GET /api/admin/reports/sales
+// @access  Private (admin)
+const getSalesReport = adminReport('sales');
+
+// @desc    Orders and their value per period and order status
+// @route   GET /api/admin/reports/order-status
+// @access  Private (admin)
+const getOrderStatusReport = adminReport('order-status');
+
+// @desc    Orders and their value per period and payment method
+// @route   GET /api/admin/reports/payment-methods
+// @access  Private (admin)
+const getPaymentMethodReport = adminReport('payment-methods');
+
+// @desc    GMV and refunds per period and order currency, as charged and normalised
+// @route   GET /api/admin/reports/currencies
+// @access  Private (admin)
+const getCurrencyReport = adminReport('currencies');
+
+// @desc    New and returning buyers per period
+// @route   GET /api/admin/reports/buyers
+// @access  Private (admin)
+const getBuyersReport = adminReport('buyers');
+
+// @desc    Best-selling products per period (?limit= per period)
+// @route   GET /api/admin/reports/top-products
+// @access  Private (admin)
+const getTopProductsReport = adminReport('top-products');
+
+module.exports = {
+  getSalesReport,
+  getOrderStatusReport,
+  getPaymentMethodReport,
+  getCurrencyReport,
+  getBuyersReport,
+  getTopProductsReport
+};
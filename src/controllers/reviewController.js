@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const reviewService = require('../services/reviewService');
+const { saveImage } = require('../config/storage');
+
+const MAX_REVIEW_IMAGES = 5;
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Published product by ID or slug
+async function findPublishedProduct(idOrSlug) {
+  let product = null;
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    product = await Product.findOne({ _id: idOrSlug, published: true }).select('_id name slug').lean();
+  }
+  if (!product) {
+    product = await Product.findOne({ slug: idOrSlug, published: true }).select('_id name slug').lean();
+  }
+  return product;
+}
+
+function validateReviewInput({ rating, title, text }, partial = false) {
+  if (!partial || rating !== undefined) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) return 'Rating must be a whole number from 1 to 5';
+  }
+  if (title && String(title).length > 120) return 'Title must be at most 120 characters';
+  if (text && String(text).length > 2000) return 'Review text must be at most 2000 characters';
+  return null;
+}
+
+// Store uploaded review images and return their URLs
+async function saveReviewImages(req) {
+  const files = Array.isArray(req.files) ? req.files : [];
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const urls = [];
+  for (const f of files) {
+    try {
+      urls.push(await saveImage(f.originalname, f.buffer, f.mimetype, origin));
+    } catch (e) {
+      console.error('Review image save error:', e.message);
+    }
+  }
+  return urls;
+}
+
+// @desc    Approved reviews for a product, with rating summary
+// @route   GET /api/products/:id/reviews
+// @access  Public
+const getProductReviews = async (req, res) => {
+  try {
+    const product = await findPublishedProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.max(Math.min(parseInt(req.query.limit || '10', 10), 50), 1);
+    const filter = { product: product._id, status: 'approved' };
+    if (req.query.rating) filter.rating = Number(req.query.rating);
+    if (req.query.verified === 'true') filter.verifiedPurchase = true;
+
+    let sort = { createdAt: -1 };
+    if (req.query.sort === 'rating:desc') sort = { rating: -1, createdAt: -1 };
+    if (req.query.sort === 'rating:asc') sort = { rating: 1, createdAt: -1 };
+
+    const [reviews, total, breakdown, stats, myReview] = await Promise.all([
+      Review.find(filter)
+        .populate('user', ['name'])
+        .select('-moderatedBy -moderationNote')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+      reviewService.ratingBreakdown(product._id),
+      Product.findById(product._id).select('averageRating reviewCount').lean(),
+      req.user ? Review.findOne({ product: product._id, user: req.user.id }).lean() : null
+    ]);
+
+    return res.json({
+      reviews,
+      total,
+      page,
+      limit,
+      averageRating: stats?.averageRating || 0,
+      reviewCount: stats?.reviewCount || 0,
+      breakdown,
+      myReview
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Review a product (one review per user; waits for moderation)
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createReview = async (req, res) => {
+  try {
+    const product = await findPublishedProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: [{ msg: 'Product not found' }] });
+
+    const invalid = validateReviewInput(req.body);
+    if (invalid) return res.status(400).json({ errors: [{ msg: invalid }] });
+
+    const existing = await Review.exists({ product: product._id, user: req.user.id });
+    if (existing) {
+      return res.status(409).json({ errors: [{ msg: 'You have already reviewed this product; edit your review instead' }] });
+    }
+
+    const images = (await saveReviewImages(req)).slice(0, MAX_REVIEW_IMAGES);
+    const purchase = await reviewService.findVerifiedPurchase(req.user.id, product._id);
+
+    const review = await Review.create({
+      product: product._id,
+      user: req.user.id,
+      rating: Number(req.body.rating),
+      title: req.body.title || '',
+      text: req.body.text || '',
+      images,
+      verifiedPurchase: !!purchase,
+      orderItem: purchase?._id || null
+    });
+
+    return res.status(201).json(review);
+  } catch (err) {
+    console.error(err);
+    if (err.code === 11000) {
+      return res.status(409).json({ errors: [{ msg: 'You have already reviewed this product; edit your review instead' }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Edit your review (goes back to moderation)
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private
+const updateReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.reviewId)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid review ID' }] });
+    }
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) return res.status(404).json({ errors: [{ msg: 'Review not found' }] });
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({ errors: [{ msg: 'Access denied' }] });
+    }
+
+    const invalid = validateReviewInput(req.body, true);
+    if (invalid) return res.status(400).json({ errors: [{ msg: invalid }] });
+
+    if (req.body.rating !== undefined) review.rating = Number(req.body.rating);
+    if (req.body.title !== undefined) review.title = req.body.title;
+    if (req.body.text !== undefined) review.text = req.body.text;
+    // Keep only the listed existing images, then add new uploads
+    if (req.body.keepImages !== undefined) {
+      const keep = [].concat(req.body.keepImages);
+      review.images = review.images.filter((url) => keep.includes(url));
+    }
+    const uploaded = await saveReviewImages(req);
+    review.images = [...review.images, ...uploaded].slice(0, MAX_REVIEW_IMAGES);
+
+    // Re-check in case the order was delivered after the review was written
+    if (!review.verifiedPurchase) {
+      const purchase = await reviewService.findVerifiedPurchase(req.user.id, review.product);
+      review.verifiedPurchase = !!purchase;
+      review.orderItem = purchase?._id || null;
+    }
+
+    const wasApproved = review.status === 'approved';
+    review.status = 'pending';
+    review.moderatedBy = null;
+    review.moderatedAt = null;
+    review.moderationNote = null;
+    await review.save();
+
+    if (wasApproved) await reviewService.refreshProductRating(review.product);
+    return res.json(review);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete your review
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+const deleteReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.reviewId)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid review ID' }] });
+    }
+    const review = await Review.findById(req.params.reviewId).lean();
+    if (!review) return res.status(404).json({ errors: [{ msg: 'Review not found' }] });
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({ errors: [{ msg: 'Access denied' }] });
+    }
+
+    await Review.deleteOne({ _id: review._id });
+    if (review.status === 'approved') await reviewService.refreshProductRating(review.product);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Review moderation queue
+// @route   GET /api/admin/reviews
+// @access  Private (admin)
+const adminListReviews = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.max(Math.min(parseInt(req.query.limit || '20', 10), 100), 1);
+    const filter = {};
+    if (req.query.status) {
+      if (!REVIEW_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ errors: [{ msg: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` }] });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.product) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.product)) {
+        return res.status(400).json({ errors: [{ msg: 'Invalid product ID' }] });
+      }
+      filter.product = req.query.product;
+    }
+    if (req.query.rating) filter.rating = Number(req.query.rating);
+    if (req.query.verified === 'true') filter.verifiedPurchase = true;
+    if (req.query.verified === 'false') filter.verifiedPurchase = false;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('product', ['name', 'slug'])
+        .populate('user', ['name', 'email'])
+        .populate('moderatedBy', ['name', 'email'])
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    return res.json({
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Approve or reject a review
+// @route   POST /api/admin/reviews/:id/approve, POST /api/admin/reviews/:id/reject
+// @access  Private (admin)
+const moderate = (status) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid review ID' }] });
+    }
+    const review = await reviewService.moderateReview(req.params.id, status, req.user.id, req.body?.note);
+    if (!review) return res.status(404).json({ errors: [{ msg: 'Review not found' }] });
+    return res.json(review);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+const adminApproveReview = moderate('approved');
+const adminRejectReview = moderate('rejected');
+
+// @desc    Delete a review
+// @route   DELETE /api/admin/reviews/:id
+// @access  Private (admin)
+const adminDeleteReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid review ID' }] });
+    }
+    const review = await Review.findByIdAndDelete(req.params.id).lean();
+    if (!review) return res.status(404).json({ errors: [{ msg: 'Review not found' }] });
+    if (review.status === 'approved') await reviewService.refreshProductRating(review.product);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  adminListReviews,
+  adminApproveReview,
+  adminRejectReview,
+  adminDeleteReview
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const TaxRule = require('../models/TaxRule');
+const { STATUTORY_RULES } = require('../services/taxService');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'taxType',
+  'country',
+  'state',
+  'categories',
+  'rate',
+  'mode',
+  'appliesToDelivery',
+  'isActive'
+];
+
+function pickEditable(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) data[field] = body[field] === '' ? null : body[field];
+  }
+  return data;
+}
+
+// @desc    List tax rules
+// @route   GET /api/admin/tax-rules
+// @access  Private (admin)
+const listTaxRules = async (req, res) => {
+  try {
+    const { country, active } = req.query;
+    const filter = {};
+    if (country) filter.country = String(country).toUpperCase();
+    if (active === 'true') filter.isActive = true;
+    if (active === 'false') filter.isActive = false;
+
+    const rules = await TaxRule.find(filter).sort({ country: 1, state: 1, taxType: 1 }).lean();
+    // Countries without configured rules are taxed with the statutory defaults
+    const configuredCountries = await TaxRule.distinct('country');
+    const statutoryDefaults = Object.keys(STATUTORY_RULES)
+      .filter((code) => !configuredCountries.includes(code))
+      .flatMap((code) => STATUTORY_RULES[code]);
+
+    return res.json({ rules, statutoryDefaults });
+  } catch (err) {
+    console.error('Error listing tax rules:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Get tax rule by id
+// @route   GET /api/admin/tax-rules/:id
+// @access  Private (admin)
+const getTaxRuleById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid tax rule ID' }] });
+    }
+    const rule = await TaxRule.findById(req.params.id).lean();
+    if (!rule) {
+      return res.status(404).json({ errors: [{ msg: 'Tax rule not found' }] });
+    }
+    return res.json(rule);
+  } catch (err) {
+    console.error('Error fetching tax rule:', err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Create a tax rule
+// @route   POST /api/admin/tax-rules
+// @access  Private (admin)
+const createTaxRule = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    if (!data.name || !data.country || data.rate == null) {
+      return res.status(400).json({ errors: [{ msg: 'Name, country and rate are required' }] });
+    }
+
+    const rule = new TaxRule(data);
+    const saved = await rule.save();
+    return res.status(201).json(saved);
+  } catch (err) {
+    console.error('Error creating tax rule:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Update a tax rule
+// @route   PUT /api/admin/tax-rules/:id
+// @access  Private (admin)
+const updateTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ errors: [{ msg: 'Tax rule not found' }] });
+    }
+
+    Object.assign(rule, pickEditable(req.body));
+    const saved = await rule.save();
+    return res.json(saved);
+  } catch (err) {
+    console.error('Error updating tax rule:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ errors: [{ msg: 'Tax rule not found' }] });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: [{ msg: err.message }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Delete a tax rule
+// @route   DELETE /api/admin/tax-rules/:id
+// @access  Private (admin)
+const deleteTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ errors: [{ msg: 'Tax rule not found' }] });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting tax rule:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ errors: [{ msg: 'Tax rule not found' }] });
+    }
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  listTaxRules,
+  getTaxRuleById,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+};
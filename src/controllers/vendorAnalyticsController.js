@@ -0,0 +1,52 @@
+const vendorAnalyticsService = require('../services/vendorAnalyticsService');
+
+function parseLimit(query) {
+  return Math.max(Math.min(parseInt(query.limit || '10', 10) || 10, 50), 1);
+}
+
+// Runs one report for the signed-in vendor over the period of ?from=&to=&interval=
+function vendorReport(report) {
+  return async (req, res) => {
+    try {
+      const range = vendorAnalyticsService.analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ errors: [{ msg: range.error }] });
+      return res.json(await report(req.user._id, range, parseLimit(req.query)));
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+    }
+  };
+}
+
+// @desc    Revenue, refunds, units and orders per day, week or month (?from=&to=&interval=day|week|month)
+// @route   GET /api/vendor/analytics/revenue
+// @access  Private (vendor)
+const getRevenue = vendorReport(vendorAnalyticsService.revenueOverTime);
+
+// @desc    Units sold per product and variant, best sellers first (?from=&to=&limit=)
+// @route   GET /api/vendor/analytics/products
+// @access  Private (vendor)
+const getProductSales = vendorReport(vendorAnalyticsService.unitsByProduct);
+
+// @desc    Wishlist to purchase conversion per product (?from=&to=&limit=)
+// @route   GET /api/vendor/analytics/wishlist-conversion
+// @access  Private (vendor)
+const getWishlistConversion = vendorReport(vendorAnalyticsService.wishlistConversion);
+
+// @desc    Customers, orders and revenue per delivery state (?from=&to=&limit=)
+// @route   GET /api/vendor/analytics/regions
+// @access  Private (vendor)
+const getCustomerRegions = vendorReport(vendorAnalyticsService.customerRegions);
+
+// @desc    Refund rates by units, orders and value, with the most refunded products (?from=&to=&limit=)
+// @route   GET /api/vendor/analytics/refunds
+// @access  Private (vendor)
+const getRefundRates = vendorReport(vendorAnalyticsService.refundRates);
+
+module.exports = {
+  getRevenue,
+  getProductSales,
+  getWishlistConversion,
+  getCustomerRegions,
+  getRefundRates
+};
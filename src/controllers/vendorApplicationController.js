@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const VendorApplication = require('../models/VendorApplication');
+const vendorApplicationService = require('../services/vendorApplicationService');
+
+function parsePage(query) {
+  const page = Math.max(parseInt(query.page || '1', 10), 1);
+  const limit = Math.max(Math.min(parseInt(query.limit || '20', 10), 100), 1);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Base URL for signed links to locally stored documents
+function requestOrigin(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// Email the applicant where their application stands; failures are logged, not returned
+async function notifyApplicant(application) {
+  try {
+    const user = await User.findById(application.user).select('name email').lean();
+    const { sendVendorApplicationStatusEmail } = require('../email');
+    await sendVendorApplicationStatusEmail(application, user);
+  } catch (e) {
+    console.error('Vendor application email failed:', e.message);
+  }
+}
+
+// @desc    Apply to sell: business details plus KYC documents (multipart, files in "documents")
+// @route   POST /api/vendor/applications
+// @access  Private
+const submitApplication = async (req, res) => {
+  try {
+    const { status, error, application } = await vendorApplicationService.submitApplication(
+      req.user,
+      req.body || {},
+      req.files || []
+    );
+    if (error) {
+      const messages = Array.isArray(error) ? error : [error];
+      return res.status(status).json({ errors: messages.map((msg) => ({ msg })) });
+    }
+
+    await notifyApplicant(application);
+    try {
+      const { sendNewVendorApplicationEmail } = require('../email');
+      const recipients = await vendorApplicationService.reviewerEmails();
+      await sendNewVendorApplicationEmail(application, req.user, recipients);
+    } catch (e) {
+      console.error('New vendor application email failed:', e.message);
+    }
+
+    const view = await vendorApplicationService.withDocumentLinks(application, requestOrigin(req));
+    return res.status(201).json(vendorApplicationService.applicantView(view));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    The signed-in user's applications, newest first
+// @route   GET /api/vendor/applications
+// @access  Private
+const getMyApplications = async (req, res) => {
+  try {
+    const applications = await VendorApplication.find({ user: req.user._id }).sort({ createdAt: -1 }).lean();
+    const origin = requestOrigin(req);
+    const views = await Promise.all(applications.map(async (application) =>
+      vendorApplicationService.applicantView(await vendorApplicationService.withDocumentLinks(application, origin))
+    ));
+    return res.json(views);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    List applications (?status=&page=&limit=); open applications oldest first
+// @route   GET /api/admin/vendor-applications
+// @access  Private (admin)
+const adminListApplications = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePage(req.query);
+    const filter = {};
+    if (req.query.status) {
+      if (!VendorApplication.APPLICATION_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ errors: [{ msg: `Status must be one of: ${VendorApplication.APPLICATION_STATUSES.join(', ')}` }] });
+      }
+      filter.status = req.query.status;
+    }
+    const oldestFirst = VendorApplication.OPEN_APPLICATION_STATUSES.includes(filter.status);
+
+    const [applications, total] = await Promise.all([
+      VendorApplication.find(filter)
+        .select('-notes -documents.key')
+        .populate('user', ['name', 'email'])
+        .sort({ createdAt: oldestFirst ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      VendorApplication.countDocuments(filter)
+    ]);
+    return res.json({
+      applications,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    One application with signed document links and review notes
+// @route   GET /api/admin/vendor-applications/:id
+// @access  Private (admin)
+const adminGetApplication = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid application ID' }] });
+    }
+    const application = await VendorApplication.findById(req.params.id)
+      .populate('user', ['name', 'email', 'role', 'approved'])
+      .populate('reviewedBy', ['name', 'email'])
+      .populate('notes.author', ['name', 'email'])
+      .lean();
+    if (!application) return res.status(404).json({ errors: [{ msg: 'Application not found' }] });
+    return res.json(await vendorApplicationService.withDocumentLinks(application, requestOrigin(req)));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Move an application to in_review, approved or rejected ({ status, note, reason }); emails the applicant
+// @route   PATCH /api/admin/vendor-applications/:id/status
+// @access  Private (admin)
+const adminUpdateApplicationStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid application ID' }] });
+    }
+    const { status, note, reason } = req.body || {};
+    if (!VendorApplication.APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ errors: [{ msg: `Status must be one of: ${VendorApplication.APPLICATION_STATUSES.join(', ')}` }] });
+    }
+    const application = await VendorApplication.findById(req.params.id);
+    if (!application) return res.status(404).json({ errors: [{ msg: 'Application not found' }] });
+
+    const { error } = await vendorApplicationService.changeStatus(application, status, {
+      reviewer: req.user._id,
+      note,
+      reason
+    });
+    if (error) return res.status(400).json({ errors: [{ msg: error }] });
+
+    await notifyApplicant(application);
+    return res.json(await vendorApplicationService.withDocumentLinks(application, requestOrigin(req)));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Add an internal review note ({ note })
+// @route   POST /api/admin/vendor-applications/:id/notes
+// @access  Private (admin)
+const adminAddApplicationNote = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid application ID' }] });
+    }
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+    if (!note) return res.status(400).json({ errors: [{ msg: 'Note is required' }] });
+    if (note.length > 2000) return res.status(400).json({ errors: [{ msg: 'Note must be at most 2000 characters' }] });
+
+    const application = await VendorApplication.findByIdAndUpdate(
+      req.params.id,
+      { $push: { notes: { author: req.user._id, note } } },
+      { new: true, runValidators: true }
+    ).populate('notes.author', ['name', 'email']).lean();
+    if (!application) return res.status(404).json({ errors: [{ msg: 'Application not found' }] });
+    return res.status(201).json(application.notes);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  submitApplication,
+  getMyApplications,
+  adminListApplications,
+  adminGetApplication,
+  adminUpdateApplicationStatus,
+  adminAddApplicationNote
+};
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { Order, OrderItem } = require('../models/Order');
+const vendorService = require('../services/vendorService');
+
+const FILTER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Orders with a group of this seller, with only that group's items attached
+async function vendorOrders(filter, vendorId, { skip = 0, limit = 0 } = {}) {
+  const orders = await Order.find(filter)
+    .select('orderNumber status paymentStatus orderDate createdAt buyer shippingAddress deliveryMethod notes fulfillments')
+    .populate('buyer', ['name'])
+    .populate('shippingAddress')
+    .populate('deliveryMethod', ['name'])
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const itemIds = orders.flatMap((order) => order.fulfillments
+    .filter((group) => group.vendor && group.vendor.toString() === vendorId.toString())
+    .flatMap((group) => group.items));
+  const items = await OrderItem.find({ _id: { $in: itemIds } })
+    .populate('product', ['name', 'slug', 'images', 'sku'])
+    .lean();
+  return orders.map((order) => vendorService.vendorOrderView(order, vendorId, items)).filter(Boolean);
+}
+
+// @desc    Orders with the seller's products (filter with ?status= of their fulfilment group)
+// @route   GET /api/vendor/orders
+// @access  Private (vendor)
+const listVendorOrders = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.max(Math.min(parseInt(req.query.limit || '20', 10), 100), 1);
+    const { status } = req.query;
+    if (status && !FILTER_STATUSES.includes(status)) {
+      return res.status(400).json({ errors: [{ msg: `Status must be one of: ${FILTER_STATUSES.join(', ')}` }] });
+    }
+
+    const filter = {
+      status: { $nin: vendorService.HIDDEN_ORDER_STATUSES },
+      fulfillments: { $elemMatch: { vendor: req.user._id, ...(status && { status }) } }
+    };
+    const [orders, total] = await Promise.all([
+      vendorOrders(filter, req.user._id, { skip: (page - 1) * limit, limit }),
+      Order.countDocuments(filter)
+    ]);
+
+    return res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    One order, with the seller's items only
+// @route   GET /api/vendor/orders/:id
+// @access  Private (vendor)
+const getVendorOrder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid order ID' }] });
+    }
+    const [order] = await vendorOrders({
+      _id: req.params.id,
+      status: { $nin: vendorService.HIDDEN_ORDER_STATUSES },
+      'fulfillments.vendor': req.user._id
+    }, req.user._id);
+    if (!order) return res.status(404).json({ errors: [{ msg: 'Order not found' }] });
+    return res.json(order);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+// @desc    Update the seller's fulfilment group: status (processing|shipped|delivered) and tracking number
+// @route   PATCH /api/vendor/orders/:id/fulfillment
+// @access  Private (vendor)
+const updateVendorFulfillment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ errors: [{ msg: 'Invalid order ID' }] });
+    }
+    const order = await Order.findOne({
+      _id: req.params.id,
+      status: { $nin: vendorService.HIDDEN_ORDER_STATUSES },
+      'fulfillments.vendor': req.user._id
+    });
+    if (!order) return res.status(404).json({ errors: [{ msg: 'Order not found' }] });
+
+    const group = order.fulfillments.find((entry) => entry.vendor && entry.vendor.equals(req.user._id));
+    const { error } = await vendorService.updateFulfillment(order, group, {
+      status: req.body?.status,
+      trackingNumber: req.body?.trackingNumber
+    });
+    if (error) return res.status(400).json({ errors: [{ msg: error }] });
+    await order.save();
+
+    const [view] = await vendorOrders({ _id: order._id }, req.user._id);
+    return res.json(view);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ errors: [{ msg: 'Server error' }] });
+  }
+};
+
+module.exports = {
+  listVendorOrders,
+  getVendorOrder,
+  updateVendorFulfillment
+};
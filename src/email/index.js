@@ -1,15 +1,36 @@
 /**
- * Email module: order confirmation and order status change.
+ * Email module: order confirmation, order status change, the low-stock digest, answered product questions
+ * and vendor application updates.
  * All templates and Resend config live under src/email/.
  */
 const { sendEmail } = require('./utils/sendEmail');
 const { getOrderConfirmationHtml } = require('./templates/orderConfirmation');
 const { getOrderStatusChangeHtml, STATUS_LABELS } = require('./templates/orderStatusChange');
+const { getLowStockDigestHtml } = require('./templates/lowStockDigest');
+const { getQuestionAnsweredHtml } = require('./templates/questionAnswered');
+const {
+  getVendorApplicationStatusSubject,
+  getVendorApplicationStatusHtml,
+  getNewVendorApplicationHtml
+} = require('./templates/vendorApplication');
 const { appName } = require('./config');
+const { OrderItem } = require('../models/Order');
+
+// The order's items: populated on the order, or loaded by order ID
+async function orderItems(order) {
+  if (order.items?.length && order.items[0]?.productName !== undefined) return order.items;
+  try {
+    return await OrderItem.find({ order: order._id }).lean();
+  } catch (err) {
+    console.error(`Error loading items of order ${order._id} for email:`, err.message);
+    return [];
+  }
+}
 
 /**
  * Send order confirmation email (when order is paid).
- * @param {Object} order - Order doc with buyer populated { email, name }, orderNumber, totalAmount, currency
+ * @param {Object} order - Order doc with buyer populated { email, name }, orderNumber, totalAmount, currency;
+ *   items are loaded when not populated
  */
 async function sendOrderConfirmationEmail(order) {
   const buyer = order.buyer || {};
@@ -21,7 +42,8 @@ async function sendOrderConfirmationEmail(order) {
     buyerName: buyer.name,
     totalAmount: order.totalAmount,
     currency: order.currency,
-    orderId: order._id?.toString()
+    orderId: order._id?.toString(),
+    items: await orderItems(order)
   });
 
   return sendEmail({
@@ -50,7 +72,9 @@ async function sendOrderStatusChangeEmail(order, newStatus, previousStatus) {
     buyerName: buyer.name,
     newStatus: statusLower,
     trackingNumber: order.trackingNumber,
-    orderId: order._id?.toString()
+    orderId: order._id?.toString(),
+    items: await orderItems(order),
+    currency: order.currency
   });
 
   return sendEmail({
@@ -60,11 +84,110 @@ async function sendOrderStatusChangeEmail(order, newStatus, previousStatus) {
   });
 }
 
+/**
+ * Send the low-stock digest to ops.
+ * @param {Array} items - Lines from lowStockService.findLowStockItems
+ * @param {Object} summary - { total, out_of_stock, reorder, low }
+ * @param {string[]} recipients
+ */
+async function sendLowStockDigestEmail(items, summary, recipients) {
+  if (!recipients || recipients.length === 0) return { success: false, error: 'No recipients' };
+
+  return sendEmail({
+    to: recipients,
+    subject: `Low stock: ${summary.total} item(s) – ${appName}`,
+    html: getLowStockDigestHtml({ items, summary })
+  });
+}
+
+/**
+ * Tell a shopper their product question was answered.
+ * @param {Object} question - ProductQuestion with user ({ email, name }) and product ({ name, slug }) populated
+ * @param {Object} answer - The new answer ({ text })
+ */
+async function sendQuestionAnsweredEmail(question, answer) {
+  const asker = question.user || {};
+  if (!asker.email) return { success: false, error: 'No asker email' };
+
+  const product = question.product || {};
+  const productUrl = process.env.FRONTEND_URL && product.slug
+    ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/products/${encodeURIComponent(product.slug)}`
+    : null;
+
+  return sendEmail({
+    to: asker.email,
+    subject: `Your question about ${product.name || 'a product'} was answered – ${appName}`,
+    html: getQuestionAnsweredHtml({
+      askerName: asker.name,
+      productName: product.name,
+      productUrl,
+      question: question.question,
+      answer: answer.text
+    })
+  });
+}
+
+// Link into the frontend, when FRONTEND_URL is set
+function frontendLink(path) {
+  return process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}${path}` : null;
+}
+
+/**
+ * Tell an applicant where their vendor application stands (submitted, in_review, approved, rejected).
+ * @param {Object} application - VendorApplication ({ businessName, status, rejectionReason })
+ * @param {Object} user - Applicant { email, name }
+ */
+async function sendVendorApplicationStatusEmail(application, user) {
+  if (!user?.email) return { success: false, error: 'No applicant email' };
+
+  return sendEmail({
+    to: user.email,
+    subject: `${getVendorApplicationStatusSubject(application.status)} – ${appName}`,
+    html: getVendorApplicationStatusHtml({
+      name: user.name,
+      businessName: application.businessName,
+      status: application.status,
+      reason: application.rejectionReason,
+      dashboardUrl: frontendLink(application.status === 'approved' ? '/vendor' : '/vendor/application')
+    })
+  });
+}
+
+/**
+ * Tell reviewers a vendor application was submitted.
+ * @param {Object} application - VendorApplication ({ _id, businessName, documents })
+ * @param {Object} user - Applicant { email, name }
+ * @param {string[]} recipients
+ */
+async function sendNewVendorApplicationEmail(application, user, recipients) {
+  if (!recipients || recipients.length === 0) return { success: false, error: 'No recipients' };
+
+  return sendEmail({
+    to: recipients,
+    subject: `New seller application: ${application.businessName} – ${appName}`,
+    html: getNewVendorApplicationHtml({
+      businessName: application.businessName,
+      applicantName: user?.name,
+      applicantEmail: user?.email,
+      documentCount: application.documents?.length,
+      reviewUrl: frontendLink(`/admin/vendor-applications/${application._id}`)
+    })
+  });
+}
+
 module.exports = {
   sendOrderConfirmationEmail,
   sendOrderStatusChangeEmail,
+  sendLowStockDigestEmail,
+  sendQuestionAnsweredEmail,
+  sendVendorApplicationStatusEmail,
+  sendNewVendorApplicationEmail,
   sendEmail,
   getOrderConfirmationHtml,
   getOrderStatusChangeHtml,
+  getLowStockDigestHtml,
+  getQuestionAnsweredHtml,
+  getVendorApplicationStatusHtml,
+  getNewVendorApplicationHtml,
   STATUS_LABELS
 };
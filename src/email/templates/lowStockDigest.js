@@ -0,0 +1,79 @@
+/**
+ * Low-stock digest email for ops (products and variants at or below their threshold).
+ * Uses ABSCOTEK scheme: primary #FF5059, dark bg #1F1F21.
+ */
+const { appName } = require('../config');
+
+const LOW_STOCK_LABELS = {
+  out_of_stock: 'Out of stock',
+  reorder: 'Reorder',
+  low: 'Low'
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getLowStockDigestHtml({ items, summary }) {
+  const rows = items.map((item) => {
+    const name = item.variantName ? `${item.name} – ${item.variantName}` : item.name;
+    const color = item.status === 'out_of_stock' ? '#FF5059' : '#dedede';
+    return `
+                <tr>
+                  <td style="color: #dedede; font-size: 14px; border-top: 1px solid #3A3A3C;">${escapeHtml(name)}${item.sku ? `<br><span style="color: #6a6a6a; font-size: 12px;">${escapeHtml(item.sku)}</span>` : ''}</td>
+                  <td align="right" style="color: ${color}; font-size: 14px; font-weight: 600; border-top: 1px solid #3A3A3C;">${item.stock}</td>
+                  <td align="right" style="color: #9a9a9a; font-size: 13px; border-top: 1px solid #3A3A3C;">${item.reorderPoint ?? '—'} / ${item.lowStockThreshold}</td>
+                  <td align="right" style="color: ${color}; font-size: 13px; border-top: 1px solid #3A3A3C;">${LOW_STOCK_LABELS[item.status]}</td>
+                </tr>`;
+  }).join('');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Low stock - ${appName}</title>
+</head>
+<body style="margin:0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1F1F21;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#1F1F21;">
+    <tr>
+      <td align="center" style="padding: 32px 16px;">
+        <table role="presentation" width="100%" style="max-width: 640px; border: 1px solid #2C2C2E; border-radius: 12px; overflow: hidden;">
+          <tr>
+            <td style="background: #2A2A2C; padding: 24px 24px 20px; border-bottom: 2px solid #FF5059;">
+              <h1 style="margin:0; font-size: 22px; font-weight: 700; color: #FF5059; letter-spacing: 0.02em;">${appName}</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 28px 24px; color: #dedede;">
+              <p style="margin:0 0 8px; font-size: 16px; line-height: 1.5;">${summary.total} item(s) need attention.</p>
+              <p style="margin:0 0 20px; font-size: 14px; color: #9a9a9a;">Out of stock: ${summary.out_of_stock} · Reorder: ${summary.reorder} · Low: ${summary.low}</p>
+              <table role="presentation" width="100%" cellpadding="10" cellspacing="0" style="background: #2C2C2E; border-radius: 8px;">
+                <tr>
+                  <td style="color: #9a9a9a; font-size: 12px;">Product</td>
+                  <td align="right" style="color: #9a9a9a; font-size: 12px;">Stock</td>
+                  <td align="right" style="color: #9a9a9a; font-size: 12px;">Reorder / Low at</td>
+                  <td align="right" style="color: #9a9a9a; font-size: 12px;">Status</td>
+                </tr>${rows}
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 16px 24px; background: #2A2A2C; border-top: 1px solid #2C2C2E;">
+              <p style="margin:0; font-size: 12px; color: #6a6a6a;">&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+module.exports = { getLowStockDigestHtml, LOW_STOCK_LABELS };
@@ -3,8 +3,9 @@
  * Uses ABSCOTEK scheme: primary #FF5059, dark bg #1F1F21.
  */
 const { appName } = require('../config');
+const { getOrderItemsHtml } = require('./orderItems');
 
-function getOrderConfirmationHtml({ orderNumber, buyerName, totalAmount, currency, orderId }) {
+function getOrderConfirmationHtml({ orderNumber, buyerName, totalAmount, currency, orderId, items }) {
   const name = buyerName || 'Customer';
   const amount = typeof totalAmount === 'number' ? totalAmount.toLocaleString() : totalAmount;
   const orderRef = orderNumber || orderId || '—';
@@ -40,7 +41,7 @@ function getOrderConfirmationHtml({ orderNumber, buyerName, totalAmount, currenc
                   <td style="color: #9a9a9a; font-size: 14px;">Total</td>
                   <td align="right" style="color: #FF5059; font-size: 18px; font-weight: 600;">${amount} ${currency || 'USD'}</td>
                 </tr>
-              </table>
+              </table>${getOrderItemsHtml(items, currency)}
               <p style="margin: 24px 0 0; font-size: 14px; color: #9a9a9a;">Thank you for shopping with us.</p>
             </td>
           </tr>
@@ -0,0 +1,49 @@
+/**
+ * Item list shared by the order emails. Bundles list what they contain under the bundle line.
+ * Uses ABSCOTEK scheme: primary #FF5059, dark bg #1F1F21.
+ */
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function bundleContentsHtml(item) {
+  if (!item.bundleItems?.length) return '';
+  return item.bundleItems.map((component) => {
+    const name = component.variantName ? `${component.productName} – ${component.variantName}` : component.productName;
+    return `<br><span style="color: #9a9a9a; font-size: 12px;">${component.quantity * item.quantity} × ${escapeHtml(name)}</span>`;
+  }).join('');
+}
+
+/**
+ * @param {Array} items - Order items ({ productName, variant, quantity, totalPrice, bundleItems })
+ * @param {string} [currency]
+ * @returns {string} A table, or '' when there are no items
+ */
+function getOrderItemsHtml(items, currency) {
+  if (!items || items.length === 0) return '';
+
+  const rows = items.map((item) => {
+    const name = item.variant?.name ? `${item.productName} – ${item.variant.name}` : item.productName;
+    const total = typeof item.totalPrice === 'number' ? item.totalPrice.toLocaleString() : item.totalPrice;
+    return `
+                <tr>
+                  <td style="color: #dedede; font-size: 14px; border-top: 1px solid #3A3A3C;">${item.quantity} × ${escapeHtml(name || 'Item')}${bundleContentsHtml(item)}</td>
+                  <td align="right" valign="top" style="color: #dedede; font-size: 14px; border-top: 1px solid #3A3A3C;">${total ?? ''} ${escapeHtml(item.currency || currency || '')}</td>
+                </tr>`;
+  }).join('');
+
+  return `
+              <table role="presentation" width="100%" cellpadding="10" cellspacing="0" style="margin-top: 20px; background: #2C2C2E; border-radius: 8px;">
+                <tr>
+                  <td style="color: #9a9a9a; font-size: 12px;">Items</td>
+                  <td align="right" style="color: #9a9a9a; font-size: 12px;">Total</td>
+                </tr>${rows}
+              </table>`;
+}
+
+module.exports = { getOrderItemsHtml };
@@ -3,6 +3,7 @@
  * Uses ABSCOTEK scheme: primary #FF5059, dark #1F1F21.
  */
 const { appName } = require('../config');
+const { getOrderItemsHtml } = require('./orderItems');
 
 const STATUS_LABELS = {
   processing: 'Processing',
@@ -10,7 +11,7 @@ const STATUS_LABELS = {
   delivered: 'Delivered'
 };
 
-function getOrderStatusChangeHtml({ orderNumber, buyerName, newStatus, trackingNumber, orderId }) {
+function getOrderStatusChangeHtml({ orderNumber, buyerName, newStatus, trackingNumber, orderId, items, currency }) {
   const name = buyerName || 'Customer';
   const label = STATUS_LABELS[newStatus] || newStatus;
   const orderRef = orderNumber || orderId || '—';
@@ -50,7 +51,7 @@ function getOrderStatusChangeHtml({ orderNumber, buyerName, newStatus, trackingN
                   <td style="color: #9a9a9a; font-size: 14px;">New status</td>
                   <td align="right" style="color: #FF5059; font-size: 16px; font-weight: 600;">${label}</td>
                 </tr>
-              </table>
+              </table>${getOrderItemsHtml(items, currency)}
               ${extra}
             </td>
           </tr>
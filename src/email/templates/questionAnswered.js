@@ -0,0 +1,72 @@
+/**
+ * Email to a shopper when their product question is answered.
+ * Uses ABSCOTEK scheme: primary #FF5059, dark bg #1F1F21.
+ */
+const { appName } = require('../config');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getQuestionAnsweredHtml({ askerName, productName, productUrl, question, answer }) {
+  const name = askerName || 'Customer';
+  const link = productUrl
+    ? `<p style="margin: 20px 0 0; font-size: 14px;"><a href="${escapeHtml(productUrl)}" style="color: #FF5059;">View the product</a></p>`
+    : '';
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your question was answered - ${appName}</title>
+</head>
+<body style="margin:0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1F1F21;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#1F1F21;">
+    <tr>
+      <td align="center" style="padding: 32px 16px;">
+        <table role="presentation" width="100%" style="max-width: 560px; border: 1px solid #2C2C2E; border-radius: 12px; overflow: hidden;">
+          <tr>
+            <td style="background: #2A2A2C; padding: 24px 24px 20px; border-bottom: 2px solid #FF5059;">
+              <h1 style="margin:0; font-size: 22px; font-weight: 700; color: #FF5059; letter-spacing: 0.02em;">${appName}</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 28px 24px; color: #dedede;">
+              <p style="margin:0 0 16px; font-size: 16px; line-height: 1.5;">Hi ${escapeHtml(name)},</p>
+              <p style="margin:0 0 20px; font-size: 16px; line-height: 1.5;">Your question about <strong>${escapeHtml(productName)}</strong> has been answered.</p>
+              <table role="presentation" width="100%" cellpadding="12" cellspacing="0" style="background: #2C2C2E; border-radius: 8px;">
+                <tr>
+                  <td style="color: #9a9a9a; font-size: 12px;">Your question</td>
+                </tr>
+                <tr>
+                  <td style="color: #dedede; font-size: 14px; line-height: 1.5;">${escapeHtml(question)}</td>
+                </tr>
+                <tr>
+                  <td style="color: #9a9a9a; font-size: 12px; border-top: 1px solid #3A3A3C;">Answer</td>
+                </tr>
+                <tr>
+                  <td style="color: #dedede; font-size: 14px; line-height: 1.5;">${escapeHtml(answer)}</td>
+                </tr>
+              </table>${link}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 16px 24px; background: #2A2A2C; border-top: 1px solid #2C2C2E;">
+              <p style="margin:0; font-size: 12px; color: #6a6a6a;">&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+module.exports = { getQuestionAnsweredHtml };
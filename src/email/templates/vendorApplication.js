@@ -0,0 +1,123 @@
+/**
+ * Vendor application emails: status updates to the applicant and new applications to reviewers.
+ * Uses ABSCOTEK scheme: primary #FF5059, dark bg #1F1F21.
+ */
+const { appName } = require('../config');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const STATUS_MESSAGES = {
+  submitted: {
+    subject: 'We received your seller application',
+    body: 'Thanks for applying to sell on {app}. We will review your business details and documents and let you know the outcome by email.'
+  },
+  in_review: {
+    subject: 'Your seller application is being reviewed',
+    body: 'Our team has started reviewing your application. We may contact you if we need anything else.'
+  },
+  approved: {
+    subject: 'Your seller application was approved',
+    body: 'Your application was approved. You can now list and publish products on {app}.'
+  },
+  rejected: {
+    subject: 'Your seller application was not approved',
+    body: 'We could not approve your application. You are welcome to apply again once the points below are addressed.'
+  }
+};
+
+function layout(title, content) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - ${appName}</title>
+</head>
+<body style="margin:0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1F1F21;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#1F1F21;">
+    <tr>
+      <td align="center" style="padding: 32px 16px;">
+        <table role="presentation" width="100%" style="max-width: 560px; border: 1px solid #2C2C2E; border-radius: 12px; overflow: hidden;">
+          <tr>
+            <td style="background: #2A2A2C; padding: 24px 24px 20px; border-bottom: 2px solid #FF5059;">
+              <h1 style="margin:0; font-size: 22px; font-weight: 700; color: #FF5059; letter-spacing: 0.02em;">${appName}</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 28px 24px; color: #dedede;">${content}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 16px 24px; background: #2A2A2C; border-top: 1px solid #2C2C2E;">
+              <p style="margin:0; font-size: 12px; color: #6a6a6a;">&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+function link(url, label) {
+  return url
+    ? `\n              <p style="margin: 20px 0 0; font-size: 14px;"><a href="${escapeHtml(url)}" style="color: #FF5059;">${label}</a></p>`
+    : '';
+}
+
+function getVendorApplicationStatusSubject(status) {
+  return (STATUS_MESSAGES[status] || STATUS_MESSAGES.submitted).subject;
+}
+
+function getVendorApplicationStatusHtml({ name, businessName, status, reason, dashboardUrl }) {
+  const message = STATUS_MESSAGES[status] || STATUS_MESSAGES.submitted;
+  const reasonBlock = status === 'rejected' && reason
+    ? `
+              <table role="presentation" width="100%" cellpadding="12" cellspacing="0" style="background: #2C2C2E; border-radius: 8px;">
+                <tr>
+                  <td style="color: #9a9a9a; font-size: 12px;">Reason</td>
+                </tr>
+                <tr>
+                  <td style="color: #dedede; font-size: 14px; line-height: 1.5;">${escapeHtml(reason)}</td>
+                </tr>
+              </table>`
+    : '';
+
+  return layout(message.subject, `
+              <p style="margin:0 0 16px; font-size: 16px; line-height: 1.5;">Hi ${escapeHtml(name || 'there')},</p>
+              <p style="margin:0 0 8px; font-size: 14px; color: #9a9a9a;">Application for <strong style="color: #dedede;">${escapeHtml(businessName)}</strong></p>
+              <p style="margin:0 0 20px; font-size: 16px; line-height: 1.5;">${escapeHtml(message.body.replace('{app}', appName))}</p>${reasonBlock}${link(dashboardUrl, status === 'approved' ? 'Go to your seller dashboard' : 'View your application')}`);
+}
+
+function getNewVendorApplicationHtml({ businessName, applicantName, applicantEmail, documentCount, reviewUrl }) {
+  return layout('New seller application', `
+              <p style="margin:0 0 20px; font-size: 16px; line-height: 1.5;">A new seller application is waiting for review.</p>
+              <table role="presentation" width="100%" cellpadding="8" cellspacing="0" style="background: #2C2C2E; border-radius: 8px; font-size: 14px;">
+                <tr>
+                  <td style="color: #9a9a9a;">Business</td>
+                  <td style="color: #dedede;">${escapeHtml(businessName)}</td>
+                </tr>
+                <tr>
+                  <td style="color: #9a9a9a;">Applicant</td>
+                  <td style="color: #dedede;">${escapeHtml(applicantName)} (${escapeHtml(applicantEmail)})</td>
+                </tr>
+                <tr>
+                  <td style="color: #9a9a9a;">Documents</td>
+                  <td style="color: #dedede;">${Number(documentCount) || 0}</td>
+                </tr>
+              </table>${link(reviewUrl, 'Review the application')}`);
+}
+
+module.exports = {
+  getVendorApplicationStatusSubject,
+  getVendorApplicationStatusHtml,
+  getNewVendorApplicationHtml
+};
@@ -0,0 +1,26 @@
+const cron = require('node-cron');
+const { sendLowStockDigest } = require('../services/lowStockService');
+
+const LOW_STOCK_DIGEST_CRON = process.env.LOW_STOCK_DIGEST_CRON || '0 8 * * *';
+
+/**
+ * Low Stock Alert Job
+ * Runs on LOW_STOCK_DIGEST_CRON (default daily at 08:00). Emails ops the products and variants
+ * at or below their low-stock threshold or reorder point.
+ */
+const lowStockAlertJob = cron.createTask(LOW_STOCK_DIGEST_CRON, async () => {
+  try {
+    const { sent, summary, error } = await sendLowStockDigest();
+    if (summary.total === 0) {
+      console.log('[LowStock] All products above their thresholds.');
+    } else if (sent) {
+      console.log(`[LowStock] Digest sent: ${summary.out_of_stock} out of stock, ${summary.reorder} to reorder, ${summary.low} low`);
+    } else {
+      console.warn(`[LowStock] ${summary.total} item(s) low but digest not sent: ${error}`);
+    }
+  } catch (error) {
+    console.error('[LowStock] Job error:', error);
+  }
+});
+
+module.exports = lowStockAlertJob;
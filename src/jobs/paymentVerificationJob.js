@@ -5,12 +5,13 @@ const Payment = require('../models/Payment');
 const Cart = require('../models/Cart');
 const User = require('../models/User');
 const { awardReferralBonus } = require('../controllers/referralController');
-const { reduceStockOnOrder } = require('../utils/stockAnalysis');
+const stockReservationService = require('../services/stockReservationService');
+const { releasePromotion } = require('../services/promotionService');
 
 const RUN_INTERVAL_MS = 30 * 1000; // 30 seconds
 
 /**
- * Mark order as paid and run all side effects (Payment record, cart, referral, stock, stop monitoring).
+ * Mark order as paid and run all side effects (Payment record, cart, referral, stock reservation, stop monitoring).
  * Called when payment is confirmed on-chain (amount or more in wallet). Sweeping is done separately by fundSweeperJob.
  * Also used by POST /api/orders/:orderId/confirm-crypto-payment after manual confirm.
  */
@@ -51,7 +52,7 @@ async function markOrderPaidAndComplete(order) {
     await awardReferralBonus(buyer._id, order.totalAmount);
   }
 
-  await reduceStockOnOrder(order);
+  await stockReservationService.commitOrderReservation(order);
   transactionMonitor.stopMonitoring(order._id.toString());
 
   try {
@@ -120,6 +121,8 @@ async function runPaymentVerification() {
             order.paymentStatus = 'failed';
             try {
               await order.save();
+              await releasePromotion(order);
+              await stockReservationService.releaseOrderReservation(order._id, 'payment_expired');
             } catch (saveErr) {
               console.error(`Error saving expired order ${order._id}:`, saveErr);
             }
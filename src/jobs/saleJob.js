@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const { syncSaleFlags } = require('../services/saleService');
+
+/**
+ * Sale Job
+ * Runs every minute. Marks sales active once they start and inactive once they end or sell out,
+ * for listings and the onSale filter; checkout checks each sale's dates and cap itself.
+ */
+const saleJob = cron.createTask('* * * * *', async () => {
+  try {
+    const { activated, expired } = await syncSaleFlags();
+    if (activated > 0 || expired > 0) {
+      console.log(`[Sale] ${activated} sale(s) started, ${expired} ended`);
+    }
+  } catch (error) {
+    console.error('[Sale] Job error:', error);
+  }
+});
+
+module.exports = saleJob;
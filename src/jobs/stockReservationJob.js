@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const { releaseExpiredReservations } = require('../services/stockReservationService');
+
+/**
+ * Stock Reservation Job
+ * Runs every minute. Puts back stock held by checkouts whose payment window has passed.
+ * Created with createTask so it only runs once server.js starts it (node-cron 4 ignores `scheduled: false`).
+ */
+const stockReservationJob = cron.createTask('* * * * *', async () => {
+  try {
+    const released = await releaseExpiredReservations();
+    if (released > 0) {
+      console.log(`[StockReservation] Released ${released} expired reservation(s)`);
+    }
+  } catch (error) {
+    console.error('[StockReservation] Job error:', error);
+  }
+});
+
+module.exports = stockReservationJob;
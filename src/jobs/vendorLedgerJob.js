@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const { syncLedger } = require('../services/commissionService');
+
+/**
+ * Vendor Ledger Job
+ * Runs every 10 minutes. Writes the vendor sales of newly paid orders to the commission ledger,
+ * so vendor statements stay current between payout batches.
+ */
+const vendorLedgerJob = cron.createTask('*/10 * * * *', async () => {
+  try {
+    const { orders, entries } = await syncLedger();
+    if (orders > 0) {
+      console.log(`[VendorLedger] Recorded ${entries} sale(s) from ${orders} order(s)`);
+    }
+  } catch (error) {
+    console.error('[VendorLedger] Job error:', error);
+  }
+});
+
+module.exports = vendorLedgerJob;
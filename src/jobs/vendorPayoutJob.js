@@ -0,0 +1,22 @@
+const cron = require('node-cron');
+const { runPayoutBatch } = require('../services/payoutService');
+
+const VENDOR_PAYOUT_CRON = process.env.VENDOR_PAYOUT_CRON || '0 9 * * 1';
+
+/**
+ * Vendor Payout Job
+ * Runs on VENDOR_PAYOUT_CRON (default Mondays at 09:00). Pays each vendor their available balance:
+ * USDC to their wallet, or a bank payout for an admin to transfer and record.
+ */
+const vendorPayoutJob = cron.createTask(VENDOR_PAYOUT_CRON, async () => {
+  try {
+    const { batch, payouts, failed, unsettled } = await runPayoutBatch();
+    if (payouts.length > 0) {
+      console.log(`[VendorPayout] ${batch}: ${payouts.length} payout(s), ${failed} failed, ${unsettled} awaiting reconciliation`);
+    }
+  } catch (error) {
+    console.error('[VendorPayout] Job error:', error);
+  }
+});
+
+module.exports = vendorPayoutJob;
@@ -175,5 +175,32 @@ module.exports.adminOrVendor = async function (req, res, next) {
   }
 };
 
+// Vendor authentication middleware (marketplace sellers)
+module.exports.vendor = async function (req, res, next) {
+  try {
+    const user = await extractUserInfo(req);
+
+    if (!user) {
+      return res.status(401).json({ 
+        errors: [{ msg: 'Authentication required' }]
+      });
+    }
+
+    if (user.role !== 'vendor') {
+      return res.status(403).json({ 
+        errors: [{ msg: 'Access denied. Vendor privileges required.' }]
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error(`${req.method} ${req.originalUrl || req.path} 500`);
+    res.status(500).json({ 
+      errors: [{ msg: 'Server error during authentication' }]
+    });
+  }
+};
+
 // Export signature verification helper
 module.exports.verifySignature = verifySignature;
@@ -28,14 +28,7 @@ async function loadExchangeRates(req, res, next) {
   } catch (err) {
     loadPromise = null;
     console.warn('loadExchangeRates:', err.message);
-    req.platformRates = currencyExchangeService.normalizeRates({
-      USDC: 1,
-      USD: 1,
-      NGN: 1500,
-      EUR: 0.92,
-      GHS: 15,
-      GHC: 15
-    });
+    req.platformRates = currencyExchangeService.normalizeRates(currencyExchangeService.DEFAULT_RATES);
     next();
   } finally {
     loadPromise = null;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+function generateSlug(value) {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Product brand. Products reference it by `brandId` and keep its name in `brand`.
+ */
+const BrandSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    slug: { type: String, unique: true, index: true },
+    logo: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => v == null || /^https?:\/\//i.test(v),
+        message: 'Logo must be a valid URL'
+      }
+    },
+    description: { type: String, default: '' },
+    // Shown first on the brand list and home page
+    featured: { type: Boolean, default: false, index: true },
+    isActive: { type: Boolean, default: true },
+    // Other spellings that resolve to this brand (names of merged brands, "apple" for Apple)
+    aliases: { type: [{ type: String, trim: true }], default: [] }
+  },
+  { timestamps: true }
+);
+
+BrandSchema.index({ name: 1 });
+BrandSchema.index({ aliases: 1 });
+
+// Generate a unique slug from the name before validation
+BrandSchema.pre('validate', async function (next) {
+  try {
+    if (!this.slug && this.name) {
+      const base = generateSlug(this.name);
+      if (!base) return next(new Error('Unable to generate slug from name'));
+      let candidate = base;
+      let suffix = 1;
+      while (await this.constructor.exists({ slug: candidate, _id: { $ne: this._id } })) {
+        suffix += 1;
+        candidate = `${base}-${suffix}`;
+      }
+      this.slug = candidate;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('Brand', BrandSchema);
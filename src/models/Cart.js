@@ -20,12 +20,25 @@ const CartItemSchema = new mongoose.Schema({
       name: { type: String },
       value: { type: String }
     }],
-    additionalPrice: { type: Number, default: 0 }
+    additionalPrice: { type: Number, default: 0 },
+    // The variant's own SKU and first image
+    sku: { type: String, default: null },
+    image: { type: String, default: null }
   },
   specs: [{
     label: { type: String },
     value: { type: String }
   }],
+  // What one bundle contains, as it was when added (bundle products only)
+  bundleItems: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    productName: { type: String, default: null },
+    variantName: { type: String, default: null },
+    sku: { type: String, default: null },
+    quantity: { type: Number, min: 1, default: 1 }
+  }],
   quantity: {
     type: Number,
     required: true,
@@ -38,7 +51,7 @@ const CartItemSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USDC', 'USD', 'NGN', 'EUR'],
+    enum: ['USDC', 'USD', 'NGN', 'EUR', 'GHS'],
     required: true
   },
   status: {
@@ -57,7 +70,7 @@ const CartSchema = new mongoose.Schema({
   items: [CartItemSchema],
   currency: {
     type: String,
-    enum: ['USDC', 'USD', 'NGN', 'EUR'],
+    enum: ['USDC', 'USD', 'NGN', 'EUR', 'GHS'],
     default: 'USDC'
   },
   subtotal: {
@@ -75,6 +88,10 @@ const CartSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  promotionCode: {
+    type: String,
+    default: null
+  },
   total: {
     type: Number,
     required: true,
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+function generateSlug(value) {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// A spec products in the category are expected to have (e.g. RAM, Storage for Smartphones)
+const SpecTemplateSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['text', 'number', 'select'], default: 'text' },
+    // Allowed values for select specs
+    options: { type: [String], default: [] },
+    unit: { type: String, default: null },
+    required: { type: Boolean, default: false },
+    // Offered as a filter in faceted search
+    filterable: { type: Boolean, default: true }
+  },
+  { _id: false }
+);
+
+/**
+ * Product category. Categories form a tree through `parent`; `ancestors` holds the path
+ * from the root (root first) so a subtree can be found with one query.
+ */
+const CategorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    slug: { type: String, unique: true, index: true },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      default: []
+    },
+    description: { type: String, default: '' },
+    image: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => v == null || /^https?:\/\//i.test(v),
+        message: 'Image must be a valid URL'
+      }
+    },
+    // Position among siblings, lowest first
+    sortOrder: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true },
+    // Other names shoppers and old links use (e.g. "phones" for Smartphones)
+    aliases: { type: [{ type: String, trim: true }], default: [] },
+    specTemplate: { type: [SpecTemplateSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+CategorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+CategorySchema.index({ ancestors: 1 });
+CategorySchema.index({ aliases: 1 });
+
+// Derive slug and ancestors before validation
+CategorySchema.pre('validate', async function (next) {
+  try {
+    const Model = this.constructor;
+
+    if (!this.slug && this.name) {
+      const base = generateSlug(this.name);
+      if (!base) return next(new Error('Unable to generate slug from name'));
+      let candidate = base;
+      let suffix = 1;
+      while (await Model.exists({ slug: candidate, _id: { $ne: this._id } })) {
+        suffix += 1;
+        candidate = `${base}-${suffix}`;
+      }
+      this.slug = candidate;
+    }
+
+    if (this.isNew || this.isModified('parent')) {
+      if (!this.parent) {
+        this.ancestors = [];
+      } else {
+        const parent = await Model.findById(this.parent).select('ancestors').lean();
+        if (!parent) return next(new Error('Parent category not found'));
+        if (parent._id.equals(this._id) || parent.ancestors.some((id) => id.equals(this._id))) {
+          return next(new Error('A category cannot be moved under itself or one of its subcategories'));
+        }
+        this.ancestors = [...parent.ancestors, parent._id];
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * Signed price snapshot of a cart, issued by POST /api/orders/quote and redeemed once by checkout.
+ * Amounts are in `currency`; unit prices in `lines` include the selected variant.
+ */
+const QuoteLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String, default: null },
+  category: { type: String, default: null },
+  variant: {
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    name: { type: String, default: null }
+  },
+  quantity: { type: Number, required: true, min: 1 },
+  // Priced at a live sale price
+  onSale: { type: Boolean, default: false },
+  // Price as listed on the cart line, before conversion
+  sourceUnitPrice: { type: Number, required: true },
+  sourceCurrency: { type: String, required: true },
+  unitPrice: { type: Number, required: true },
+  lineTotal: { type: Number, required: true }
+}, { _id: false });
+
+const CheckoutQuoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true
+  },
+  // Hash of the active cart lines; checkout rejects the quote when the cart changed
+  cartFingerprint: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['USDC', 'USD', 'NGN', 'EUR', 'GHS'],
+    required: true
+  },
+  deliveryMethod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'deliveryMethod',
+    required: true
+  },
+  shippingAddress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryAddress',
+    default: null
+  },
+  lines: [QuoteLineSchema],
+  subTotal: { type: Number, required: true },
+  deliveryFee: { type: Number, required: true },
+  discountAmount: { type: Number, default: 0 },
+  freeDelivery: { type: Boolean, default: false },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  promotionCode: { type: String, default: null },
+  taxAmount: { type: Number, default: 0 },
+  exclusiveTaxAmount: { type: Number, default: 0 },
+  taxBreakdown: { type: mongoose.Schema.Types.Mixed, default: [] },
+  totalAmount: { type: Number, required: true },
+  exchangeRate: {
+    base: { type: String, default: 'USD' },
+    rates: { type: mongoose.Schema.Types.Mixed, default: null },
+    quoteCurrency: { type: String, default: null },
+    lockedAt: { type: Date, default: null }
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Keep expired quotes for a day so checkout can say "expired" rather than "not found"
+CheckoutQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+CheckoutQuoteSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CheckoutQuote', CheckoutQuoteSchema);
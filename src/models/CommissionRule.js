@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Marketplace commission taken from vendor sales, as a percentage of the gross sale.
+ * A rule can be limited to a vendor, a category (and its subcategories) or both; the most specific
+ * active rule wins (vendor + category > vendor > category), deeper categories beating their parents.
+ * Sales no rule matches use VENDOR_COMMISSION_RATE.
+ */
+const CommissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // null applies to every vendor
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  // null applies to every category
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+CommissionRuleSchema.index({ isActive: 1, vendor: 1 });
+
+module.exports = mongoose.model('CommissionRule', CommissionRuleSchema);
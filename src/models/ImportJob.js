@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * A catalog file import running in the background (see catalogImportService). Admins poll it
+ * for progress; rows that could not be imported are listed in `rowErrors` by spreadsheet row.
+ */
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Row errors kept on the job; the counters still count every failed row
+const MAX_IMPORT_ERRORS = 1000;
+
+const ImportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: IMPORT_STATUSES,
+    default: 'queued'
+  },
+  // Products being imported (rows that could not be read are only in rowErrors)
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  created: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [{
+    _id: false,
+    // Spreadsheet row (the header is row 1)
+    row: { type: Number, default: null },
+    msg: { type: String, required: true }
+  }],
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ImportJobSchema.index({ createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', ImportJobSchema);
+ImportJob.IMPORT_STATUSES = IMPORT_STATUSES;
+ImportJob.MAX_IMPORT_ERRORS = MAX_IMPORT_ERRORS;
+
+module.exports = ImportJob;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only ledger of stock changes. Every change to Product.stock or a variant's stock
+ * records one movement, so the sum of `quantity` for a product/variant equals its stock.
+ *
+ * Types:
+ * - opening: stock that existed before the ledger started tracking the product/variant
+ * - initial: stock set when the product was created
+ * - reservation / release: stock held at checkout and put back when the hold lapses or is cancelled
+ * - sale: stock sold; quantity 0 when it was already held by a reservation
+ * - restock / adjustment: manual changes by staff
+ * - return: refunded units put back
+ */
+const MOVEMENT_TYPES = ['opening', 'initial', 'reservation', 'release', 'sale', 'restock', 'adjustment', 'return'];
+
+const InventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // null for product-level stock
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantName: {
+    type: String,
+    default: null
+  },
+  sku: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change in stock
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock of the product/variant right after this movement
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  // null for system movements (jobs, webhooks)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReservation',
+    default: null
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+InventoryMovementSchema.index({ product: 1, variantId: 1, createdAt: -1 });
+InventoryMovementSchema.index({ order: 1 });
+InventoryMovementSchema.index({ type: 1, createdAt: -1 });
+
+// Movements are never edited or removed; corrections are new movements
+InventoryMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Inventory movements are append-only'));
+  next();
+});
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  InventoryMovementSchema.pre(op, function (next) {
+    next(new Error('Inventory movements are append-only'));
+  });
+}
+
+const InventoryMovement = mongoose.model('InventoryMovement', InventoryMovementSchema);
+InventoryMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = InventoryMovement;
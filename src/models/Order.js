@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const currencyExchangeService = require('../services/currencyExchangeService');
 
 // Order Item Schema - separate collection for order items
 const OrderItemSchema = new mongoose.Schema({
@@ -21,12 +22,25 @@ const OrderItemSchema = new mongoose.Schema({
       name: { type: String },
       value: { type: String }
     }],
-    additionalPrice: { type: Number, default: 0 }
+    additionalPrice: { type: Number, default: 0 },
+    // The variant's own SKU and first image
+    sku: { type: String, default: null },
+    image: { type: String, default: null }
   },
   specs: [{
     label: { type: String },
     value: { type: String }
   }],
+  // What one bundle contains, as it was when added (bundle products only)
+  bundleItems: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    productName: { type: String, default: null },
+    variantName: { type: String, default: null },
+    sku: { type: String, default: null },
+    quantity: { type: Number, min: 1, default: 1 }
+  }],
   quantity: {
     type: Number,
     required: true,
@@ -37,6 +51,11 @@ const OrderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Bought at a sale price
+  onSale: {
+    type: Boolean,
+    default: false
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -44,7 +63,7 @@ const OrderItemSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USDC', 'USD', 'NGN', 'EUR'],
+    enum: ['USDC', 'USD', 'NGN', 'EUR', 'GHS'],
     required: true,
     default: 'USDC'
   },
@@ -53,6 +72,18 @@ const OrderItemSchema = new mongoose.Schema({
     enum: ['ordered', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
     default: 'ordered'
   },
+  // Seller of the product when ordered (null for the store's own products)
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  // Units refunded through completed refunds
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Store product image and name directly for easier access
   productImage: {
     type: String,
@@ -72,6 +103,52 @@ OrderItemSchema.pre('validate', function (next) {
   next();
 });
 
+// A seller's items by date (vendor analytics)
+OrderItemSchema.index({ vendor: 1, createdAt: -1 });
+
+
+// Items of an order shipped by one seller; vendors see and update only their own group
+const FulfillmentSchema = new mongoose.Schema({
+  // null: the store's own products
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  items: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem'
+  }],
+  // Sum of the items' totals, in the items' currency
+  subTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USDC'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  },
+  trackingNumber: {
+    type: String,
+    default: null
+  },
+  shippedAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
 
 // Main Order Schema
 const OrderSchema = new mongoose.Schema({
@@ -97,6 +174,11 @@ const OrderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   }],
+  // One group per seller, split from the items at checkout
+  fulfillments: {
+    type: [FulfillmentSchema],
+    default: []
+  },
   deliveryMethod: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'deliveryMethod',
@@ -117,11 +199,38 @@ const OrderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Per-rule tax lines for invoices; only 'exclusive' entries are added on top of the prices
+  taxBreakdown: [{
+    _id: false,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxRule',
+      default: null
+    },
+    name: { type: String },
+    taxType: { type: String },
+    rate: { type: Number },
+    mode: {
+      type: String,
+      enum: ['exclusive', 'inclusive']
+    },
+    taxableAmount: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 }
+  }],
   discountAmount: {
     type: Number,
     default: 0,
     min: 0
   },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  promotionCode: {
+    type: String,
+    default: null
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -130,9 +239,17 @@ const OrderSchema = new mongoose.Schema({
   currency: {
     type: String,
     required: true,
-    enum: ['USDC', 'USD', 'NGN', 'EUR'],
+    enum: ['USDC', 'USD', 'NGN', 'EUR', 'GHS'],
     default: 'USDC'
   },
+  // Rates locked by the pricing service when the order was quoted (units per 1 USD).
+  // subTotal, deliveryFee, discountAmount and taxAmount are in quoteCurrency.
+  exchangeRate: {
+    base: { type: String, default: 'USD' },
+    rates: { type: mongoose.Schema.Types.Mixed, default: null },
+    quoteCurrency: { type: String, default: null },
+    lockedAt: { type: Date, default: null }
+  },
   status: {
     type: String,
     required: true,
@@ -150,6 +267,17 @@ const OrderSchema = new mongoose.Schema({
     enum: ['unpaid', 'partial', 'paid', 'refunded', 'failed'],
     default: 'unpaid'
   },
+  // Sum of completed refunds, in order currency
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When the vendors' sales on this order were written to the commission ledger
+  commissionRecordedAt: {
+    type: Date,
+    default: null
+  },
   fulfillmentStatus: {
     type: String,
     enum: ['unfulfilled', 'partial', 'fulfilled'],
@@ -256,29 +384,33 @@ OrderSchema.pre('save', async function(next) {
   next();
 });
 
-// Virtual for calculated total amount in order currency
+// Virtual for calculated total amount in order currency, using the rates locked on the order
 OrderSchema.virtual('calculatedTotal').get(function() {
+  const quoteCurrency = this.exchangeRate?.quoteCurrency || this.currency;
+  const rates = this.exchangeRate?.rates || currencyExchangeService.normalizeRates(currencyExchangeService.DEFAULT_RATES);
+  const convert = (amount, from, to) => (from && from !== to
+    ? currencyExchangeService.convert(amount || 0, from, to, rates)
+    : (amount || 0));
+
   let total = 0;
 
-  // Sum all order items (already converted to order currency during creation)
-  if (this.items && this.items.length > 0) {
-    total += this.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+  // Sum order items in their own currency; fall back to subTotal when items aren't populated
+  const items = (this.items || []).filter((item) => item && item.totalPrice != null);
+  if (items.length > 0) {
+    total += items.reduce((sum, item) => sum + convert(item.totalPrice, item.currency, quoteCurrency), 0);
+  } else {
+    total += this.subTotal || 0;
   }
 
-  // Add delivery fee (convert if different currency)
-  let deliveryFee = this.deliveryFee || 0;
-  if (this.deliveryMethod && this.deliveryMethod.currency && this.deliveryMethod.currency !== this.currency) {
-    // Convert delivery fee to order currency
-    if (this.deliveryMethod.currency === 'NGN' && this.currency === 'USDC') {
-      deliveryFee = this.deliveryMethod.price / 1500;
-    } else if (this.deliveryMethod.currency === 'USDC' && this.currency === 'NGN') {
-      deliveryFee = this.deliveryMethod.price * 1500;
-    }
-  }
+  total += this.deliveryFee || 0;
 
-  total += deliveryFee;
+  // Exclusive tax is charged on top; inclusive tax is already part of the item prices
+  total += (this.taxBreakdown || [])
+    .filter((entry) => entry.mode === 'exclusive')
+    .reduce((sum, entry) => sum + (entry.taxAmount || 0), 0);
+  total -= this.discountAmount || 0;
 
-  return total;
+  return Math.max(0, convert(total, quoteCurrency, this.currency));
 });
 
 // Ensure virtual fields are serialized
@@ -290,6 +422,9 @@ OrderSchema.index({ buyer: 1, orderDate: -1 });
 OrderSchema.index({ orderNumber: 1 });
 OrderSchema.index({ status: 1 });
 OrderSchema.index({ paymentStatus: 1 });
+OrderSchema.index({ 'fulfillments.vendor': 1, createdAt: -1 });
+// Admin reports read orders by date
+OrderSchema.index({ createdAt: -1 });
 
 
 module.exports = {
@@ -18,7 +18,7 @@ const PaymentSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USDC', 'USD', 'NGN', 'EUR'],
+    enum: ['USDC', 'USD', 'NGN', 'EUR', 'GHS'],
     required: true,
     default: 'USDC'
   },
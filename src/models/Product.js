@@ -18,6 +18,43 @@ const SpecSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// One component of a bundle: a product (and variant, for products with variants) and how many go in the set
+const BundleItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: { type: Number, default: 1, min: 1 }
+  },
+  { _id: false }
+);
+
+// WebP renditions of an uploaded image (see imageService); `url` is the entry in `images`
+const ImageRenditionSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    thumbnail: { type: String, default: null },
+    medium: { type: String, default: null },
+    large: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+// A time-boxed sale price for a product or variant (see saleService)
+const SaleSchema = new mongoose.Schema(
+  {
+    price: { type: Number, required: true, min: 0 },
+    // Either end may be open
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    // "First 50 units": units sold at the sale price count towards this
+    quantityLimit: { type: Number, default: null, min: 1 },
+    soldQuantity: { type: Number, default: 0, min: 0 },
+    // Kept by saleJob for listings; checkout checks the dates and cap itself
+    active: { type: Boolean, default: false }
+  },
+  { _id: false }
+);
+
 const ProductSchema = new mongoose.Schema(
   {
     name: {
@@ -45,6 +82,9 @@ const ProductSchema = new mongoose.Schema(
       required: true,
       min: 0.01,
     },
+    // "Was" price shown crossed out next to the price
+    compareAtPrice: { type: Number, default: null, min: 0 },
+    sale: { type: SaleSchema, default: null },
     currency: {
       type: String,
       enum: ['USDC'],
@@ -68,20 +108,49 @@ const ProductSchema = new mongoose.Schema(
       ],
       default: [],
     },
+    // Renditions of the uploaded images; images added by URL have none
+    imageRenditions: { type: [ImageRenditionSchema], default: [] },
     badge: { type: String, default: null },
+    // Category name, kept in sync with categoryId (used by tax rules, promotion scopes and search)
     category: { type: String, default: null, index: true },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null, index: true },
+    // Ancestors of the category plus the category itself, so filtering by a parent finds its descendants
+    categoryPath: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }], default: [], index: true },
+    // Brand name, kept in sync with brandId
     brand: { type: String, default: null },
+    brandId: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', default: null, index: true },
+    // Marketplace seller (a vendor user); null for the store's own products
+    vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'user', default: null, index: true },
     sku: { type: String, default: null },
     specs: { type: [SpecSchema], default: [] },
     stock: { type: Number, default: 0, min: 0 },
+    // Low-stock alerting; null falls back to LOW_STOCK_DEFAULT_THRESHOLD / no reorder point.
+    // Variants use their own values when set, the product's otherwise.
+    lowStockThreshold: { type: Number, default: null, min: 0 },
+    reorderPoint: { type: Number, default: null, min: 0 },
     outOfStock: { type: Boolean, default: true },
+    // From approved reviews, kept up to date by reviewService
+    averageRating: { type: Number, default: 0, min: 0, max: 5 },
+    reviewCount: { type: Number, default: 0, min: 0 },
     published: { type: Boolean, default: true },
+    // 'bundle' products are sets of other products (e.g. phone + case + charger); their stock
+    // is whatever the components allow and is taken from the components (see bundleService)
+    type: { type: String, enum: ['simple', 'bundle'], default: 'simple', index: true },
+    bundle: {
+      items: { type: [BundleItemSchema], default: [] },
+      // Price the bundle at the components' total less this percentage; null keeps `price` as set
+      discountPercent: { type: Number, min: 0, max: 100, default: null }
+    },
     variants: [{
       name: { type: String, required: true },
       price: { type: Number, required: true, min: 0 },
+      compareAtPrice: { type: Number, default: null, min: 0 },
+      sale: { type: SaleSchema, default: null },
       currency: { type: String, enum: ['USDC'], default: 'USDC' },
       stock: { type: Number, default: 0, min: 0 },
       sku: { type: String, default: null },
+      lowStockThreshold: { type: Number, default: null, min: 0 },
+      reorderPoint: { type: Number, default: null, min: 0 },
       attributes: [{
         name: { type: String, required: true },
         value: { type: String, required: true }
@@ -106,8 +175,23 @@ const ProductSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Text index for name to support search
-ProductSchema.index({ name: 'text' });
+// Weighted text index for search (see searchService); relevance is exposed as sort=relevance
+ProductSchema.index(
+  {
+    name: 'text',
+    sku: 'text',
+    brand: 'text',
+    category: 'text',
+    'variants.name': 'text',
+    'specs.value': 'text',
+    description: 'text'
+  },
+  {
+    name: 'product_search_text',
+    weights: { name: 10, sku: 8, brand: 6, category: 4, 'variants.name': 4, 'specs.value': 3, description: 1 }
+  }
+);
+ProductSchema.index({ averageRating: -1, reviewCount: -1 });
 
 // Virtual field for first image
 ProductSchema.virtual('firstImage').get(function() {
@@ -141,6 +225,12 @@ ProductSchema.pre('validate', async function (next) {
       this.slug = candidate;
     }
 
+    // Bundles carry no stock of their own
+    if (this.type === 'bundle') {
+      this.stock = 0;
+      this.variants = [];
+    }
+
     // Derive outOfStock from stock or variants automatically
     if (this.variants && this.variants.length > 0) {
       // Calculate total stock from all variants
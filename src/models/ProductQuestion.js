@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * A shopper's question about a product, answered by admins and vendors. Questions are shown on
+ * the product once answered; hidden questions (spam, personal details) are never shown.
+ */
+const AnswerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+const ProductQuestionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 5,
+    maxlength: 500
+  },
+  answers: {
+    type: [AnswerSchema],
+    default: []
+  },
+  // When the first answer was posted; null while unanswered
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+ProductQuestionSchema.index({ product: 1, hidden: 1, answeredAt: -1 });
+ProductQuestionSchema.index({ answeredAt: 1, createdAt: -1 });
+ProductQuestionSchema.index({ user: 1, product: 1 });
+
+module.exports = mongoose.model('ProductQuestion', ProductQuestionSchema);
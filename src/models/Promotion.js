@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promotion / coupon codes applied at checkout.
+ * - percentage: value is a percent (0-100) of the eligible subtotal, optionally capped by maxDiscount
+ * - fixed: value is an amount in `currency`, converted to the order currency at checkout
+ * - free_delivery: waives the delivery fee
+ * Money fields (value for fixed, minSpend, maxDiscount) are expressed in `currency`.
+ */
+const PromotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_delivery'],
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: ['USDC', 'USD', 'NGN', 'EUR'],
+    default: 'USDC'
+  },
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Global cap across all buyers; null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Cap per buyer; null means unlimited
+  usageLimitPerUser: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty scope means the promotion applies to the whole cart
+  scope: {
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    categories: [{ type: String, trim: true }]
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
+  }
+}, {
+  timestamps: true
+});
+
+PromotionSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage promotions cannot exceed 100');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+PromotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refund of a paid order, in full or per order item.
+ * Lifecycle: requested -> approved -> processing -> completed | failed, or requested -> rejected.
+ * Failed refunds moved no money and can be approved again to retry the payout. A refund whose payout
+ * outcome is unknown stays processing, with its transactionHash once broadcast, until it is reconciled.
+ */
+const RefundItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    name: { type: String, default: null }
+  },
+  productName: { type: String, default: null },
+  quantity: { type: Number, required: true, min: 1 },
+  // Share of the amount paid for these units, in refund currency
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const RefundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  items: [RefundItemSchema],
+  // True when the refund settles everything left on the order, delivery and tax included
+  fullRefund: {
+    type: Boolean,
+    default: false
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: ['USDC', 'USD', 'NGN', 'EUR', 'GHS'],
+    required: true
+  },
+  // Payment rail the money goes back through
+  method: {
+    type: String,
+    enum: ['paystack', 'seerbit', 'crypto', 'wallet'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processing', 'completed', 'rejected', 'failed'],
+    default: 'requested'
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  // Amount actually sent through the rail (NGN for Paystack/SeerBit, USDC on-chain)
+  payoutAmount: {
+    type: Number,
+    default: null
+  },
+  payoutCurrency: {
+    type: String,
+    default: null
+  },
+  payoutAddress: {
+    type: String,
+    default: null
+  },
+  providerReference: {
+    type: String,
+    default: null
+  },
+  transactionHash: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RefundSchema.index({ status: 1, createdAt: -1 });
+RefundSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Product review. Only approved reviews are shown and count towards the product's
+ * averageRating/reviewCount; new and edited reviews wait for moderation.
+ */
+const ReviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number from 1 to 5'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: ''
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  images: {
+    type: [String],
+    default: []
+  },
+  // The buyer has a delivered order for this product
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationNote: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One review per buyer per product
+ReviewSchema.index({ product: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock held for an order between checkout and payment.
+ * Stock is taken from the product when the reservation is created; committing keeps it taken,
+ * releasing (payment expired, order cancelled) puts it back.
+ */
+const ReservationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant ID or name, as stored on the cart/order line
+  variant: { type: String, default: null },
+  productName: { type: String, default: null },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+const StockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  items: [ReservationItemSchema],
+  // Units bought at a sale price, counted against the sales' caps and given back on release
+  saleItems: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variant: { type: String, default: null },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  committedAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  releaseReason: {
+    type: String,
+    default: null
+  },
+  // Paid after the reservation lapsed and the stock had been sold meanwhile
+  oversold: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+StockReservationSchema.index({ order: 1 });
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tax rules evaluated at checkout against the shipping address and product category.
+ * - exclusive: tax is added on top of the price (rate % of the taxable amount)
+ * - inclusive: prices already contain the tax; the tax portion is extracted for the invoice only
+ * When several rules of the same taxType match a line, the most specific one wins
+ * (state + category > category > state > country-wide), so a 0% category rule acts as an exemption
+ * even where a state rule applies.
+ */
+const TaxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  taxType: {
+    type: String,
+    default: 'VAT',
+    uppercase: true,
+    trim: true
+  },
+  // ISO 3166-1 alpha-2, matches DeliveryAddress.country
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Matches DeliveryAddress.state (case-insensitive); null applies to the whole country
+  state: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // Product categories this rule is limited to; empty applies to all categories
+  categories: [{ type: String, trim: true }],
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  mode: {
+    type: String,
+    enum: ['exclusive', 'inclusive'],
+    default: 'exclusive'
+  },
+  // Whether the delivery fee is taxable under this rule (only country/state-wide rules apply to delivery)
+  appliesToDelivery: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+TaxRuleSchema.index({ country: 1, isActive: 1 });
+
+module.exports = mongoose.model('TaxRule', TaxRuleSchema);
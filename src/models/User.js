@@ -77,6 +77,11 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // USDC held on the platform: spent by USDC wallet checkouts, credited back by their refunds
+  platformBalance: {
+    type: Number,
+    default: 0
+  },
   referredBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'user'
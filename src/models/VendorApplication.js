@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user's application to sell on the marketplace, with their business details and KYC documents.
+ * Lifecycle: submitted -> in_review -> approved | rejected (submitted can be decided straight away).
+ * Approval makes the user an approved vendor; a rejected applicant can apply again.
+ */
+const APPLICATION_STATUSES = ['submitted', 'in_review', 'approved', 'rejected'];
+const OPEN_APPLICATION_STATUSES = ['submitted', 'in_review'];
+const DOCUMENT_TYPES = ['business_registration', 'tax_certificate', 'id_document', 'proof_of_address', 'bank_statement', 'other'];
+
+const ApplicationDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    default: 'other'
+  },
+  // Private storage reference from config/storage saveDocument ("driver:key"), never a public URL.
+  // Not returned by the API: reviewers and the applicant get signed URLs instead
+  key: {
+    type: String,
+    required: true
+  },
+  fileName: { type: String, default: null },
+  contentType: { type: String, default: null },
+  size: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Internal review notes; applicants only see the rejection reason
+const ReviewNoteSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  note: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  // Status the application moved to with this note, if any
+  status: {
+    type: String,
+    enum: [...APPLICATION_STATUSES, null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const VendorApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  businessName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  businessType: {
+    type: String,
+    enum: ['individual', 'company'],
+    default: 'company'
+  },
+  registrationNumber: { type: String, trim: true, default: null },
+  taxId: { type: String, trim: true, default: null },
+  contactName: { type: String, trim: true, default: null },
+  phone: { type: String, trim: true, default: null },
+  website: { type: String, trim: true, default: null },
+  address: {
+    line1: { type: String, trim: true, default: null },
+    line2: { type: String, trim: true, default: null },
+    city: { type: String, trim: true, default: null },
+    state: { type: String, trim: true, default: null },
+    country: { type: String, trim: true, uppercase: true, default: null },
+    postalCode: { type: String, trim: true, default: null }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  documents: {
+    type: [ApplicationDocumentSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'submitted'
+  },
+  notes: {
+    type: [ReviewNoteSchema],
+    default: []
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+VendorApplicationSchema.index({ user: 1, createdAt: -1 });
+VendorApplicationSchema.index({ status: 1, createdAt: 1 });
+
+VendorApplicationSchema.statics.APPLICATION_STATUSES = APPLICATION_STATUSES;
+VendorApplicationSchema.statics.OPEN_APPLICATION_STATUSES = OPEN_APPLICATION_STATUSES;
+VendorApplicationSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model('VendorApplication', VendorApplicationSchema);
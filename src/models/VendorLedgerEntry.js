@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * What a vendor earned or gave back on one order item, in USDC at the order's locked rate.
+ * - sale: the item was paid for; gross is the item total, less commission and fees
+ * - refund: units were refunded; gross and commission are reversed, fees are not
+ * net = gross - commission - fees. Entries are never edited; a payout claims the entries it pays.
+ */
+const LEDGER_ENTRY_TYPES = ['sale', 'refund'];
+
+const VendorLedgerEntrySchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null
+  },
+  productName: {
+    type: String,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USDC'
+  },
+  gross: {
+    type: Number,
+    required: true
+  },
+  commissionRate: {
+    type: Number,
+    required: true
+  },
+  commission: {
+    type: Number,
+    required: true
+  },
+  fees: {
+    type: Number,
+    default: 0
+  },
+  net: {
+    type: Number,
+    required: true
+  },
+  // The item total as charged, in the order's currency
+  orderCurrency: {
+    type: String,
+    default: null
+  },
+  orderGross: {
+    type: Number,
+    default: null
+  },
+  // Sales are held for VENDOR_PAYOUT_HOLD_DAYS in case of refunds; refunds count at once
+  availableAt: {
+    type: Date,
+    required: true
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorPayout',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One sale entry per order item, one refund entry per item of a refund
+VendorLedgerEntrySchema.index({ orderItem: 1, type: 1, refund: 1 }, { unique: true });
+VendorLedgerEntrySchema.index({ vendor: 1, createdAt: -1 });
+VendorLedgerEntrySchema.index({ vendor: 1, payout: 1, availableAt: 1 });
+
+VendorLedgerEntrySchema.statics.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = mongoose.model('VendorLedgerEntry', VendorLedgerEntrySchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * Money paid to a vendor for the ledger entries it claims.
+ * USDC payouts are sent from the main wallet to the vendor's walletAddress and end up paid or failed;
+ * bank payouts stay pending until an admin records the transfer. A failed payout moved no money and
+ * releases its entries to the next batch. A USDC payout whose transfer outcome is unknown stays
+ * processing, keeping its entries and transactionHash, until it is reconciled.
+ */
+const PAYOUT_STATUSES = ['pending', 'processing', 'paid', 'failed'];
+const PAYOUT_METHODS = ['usdc', 'bank'];
+
+const VendorPayoutSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  // Payouts created by the same run share a batch ID
+  batch: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: PAYOUT_METHODS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'pending'
+  },
+  currency: {
+    type: String,
+    default: 'USDC'
+  },
+  // Totals of the claimed entries
+  gross: {
+    type: Number,
+    default: 0
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  fees: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  walletAddress: {
+    type: String,
+    default: null
+  },
+  transactionHash: {
+    type: String,
+    default: null
+  },
+  // Bank transfer reference recorded by an admin
+  reference: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+VendorPayoutSchema.index({ vendor: 1, createdAt: -1 });
+VendorPayoutSchema.index({ status: 1, createdAt: -1 });
+
+VendorPayoutSchema.statics.PAYOUT_STATUSES = PAYOUT_STATUSES;
+VendorPayoutSchema.statics.PAYOUT_METHODS = PAYOUT_METHODS;
+
+module.exports = mongoose.model('VendorPayout', VendorPayoutSchema);
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const auth = require('../../middleware/auth');
+const {
+  listBrands,
+  getBrandById,
+  createBrand,
+  updateBrand,
+  mergeBrands,
+  deleteBrand,
+} = require('../../controllers/brandController');
+
+// Brand logo: one image up to 2MB, other file types are dropped
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, /^image\//.test(file.mimetype))
+});
+
+/**
+ * @route   GET /api/admin/brands
+ * @desc    List brands with product counts (?search=, ?active=true|false, ?featured=true)
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, listBrands);
+
+/**
+ * @route   GET /api/admin/brands/:id
+ * @desc    Get brand by ID
+ * @access  Private (admin)
+ */
+router.get('/:id', auth.admin, getBrandById);
+
+/**
+ * @route   POST /api/admin/brands
+ * @desc    Create a brand (JSON, or multipart with a `logo` file)
+ * @access  Private (admin)
+ */
+router.post('/', auth.admin, upload.single('logo'), createBrand);
+
+/**
+ * @route   PUT /api/admin/brands/:id
+ * @desc    Update a brand; a new name is applied to its products
+ * @access  Private (admin)
+ */
+router.put('/:id', auth.admin, upload.single('logo'), updateBrand);
+
+/**
+ * @route   POST /api/admin/brands/:id/merge
+ * @desc    Merge duplicate brands (body: { sources: [id|slug|name] }) into this one
+ * @access  Private (admin)
+ */
+router.post('/:id/merge', auth.admin, mergeBrands);
+
+/**
+ * @route   DELETE /api/admin/brands/:id
+ * @desc    Delete a brand that has no products
+ * @access  Private (admin)
+ */
+router.delete('/:id', auth.admin, deleteBrand);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const auth = require('../../middleware/auth');
+const {
+  listCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../../controllers/categoryController');
+
+// Category image: one image up to 5MB, other file types are dropped
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, /^image\//.test(file.mimetype))
+});
+
+/**
+ * @route   GET /api/admin/categories
+ * @desc    List categories with product counts (?tree=true to nest, ?parent=<id>|root, ?active=true|false)
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, listCategories);
+
+/**
+ * @route   GET /api/admin/categories/:id
+ * @desc    Get category by ID with its subcategories and inherited spec template
+ * @access  Private (admin)
+ */
+router.get('/:id', auth.admin, getCategoryById);
+
+/**
+ * @route   POST /api/admin/categories
+ * @desc    Create a category (JSON, or multipart with an `image` file)
+ * @access  Private (admin)
+ */
+router.post('/', auth.admin, upload.single('image'), createCategory);
+
+/**
+ * @route   PUT /api/admin/categories/:id
+ * @desc    Update a category; moving or renaming it updates its subcategories and products
+ * @access  Private (admin)
+ */
+router.put('/:id', auth.admin, upload.single('image'), updateCategory);
+
+/**
+ * @route   DELETE /api/admin/categories/:id
+ * @desc    Delete a category without subcategories (?reassignTo=<id|slug> moves its products)
+ * @access  Private (admin)
+ */
+router.delete('/:id', auth.admin, deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  listCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+} = require('../../controllers/commissionRuleController');
+
+/**
+ * @route   GET /api/admin/commission-rules
+ * @desc    List commission rules (filter with ?vendor=&active=true|false) and the default rate
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, listCommissionRules);
+
+/**
+ * @route   POST /api/admin/commission-rules
+ * @desc    Create a commission rule (vendor and/or category scoped)
+ * @access  Private (admin)
+ */
+router.post('/', auth.admin, createCommissionRule);
+
+/**
+ * @route   PUT /api/admin/commission-rules/:id
+ * @desc    Update a commission rule
+ * @access  Private (admin)
+ */
+router.put('/:id', auth.admin, updateCommissionRule);
+
+/**
+ * @route   DELETE /api/admin/commission-rules/:id
+ * @desc    Delete a commission rule
+ * @access  Private (admin)
+ */
+router.delete('/:id', auth.admin, deleteCommissionRule);
+
+module.exports = router;
@@ -6,7 +6,15 @@ const {
   adminListOrders,
   adminGetOrderById,
   adminUpdateOrder,
+  adminUpdateFulfillment,
 } = require('../../controllers/orderController');
+const {
+  adminListRefunds,
+  adminGetRefund,
+  adminApproveRefund,
+  adminReconcileRefund,
+  adminRejectRefund,
+} = require('../../controllers/refundController');
 
 /**
  * @swagger
@@ -29,6 +37,163 @@ const {
  */
 router.get('/', auth.admin, adminListOrders);
 
+/**
+ * @swagger
+ * /api/admin/orders/refunds:
+ *   get:
+ *     summary: Refund queue
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, processing, completed, rejected, failed]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [paystack, seerbit, crypto, wallet]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated refunds, newest first
+ */
+router.get('/refunds', auth.admin, adminListRefunds);
+
+/**
+ * @swagger
+ * /api/admin/orders/refunds/{refundId}:
+ *   get:
+ *     summary: Get refund by id
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Refund with order, buyer and payment
+ */
+router.get('/refunds/:refundId', auth.admin, adminGetRefund);
+
+/**
+ * @swagger
+ * /api/admin/orders/refunds/{refundId}/approve:
+ *   post:
+ *     summary: Approve a refund and pay it out
+ *     description: Sends the money back through Paystack, SeerBit, USDC from the main wallet (crypto orders) or the buyer's platform balance (wallet orders), then restocks the items and updates the order. Failed refunds can be approved again.
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               payoutAddress:
+ *                 type: string
+ *                 description: Recipient for crypto refunds (defaults to the payer)
+ *     responses:
+ *       200:
+ *         description: Refund completed
+ *       202:
+ *         description: Payout outcome unknown; refund stays processing until reconciled
+ *       409:
+ *         description: Refund is not awaiting approval
+ *       502:
+ *         description: Payout failed; refund marked failed
+ */
+router.post('/refunds/:refundId/approve', auth.admin, adminApproveRefund);
+
+/**
+ * @swagger
+ * /api/admin/orders/refunds/{refundId}/reconcile:
+ *   post:
+ *     summary: Settle a refund whose payout outcome was unknown
+ *     description: USDC refunds are settled from their transaction. For other rails, check the payout with the provider (or the buyer's platform balance) and send the outcome.
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [completed, failed]
+ *               providerReference:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund completed or failed
+ *       400:
+ *         description: Outcome required
+ *       409:
+ *         description: Refund is not processing, or its transaction is not mined yet
+ */
+router.post('/refunds/:refundId/reconcile', auth.admin, adminReconcileRefund);
+
+/**
+ * @swagger
+ * /api/admin/orders/refunds/{refundId}/reject:
+ *   post:
+ *     summary: Reject a refund request
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund rejected
+ *       409:
+ *         description: Refund is not awaiting approval
+ */
+router.post('/refunds/:refundId/reject', auth.admin, adminRejectRefund);
+
 /**
  * @swagger
  * /api/admin/orders/{id}:
@@ -85,5 +250,44 @@ router.get('/:id', auth.admin, adminGetOrderById);
  */
 router.put('/:id', auth.admin, adminUpdateOrder);
 
+/**
+ * @swagger
+ * /api/admin/orders/{id}/fulfillments/{fulfillmentId}:
+ *   patch:
+ *     summary: Update one seller's fulfilment group
+ *     description: Orders are split into one group per seller at checkout. Moving a group also moves its items; the order fulfillmentStatus follows the groups.
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: fulfillmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [processing, shipped, delivered]
+ *               trackingNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated order
+ *       400:
+ *         description: Invalid status, or the order was cancelled
+ */
+router.patch('/:id/fulfillments/:fulfillmentId', auth.admin, adminUpdateFulfillment);
+
 module.exports = router;
 
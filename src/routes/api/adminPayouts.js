@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  adminListPayouts,
+  adminGetPayout,
+  adminRunPayouts,
+  adminMarkPayoutPaid,
+  adminReconcilePayout,
+} = require('../../controllers/payoutController');
+
+/**
+ * @route   GET /api/admin/payouts
+ * @desc    Vendor payouts (?status=&method=&vendor=&batch=&page=&limit=)
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, adminListPayouts);
+
+/**
+ * @route   POST /api/admin/payouts/run
+ * @desc    Record new sales and pay every vendor with an available balance now
+ * @access  Private (admin)
+ */
+router.post('/run', auth.admin, adminRunPayouts);
+
+/**
+ * @route   GET /api/admin/payouts/:id
+ * @desc    Payout statement: the payout and the entries it paid
+ * @access  Private (admin)
+ */
+router.get('/:id', auth.admin, adminGetPayout);
+
+/**
+ * @route   POST /api/admin/payouts/:id/paid
+ * @desc    Record a bank payout as transferred ({ reference })
+ * @access  Private (admin)
+ */
+router.post('/:id/paid', auth.admin, adminMarkPayoutPaid);
+
+/**
+ * @route   POST /api/admin/payouts/:id/reconcile
+ * @desc    Settle a USDC payout whose transfer outcome was unknown ({ outcome, reference, reason })
+ * @access  Private (admin)
+ */
+router.post('/:id/reconcile', auth.admin, adminReconcilePayout);
+
+module.exports = router;
@@ -3,7 +3,16 @@ const router = express.Router();
 const { check } = require('express-validator');
 const auth = require('../../middleware/auth');
 const multer = require('multer');
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 10 } });
+const { MAX_IMAGE_BYTES } = require('../../services/imageService');
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMAGE_BYTES, files: 10 } });
+
+// Product images: too many or too large files are a 400 rather than a server error
+const uploadProductImages = (req, res, next) => upload.array('images', 10)(req, res, (err) => {
+  if (err instanceof multer.MulterError) return res.status(400).json({ errors: [{ msg: `Image upload: ${err.message}` }] });
+  return next(err);
+});
+// Catalog import: one CSV or XLSX file up to 20MB
+const catalogUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024, files: 1 } });
 
 const {
   createProduct,
@@ -14,9 +23,15 @@ const {
   deleteProduct,
   setPublishStatus,
   updateInventory,
+  getInventoryHistory,
+  getInventoryReconciliation,
+  getLowStockProducts,
   uploadImages,
   removeImage,
   bulkUpsert,
+  importProducts,
+  getImportJob,
+  exportProducts,
 } = require('../../controllers/productController');
 
 // GET /api/admin/products
@@ -25,6 +40,21 @@ router.get('/', auth.adminOrVendor, getProductsAdmin);
 // GET /api/admin/products/unpublished (must be before /:id)
 router.get('/unpublished', auth.adminOrVendor, getUnpublishedProductsAdmin);
 
+// GET /api/admin/products/low-stock (must be before /:id)
+router.get('/low-stock', auth.adminOrVendor, getLowStockProducts);
+
+// GET /api/admin/products/inventory/reconciliation (must be before /:id)
+router.get('/inventory/reconciliation', auth.admin, getInventoryReconciliation);
+
+// GET /api/admin/products/export?format=csv|xlsx (must be before /:id)
+router.get('/export', auth.admin, exportProducts);
+
+// GET /api/admin/products/import/:jobId - progress of a background import
+router.get('/import/:jobId', auth.admin, getImportJob);
+
+// POST /api/admin/products/import (multipart/form-data: file, mapping?, dryRun?)
+router.post('/import', auth.admin, catalogUpload.single('file'), importProducts);
+
 // GET /api/admin/products/:id
 router.get('/:id', auth.adminOrVendor, getProductByIdAdmin);
 
@@ -51,9 +81,12 @@ router.patch('/:id/publish', auth.adminOrVendor, setPublishStatus);
 // PATCH /api/admin/products/:id/inventory
 router.patch('/:id/inventory', auth.adminOrVendor, updateInventory);
 
+// GET /api/admin/products/:id/inventory/history
+router.get('/:id/inventory/history', auth.adminOrVendor, getInventoryHistory);
+
 // POST /api/admin/products/:id/images (multipart/form-data)
-// Uses in-memory buffers; controller can forward to cloud storage/CDN
-router.post('/:id/images', auth.adminOrVendor, upload.array('images', 10), uploadImages);
+// Files are checked, stripped of metadata and stored with WebP renditions (see imageService)
+router.post('/:id/images', auth.adminOrVendor, uploadProductImages, uploadImages);
 
 // DELETE /api/admin/products/:id/images
 router.delete('/:id/images', auth.adminOrVendor, removeImage);
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  listPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require('../../controllers/promotionController');
+
+/**
+ * @route   GET /api/admin/promotions
+ * @desc    List promotions (filter with ?active=true|false&search=)
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, listPromotions);
+
+/**
+ * @route   GET /api/admin/promotions/:id
+ * @desc    Get promotion by ID
+ * @access  Private (admin)
+ */
+router.get('/:id', auth.admin, getPromotionById);
+
+/**
+ * @route   POST /api/admin/promotions
+ * @desc    Create a promotion (percentage, fixed or free_delivery)
+ * @access  Private (admin)
+ */
+router.post('/', auth.admin, createPromotion);
+
+/**
+ * @route   PUT /api/admin/promotions/:id
+ * @desc    Update a promotion
+ * @access  Private (admin)
+ */
+router.put('/:id', auth.admin, updatePromotion);
+
+/**
+ * @route   DELETE /api/admin/promotions/:id
+ * @desc    Delete a promotion
+ * @access  Private (admin)
+ */
+router.delete('/:id', auth.admin, deletePromotion);
+
+module.exports = router;
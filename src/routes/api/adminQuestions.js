@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  adminListQuestions,
+  answerQuestion,
+  deleteAnswer,
+  setQuestionHidden,
+  adminDeleteQuestion,
+} = require('../../controllers/questionController');
+
+/**
+ * @route   GET /api/admin/questions
+ * @desc    Product questions (filter with ?status=unanswered|answered&product=&hidden=true|false)
+ * @access  Private (admin|vendor)
+ */
+router.get('/', auth.adminOrVendor, adminListQuestions);
+
+/**
+ * @route   POST /api/admin/questions/:id/answers
+ * @desc    Answer a question; the asker is emailed and the question shows on the product
+ * @access  Private (admin|vendor)
+ */
+router.post('/:id/answers', auth.adminOrVendor, answerQuestion);
+
+/**
+ * @route   DELETE /api/admin/questions/:id/answers/:answerId
+ * @desc    Delete an answer
+ * @access  Private (admin)
+ */
+router.delete('/:id/answers/:answerId', auth.admin, deleteAnswer);
+
+/**
+ * @route   PATCH /api/admin/questions/:id/hidden
+ * @desc    Hide or show a question on the product page ({ hidden: true|false })
+ * @access  Private (admin)
+ */
+router.patch('/:id/hidden', auth.admin, setQuestionHidden);
+
+/**
+ * @route   DELETE /api/admin/questions/:id
+ * @desc    Delete a question
+ * @access  Private (admin)
+ */
+router.delete('/:id', auth.admin, adminDeleteQuestion);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  getSalesReport,
+  getOrderStatusReport,
+  getPaymentMethodReport,
+  getCurrencyReport,
+  getBuyersReport,
+  getTopProductsReport,
+} = require('../../controllers/reportController');
+
+// Every report takes ?from=&to=&granularity=day|week|month (required), ?currency= and ?format=json|csv
+
+/**
+ * @route   GET /api/admin/reports/sales
+ * @desc    GMV, refunds, tax, net revenue and AOV per period
+ * @access  Private (admin)
+ */
+router.get('/sales', auth.admin, getSalesReport);
+
+/**
+ * @route   GET /api/admin/reports/order-status
+ * @desc    Orders by status per period
+ * @access  Private (admin)
+ */
+router.get('/order-status', auth.admin, getOrderStatusReport);
+
+/**
+ * @route   GET /api/admin/reports/payment-methods
+ * @desc    Orders by payment method per period
+ * @access  Private (admin)
+ */
+router.get('/payment-methods', auth.admin, getPaymentMethodReport);
+
+/**
+ * @route   GET /api/admin/reports/currencies
+ * @desc    Revenue by order currency, normalised at the platform exchange rates
+ * @access  Private (admin)
+ */
+router.get('/currencies', auth.admin, getCurrencyReport);
+
+/**
+ * @route   GET /api/admin/reports/buyers
+ * @desc    New vs returning buyers per period
+ * @access  Private (admin)
+ */
+router.get('/buyers', auth.admin, getBuyersReport);
+
+/**
+ * @route   GET /api/admin/reports/top-products
+ * @desc    Top products by revenue per period (?limit=)
+ * @access  Private (admin)
+ */
+router.get('/top-products', auth.admin, getTopProductsReport);
+
+module.exports = router;
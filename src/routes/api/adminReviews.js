@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  adminListReviews,
+  adminApproveReview,
+  adminRejectReview,
+  adminDeleteReview,
+} = require('../../controllers/reviewController');
+
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    Review moderation queue (filter with ?status=pending|approved|rejected&product=&rating=&verified=true|false)
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, adminListReviews);
+
+/**
+ * @route   POST /api/admin/reviews/:id/approve
+ * @desc    Approve a review; it is shown and counts towards the product rating
+ * @access  Private (admin)
+ */
+router.post('/:id/approve', auth.admin, adminApproveReview);
+
+/**
+ * @route   POST /api/admin/reviews/:id/reject
+ * @desc    Reject a review (optional note)
+ * @access  Private (admin)
+ */
+router.post('/:id/reject', auth.admin, adminRejectReview);
+
+/**
+ * @route   DELETE /api/admin/reviews/:id
+ * @desc    Delete a review
+ * @access  Private (admin)
+ */
+router.delete('/:id', auth.admin, adminDeleteReview);
+
+module.exports = router;
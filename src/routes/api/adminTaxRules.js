@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  listTaxRules,
+  getTaxRuleById,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+} = require('../../controllers/taxRuleController');
+
+/**
+ * @route   GET /api/admin/tax-rules
+ * @desc    List tax rules (filter with ?country=NG&active=true|false) and the statutory defaults in effect
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, listTaxRules);
+
+/**
+ * @route   GET /api/admin/tax-rules/:id
+ * @desc    Get tax rule by ID
+ * @access  Private (admin)
+ */
+router.get('/:id', auth.admin, getTaxRuleById);
+
+/**
+ * @route   POST /api/admin/tax-rules
+ * @desc    Create a tax rule (country/state/category scoped, inclusive or exclusive)
+ * @access  Private (admin)
+ */
+router.post('/', auth.admin, createTaxRule);
+
+/**
+ * @route   PUT /api/admin/tax-rules/:id
+ * @desc    Update a tax rule
+ * @access  Private (admin)
+ */
+router.put('/:id', auth.admin, updateTaxRule);
+
+/**
+ * @route   DELETE /api/admin/tax-rules/:id
+ * @desc    Delete a tax rule
+ * @access  Private (admin)
+ */
+router.delete('/:id', auth.admin, deleteTaxRule);
+
+module.exports = router;
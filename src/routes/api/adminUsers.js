@@ -47,7 +47,7 @@ router.delete('/:id', auth.admin, deleteUser);
 
 /**
  * @route   PATCH /api/admin/users/:id/approve
- * @desc    Approve or promote user (admin only)
+ * @desc    Approve or promote user (admin only); vendors need an approved vendor application
  * @access  Private (admin)
  */
 router.patch('/:id/approve', auth.admin, approveUser);
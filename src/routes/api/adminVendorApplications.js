@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  adminListApplications,
+  adminGetApplication,
+  adminUpdateApplicationStatus,
+  adminAddApplicationNote,
+} = require('../../controllers/vendorApplicationController');
+
+/**
+ * @route   GET /api/admin/vendor-applications
+ * @desc    List seller applications (filter with ?status=submitted|in_review|approved|rejected)
+ * @access  Private (admin)
+ */
+router.get('/', auth.admin, adminListApplications);
+
+/**
+ * @route   GET /api/admin/vendor-applications/:id
+ * @desc    Get an application with signed document links and review notes
+ * @access  Private (admin)
+ */
+router.get('/:id', auth.admin, adminGetApplication);
+
+/**
+ * @route   PATCH /api/admin/vendor-applications/:id/status
+ * @desc    Move an application to in_review, approved or rejected (reason required to reject)
+ * @access  Private (admin)
+ */
+router.patch('/:id/status', auth.admin, adminUpdateApplicationStatus);
+
+/**
+ * @route   POST /api/admin/vendor-applications/:id/notes
+ * @desc    Add an internal review note
+ * @access  Private (admin)
+ */
+router.post('/:id/notes', auth.admin, adminAddApplicationNote);
+
+module.exports = router;
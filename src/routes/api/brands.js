@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getBrands, getBrandBySlug } = require('../../controllers/brandController');
+
+/**
+ * @route   GET /api/brands
+ * @desc    Active brands, featured first (?featured=true for featured only)
+ * @access  Public
+ */
+router.get('/', getBrands);
+
+/**
+ * @route   GET /api/brands/:slug
+ * @desc    Brand page with its published products (paginated, listing filters and sort apply)
+ * @access  Public
+ */
+router.get('/:slug', getBrandBySlug);
+
+module.exports = router;
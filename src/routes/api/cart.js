@@ -9,6 +9,8 @@ const {
   getCartByUserId,
   updateItemQuantity,
   clearCart,
+  applyPromoCode,
+  removePromoCode,
 } = require('../../controllers/cartController');
 
 /**
@@ -308,6 +310,57 @@ router.put('/', auth, updateItemQuantity);
  */
 router.delete('/clear', auth, clearCart);
 
+/**
+ * @swagger
+ * /api/cart/promo:
+ *   post:
+ *     summary: Apply a promotion code
+ *     description: Validate a promotion code against the authenticated user's cart and preview the discounted total.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated cart with discount and a promotion summary
+ *       400:
+ *         description: Cart is empty or the code cannot be applied
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove the promotion code
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated cart without discount
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Cart not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/promo',
+  [auth, [check('code', 'Promotion code is required').not().isEmpty()]],
+  applyPromoCode
+);
+router.delete('/promo', auth, removePromoCode);
+
 router.delete('/:userId/:productId', auth, removeItemFromCart);
 
 module.exports = router;
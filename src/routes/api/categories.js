@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getCategoryTree, getCategory } = require('../../controllers/categoryController');
+
+/**
+ * @route   GET /api/categories
+ * @desc    Active categories as a tree, siblings in display order
+ * @access  Public
+ */
+router.get('/', getCategoryTree);
+
+/**
+ * @route   GET /api/categories/:idOrSlug
+ * @desc    Category with breadcrumb, subcategories and spec template
+ * @access  Public
+ */
+router.get('/:idOrSlug', getCategory);
+
+module.exports = router;
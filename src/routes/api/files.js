@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getSignedDocument } = require('../../controllers/fileController');
+
+/**
+ * @route   GET /api/files/:key
+ * @desc    Locally stored private document (vendor KYC files) through a signed, expiring link
+ * @access  Public (signed link)
+ */
+router.get('/:key', getSignedDocument);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { check } = require('express-validator');
 const auth = require('../../middleware/auth');
 const {
   createOrder,
+  createCheckoutQuote,
   checkoutFromCart,
   handlePaystackWebhook,
   handleSeerbitCallback,
@@ -20,6 +21,7 @@ const {
   checkCryptoPaymentStatus,
   confirmCryptoPayment,
 } = require('../../controllers/orderController');
+const { requestOrderRefund, getOrderRefunds } = require('../../controllers/refundController');
 
 /**
  * @swagger
@@ -76,6 +78,9 @@ const {
  *               notes:
  *                 type: string
  *                 description: Optional order notes
+ *               promoCode:
+ *                 type: string
+ *                 description: Optional promotion code (checkout falls back to the code applied on the cart)
  *     responses:
  *       200:
  *         description: The created order
@@ -152,6 +157,49 @@ router.post(
   createOrder
 );
 
+/**
+ * @swagger
+ * /api/orders/quote:
+ *   post:
+ *     summary: Quote the cart for checkout
+ *     description: Price the active cart lines, delivery fee, promotion, tax and FX rate and lock them in a signed quote that expires after CHECKOUT_QUOTE_TTL_MINUTES (default 15). Pass quoteId and signature to /api/orders/checkout to check out at these prices.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deliveryMethodId
+ *             properties:
+ *               deliveryMethodId:
+ *                 type: string
+ *                 description: ID of the delivery method
+ *               shippingAddressId:
+ *                 type: string
+ *                 description: ID of the shipping address (tax destination)
+ *               currency:
+ *                 type: string
+ *                 enum: [USDC, USD, NGN, EUR, GHS]
+ *                 description: Order currency
+ *               promoCode:
+ *                 type: string
+ *                 description: Optional promotion code (falls back to the code applied on the cart)
+ *     responses:
+ *       200:
+ *         description: The quote, with line-by-line prices, subTotal, deliveryFee, discountAmount, taxAmount, taxBreakdown, totalAmount, exchangeRate, signature and expiresAt
+ *       400:
+ *         description: Empty cart, invalid delivery method/address or promotion code
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/quote', auth, createCheckoutQuote);
+
 /**
  * @swagger
  * /api/orders/checkout:
@@ -181,6 +229,15 @@ router.post(
  *               notes:
  *                 type: string
  *                 description: Optional order notes
+ *               promoCode:
+ *                 type: string
+ *                 description: Optional promotion code (checkout falls back to the code applied on the cart)
+ *               quoteId:
+ *                 type: string
+ *                 description: Optional quote from /api/orders/quote; the order is created at the quoted prices
+ *               quoteSignature:
+ *                 type: string
+ *                 description: Signature returned with the quote (required with quoteId)
  *     responses:
  *       200:
  *         description: The created order
@@ -236,11 +293,13 @@ router.post(
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Bad request
+ *         description: Bad request or invalid quote signature
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Cart or address not found
+ *         description: Cart, address or quote not found
+ *       409:
+ *         description: Quote expired, already used, or the cart changed since it was issued
  *       500:
  *         description: Server error
  */
@@ -438,7 +497,7 @@ router.put('/:id/status', auth, updateOrderStatus);
  * /api/orders/{id}/cancel:
  *   post:
  *     summary: Cancel order and request refund
- *     description: Cancel an order and initiate refund process. Only available for orders that haven't been shipped yet.
+ *     description: Cancel an order. Paid orders get a full refund request that an admin approves from the refund queue. Only available for orders that haven't been shipped yet.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -461,6 +520,8 @@ router.put('/:id/status', auth, updateOrderStatus);
  *                   type: string
  *                 refundId:
  *                   type: string
+ *                   nullable: true
+ *                   description: Refund request id (null for unpaid orders)
  *       400:
  *         description: Order cannot be cancelled
  *       401:
@@ -474,6 +535,69 @@ router.put('/:id/status', auth, updateOrderStatus);
  */
 router.post('/:id/cancel', auth, cancelOrder);
 
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   post:
+ *     summary: Request a refund
+ *     description: Request a refund for some or all items of a paid order. Without items, everything not yet refunded is requested, delivery included. The request waits for admin approval.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund requested
+ *       400:
+ *         description: Order is not paid, cannot be refunded automatically, or invalid items
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Nothing left to refund
+ *   get:
+ *     summary: List refunds for an order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Refunds, refunded amount and payment status
+ */
+router.post('/:id/refunds', auth, requestOrderRefund);
+router.get('/:id/refunds', auth, getOrderRefunds);
+
 // Paystack webhook route (no auth required)
 router.post('/paystack/webhook', handlePaystackWebhook);
 
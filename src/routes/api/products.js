@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const auth = require('../../middleware/auth');
+const multer = require('multer');
 const {
   createProduct,
   getProducts,
+  searchProducts,
+  suggestProducts,
   getProductsAdmin,
   getProductById,
   updateProduct,
@@ -16,6 +19,24 @@ const {
   removeImage,
   bulkUpsert,
 } = require('../../controllers/productController');
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+} = require('../../controllers/reviewController');
+const {
+  getProductQuestions,
+  askQuestion,
+  deleteQuestion,
+} = require('../../controllers/questionController');
+
+// Review photos: up to 5 images, 5MB each; other file types are dropped
+const reviewUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => cb(null, /^image\//.test(file.mimetype))
+});
 
 /**
  * @swagger
@@ -88,9 +109,32 @@ router.get('/', getProducts);
  *       500:
  *         description: Server error
  */
+// Public faceted search (must be before /:id)
+router.get('/search', searchProducts);
+
+// Public autocomplete (must be before /:id)
+router.get('/suggest', suggestProducts);
+
 // Public related
 router.get('/:id/related', getRelatedProducts);
 
+// Public approved reviews with rating summary (myReview included when signed in)
+router.get('/:id/reviews', getProductReviews);
+
+// Review a product (multipart/form-data: rating, title, text, images[])
+router.post('/:id/reviews', auth, reviewUpload.array('images', 5), createReview);
+
+// Edit or delete your own review
+router.put('/:id/reviews/:reviewId', auth, reviewUpload.array('images', 5), updateReview);
+router.delete('/:id/reviews/:reviewId', auth, deleteReview);
+
+// Public answered questions (myQuestions included when signed in)
+router.get('/:id/questions', getProductQuestions);
+
+// Ask a question about a product; delete your own question
+router.post('/:id/questions', auth, askQuestion);
+router.delete('/:id/questions/:questionId', auth, deleteQuestion);
+
 // Public detail by id or slug
 router.get('/:id', getProductById);
 
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  getRevenue,
+  getProductSales,
+  getWishlistConversion,
+  getCustomerRegions,
+  getRefundRates,
+} = require('../../controllers/vendorAnalyticsController');
+
+/**
+ * @route   GET /api/vendor/analytics/revenue
+ * @desc    Revenue over time in USDC (?from=&to=&interval=day|week|month)
+ * @access  Private (vendor)
+ */
+router.get('/revenue', auth.vendor, getRevenue);
+
+/**
+ * @route   GET /api/vendor/analytics/products
+ * @desc    Units sold per product and variant (?from=&to=&limit=)
+ * @access  Private (vendor)
+ */
+router.get('/products', auth.vendor, getProductSales);
+
+/**
+ * @route   GET /api/vendor/analytics/wishlist-conversion
+ * @desc    Share of shoppers with a product on their wishlist who bought it (?from=&to=&limit=)
+ * @access  Private (vendor)
+ */
+router.get('/wishlist-conversion', auth.vendor, getWishlistConversion);
+
+/**
+ * @route   GET /api/vendor/analytics/regions
+ * @desc    Top customer regions by delivery state (?from=&to=&limit=)
+ * @access  Private (vendor)
+ */
+router.get('/regions', auth.vendor, getCustomerRegions);
+
+/**
+ * @route   GET /api/vendor/analytics/refunds
+ * @desc    Refund rates and the most refunded products (?from=&to=&limit=)
+ * @access  Private (vendor)
+ */
+router.get('/refunds', auth.vendor, getRefundRates);
+
+module.exports = router;
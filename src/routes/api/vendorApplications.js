@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const auth = require('../../middleware/auth');
+const { MAX_DOCUMENT_BYTES, MAX_DOCUMENTS } = require('../../services/vendorApplicationService');
+const {
+  submitApplication,
+  getMyApplications,
+} = require('../../controllers/vendorApplicationController');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_DOCUMENT_BYTES, files: MAX_DOCUMENTS } });
+
+// KYC documents: too many or too large files are a 400 rather than a server error
+const uploadDocuments = (req, res, next) => upload.array('documents', MAX_DOCUMENTS)(req, res, (err) => {
+  if (err instanceof multer.MulterError) return res.status(400).json({ errors: [{ msg: `Document upload: ${err.message}` }] });
+  return next(err);
+});
+
+/**
+ * @route   GET /api/vendor/applications
+ * @desc    The signed-in user's seller applications, with signed document links
+ * @access  Private
+ */
+router.get('/', auth, getMyApplications);
+
+/**
+ * @route   POST /api/vendor/applications
+ * @desc    Apply to sell (multipart: business details, address as JSON, documents[] and documentTypes)
+ * @access  Private
+ */
+router.post('/', auth, uploadDocuments, submitApplication);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  listVendorOrders,
+  getVendorOrder,
+  updateVendorFulfillment,
+} = require('../../controllers/vendorOrderController');
+
+/**
+ * @route   GET /api/vendor/orders
+ * @desc    Orders with the seller's products, showing only their own lines (?status=&page=&limit=)
+ * @access  Private (vendor)
+ */
+router.get('/', auth.vendor, listVendorOrders);
+
+/**
+ * @route   GET /api/vendor/orders/:id
+ * @desc    One order with the seller's lines and fulfilment group
+ * @access  Private (vendor)
+ */
+router.get('/:id', auth.vendor, getVendorOrder);
+
+/**
+ * @route   PATCH /api/vendor/orders/:id/fulfillment
+ * @desc    Move the seller's group to processing, shipped or delivered and set its tracking number
+ * @access  Private (vendor)
+ */
+router.patch('/:id/fulfillment', auth.vendor, updateVendorFulfillment);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const {
+  getVendorPayouts,
+  getVendorLedger,
+  getVendorPayout,
+} = require('../../controllers/payoutController');
+
+/**
+ * @route   GET /api/vendor/payouts
+ * @desc    Balance (held, available, in payout, paid) and payouts (?status=&page=&limit=)
+ * @access  Private (vendor)
+ */
+router.get('/', auth.vendor, getVendorPayouts);
+
+/**
+ * @route   GET /api/vendor/payouts/ledger
+ * @desc    Sale and refund entries with totals (?type=&from=&to=&unpaid=true&page=&limit=)
+ * @access  Private (vendor)
+ */
+router.get('/ledger', auth.vendor, getVendorLedger);
+
+/**
+ * @route   GET /api/vendor/payouts/:id
+ * @desc    Payout statement: the payout and the entries it paid
+ * @access  Private (vendor)
+ */
+router.get('/:id', auth.vendor, getVendorPayout);
+
+module.exports = router;
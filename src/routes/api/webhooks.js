@@ -5,7 +5,7 @@ const Payment = require('../../models/Payment');
 const Cart = require('../../models/Cart');
 const User = require('../../models/User');
 const { awardReferralBonus } = require('../../controllers/referralController');
-const { reduceStockOnOrder } = require('../../utils/stockAnalysis');
+const stockReservationService = require('../../services/stockReservationService');
 const blockchainPaymentService = require('../../services/blockchainPaymentService');
 const { addAlchemyContextToRequest, validateAlchemySignature } = require('../../utils/webhookUtils');
 
@@ -163,8 +163,8 @@ async function processPaymentActivity(activity) {
       await awardReferralBonus(buyer._id, order.totalAmount);
     }
 
-    // Reduce stock
-    await reduceStockOnOrder(order);
+    // Keep the stock reserved at checkout
+    await stockReservationService.commitOrderReservation(order);
 
     console.log(`Order ${order._id} payment processed successfully`);
   } catch (error) {
@@ -202,6 +202,24 @@ router.post('/payment', async (req, res) => {
       order.status = 'confirmed';
       order.paymentTransactionHash = transactionHash;
       await order.save();
+      await stockReservationService.commitOrderReservation(order);
+
+      const existingPayment = await Payment.findOne({ order: order._id });
+      if (!existingPayment) {
+        const payment = new Payment({
+          order: order._id,
+          user: order.buyer,
+          amount: order.totalAmount,
+          currency: order.currency,
+          method: 'crypto',
+          status: 'completed',
+          paymentDate: new Date(),
+          transactionHash
+        });
+        await payment.save();
+        order.payments = [payment._id];
+        await order.save();
+      }
     }
 
     res.json({ success: true, confirmations });
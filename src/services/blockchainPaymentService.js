@@ -37,7 +37,8 @@ class BlockchainPaymentService {
       'function balanceOf(address owner) view returns (uint256)',
       'function transfer(address to, uint256 amount) returns (bool)',
       'function decimals() view returns (uint8)',
-      'function symbol() view returns (string)'
+      'function symbol() view returns (string)',
+      'event Transfer(address indexed from, address indexed to, uint256 value)'
     ];
   }
 
@@ -690,6 +691,120 @@ class BlockchainPaymentService {
     const receipt = await tx.wait();
     return { success: true, transactionHash: tx.hash, receipt, amount: ethers.formatEther(amountToSend), token: 'ETH', from: paymentAddress, to: mainWalletAddress };
   }
+
+  /**
+   * Platform collection wallet (MAIN_WALLET_PRIVATE_KEY), used to pay out refunds.
+   */
+  getMainWallet() {
+    const key = process.env.MAIN_WALLET_PRIVATE_KEY;
+    if (!key) {
+      throw new Error('MAIN_WALLET_PRIVATE_KEY not set in environment');
+    }
+    const wallet = new ethers.Wallet(key, this.provider);
+    const expected = process.env.MAIN_WALLET_ADDRESS;
+    if (expected && wallet.address.toLowerCase() !== expected.toLowerCase()) {
+      throw new Error('MAIN_WALLET_PRIVATE_KEY does not match MAIN_WALLET_ADDRESS');
+    }
+    return wallet;
+  }
+
+  /**
+   * Address whose USDC a payment transaction moved to toAddress, read from its Transfer log.
+   * This is the payer even when a relayer or smart wallet submitted the transaction.
+   * @returns {Promise<string|null>} null when the transaction has no USDC transfer to toAddress
+   */
+  async getUSDCTransferSender(txHash, toAddress) {
+    if (!txHash || !toAddress) return null;
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) return null;
+    const token = this.getUSDCContractAddress().toLowerCase();
+    const erc20 = new ethers.Interface(this.erc20ABI);
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== token) continue;
+      const event = erc20.parseLog(log);
+      if (event && event.name === 'Transfer' && event.args.to.toLowerCase() === toAddress.toLowerCase()) {
+        return event.args.from;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Send USDC from the main wallet, e.g. to refund a payer.
+   * Once the transfer is broadcast the money may move even if waiting for it fails, so callers
+   * record the hash in options.onSubmitted and settle a failed wait with getTransferStatus.
+   * @param {string} toAddress - Recipient address
+   * @param {number} amount - Human-readable USDC amount
+   * @param {Object} [options]
+   * @param {Function} [options.onSubmitted] - Awaited with the transaction hash before waiting for the receipt
+   * @returns {Promise<Object>} { success, transactionHash, amount, token, from, to } or { success: false, message }
+   */
+  async sendUSDCFromMainWallet(toAddress, amount, options = {}) {
+    if (!ethers.isAddress(toAddress)) {
+      return { success: false, message: `Invalid recipient address: ${toAddress}` };
+    }
+    const mainWallet = this.getMainWallet();
+    const tokenContract = new ethers.Contract(this.getUSDCContractAddress(), this.erc20ABI, mainWallet);
+    const decimals = await tokenContract.decimals();
+    const amountRaw = ethers.parseUnits(Number(amount).toFixed(Number(decimals)), decimals);
+
+    const balanceRaw = await this.getUSDCBalanceRaw(mainWallet.address);
+    if (balanceRaw < amountRaw) {
+      return {
+        success: false,
+        message: `Main wallet has insufficient USDC (has ${ethers.formatUnits(balanceRaw, decimals)}, needs ${amount})`
+      };
+    }
+
+    const feeData = await this.provider.getFeeData();
+    const gasPrice = feeData.gasPrice || feeData.maxFeePerGas;
+    if (!gasPrice) throw new Error('Unable to get gas price');
+
+    let gasEstimate;
+    try {
+      gasEstimate = await tokenContract.transfer.estimateGas(toAddress, amountRaw);
+    } catch (error) {
+      gasEstimate = 65000n;
+    }
+
+    const gasCost = (gasEstimate * gasPrice * 120n) / 100n;
+    const nativeBalance = await this.getBalanceWei(mainWallet.address);
+    if (nativeBalance < gasCost) {
+      return {
+        success: false,
+        message: 'Main wallet has insufficient native token to cover gas fees',
+        nativeBalance: ethers.formatEther(nativeBalance),
+        gasCost: ethers.formatEther(gasCost)
+      };
+    }
+
+    console.log(`Sending ${amount} USDC from ${mainWallet.address} to ${toAddress}`);
+    const tx = await tokenContract.transfer(toAddress, amountRaw, { gasLimit: gasEstimate, gasPrice });
+    if (options.onSubmitted) await options.onSubmitted(tx.hash);
+    const receipt = await tx.wait();
+
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      receipt,
+      amount: ethers.formatUnits(amountRaw, decimals),
+      token: 'USDC',
+      from: mainWallet.address,
+      to: toAddress
+    };
+  }
+
+  /**
+   * Where a transfer we sent stands: mined and succeeded, mined and reverted (no money moved),
+   * still waiting to be mined, or unknown to the node.
+   * @returns {Promise<'confirmed'|'reverted'|'pending'|'not_found'>}
+   */
+  async getTransferStatus(txHash) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (receipt) return receipt.status === 1 ? 'confirmed' : 'reverted';
+    const tx = await this.provider.getTransaction(txHash);
+    return tx ? 'pending' : 'not_found';
+  }
 }
 
 module.exports = new BlockchainPaymentService();
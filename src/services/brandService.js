@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Product = require('../models/Product');
+
+// Escape text for use as a literal inside a RegExp
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function exactName(value) {
+  return new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i');
+}
+
+/**
+ * Find a brand by ID, slug, name or alias (names and aliases case-insensitive)
+ * @param {string} value
+ * @returns {Promise<Object|null>} Lean brand
+ */
+async function findBrand(value) {
+  if (value == null || value === '') return null;
+  const key = String(value).trim();
+  if (mongoose.Types.ObjectId.isValid(key)) {
+    const byId = await Brand.findById(key).lean();
+    if (byId) return byId;
+  }
+  const exact = exactName(key);
+  return Brand.findOne({ $or: [{ slug: key.toLowerCase() }, { name: exact }, { aliases: exact }] })
+    .sort({ isActive: -1, createdAt: 1 })
+    .lean();
+}
+
+/**
+ * Product fields for a brand: its ID and its name
+ */
+function productBrandFields(brand) {
+  if (!brand) return { brandId: null, brand: null };
+  return { brandId: brand._id, brand: brand.name };
+}
+
+/**
+ * Resolve the brand given for a product, creating it when no brand matches the name yet
+ * @param {string} value - Brand ID, slug, name or alias
+ * @returns {Promise<{ error?: string, fields?: Object }>} fields to set on the product
+ */
+async function brandForProduct(value) {
+  if (value == null || value === '') return { fields: productBrandFields(null) };
+  let brand = await findBrand(value);
+  if (!brand) {
+    if (mongoose.Types.ObjectId.isValid(String(value))) return { error: `Brand not found: ${value}` };
+    brand = (await Brand.create({ name: String(value).trim() })).toObject();
+  }
+  return { fields: productBrandFields(brand) };
+}
+
+/**
+ * Mongo condition for products of any of the given brands. Values may be IDs, slugs, names
+ * or aliases; values that match no brand fall back to the product's brand name.
+ * @param {string[]} values
+ * @returns {Promise<Object|null>} null when no values were given
+ */
+async function brandCondition(values) {
+  if (!values || values.length === 0) return null;
+  const brands = await Promise.all(values.map(findBrand));
+  const ids = brands.filter(Boolean).map((b) => b._id);
+  const names = values.filter((_, i) => !brands[i]);
+
+  const parts = [];
+  if (ids.length > 0) parts.push({ brandId: { $in: ids } });
+  if (names.length > 0) parts.push({ brand: { $in: names } });
+  return parts.length === 1 ? parts[0] : { $or: parts };
+}
+
+/**
+ * Merge duplicate brands into one: their products (and products still carrying one of their
+ * names without a brand ID) move to the target, their names become aliases of the target,
+ * and the duplicates are deleted.
+ * @param {string} targetId
+ * @param {string[]} sourceIds
+ * @returns {Promise<{ brand: Object, merged: number, productsMoved: number }|null>} null when the target does not exist
+ */
+async function mergeBrands(targetId, sourceIds) {
+  const target = await Brand.findById(targetId);
+  if (!target) return null;
+
+  const sources = await Brand.find({ _id: { $in: sourceIds, $ne: target._id } }).lean();
+  const names = [...new Set(sources.flatMap((s) => [s.name, ...s.aliases]))];
+
+  const fields = productBrandFields(target);
+  const byId = await Product.updateMany({ brandId: { $in: sources.map((s) => s._id) } }, { $set: fields });
+  const byName = await Product.updateMany(
+    { brandId: null, brand: { $in: [target.name, ...target.aliases, ...names].map(exactName) } },
+    { $set: fields }
+  );
+
+  const known = new Set([target.name, ...target.aliases].map((n) => n.toLowerCase()));
+  for (const name of names) {
+    if (!known.has(name.toLowerCase())) {
+      target.aliases.push(name);
+      known.add(name.toLowerCase());
+    }
+  }
+  if (!target.logo) target.logo = sources.find((s) => s.logo)?.logo || null;
+  if (!target.description) target.description = sources.find((s) => s.description)?.description || '';
+  target.featured = target.featured || sources.some((s) => s.featured);
+
+  await target.save();
+  await Brand.deleteMany({ _id: { $in: sources.map((s) => s._id) } });
+
+  return { brand: target, merged: sources.length, productsMoved: byId.modifiedCount + byName.modifiedCount };
+}
+
+module.exports = {
+  escapeRegex,
+  findBrand,
+  productBrandFields,
+  brandForProduct,
+  brandCondition,
+  mergeBrands
+};
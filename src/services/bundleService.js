@@ -0,0 +1,201 @@
+/**
+ * Bundles: products sold as a set of other products (phone + case + charger).
+ *
+ * A bundle has no stock of its own. Its availability is the number of complete sets the
+ * components allow, and checkout takes stock from each component, so reservations, releases
+ * and the inventory ledger only ever see real products.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { findVariant } = require('./inventoryService');
+
+const COMPONENT_FIELDS = 'name sku price stock variants type';
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function isBundle(product) {
+  return product?.type === 'bundle';
+}
+
+async function loadComponents(items, options = {}) {
+  const ids = [...new Set(items.map((item) => String(item.product?._id || item.product)))];
+  const products = await Product.find({ _id: { $in: ids } })
+    .select(COMPONENT_FIELDS)
+    .session(options.session || null)
+    .lean();
+  return new Map(products.map((p) => [p._id.toString(), p]));
+}
+
+/**
+ * Check a bundle definition and price it.
+ * Components must exist, must not be bundles themselves, and products with variants need a variant.
+ * @param {Object} bundle - { items: [{ product, variantId, quantity }], discountPercent }
+ * @param {string} [selfId] - The bundle's own ID when editing, so it cannot contain itself
+ * @returns {Promise<{ error?: string, bundle?: Object, price?: number|null }>}
+ *   `price` is the discounted components' total when discountPercent is set, null otherwise
+ */
+async function prepareBundle(bundle, selfId) {
+  const items = Array.isArray(bundle?.items) ? bundle.items : [];
+  if (items.length === 0) return { error: 'A bundle needs at least one component' };
+
+  const discountPercent = bundle.discountPercent === '' || bundle.discountPercent == null
+    ? null
+    : Number(bundle.discountPercent);
+  if (discountPercent != null && !(discountPercent >= 0 && discountPercent <= 100)) {
+    return { error: 'Bundle discount must be between 0 and 100 percent' };
+  }
+
+  for (const item of items) {
+    if (!mongoose.Types.ObjectId.isValid(String(item.product))) return { error: 'Invalid bundle component ID' };
+    if (item.variantId && !mongoose.Types.ObjectId.isValid(String(item.variantId))) {
+      return { error: 'Invalid bundle component variant ID' };
+    }
+    if (item.quantity != null && !(Number.isInteger(Number(item.quantity)) && Number(item.quantity) >= 1)) {
+      return { error: 'Bundle component quantity must be a whole number of at least 1' };
+    }
+  }
+
+  const components = await loadComponents(items);
+  const normalized = [];
+  let total = 0;
+  for (const item of items) {
+    const product = components.get(String(item.product));
+    if (!product) return { error: `Bundle component not found: ${item.product}` };
+    if (selfId && product._id.toString() === String(selfId)) return { error: 'A bundle cannot contain itself' };
+    if (isBundle(product)) return { error: `${product.name} is a bundle; bundles cannot contain bundles` };
+
+    const variant = item.variantId ? findVariant(product, item.variantId) : null;
+    if (item.variantId && !variant) return { error: `Variant not found for ${product.name}` };
+    if (!variant && product.variants?.length > 0) return { error: `Choose a variant of ${product.name} for the bundle` };
+
+    const quantity = Number(item.quantity) || 1;
+    normalized.push({ product: product._id, variantId: variant?._id || null, quantity });
+    total += (variant?.price ?? product.price) * quantity;
+  }
+
+  return {
+    bundle: { items: normalized, discountPercent },
+    price: discountPercent != null ? roundMoney(total * (1 - discountPercent / 100)) : null
+  };
+}
+
+// Complete sets the components' stock allows
+function setsAvailable(bundle, components) {
+  let available = Infinity;
+  for (const item of bundle?.items || []) {
+    const product = components.get(String(item.product));
+    const variant = product && item.variantId ? findVariant(product, item.variantId) : null;
+    const stock = !product ? 0 : (variant ? variant.stock : product.stock) || 0;
+    available = Math.min(available, Math.floor(stock / (item.quantity || 1)));
+  }
+  return Number.isFinite(available) ? available : 0;
+}
+
+/**
+ * Sets of a bundle that can be sold right now
+ * @param {Object} product - Bundle product (lean or document)
+ * @returns {Promise<number>}
+ */
+async function bundleStock(product, options = {}) {
+  if (!isBundle(product)) return product?.stock || 0;
+  const components = await loadComponents(product.bundle?.items || [], options);
+  return setsAvailable(product.bundle, components);
+}
+
+/**
+ * Fill in `stock` and `outOfStock` of the bundles in a list of lean products from their components
+ * @param {Array} products
+ * @returns {Promise<Array>} The same list
+ */
+async function withBundleStock(products) {
+  const bundles = (products || []).filter(isBundle);
+  if (bundles.length === 0) return products;
+
+  const components = await loadComponents(bundles.flatMap((b) => b.bundle?.items || []));
+  for (const product of bundles) {
+    product.stock = setsAvailable(product.bundle, components);
+    product.outOfStock = product.stock <= 0;
+  }
+  return products;
+}
+
+/**
+ * What is in a bundle, for cart lines, order items and emails (per one bundle)
+ * @param {Object} product - Bundle product
+ * @returns {Promise<Array<{ product, variantId, productName, variantName, sku, quantity }>>}
+ */
+async function bundleContents(product, options = {}) {
+  if (!isBundle(product)) return [];
+  const components = await loadComponents(product.bundle?.items || [], options);
+  return (product.bundle?.items || []).map((item) => {
+    const component = components.get(String(item.product));
+    const variant = component && item.variantId ? findVariant(component, item.variantId) : null;
+    return {
+      product: item.product,
+      variantId: item.variantId || null,
+      productName: component?.name || null,
+      variantName: variant?.name || null,
+      sku: variant?.sku || component?.sku || null,
+      quantity: item.quantity || 1
+    };
+  });
+}
+
+/**
+ * Replace bundle lines in a set of stock lines with their components, so stock is taken,
+ * held and put back per component
+ * @param {Array<{ product, variant?, productName?, quantity }>} items - Reservation lines
+ * @returns {Promise<Array>} Lines for simple products only
+ */
+async function expandStockItems(items, options = {}) {
+  const ids = items.map((item) => item.product?._id || item.product);
+  const bundles = await Product.find({ _id: { $in: ids }, type: 'bundle' })
+    .select('name bundle')
+    .session(options.session || null)
+    .lean();
+  if (bundles.length === 0) return items;
+
+  const byId = new Map(bundles.map((b) => [b._id.toString(), b]));
+  const components = await loadComponents(bundles.flatMap((b) => b.bundle?.items || []), options);
+
+  return items.flatMap((item) => {
+    const bundle = byId.get(String(item.product?._id || item.product));
+    if (!bundle) return [item];
+    return (bundle.bundle?.items || []).map((component) => ({
+      product: component.product,
+      variant: component.variantId ? component.variantId.toString() : null,
+      productName: `${item.productName || bundle.name}: ${components.get(String(component.product))?.name || 'component'}`,
+      quantity: item.quantity * (component.quantity || 1)
+    }));
+  });
+}
+
+/**
+ * Re-price bundles with a discount that contain a product, after its price (or a variant price) changed
+ * @param {string} productId
+ */
+async function refreshBundlePrices(productId) {
+  const bundles = await Product.find({
+    type: 'bundle',
+    'bundle.items.product': productId,
+    'bundle.discountPercent': { $ne: null }
+  }).select('bundle').lean();
+
+  for (const bundle of bundles) {
+    const { error, price } = await prepareBundle(bundle.bundle, bundle._id);
+    if (error || price == null) continue;
+    await Product.updateOne({ _id: bundle._id }, { $set: { price } });
+  }
+}
+
+module.exports = {
+  isBundle,
+  prepareBundle,
+  bundleStock,
+  withBundleStock,
+  bundleContents,
+  expandStockItems,
+  refreshBundlePrices
+};
@@ -0,0 +1,323 @@
+/**
+ * Catalog files: the CSV/XLSX layout used by the admin import and export.
+ *
+ * One row per product, followed by one row per variant. Variant rows have `variant.name` set and
+ * belong to the product row above them. Specs are `spec:<Label>` columns on the product row and
+ * variant attributes are `attr:<Name>` columns on variant rows. Lists (images) are separated by
+ * `|`, and bundle components are written `productId:variantId:quantity` (variantId may be empty).
+ *
+ * An empty cell leaves the field as it is, so a file with a few columns only updates those. A
+ * sale is set as a whole from its columns, and variant rows replace all of a product's variants;
+ * `variant.id` keeps a variant's ID (carts and orders refer to it). An export has every column
+ * filled in, so exporting and importing it again changes nothing.
+ */
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+
+const PRODUCT_COLUMNS = [
+  ['slug', 'string'],
+  ['name', 'string'],
+  ['description', 'string'],
+  ['type', 'string'],
+  ['price', 'number'],
+  ['compareAtPrice', 'number'],
+  ['currency', 'string'],
+  ['sku', 'string'],
+  ['stock', 'integer'],
+  ['lowStockThreshold', 'number'],
+  ['reorderPoint', 'number'],
+  ['categoryId', 'string'],
+  ['category', 'string'],
+  ['brandId', 'string'],
+  ['brand', 'string'],
+  ['badge', 'string'],
+  ['published', 'boolean'],
+  ['images', 'list'],
+  ['sale.price', 'number'],
+  ['sale.startsAt', 'date'],
+  ['sale.endsAt', 'date'],
+  ['sale.quantityLimit', 'integer'],
+  ['sale.soldQuantity', 'integer'],
+  ['bundle.items', 'bundleItems'],
+  ['bundle.discountPercent', 'number']
+];
+
+const VARIANT_COLUMNS = [
+  ['variant.id', 'objectId'],
+  ['variant.name', 'string'],
+  ['variant.sku', 'string'],
+  ['variant.price', 'number'],
+  ['variant.compareAtPrice', 'number'],
+  ['variant.currency', 'string'],
+  ['variant.stock', 'integer'],
+  ['variant.lowStockThreshold', 'number'],
+  ['variant.reorderPoint', 'number'],
+  ['variant.images', 'list'],
+  ['variant.sale.price', 'number'],
+  ['variant.sale.startsAt', 'date'],
+  ['variant.sale.endsAt', 'date'],
+  ['variant.sale.quantityLimit', 'integer'],
+  ['variant.sale.soldQuantity', 'integer']
+];
+
+const COLUMN_TYPES = new Map([...PRODUCT_COLUMNS, ...VARIANT_COLUMNS]);
+const SPEC_PREFIX = 'spec:';
+const ATTRIBUTE_PREFIX = 'attr:';
+const FORMATS = ['csv', 'xlsx'];
+
+/**
+ * File format from an uploaded file's name or MIME type
+ * @returns {string|null} csv | xlsx
+ */
+function detectFormat(file) {
+  const name = String(file?.originalname || '').toLowerCase();
+  if (name.endsWith('.csv') || file?.mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.xlsx') || file?.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  return null;
+}
+
+// Plain text of an XLSX cell (numbers, dates, rich text, links and formula results included)
+function cellText(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Read the rows of a catalog file
+ * @param {Buffer} buffer
+ * @param {string} format - csv | xlsx
+ * @param {Object} [mapping] - File header → column name, for files with their own headers ({ "Product name": "name" })
+ * @returns {Promise<{ columns: string[], ignoredColumns: string[], rows: Array<{ row: number, values: Object }> }>}
+ *   `row` is the spreadsheet row number (the header is row 1)
+ */
+async function readRows(buffer, format, mapping = {}) {
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  if (format === 'csv') {
+    // Keep every cell as text: "00123" is a SKU, not the number 123
+    sheet = await workbook.csv.read(Readable.from(buffer), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    sheet = workbook.worksheets[0];
+  }
+  if (!sheet) return { columns: [], ignoredColumns: [], rows: [] };
+
+  let headers = [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = row.values.slice(1).map((value) => cellText(value).trim());
+    if (headers.length === 0) {
+      headers = cells.map((header) => mapping[header] || header);
+      return;
+    }
+    if (cells.every((cell) => cell === '')) return;
+    const values = {};
+    headers.forEach((header, i) => {
+      if (header && cells[i] !== undefined && cells[i] !== '') values[header] = cells[i];
+    });
+    rows.push({ row: rowNumber, values });
+  });
+
+  const known = (header) => COLUMN_TYPES.has(header) || header.startsWith(SPEC_PREFIX) || header.startsWith(ATTRIBUTE_PREFIX);
+  return {
+    columns: headers.filter((header) => header && known(header)),
+    ignoredColumns: headers.filter((header) => header && !known(header)),
+    rows
+  };
+}
+
+// Parse one cell for its column type; throws with a message for the row report
+function parseValue(column, text) {
+  switch (COLUMN_TYPES.get(column)) {
+    case 'number': {
+      const number = Number(text);
+      if (Number.isNaN(number)) throw new Error(`${column} must be a number`);
+      return number;
+    }
+    case 'integer': {
+      const number = Number(text);
+      if (!Number.isInteger(number)) throw new Error(`${column} must be a whole number`);
+      return number;
+    }
+    case 'boolean': {
+      const value = text.toLowerCase();
+      if (['true', 'yes', '1'].includes(value)) return true;
+      if (['false', 'no', '0'].includes(value)) return false;
+      throw new Error(`${column} must be true or false`);
+    }
+    case 'date': {
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) throw new Error(`${column} must be a date`);
+      return date;
+    }
+    case 'objectId':
+      if (!mongoose.Types.ObjectId.isValid(text)) throw new Error(`${column} must be an ID`);
+      return text;
+    case 'list':
+      return text.split('|').map((item) => item.trim()).filter(Boolean);
+    case 'bundleItems':
+      return text.split('|').map((item) => item.trim()).filter(Boolean).map((item) => {
+        const [product, variantId, quantity] = item.split(':').map((part) => part.trim());
+        if (!product || (quantity && !Number.isInteger(Number(quantity)))) {
+          throw new Error(`bundle.items must be productId:variantId:quantity separated by |`);
+        }
+        return { product, variantId: variantId || null, quantity: quantity ? Number(quantity) : 1 };
+      });
+    default:
+      return text;
+  }
+}
+
+// Set `a.b.c` on an object
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Group rows into product data for catalogImportService
+ * @param {Array<{ row: number, values: Object }>} rows - From readRows
+ * @returns {{ products: Array<{ row: number, data: Object }>, errors: Array<{ row: number, msg: string }> }}
+ */
+function rowsToProducts(rows) {
+  const products = [];
+  const errors = [];
+  let current = null;
+
+  for (const { row, values } of rows) {
+    const isVariant = values['variant.name'] != null || values['variant.id'] != null;
+    try {
+      if (isVariant) {
+        if (!current || current.failed) {
+          throw new Error(current ? 'Variant of a product row with errors' : 'Variant row without a product row above it');
+        }
+        if (values.slug && current.data.slug && values.slug !== current.data.slug) {
+          throw new Error(`Variant row for ${values.slug} follows the row of ${current.data.slug}`);
+        }
+        const variant = {};
+        const attributes = [];
+        for (const [column, text] of Object.entries(values)) {
+          if (column.startsWith('variant.')) {
+            setPath(variant, column === 'variant.id' ? '_id' : column.slice('variant.'.length), parseValue(column, text));
+          } else if (column.startsWith(ATTRIBUTE_PREFIX)) {
+            attributes.push({ name: column.slice(ATTRIBUTE_PREFIX.length), value: text });
+          }
+        }
+        if (attributes.length > 0) variant.attributes = attributes;
+        current.data.variants = [...(current.data.variants || []), variant];
+        continue;
+      }
+
+      const data = {};
+      const specs = [];
+      for (const [column, text] of Object.entries(values)) {
+        if (column.startsWith(SPEC_PREFIX)) {
+          specs.push({ label: column.slice(SPEC_PREFIX.length), value: text });
+        } else if (COLUMN_TYPES.has(column) && !column.startsWith('variant.')) {
+          setPath(data, column, parseValue(column, text));
+        }
+      }
+      if (specs.length > 0) data.specs = specs;
+      current = { row, data };
+      products.push(current);
+    } catch (err) {
+      errors.push({ row, msg: err.message });
+      if (!isVariant) current = { row, data: {}, failed: true };
+      else if (current) current.failed = true;
+    }
+  }
+
+  return { products: products.filter((product) => !product.failed), errors };
+}
+
+/**
+ * Column headers for an export
+ * @param {string[]} specLabels
+ * @param {string[]} attributeNames
+ */
+function exportColumns(specLabels, attributeNames) {
+  return [
+    ...PRODUCT_COLUMNS.map(([column]) => column),
+    ...specLabels.map((label) => `${SPEC_PREFIX}${label}`),
+    ...VARIANT_COLUMNS.map(([column]) => column),
+    ...attributeNames.map((name) => `${ATTRIBUTE_PREFIX}${name}`)
+  ];
+}
+
+// Cell for a value; numbers stay numbers for XLSX
+function exportValue(column, value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (COLUMN_TYPES.get(column) === 'list') return value.join('|');
+  if (COLUMN_TYPES.get(column) === 'bundleItems') {
+    return value.map((item) => `${item.product}:${item.variantId || ''}:${item.quantity}`).join('|');
+  }
+  if (typeof value === 'object') return value.toString();
+  return value;
+}
+
+function getPath(source, path) {
+  return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+/**
+ * Rows of one product for an export: the product row, then a row per variant
+ * @param {Object} product - Lean product
+ * @param {string[]} columns - From exportColumns
+ * @returns {Array<Array>} Cells in column order
+ */
+function productRows(product, columns) {
+  const productRow = columns.map((column) => {
+    if (column.startsWith(SPEC_PREFIX)) {
+      return product.specs?.find((spec) => spec.label === column.slice(SPEC_PREFIX.length))?.value ?? '';
+    }
+    if (column.startsWith('variant.') || column.startsWith(ATTRIBUTE_PREFIX)) return '';
+    return exportValue(column, getPath(product, column));
+  });
+
+  const variantRows = (product.variants || []).map((variant) => columns.map((column) => {
+    if (column === 'slug') return product.slug;
+    if (column.startsWith(ATTRIBUTE_PREFIX)) {
+      return variant.attributes?.find((attr) => attr.name === column.slice(ATTRIBUTE_PREFIX.length))?.value ?? '';
+    }
+    if (!column.startsWith('variant.')) return '';
+    return exportValue(column, getPath(variant, column === 'variant.id' ? '_id' : column.slice('variant.'.length)));
+  }));
+
+  return [productRow, ...variantRows];
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line (with line break) for a row of cells
+ */
+function csvLine(cells) {
+  return `${cells.map(csvCell).join(',')}\r\n`;
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  readRows,
+  rowsToProducts,
+  exportColumns,
+  productRows,
+  csvLine
+};
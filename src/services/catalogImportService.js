@@ -0,0 +1,317 @@
+/**
+ * Catalog imports: the JSON bulk upsert and CSV/XLSX files (see catalogFileService for the file layout).
+ *
+ * Products are matched by slug; without a slug (or with a new one) a product is created. A file
+ * can be checked first (dry run), which reports per-row errors without writing anything, and is
+ * then imported in the background as an ImportJob that admins poll for progress.
+ */
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const ImportJob = require('../models/ImportJob');
+const inventoryService = require('./inventoryService');
+const searchService = require('./searchService');
+const categoryService = require('./categoryService');
+const brandService = require('./brandService');
+const bundleService = require('./bundleService');
+const saleService = require('./saleService');
+const catalogFileService = require('./catalogFileService');
+const vendorService = require('./vendorService');
+
+// Kept up by the server: ratings from approved reviews, the category's ancestors, stored image renditions
+const SERVER_FIELDS = ['averageRating', 'reviewCount', 'categoryPath', 'imageRenditions'];
+// A sale's counters, kept by checkout and the sale job; prepareProductSales rebuilds whole sales without them
+const SALE_COUNTERS = ['soldQuantity', 'active'];
+
+/**
+ * Remove the fields product writes (admin update, bulk upsert, file import) may not set,
+ * including dotted paths into them such as `sale.soldQuantity`
+ * @param {Object} data - Product data (changed in place)
+ * @returns {Object} The same data
+ */
+function stripServerFields(data) {
+  for (const key of Object.keys(data)) {
+    const path = key.split('.');
+    const sale = path.indexOf('sale');
+    if (SERVER_FIELDS.includes(path[0]) || (sale !== -1 && SALE_COUNTERS.includes(path[sale + 1]))) {
+      delete data[key];
+    }
+  }
+  return data;
+}
+
+/**
+ * Resolve category, brand, sales and bundle of product data, replacing them with the stored form
+ * @param {Object} item - Product data (changed in place)
+ * @param {Object} [options] - { existing: the product being updated, dryRun: do not create brands }
+ * @returns {Promise<string|null>} Error message
+ */
+async function prepareProduct(item, options = {}) {
+  const { existing, dryRun } = options;
+  stripServerFields(item);
+
+  if (item.categoryId || item.category) {
+    const { error, fields } = await categoryService.categoryForProduct(item.categoryId || item.category, item.specs || existing?.specs);
+    if (error) return error;
+    Object.assign(item, fields);
+  }
+  if (item.brandId || item.brand) {
+    if (dryRun) {
+      // Unknown brand names are created by the import; only an unknown ID is an error
+      const value = item.brandId || item.brand;
+      const brand = await brandService.findBrand(value);
+      if (!brand && item.brandId) return `Brand not found: ${value}`;
+    } else {
+      const { error, fields } = await brandService.brandForProduct(item.brandId || item.brand);
+      if (error) return error;
+      Object.assign(item, fields);
+    }
+  }
+
+  const saleError = saleService.prepareProductSales(item, existing);
+  if (saleError) return saleError;
+
+  if (item.type === 'bundle') {
+    const { error, bundle, price } = await bundleService.prepareBundle(item.bundle, existing?._id);
+    if (error) return error;
+    Object.assign(item, { bundle, stock: 0, variants: [] });
+    if (price != null) item.price = price;
+  }
+  return null;
+}
+
+/**
+ * Create or update one product
+ * @param {Object} item - Product data; updates the product with its slug when there is one
+ * @param {Object} context - { actor, reason } for the inventory ledger; vendor to upsert as a seller,
+ *   canPublish false for a seller who may only save drafts
+ * @returns {Promise<'created'|'updated'>}
+ * @throws {Error} With a message for the import report when the data is invalid
+ */
+async function upsertProduct(item, context) {
+  const product = item.slug ? await Product.findOne({ slug: item.slug }) : null;
+  const before = product ? product.toObject() : null;
+
+  // A vendor's upserts create their own products and never touch other sellers'
+  if (context.vendor) {
+    if (product && String(product.vendor) !== String(context.vendor)) {
+      throw new Error(`Slug ${item.slug} is used by another seller's product`);
+    }
+    item = { ...item, vendor: context.vendor };
+  }
+  if (context.canPublish === false) {
+    if (vendorService.isPublishing(item.published)) throw new Error(vendorService.UNAPPROVED_PUBLISH_MESSAGE);
+    item = { ...item, published: false };
+  }
+
+  const error = await prepareProduct(item, { existing: before });
+  if (error) throw new Error(error);
+
+  const doc = product || new Product();
+  doc.set(item);
+  await doc.save();
+
+  try {
+    await inventoryService.recordStockChanges(before, doc, {
+      type: before ? 'adjustment' : 'initial',
+      actor: context.actor,
+      reason: context.reason
+    });
+  } catch (err) {
+    console.error(`Error recording inventory movements for product ${doc._id}:`, err);
+  }
+  if (before && (item.price != null || item.variants)) await bundleService.refreshBundlePrices(doc._id);
+
+  return before ? 'updated' : 'created';
+}
+
+/**
+ * Check one product without saving it
+ * @returns {Promise<{ error?: string, action?: 'create'|'update' }>}
+ */
+async function checkProduct(item) {
+  const existing = item.slug ? await Product.findOne({ slug: item.slug }).lean() : null;
+  const error = await prepareProduct(item, { existing, dryRun: true });
+  if (error) return { error };
+
+  const doc = existing ? Product.hydrate(existing) : new Product();
+  doc.set(item);
+  const invalid = doc.validateSync();
+  if (invalid) return { error: Object.values(invalid.errors).map((e) => e.message).join('; ') };
+  return { action: existing ? 'update' : 'create' };
+}
+
+// A slug may only appear on one product row of a file
+function duplicateSlugErrors(products) {
+  const seen = new Map();
+  const errors = [];
+  for (const { row, data } of products) {
+    if (!data.slug) continue;
+    if (seen.has(data.slug)) errors.push({ row, msg: `Slug ${data.slug} is also on row ${seen.get(data.slug)}` });
+    else seen.set(data.slug, row);
+  }
+  return errors;
+}
+
+/**
+ * Read and group the products of an uploaded catalog file
+ * @param {Object} file - multer file
+ * @param {Object} [mapping] - File header → column name
+ * @returns {Promise<{ error?: string, format?: string, columns?: string[], ignoredColumns?: string[],
+ *   rowCount?: number, products?: Array, errors?: Array<{ row: number, msg: string }> }>}
+ */
+async function readFile(file, mapping) {
+  const format = catalogFileService.detectFormat(file);
+  if (!format) return { error: 'Upload a .csv or .xlsx file' };
+
+  let parsed;
+  try {
+    parsed = await catalogFileService.readRows(file.buffer, format, mapping);
+  } catch (err) {
+    return { error: `Could not read the ${format.toUpperCase()} file: ${err.message}` };
+  }
+  if (parsed.columns.length === 0) return { error: 'The file has no known columns in its first row' };
+
+  const { products, errors } = catalogFileService.rowsToProducts(parsed.rows);
+  const duplicates = duplicateSlugErrors(products);
+  const duplicateRows = new Set(duplicates.map((e) => e.row));
+  return {
+    format,
+    columns: parsed.columns,
+    ignoredColumns: parsed.ignoredColumns,
+    rowCount: parsed.rows.length,
+    products: products.filter((p) => !duplicateRows.has(p.row)),
+    errors: [...errors, ...duplicates].sort((a, b) => a.row - b.row)
+  };
+}
+
+/**
+ * Validate a catalog file without importing it
+ * @returns {Promise<Object>} Report: { format, columns, ignoredColumns, rows, products, toCreate, toUpdate, valid, errors }
+ *   or { error } when the file cannot be read
+ */
+async function dryRunFile(file, mapping) {
+  const read = await readFile(file, mapping);
+  if (read.error) return read;
+
+  const errors = [...read.errors];
+  let toCreate = 0;
+  let toUpdate = 0;
+  for (const { row, data } of read.products) {
+    try {
+      const { error, action } = await checkProduct(data);
+      if (error) errors.push({ row, msg: error });
+      else if (action === 'update') toUpdate += 1;
+      else toCreate += 1;
+    } catch (err) {
+      errors.push({ row, msg: err.message });
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return {
+    format: read.format,
+    columns: read.columns,
+    ignoredColumns: read.ignoredColumns,
+    rows: read.rowCount,
+    products: read.products.length,
+    toCreate,
+    toUpdate,
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+async function runImport(jobId, products, actor) {
+  await ImportJob.updateOne({ _id: jobId }, { $set: { status: 'running', startedAt: new Date() } });
+  try {
+    for (const { row, data } of products) {
+      try {
+        const action = await upsertProduct(data, { actor, reason: 'Catalog import' });
+        await ImportJob.updateOne({ _id: jobId }, { $inc: { processed: 1, [action]: 1 } });
+      } catch (err) {
+        await ImportJob.updateOne({ _id: jobId }, {
+          $inc: { processed: 1, failed: 1 },
+          $push: { rowErrors: { $each: [{ row, msg: err.message }], $slice: ImportJob.MAX_IMPORT_ERRORS } }
+        });
+      }
+    }
+    await ImportJob.updateOne({ _id: jobId }, { $set: { status: 'completed', finishedAt: new Date() } });
+  } catch (err) {
+    console.error(`Catalog import ${jobId} failed:`, err);
+    await ImportJob.updateOne({ _id: jobId }, {
+      $set: { status: 'failed', finishedAt: new Date() },
+      $push: { rowErrors: { $each: [{ row: null, msg: err.message }], $slice: ImportJob.MAX_IMPORT_ERRORS } }
+    }).catch(() => {});
+  }
+  // New names and spec values become searchable (typo correction, autocomplete) straight away
+  searchService.invalidateVocabulary();
+}
+
+/**
+ * Queue a catalog file for import and start it in the background
+ * @param {Object} file - multer file
+ * @param {Object} options - { mapping, user }
+ * @returns {Promise<{ error?: string, job?: Object }>}
+ */
+async function startImport(file, options) {
+  const read = await readFile(file, options.mapping);
+  if (read.error) return read;
+
+  // Rows that could not be read are reported from the start; the counters cover the products being imported
+  const job = await ImportJob.create({
+    user: options.user,
+    fileName: file.originalname || '',
+    format: read.format,
+    total: read.products.length,
+    rowErrors: read.errors.slice(0, ImportJob.MAX_IMPORT_ERRORS)
+  });
+
+  setImmediate(() => {
+    runImport(job._id, read.products, options.user).catch((err) => console.error(`Catalog import ${job._id} failed:`, err));
+  });
+  return { job: job.toObject() };
+}
+
+/**
+ * Write the whole catalog to a stream as CSV or XLSX, one product at a time
+ * @param {stream.Writable} stream - Usually the response
+ * @param {string} format - csv | xlsx
+ */
+async function exportCatalog(stream, format) {
+  const [specLabels, attributeNames] = await Promise.all([
+    Product.distinct('specs.label'),
+    Product.distinct('variants.attributes.name')
+  ]);
+  const columns = catalogFileService.exportColumns(specLabels.sort(), attributeNames.sort());
+  const cursor = Product.find().sort({ _id: 1 }).lean().cursor();
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Products');
+    sheet.addRow(columns).commit();
+    for await (const product of cursor) {
+      for (const cells of catalogFileService.productRows(product, columns)) sheet.addRow(cells).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  const write = async (text) => {
+    if (!stream.write(text)) await new Promise((resolve) => stream.once('drain', resolve));
+  };
+  await write(catalogFileService.csvLine(columns));
+  for await (const product of cursor) {
+    for (const cells of catalogFileService.productRows(product, columns)) await write(catalogFileService.csvLine(cells));
+  }
+  stream.end();
+}
+
+module.exports = {
+  stripServerFields,
+  prepareProduct,
+  upsertProduct,
+  dryRunFile,
+  startImport,
+  exportCatalog
+};
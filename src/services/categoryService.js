@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find a category by ID, slug, name or alias (names and aliases case-insensitive)
+ * @param {string} value
+ * @returns {Promise<Object|null>} Lean category
+ */
+async function findCategory(value) {
+  if (value == null || value === '') return null;
+  const key = String(value).trim();
+  if (mongoose.Types.ObjectId.isValid(key)) {
+    const byId = await Category.findById(key).lean();
+    if (byId) return byId;
+  }
+  const exact = new RegExp(`^${escapeRegex(key)}$`, 'i');
+  return Category.findOne({ $or: [{ slug: key.toLowerCase() }, { name: exact }, { aliases: exact }] })
+    .sort({ isActive: -1, ancestors: 1 })
+    .lean();
+}
+
+/**
+ * Product fields for a category: its ID, its path (ancestors + itself, for subtree filters)
+ * and its name (used by tax rules, promotion scopes and search)
+ */
+function productCategoryFields(category) {
+  if (!category) return { categoryId: null, categoryPath: [], category: null };
+  return {
+    categoryId: category._id,
+    categoryPath: [...(category.ancestors || []), category._id],
+    category: category.name
+  };
+}
+
+/**
+ * Mongo condition for products in any of the given categories or their subcategories.
+ * Values may be IDs, slugs, names or aliases; values that match no category fall back to
+ * the product's category name so products not yet migrated still match.
+ * @param {string[]} values
+ * @returns {Promise<Object|null>} null when no values were given
+ */
+async function categoryCondition(values) {
+  if (!values || values.length === 0) return null;
+  const categories = await Promise.all(values.map(findCategory));
+  const ids = categories.filter(Boolean).map((c) => c._id);
+  const names = values.filter((_, i) => !categories[i]);
+
+  const parts = [];
+  if (ids.length > 0) parts.push({ categoryPath: { $in: ids } });
+  if (names.length > 0) parts.push({ category: { $in: names } });
+  return parts.length === 1 ? parts[0] : { $or: parts };
+}
+
+/**
+ * Spec template of a category including the ones it inherits; a subcategory's entry overrides its parent's for the same label
+ * @returns {Promise<Array>}
+ */
+async function effectiveSpecTemplate(category) {
+  if (!category) return [];
+  const ancestors = category.ancestors?.length
+    ? await Category.find({ _id: { $in: category.ancestors } }).select('specTemplate').lean()
+    : [];
+  const byId = new Map(ancestors.map((a) => [a._id.toString(), a]));
+  const chain = [...category.ancestors.map((id) => byId.get(id.toString())).filter(Boolean), category];
+
+  const template = new Map();
+  for (const entry of chain) {
+    for (const spec of entry.specTemplate || []) template.set(spec.label.toLowerCase(), spec);
+  }
+  return [...template.values()];
+}
+
+/**
+ * Check product specs against a spec template
+ * @returns {string|null} Error message, or null when the specs fit
+ */
+function validateSpecs(template, specs = []) {
+  const byLabel = new Map((specs || []).map((spec) => [String(spec.label || '').toLowerCase(), spec.value]));
+
+  const missing = template.filter((spec) => spec.required && !byLabel.get(spec.label.toLowerCase()));
+  if (missing.length > 0) {
+    return `Missing required specs: ${missing.map((spec) => spec.label).join(', ')}`;
+  }
+
+  for (const spec of template) {
+    const value = byLabel.get(spec.label.toLowerCase());
+    if (value == null || value === '') continue;
+    if (spec.type === 'number' && Number.isNaN(Number(String(value).replace(spec.unit || '', '').trim()))) {
+      return `${spec.label} must be a number`;
+    }
+    if (spec.type === 'select' && spec.options.length > 0 && !spec.options.includes(value)) {
+      return `${spec.label} must be one of: ${spec.options.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the category given for a product (ID, slug, name or alias) and check its specs.
+ * @param {string} value
+ * @param {Array} specs
+ * @returns {Promise<{ error?: string, fields?: Object }>} fields to set on the product
+ */
+async function categoryForProduct(value, specs) {
+  if (value == null || value === '') return { fields: productCategoryFields(null) };
+  const category = await findCategory(value);
+  if (!category) return { error: `Category not found: ${value}` };
+
+  const template = await effectiveSpecTemplate(category);
+  const specError = validateSpecs(template, specs);
+  if (specError) return { error: `${category.name}: ${specError}` };
+  return { fields: productCategoryFields(category) };
+}
+
+/**
+ * After a category is renamed or moved, bring its subcategories' ancestors and
+ * its products' path and name up to date
+ * @param {Object} category - Saved category
+ */
+async function syncCategoryTree(category) {
+  const descendants = await Category.find({ ancestors: category._id }).select('ancestors').lean();
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex((id) => id.equals(category._id));
+    const ancestors = [...category.ancestors, category._id, ...descendant.ancestors.slice(index + 1)];
+    await Category.updateOne({ _id: descendant._id }, { $set: { ancestors } });
+    await Product.updateMany({ categoryId: descendant._id }, { $set: { categoryPath: [...ancestors, descendant._id] } });
+  }
+  await Product.updateMany(
+    { categoryId: category._id },
+    { $set: { categoryPath: [...category.ancestors, category._id], category: category.name } }
+  );
+}
+
+/**
+ * Nest a flat list of categories under their parents, siblings by sortOrder then name
+ */
+function buildTree(categories) {
+  const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  const order = (list) => {
+    list.sort((a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name));
+    list.forEach((node) => order(node.children));
+    return list;
+  };
+  return order(roots);
+}
+
+module.exports = {
+  findCategory,
+  productCategoryFields,
+  categoryCondition,
+  effectiveSpecTemplate,
+  validateSpecs,
+  categoryForProduct,
+  syncCategoryTree,
+  buildTree
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const CheckoutQuote = require('../models/CheckoutQuote');
+const pricingService = require('./pricingService');
+
+const QUOTE_TTL_MINUTES = Number(process.env.CHECKOUT_QUOTE_TTL_MINUTES) || 15;
+
+function getSigningSecret() {
+  const secret = process.env.CHECKOUT_QUOTE_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('CHECKOUT_QUOTE_SECRET (or JWT_SECRET) must be set to sign checkout quotes');
+  return secret;
+}
+
+function idString(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+/**
+ * Hash of the active cart lines (product, variant, specs, quantity, listed price).
+ */
+function cartFingerprint(activeItems) {
+  const parts = activeItems
+    .map((item) => [
+      idString(item.productId || item.product),
+      item.variant?.name || '',
+      JSON.stringify(item.specs || []),
+      item.quantity,
+      item.unitPrice,
+      item.currency
+    ].join(':'))
+    .sort();
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Canonical string of everything the quote locks; key order is fixed so the HMAC is stable.
+ */
+function signaturePayload(quote) {
+  const rates = quote.exchangeRate?.rates || {};
+  return JSON.stringify({
+    id: idString(quote._id),
+    user: idString(quote.user),
+    cart: idString(quote.cart),
+    cartFingerprint: quote.cartFingerprint,
+    currency: quote.currency,
+    deliveryMethod: idString(quote.deliveryMethod),
+    shippingAddress: idString(quote.shippingAddress),
+    lines: (quote.lines || []).map((line) => [
+      idString(line.product),
+      line.variant?.name || null,
+      line.quantity,
+      Boolean(line.onSale),
+      line.sourceUnitPrice,
+      line.sourceCurrency,
+      line.unitPrice,
+      line.lineTotal
+    ]),
+    subTotal: quote.subTotal,
+    deliveryFee: quote.deliveryFee,
+    discountAmount: quote.discountAmount,
+    promotionCode: quote.promotionCode || null,
+    taxAmount: quote.taxAmount,
+    exclusiveTaxAmount: quote.exclusiveTaxAmount,
+    totalAmount: quote.totalAmount,
+    rates: Object.keys(rates).sort().map((code) => [code, rates[code]]),
+    expiresAt: new Date(quote.expiresAt).toISOString()
+  });
+}
+
+function signQuote(quote) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(signaturePayload(quote)).digest('hex');
+}
+
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+// Hex HMAC-SHA256 signatures only: anything else would decode to a different length and make timingSafeEqual throw
+function signaturesMatch(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !SIGNATURE_PATTERN.test(a) || !SIGNATURE_PATTERN.test(b)) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Price the cart and store a signed, expiring snapshot.
+ * @param {Object} params
+ * @param {Object} params.cart - Cart document
+ * @param {Array} params.activeItems - Active cart lines (products populated)
+ * @param {Array} params.items - Quote items for pricingService.buildQuote
+ * @param {Object} params.deliveryMethod - DeliveryMethod document
+ * @param {string} [params.shippingAddressId]
+ * @param {string} params.currency
+ * @param {string} [params.promoCode]
+ * @param {string} params.userId
+ * @returns {Promise<{ error?: string, quote?: Object }>} quote is the saved CheckoutQuote
+ */
+async function createQuote(params) {
+  const { error, quote } = await pricingService.buildQuote({
+    userId: params.userId,
+    currency: params.currency,
+    items: params.items,
+    deliveryMethod: params.deliveryMethod,
+    shippingAddressId: params.shippingAddressId,
+    promoCode: params.promoCode
+  });
+  if (error) return { error };
+
+  const snapshot = new CheckoutQuote({
+    user: params.userId,
+    cart: params.cart._id,
+    cartFingerprint: cartFingerprint(params.activeItems),
+    currency: quote.currency,
+    deliveryMethod: params.deliveryMethod._id,
+    shippingAddress: params.shippingAddressId || null,
+    lines: quote.lines.map((line) => ({
+      product: line.productId,
+      productName: line.product.name || null,
+      category: line.category || null,
+      variant: line.variant || { variantId: null, name: null },
+      quantity: line.quantity,
+      onSale: line.onSale,
+      sourceUnitPrice: line.sourceUnitPrice,
+      sourceCurrency: line.sourceCurrency,
+      unitPrice: line.unitPrice,
+      lineTotal: line.lineTotal
+    })),
+    subTotal: quote.subTotal,
+    deliveryFee: quote.deliveryFee,
+    discountAmount: quote.discountAmount,
+    freeDelivery: quote.freeDelivery,
+    promotion: quote.promotion ? quote.promotion._id : null,
+    promotionCode: quote.promotion ? quote.promotion.code : null,
+    taxAmount: quote.taxAmount,
+    exclusiveTaxAmount: quote.exclusiveTaxAmount,
+    taxBreakdown: quote.taxBreakdown,
+    totalAmount: quote.totalAmount,
+    exchangeRate: quote.exchangeRate,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000),
+    signature: 'pending'
+  });
+  snapshot.signature = signQuote(snapshot);
+  await snapshot.save();
+
+  return { quote: snapshot };
+}
+
+/**
+ * Check a stored quote before checkout.
+ * @param {Object} quote - CheckoutQuote document
+ * @param {Object} ctx - { signature, activeItems }
+ * @returns {{ status: number, msg: string }|null} null when the quote can be used
+ */
+function validateQuote(quote, ctx) {
+  if (!signaturesMatch(quote.signature, signQuote(quote)) || !signaturesMatch(ctx.signature, quote.signature)) {
+    return { status: 400, msg: 'Quote signature is invalid' };
+  }
+  if (quote.usedAt) {
+    return { status: 409, msg: 'Quote has already been used' };
+  }
+  if (quote.expiresAt <= new Date()) {
+    return { status: 409, msg: 'Quote has expired, please request a new one' };
+  }
+  if (quote.cartFingerprint !== cartFingerprint(ctx.activeItems)) {
+    return { status: 409, msg: 'Your cart has changed since the quote was issued, please request a new one' };
+  }
+  return null;
+}
+
+/**
+ * Atomically mark a quote as used. Returns false when it was used or expired meanwhile.
+ */
+async function consumeQuote(quoteId, options = {}) {
+  const updated = await CheckoutQuote.findOneAndUpdate(
+    { _id: quoteId, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true, session: options.session }
+  );
+  return !!updated;
+}
+
+async function attachOrder(quoteId, orderId, options = {}) {
+  await CheckoutQuote.updateOne({ _id: quoteId }, { $set: { order: orderId } }, { session: options.session });
+}
+
+module.exports = {
+  QUOTE_TTL_MINUTES,
+  cartFingerprint,
+  signQuote,
+  createQuote,
+  validateQuote,
+  consumeQuote,
+  attachOrder
+};
@@ -0,0 +1,255 @@
+const { Order, OrderItem } = require('../models/Order');
+const Product = require('../models/Product');
+const CommissionRule = require('../models/CommissionRule');
+const VendorLedgerEntry = require('../models/VendorLedgerEntry');
+const VendorPayout = require('../models/VendorPayout');
+const { convertLocked } = require('./pricingService');
+
+function rateSetting(name, fallback) {
+  const value = process.env[name];
+  return value != null && value !== '' ? Number(value) : fallback;
+}
+
+// Percent of the gross sale kept when no commission rule matches
+const DEFAULT_COMMISSION_RATE = rateSetting('VENDOR_COMMISSION_RATE', 10);
+// Percent of the gross sale charged to the vendor for payment processing
+const PAYMENT_FEE_RATE = rateSetting('VENDOR_PAYMENT_FEE_RATE', 0);
+// Days a sale is held before it can be paid out, so refunds can still come off it
+const PAYOUT_HOLD_DAYS = rateSetting('VENDOR_PAYOUT_HOLD_DAYS', 7);
+
+// Orders whose vendor sales count: paid, or paid and since refunded (refund entries reverse those)
+const SETTLED_PAYMENT_STATUSES = ['paid', 'refunded'];
+const LEDGER_CURRENCY = 'USDC';
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Commission rate for a vendor's sale in a category: the most specific active rule
+ * (vendor + category > vendor > category, deeper categories first), else the default rate
+ * @param {Array} rules - Active commission rules
+ * @param {ObjectId|string} vendorId
+ * @param {Array} categoryPath - The product's category and its ancestors, root first
+ * @returns {number} Percent
+ */
+function commissionRateFor(rules, vendorId, categoryPath = []) {
+  const path = categoryPath.map(String);
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if (rule.vendor && String(rule.vendor) !== String(vendorId)) continue;
+    const depth = rule.category ? path.indexOf(String(rule.category)) + 1 : 0;
+    if (rule.category && depth === 0) continue;
+    const score = (rule.vendor ? 1000 : 0) + depth;
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best ? best.rate : DEFAULT_COMMISSION_RATE;
+}
+
+// An order amount in the ledger currency, at the rate locked on the order
+function toLedgerCurrency(amount, currency, order) {
+  return convertLocked(amount, currency || order.currency, LEDGER_CURRENCY, order.exchangeRate);
+}
+
+async function categoryPaths(productIds) {
+  const products = await Product.find({ _id: { $in: productIds } }).select('categoryPath').lean();
+  return new Map(products.map((product) => [product._id.toString(), product.categoryPath || []]));
+}
+
+/**
+ * Write a sale entry for every vendor item of a paid order and mark the order recorded.
+ * Safe to repeat: an item's sale is only written once.
+ * @param {Object} order - Order with items, currency and exchangeRate
+ * @returns {Promise<number>} Sale entries written
+ */
+async function recordOrderSales(order) {
+  const items = await OrderItem.find({ _id: { $in: order.items }, vendor: { $ne: null } }).lean();
+  let written = 0;
+  if (items.length > 0) {
+    const [rules, paths] = await Promise.all([
+      CommissionRule.find({ isActive: true }).lean(),
+      categoryPaths(items.map((item) => item.product))
+    ]);
+    const availableAt = new Date(Date.now() + PAYOUT_HOLD_DAYS * 24 * 60 * 60 * 1000);
+
+    const writes = items.map((item) => {
+      const gross = roundMoney(toLedgerCurrency(item.totalPrice, item.currency, order));
+      const commissionRate = commissionRateFor(rules, item.vendor, paths.get(item.product.toString()));
+      const commission = roundMoney((gross * commissionRate) / 100);
+      const fees = roundMoney((gross * PAYMENT_FEE_RATE) / 100);
+      const entry = {
+        vendor: item.vendor,
+        type: 'sale',
+        order: order._id,
+        orderItem: item._id,
+        refund: null,
+        productName: item.productName,
+        quantity: item.quantity,
+        currency: LEDGER_CURRENCY,
+        gross,
+        commissionRate,
+        commission,
+        fees,
+        net: roundMoney(gross - commission - fees),
+        orderCurrency: item.currency,
+        orderGross: item.totalPrice,
+        availableAt
+      };
+      return {
+        updateOne: {
+          filter: { orderItem: item._id, type: 'sale', refund: null },
+          update: { $setOnInsert: entry },
+          upsert: true
+        }
+      };
+    });
+    const result = await VendorLedgerEntry.bulkWrite(writes, { ordered: false });
+    written = result.upsertedCount || 0;
+  }
+  await Order.updateOne({ _id: order._id }, { $set: { commissionRecordedAt: new Date() } });
+  return written;
+}
+
+/**
+ * Record the sales of paid orders not yet in the ledger
+ * @returns {Promise<{ orders: number, entries: number }>}
+ */
+async function syncLedger() {
+  const orders = Order.find({
+    commissionRecordedAt: null,
+    paymentStatus: { $in: SETTLED_PAYMENT_STATUSES },
+    fulfillments: { $elemMatch: { vendor: { $ne: null } } }
+  }).select('items currency exchangeRate').lean().cursor();
+
+  let count = 0;
+  let entries = 0;
+  for await (const order of orders) {
+    try {
+      entries += await recordOrderSales(order);
+      count += 1;
+    } catch (err) {
+      console.error(`Error recording vendor sales for order ${order._id}:`, err.message);
+    }
+  }
+  return { orders: count, entries };
+}
+
+/**
+ * Reverse the refunded units of vendor items: their share of the gross and of the commission.
+ * Payment fees are not given back. Refund entries count against the next payout straight away.
+ * @param {Object} refund - Completed refund with items
+ * @param {Object} order - Its order (currency and exchangeRate)
+ * @returns {Promise<number>} Refund entries written
+ */
+async function recordRefund(refund, order) {
+  const items = await OrderItem.find({
+    _id: { $in: refund.items.map((line) => line.orderItem) },
+    vendor: { $ne: null }
+  }).lean();
+  if (items.length === 0) return 0;
+
+  const itemsById = new Map(items.map((item) => [item._id.toString(), item]));
+  const sales = await VendorLedgerEntry.find({ orderItem: { $in: items.map((item) => item._id) }, type: 'sale' })
+    .select('orderItem commissionRate')
+    .lean();
+  const saleRates = new Map(sales.map((sale) => [sale.orderItem.toString(), sale.commissionRate]));
+  // Sales not recorded yet are reversed at the rate they will be recorded with
+  const needRules = items.some((item) => !saleRates.has(item._id.toString()));
+  const [rules, paths] = needRules
+    ? await Promise.all([
+      CommissionRule.find({ isActive: true }).lean(),
+      categoryPaths(items.map((item) => item.product))
+    ])
+    : [[], new Map()];
+
+  const writes = [];
+  for (const line of refund.items) {
+    const item = itemsById.get(line.orderItem.toString());
+    if (!item) continue;
+    const commissionRate = saleRates.has(item._id.toString())
+      ? saleRates.get(item._id.toString())
+      : commissionRateFor(rules, item.vendor, paths.get(item.product.toString()));
+    const orderGross = (item.totalPrice / item.quantity) * line.quantity;
+    const gross = roundMoney(toLedgerCurrency(orderGross, item.currency, order));
+    const commission = roundMoney((gross * commissionRate) / 100);
+    const entry = {
+      vendor: item.vendor,
+      type: 'refund',
+      order: order._id,
+      orderItem: item._id,
+      refund: refund._id,
+      productName: item.productName,
+      quantity: -line.quantity,
+      currency: LEDGER_CURRENCY,
+      gross: -gross,
+      commissionRate,
+      commission: -commission,
+      fees: 0,
+      net: -roundMoney(gross - commission),
+      orderCurrency: item.currency,
+      orderGross: -roundMoney(orderGross),
+      availableAt: new Date()
+    };
+    writes.push({
+      updateOne: {
+        filter: { orderItem: item._id, type: 'refund', refund: refund._id },
+        update: { $setOnInsert: entry },
+        upsert: true
+      }
+    });
+  }
+  if (writes.length === 0) return 0;
+  const result = await VendorLedgerEntry.bulkWrite(writes, { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+/**
+ * A vendor's money in USDC: held (sales still in their hold period), available for the next payout
+ * (may be negative after refunds), in payouts not yet paid, and paid out
+ * @param {ObjectId} vendorId
+ * @returns {Promise<{ currency: string, held: number, available: number, inPayout: number, paid: number }>}
+ */
+async function vendorBalance(vendorId) {
+  const now = new Date();
+  const [unpaid, payouts] = await Promise.all([
+    VendorLedgerEntry.aggregate([
+      { $match: { vendor: vendorId, payout: null } },
+      {
+        $group: {
+          _id: { $cond: [{ $gt: ['$availableAt', now] }, 'held', 'available'] },
+          net: { $sum: '$net' }
+        }
+      }
+    ]),
+    VendorPayout.aggregate([
+      { $match: { vendor: vendorId, status: { $in: ['pending', 'processing', 'paid'] } } },
+      { $group: { _id: { $cond: [{ $eq: ['$status', 'paid'] }, 'paid', 'inPayout'] }, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+  const total = (rows, key, field) => roundMoney(rows.find((row) => row._id === key)?.[field] || 0);
+  return {
+    currency: LEDGER_CURRENCY,
+    held: total(unpaid, 'held', 'net'),
+    available: total(unpaid, 'available', 'net'),
+    inPayout: total(payouts, 'inPayout', 'amount'),
+    paid: total(payouts, 'paid', 'amount')
+  };
+}
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  PAYMENT_FEE_RATE,
+  PAYOUT_HOLD_DAYS,
+  LEDGER_CURRENCY,
+  SETTLED_PAYMENT_STATUSES,
+  roundMoney,
+  commissionRateFor,
+  recordOrderSales,
+  syncLedger,
+  recordRefund,
+  vendorBalance
+};
@@ -115,5 +115,6 @@ module.exports = {
   getRates,
   convert,
   normalizeRates,
+  DEFAULT_RATES,
   RATE_TTL_MS
 };
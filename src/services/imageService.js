@@ -0,0 +1,119 @@
+/**
+ * Product image uploads: checked by their content rather than their name or MIME type, re-encoded
+ * without metadata (EXIF, including GPS position, is dropped; orientation is applied first) and
+ * stored with WebP renditions for thumbnails, listings and zoom.
+ */
+const path = require('path');
+const sharp = require('sharp');
+const { saveImage, deleteImage } = require('../config/storage');
+
+const MAX_IMAGE_BYTES = Number(process.env.PRODUCT_IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+// Larger images are refused before decoding (decompression bombs)
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000;
+
+// Longest side of each rendition, in pixels; smaller images are not enlarged
+const RENDITIONS = { thumbnail: 200, medium: 800, large: 1600 };
+
+// Leading bytes of the accepted formats
+const IMAGE_TYPES = [
+  { format: 'jpeg', mimetype: 'image/jpeg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png', mimetype: 'image/png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'gif', mimetype: 'image/gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+  { format: 'webp', mimetype: 'image/webp', matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Object|null} { format, mimetype } from the file's leading bytes
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  return IMAGE_TYPES.find((type) => type.matches(buffer)) || null;
+}
+
+/**
+ * Check an uploaded image
+ * @param {Object} file - multer file
+ * @returns {Promise<string|null>} Error message naming the file
+ */
+async function validateImage(file) {
+  const name = file.originalname || 'Image';
+  if (!file.buffer || file.buffer.length === 0) return `${name} is empty`;
+  if (file.buffer.length > MAX_IMAGE_BYTES) return `${name} is larger than ${Math.round(MAX_IMAGE_BYTES / (1024 * 1024))}MB`;
+  if (!detectImageType(file.buffer)) return `${name} is not a JPEG, PNG, GIF or WebP image`;
+  try {
+    const { width, height } = await sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+    if (!width || !height) return `${name} could not be read`;
+    if (width * height > MAX_IMAGE_PIXELS) return `${name} is too large (${width}×${height} pixels)`;
+  } catch (err) {
+    return `${name} could not be read`;
+  }
+  return null;
+}
+
+// The image as stored: upright, in its own format, without metadata
+function cleanOriginal(buffer, format) {
+  const image = sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS, animated: format === 'gif' || format === 'webp' }).rotate();
+  if (format === 'jpeg') return image.jpeg({ quality: 90, mozjpeg: true }).toBuffer();
+  if (format === 'png') return image.png({ compressionLevel: 9 }).toBuffer();
+  if (format === 'gif') return image.gif().toBuffer();
+  return image.webp({ quality: 90 }).toBuffer();
+}
+
+function rendition(buffer, size) {
+  return sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+}
+
+/**
+ * Store a validated image and its renditions (see validateImage)
+ * @param {Object} file - multer file
+ * @param {string} [origin] - Server origin for local storage URLs
+ * @returns {Promise<{ url: string, thumbnail: string, medium: string, large: string }>}
+ */
+async function storeImage(file, origin) {
+  const { format, mimetype } = detectImageType(file.buffer);
+  const stem = path.parse(file.originalname || 'image').name;
+  const saved = [];
+
+  try {
+    const original = await cleanOriginal(file.buffer, format);
+    const stored = { url: await saveImage(`${stem}.${format === 'jpeg' ? 'jpg' : format}`, original, mimetype, origin) };
+    saved.push(stored.url);
+    for (const [name, size] of Object.entries(RENDITIONS)) {
+      stored[name] = await saveImage(`${stem}-${name}.webp`, await rendition(file.buffer, size), 'image/webp', origin);
+      saved.push(stored[name]);
+    }
+    return stored;
+  } catch (err) {
+    // Do not leave part of an image behind
+    await deleteImageFiles(saved);
+    throw err;
+  }
+}
+
+/**
+ * Delete stored image files; failures are logged, not thrown
+ * @param {string[]} urls
+ */
+async function deleteImageFiles(urls) {
+  for (const url of urls.filter(Boolean)) {
+    try {
+      await deleteImage(url);
+    } catch (err) {
+      console.error(`Error deleting image ${url}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  RENDITIONS,
+  detectImageType,
+  validateImage,
+  storeImage,
+  deleteImageFiles
+};
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const InventoryMovement = require('../models/InventoryMovement');
+const Product = require('../models/Product');
+
+const { MOVEMENT_TYPES } = InventoryMovement;
+
+function idOf(value) {
+  return value && (value._id || value);
+}
+
+/**
+ * Find a variant on a product document by ID or name
+ */
+function findVariant(product, variantKey) {
+  if (!variantKey || !product?.variants?.length) return null;
+  const key = variantKey.toString();
+  return product.variants.find((v) => v._id?.toString() === key || v.name === key) || null;
+}
+
+/**
+ * Append one stock movement. The first movement for a product/variant is preceded by an
+ * opening movement for whatever stock it had before the ledger tracked it, so the ledger
+ * always sums to the stock.
+ * @param {Object} movement
+ * @param {Object} movement.product - Product document (at least _id, sku, stock, variants) after the change
+ * @param {Object} [movement.variant] - Variant subdocument the change applied to
+ * @param {string} movement.type - One of InventoryMovement.MOVEMENT_TYPES
+ * @param {number} movement.quantity - Signed change
+ * @param {string} [movement.actor] - User who made the change, null for the system
+ * @param {string} [movement.reason]
+ * @param {string} [movement.order]
+ * @param {string} [movement.reservation]
+ * @param {string} [movement.refund]
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} The movement
+ */
+async function recordMovement(movement, options = {}) {
+  const { session } = options;
+  const { product, variant } = movement;
+  const balanceAfter = variant ? (variant.stock ?? 0) : (product.stock ?? 0);
+  const base = {
+    product: product._id,
+    variantId: variant?._id || null,
+    variantName: variant?.name || null,
+    sku: variant?.sku || product.sku || null
+  };
+
+  const tracked = await InventoryMovement.exists({ product: base.product, variantId: base.variantId })
+    .session(session || null);
+  const opening = balanceAfter - movement.quantity;
+  const docs = [];
+  if (!tracked && opening !== 0) {
+    docs.push({ ...base, type: 'opening', quantity: opening, balanceAfter: opening, reason: 'Stock before tracking started' });
+  }
+  docs.push({
+    ...base,
+    type: movement.type,
+    quantity: movement.quantity,
+    balanceAfter,
+    actor: movement.actor || null,
+    reason: movement.reason || '',
+    order: idOf(movement.order) || null,
+    reservation: idOf(movement.reservation) || null,
+    refund: idOf(movement.refund) || null
+  });
+
+  const created = await InventoryMovement.create(docs, { session, ordered: true });
+  return created[created.length - 1];
+}
+
+/**
+ * Record the stock differences between two versions of a product (admin edits, imports).
+ * Products with variants are tracked per variant, others at product level.
+ * @param {Object|null} before - Product before the change (null for a new product)
+ * @param {Object} after - Product after the change
+ * @param {Object} context - { type, actor, reason }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array>} Movements recorded
+ */
+async function recordStockChanges(before, after, context, options = {}) {
+  const movements = [];
+
+  if (after.variants?.length) {
+    for (const variant of after.variants) {
+      const previous = before ? findVariant(before, variant._id) || findVariant(before, variant.name) : null;
+      const delta = (variant.stock || 0) - (previous?.stock || 0);
+      if (delta === 0) continue;
+      movements.push(await recordMovement({ ...context, product: after, variant, quantity: delta }, options));
+    }
+    // Variants removed by the edit take their stock with them
+    for (const variant of before?.variants || []) {
+      if (findVariant(after, variant._id) || findVariant(after, variant.name) || !(variant.stock > 0)) continue;
+      movements.push(await recordMovement({
+        ...context,
+        product: after,
+        variant: { _id: variant._id, name: variant.name, sku: variant.sku, stock: 0 },
+        quantity: -variant.stock,
+        reason: context.reason || 'Variant removed'
+      }, options));
+    }
+    return movements;
+  }
+
+  const delta = (after.stock || 0) - (before?.stock || 0);
+  if (delta !== 0) {
+    movements.push(await recordMovement({ ...context, product: after, quantity: delta }, options));
+  }
+  return movements;
+}
+
+/**
+ * Paginated movement history for a product, newest first
+ * @param {string} productId
+ * @param {Object} [filters] - { variantId, type, from, to, page, limit }
+ */
+async function getMovementHistory(productId, filters = {}) {
+  const page = Math.max(1, parseInt(filters.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+
+  const query = { product: productId };
+  if (filters.variantId) query.variantId = filters.variantId;
+  if (filters.type) query.type = { $in: filters.type.split(',').map((t) => t.trim()) };
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lte = new Date(filters.to);
+  }
+
+  const [movements, total] = await Promise.all([
+    InventoryMovement.find(query)
+      .populate('actor', ['name', 'email'])
+      .populate('order', ['orderNumber'])
+      .populate('reservation', ['order', 'status'])
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    InventoryMovement.countDocuments(query)
+  ]);
+
+  return {
+    movements,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Compare each product/variant's stock with the sum of its movements.
+ * Lines whose stock changed outside the ledger (direct database edits, code paths that skip it)
+ * come out as `mismatch`; lines with stock but no movements yet come out as `untracked`.
+ * @param {Object} [options] - { productId, onlyIssues }
+ * @returns {Promise<{ summary: Object, lines: Array }>}
+ */
+async function reconcileInventory(options = {}) {
+  const productFilter = {};
+  const movementMatch = {};
+  if (options.productId) {
+    productFilter._id = options.productId;
+    movementMatch.product = new mongoose.Types.ObjectId(options.productId.toString());
+  }
+
+  const [products, totals] = await Promise.all([
+    Product.find(productFilter).select('name sku stock variants').lean(),
+    InventoryMovement.aggregate([
+      { $match: movementMatch },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { product: '$product', variantId: '$variantId' },
+          ledgerStock: { $sum: '$quantity' },
+          movements: { $sum: 1 },
+          lastMovementAt: { $last: '$createdAt' }
+        }
+      }
+    ])
+  ]);
+
+  const byKey = new Map(totals.map((t) => [`${t._id.product}:${t._id.variantId || ''}`, t]));
+  const lines = [];
+
+  const addLine = (product, variant) => {
+    const key = `${product._id}:${variant?._id || ''}`;
+    const ledger = byKey.get(key);
+    byKey.delete(key);
+    const currentStock = (variant ? variant.stock : product.stock) || 0;
+    const ledgerStock = ledger ? ledger.ledgerStock : 0;
+    let status = 'ok';
+    if (!ledger) status = currentStock === 0 ? 'ok' : 'untracked';
+    else if (ledgerStock !== currentStock) status = 'mismatch';
+
+    lines.push({
+      product: product._id,
+      name: product.name,
+      variantId: variant?._id || null,
+      variantName: variant?.name || null,
+      sku: variant?.sku || product.sku || null,
+      currentStock,
+      ledgerStock,
+      difference: currentStock - ledgerStock,
+      movements: ledger ? ledger.movements : 0,
+      lastMovementAt: ledger ? ledger.lastMovementAt : null,
+      status
+    });
+  };
+
+  for (const product of products) {
+    if (product.variants?.length) {
+      product.variants.forEach((variant) => addLine(product, variant));
+    } else {
+      addLine(product);
+    }
+  }
+
+  // Movements for variants or products that no longer exist
+  for (const ledger of byKey.values()) {
+    if (ledger.ledgerStock === 0) continue;
+    lines.push({
+      product: ledger._id.product,
+      name: null,
+      variantId: ledger._id.variantId,
+      variantName: null,
+      sku: null,
+      currentStock: 0,
+      ledgerStock: ledger.ledgerStock,
+      difference: -ledger.ledgerStock,
+      movements: ledger.movements,
+      lastMovementAt: ledger.lastMovementAt,
+      status: 'mismatch'
+    });
+  }
+
+  const summary = {
+    lines: lines.length,
+    ok: lines.filter((l) => l.status === 'ok').length,
+    mismatch: lines.filter((l) => l.status === 'mismatch').length,
+    untracked: lines.filter((l) => l.status === 'untracked').length,
+    generatedAt: new Date()
+  };
+
+  return {
+    summary,
+    lines: options.onlyIssues ? lines.filter((l) => l.status !== 'ok') : lines
+  };
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  findVariant,
+  recordMovement,
+  recordStockChanges,
+  getMovementHistory,
+  reconcileInventory
+};
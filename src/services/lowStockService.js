@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { categoryCondition } = require('./categoryService');
+const { sendLowStockDigestEmail } = require('../email');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = process.env.LOW_STOCK_DEFAULT_THRESHOLD != null && process.env.LOW_STOCK_DEFAULT_THRESHOLD !== ''
+  ? Number(process.env.LOW_STOCK_DEFAULT_THRESHOLD)
+  : 5;
+
+const LOW_STOCK_STATUSES = ['out_of_stock', 'reorder', 'low'];
+
+/**
+ * Products and variants at or below their low-stock threshold or reorder point, lowest stock first.
+ * Products with variants are checked per variant; thresholds not set on a variant come from the product.
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - out_of_stock | reorder | low
+ * @param {string} [filters.category] - ID, slug or name; includes subcategories
+ * @param {string} [filters.vendor] - Only this seller's products
+ * @param {boolean} [filters.includeUnpublished] - Defaults to true
+ * @returns {Promise<Array>} Lines with product, variant, stock, thresholds and status
+ */
+async function findLowStockItems(filters = {}) {
+  // Bundles hold no stock; their components are checked instead
+  const match = { type: { $ne: 'bundle' } };
+  if (filters.category) Object.assign(match, await categoryCondition([filters.category]));
+  if (filters.includeUnpublished === false) match.published = true;
+  if (filters.vendor) match.vendor = new mongoose.Types.ObjectId(String(filters.vendor));
+
+  const pipeline = [
+    { $match: match },
+    { $unwind: { path: '$variants', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        product: '$_id',
+        name: 1,
+        slug: 1,
+        category: 1,
+        published: 1,
+        variantId: { $ifNull: ['$variants._id', null] },
+        variantName: { $ifNull: ['$variants.name', null] },
+        sku: { $ifNull: ['$variants.sku', '$sku'] },
+        stock: { $ifNull: ['$variants.stock', { $ifNull: ['$stock', 0] }] },
+        lowStockThreshold: {
+          $ifNull: ['$variants.lowStockThreshold', { $ifNull: ['$lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] }]
+        },
+        reorderPoint: { $ifNull: ['$variants.reorderPoint', { $ifNull: ['$reorderPoint', null] }] }
+      }
+    },
+    {
+      $addFields: {
+        status: {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$stock', 0] }, then: 'out_of_stock' },
+              {
+                case: { $and: [{ $ne: ['$reorderPoint', null] }, { $lte: ['$stock', '$reorderPoint'] }] },
+                then: 'reorder'
+              },
+              { case: { $lte: ['$stock', '$lowStockThreshold'] }, then: 'low' }
+            ],
+            default: null
+          }
+        }
+      }
+    },
+    { $match: filters.status ? { status: filters.status } : { status: { $ne: null } } },
+    { $sort: { stock: 1, name: 1 } }
+  ];
+
+  return Product.aggregate(pipeline);
+}
+
+/**
+ * Count lines per status
+ */
+function summarize(items) {
+  const summary = { total: items.length };
+  for (const status of LOW_STOCK_STATUSES) {
+    summary[status] = items.filter((item) => item.status === status).length;
+  }
+  return summary;
+}
+
+/**
+ * LOW_STOCK_ALERT_EMAILS, or every admin when it is not set
+ */
+async function digestRecipients() {
+  const configured = (process.env.LOW_STOCK_ALERT_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+
+  const admins = await User.find({ role: 'admin', email: { $nin: [null, ''] } }).select('email').lean();
+  return admins.map((admin) => admin.email);
+}
+
+/**
+ * Email the current low-stock list to ops. Nothing is sent when every item is above its threshold.
+ * Used by lowStockAlertJob.
+ * @returns {Promise<{ sent: boolean, summary: Object, error?: string }>}
+ */
+async function sendLowStockDigest() {
+  const items = await findLowStockItems({ includeUnpublished: true });
+  const summary = summarize(items);
+  if (items.length === 0) return { sent: false, summary };
+
+  const recipients = await digestRecipients();
+  if (recipients.length === 0) {
+    return { sent: false, summary, error: 'No recipients (set LOW_STOCK_ALERT_EMAILS or add an admin email)' };
+  }
+
+  const result = await sendLowStockDigestEmail(items, summary, recipients);
+  return { sent: result.success, summary, error: result.error };
+}
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  LOW_STOCK_STATUSES,
+  findLowStockItems,
+  summarize,
+  sendLowStockDigest
+};
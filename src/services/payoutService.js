@@ -0,0 +1,239 @@
+const User = require('../models/User');
+const VendorLedgerEntry = require('../models/VendorLedgerEntry');
+const VendorPayout = require('../models/VendorPayout');
+const blockchainPaymentService = require('./blockchainPaymentService');
+const commissionService = require('./commissionService');
+
+const { roundMoney } = commissionService;
+
+// Smallest available balance (USDC) worth a payout; smaller balances wait for the next batch
+const PAYOUT_MINIMUM = process.env.VENDOR_PAYOUT_MINIMUM != null && process.env.VENDOR_PAYOUT_MINIMUM !== ''
+  ? Number(process.env.VENDOR_PAYOUT_MINIMUM)
+  : 10;
+
+// Totals of the entries a payout claimed
+async function claimedTotals(payoutId) {
+  const [totals] = await VendorLedgerEntry.aggregate([
+    { $match: { payout: payoutId } },
+    {
+      $group: {
+        _id: null,
+        gross: { $sum: '$gross' },
+        commission: { $sum: '$commission' },
+        fees: { $sum: '$fees' },
+        net: { $sum: '$net' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  return totals || { gross: 0, commission: 0, fees: 0, net: 0, count: 0 };
+}
+
+function releaseEntries(payoutId) {
+  return VendorLedgerEntry.updateMany({ payout: payoutId }, { $set: { payout: null } });
+}
+
+/**
+ * Pay one vendor everything available up to the cutoff: USDC to their wallet, or a pending bank payout
+ * @returns {Promise<Object|null>} The payout, or null when the balance is below the minimum
+ */
+async function payVendor(vendorId, batch, cutoff) {
+  const vendor = await User.findById(vendorId).select('name walletAddress').lean();
+  if (!vendor) return null;
+
+  const method = vendor.walletAddress ? 'usdc' : 'bank';
+  const payout = await VendorPayout.create({
+    vendor: vendor._id,
+    batch,
+    method,
+    status: 'processing',
+    amount: 0,
+    walletAddress: vendor.walletAddress || null
+  });
+
+  // Claim the entries so another run cannot pay them twice
+  await VendorLedgerEntry.updateMany(
+    { vendor: vendor._id, payout: null, availableAt: { $lte: cutoff } },
+    { $set: { payout: payout._id } }
+  );
+  const totals = await claimedTotals(payout._id);
+  if (totals.net < PAYOUT_MINIMUM) {
+    await releaseEntries(payout._id);
+    await VendorPayout.deleteOne({ _id: payout._id });
+    return null;
+  }
+
+  payout.set({
+    gross: roundMoney(totals.gross),
+    commission: roundMoney(totals.commission),
+    fees: roundMoney(totals.fees),
+    amount: roundMoney(totals.net),
+    entryCount: totals.count
+  });
+
+  if (method === 'bank') {
+    payout.status = 'pending';
+    return payout.save();
+  }
+
+  await payout.save();
+  return sendUsdcPayout(payout);
+}
+
+function markPaid(payout, extra = {}) {
+  payout.set({ status: 'paid', paidAt: new Date(), failureReason: null, ...extra });
+  return payout.save();
+}
+
+// A transfer that moved no money: the entries go back to the next batch
+async function failPayout(payout, reason) {
+  payout.status = 'failed';
+  payout.failureReason = reason || 'USDC transfer failed';
+  await releaseEntries(payout._id);
+  return payout.save();
+}
+
+/**
+ * Send a claimed USDC payout. The transaction hash is saved as soon as the transfer is broadcast.
+ * Only a declined or reverted transfer fails the payout and releases its entries; when the outcome
+ * is unknown the payout stays processing, keeping its entries, until it is reconciled.
+ */
+async function sendUsdcPayout(payout) {
+  let result;
+  try {
+    result = await blockchainPaymentService.sendUSDCFromMainWallet(payout.walletAddress, payout.amount, {
+      onSubmitted: async (transactionHash) => {
+        payout.transactionHash = transactionHash;
+        await payout.save();
+      }
+    });
+  } catch (err) {
+    console.error(`Payout ${payout._id} transfer error:`, err.message);
+    if (payout.transactionHash && await settleFromTransaction(payout)) return payout;
+    payout.failureReason = `Transfer outcome unknown, reconcile before paying again: ${err.message}`;
+    return payout.save();
+  }
+  if (!result.success) return failPayout(payout, result.message);
+  return markPaid(payout, { transactionHash: result.transactionHash });
+}
+
+/**
+ * Settle a processing payout from its transaction: mined and succeeded is paid, reverted is failed.
+ * @returns {Promise<string|null>} The transfer status, or null when the node cannot be asked
+ */
+async function settleFromTransaction(payout) {
+  let transfer;
+  try {
+    transfer = await blockchainPaymentService.getTransferStatus(payout.transactionHash);
+  } catch (err) {
+    console.error(`Error checking payout transaction ${payout.transactionHash}:`, err.message);
+    return null;
+  }
+  if (transfer === 'confirmed') await markPaid(payout);
+  if (transfer === 'reverted') await failPayout(payout, 'USDC transfer reverted');
+  return transfer === 'confirmed' || transfer === 'reverted' ? transfer : null;
+}
+
+/**
+ * Settle a USDC payout left processing because its transfer outcome was unknown.
+ * A payout with a transaction is settled from it; otherwise an admin checks the main wallet's
+ * transfers and sends the outcome ('paid' or 'failed').
+ * @returns {Promise<{ status?: number, error?: string, payout?: Object }>}
+ */
+async function reconcilePayout(payoutId, adminId, options = {}) {
+  const payout = await VendorPayout.findById(payoutId);
+  if (!payout) return { status: 404, error: 'Payout not found' };
+  if (payout.method !== 'usdc' || payout.status !== 'processing') {
+    return { status: 409, error: 'Only processing USDC payouts are reconciled' };
+  }
+
+  if (payout.transactionHash) {
+    let transfer;
+    try {
+      transfer = await blockchainPaymentService.getTransferStatus(payout.transactionHash);
+    } catch (err) {
+      return { status: 502, error: `Could not check the transaction: ${err.message}` };
+    }
+    if (transfer === 'pending') {
+      return { status: 409, error: 'Payout transaction is not mined yet, try again later' };
+    }
+    if (transfer === 'confirmed') return { payout: await markPaid(payout, { recordedBy: adminId }) };
+    if (transfer === 'reverted') return { payout: await failPayout(payout, 'USDC transfer reverted') };
+  }
+
+  if (options.outcome === 'paid') {
+    return { payout: await markPaid(payout, { recordedBy: adminId, reference: options.reference || null }) };
+  }
+  if (options.outcome === 'failed') {
+    payout.recordedBy = adminId;
+    return { payout: await failPayout(payout, options.reason || 'USDC transfer did not go through') };
+  }
+  return { status: 400, error: 'Check the main wallet transfers and send outcome "paid" or "failed"' };
+}
+
+// Settle payouts left processing by an earlier run whose transfers have been mined since
+async function settleProcessingPayouts() {
+  const payouts = await VendorPayout.find({ method: 'usdc', status: 'processing', transactionHash: { $ne: null } });
+  for (const payout of payouts) {
+    await settleFromTransaction(payout);
+  }
+}
+
+/**
+ * Record new sales and settle payouts mined since the last run, then pay every vendor whose
+ * available balance reaches VENDOR_PAYOUT_MINIMUM
+ * @returns {Promise<{ batch: string, payouts: Array, failed: number, unsettled: number }>}
+ */
+async function runPayoutBatch() {
+  await commissionService.syncLedger();
+  await settleProcessingPayouts();
+
+  const cutoff = new Date();
+  const batch = `PAYOUT-${cutoff.toISOString().slice(0, 10)}-${cutoff.getTime()}`;
+  const balances = await VendorLedgerEntry.aggregate([
+    { $match: { payout: null, availableAt: { $lte: cutoff } } },
+    { $group: { _id: '$vendor', net: { $sum: '$net' } } },
+    { $match: { net: { $gte: PAYOUT_MINIMUM } } }
+  ]);
+
+  const payouts = [];
+  for (const balance of balances) {
+    try {
+      const payout = await payVendor(balance._id, batch, cutoff);
+      if (payout) payouts.push(payout);
+    } catch (err) {
+      console.error(`Error paying out vendor ${balance._id}:`, err.message);
+    }
+  }
+  return {
+    batch,
+    payouts,
+    failed: payouts.filter((payout) => payout.status === 'failed').length,
+    unsettled: payouts.filter((payout) => payout.status === 'processing').length
+  };
+}
+
+/**
+ * Record that a pending bank payout was transferred
+ * @returns {Promise<{ status?: number, error?: string, payout?: Object }>}
+ */
+async function markBankPayoutPaid(payoutId, adminId, reference) {
+  const payout = await VendorPayout.findOneAndUpdate(
+    { _id: payoutId, method: 'bank', status: 'pending' },
+    { $set: { status: 'paid', paidAt: new Date(), reference: reference || null, recordedBy: adminId } },
+    { new: true }
+  );
+  if (!payout) {
+    const existing = await VendorPayout.findById(payoutId).lean();
+    if (!existing) return { status: 404, error: 'Payout not found' };
+    return { status: 409, error: existing.method === 'bank' ? `Payout is already ${existing.status}` : 'Only bank payouts are recorded by hand' };
+  }
+  return { payout };
+}
+
+module.exports = {
+  PAYOUT_MINIMUM,
+  runPayoutBatch,
+  reconcilePayout,
+  markBankPayoutPaid
+};
@@ -1,4 +1,5 @@
 const paystack = require('paystack')(process.env.PAYSTACK_SECRET_KEY);
+const axios = require('axios');
 
 class PaystackService {
   /**
@@ -85,6 +86,41 @@ class PaystackService {
     }
   }
 
+  /**
+   * Refund a Paystack transaction, fully or partially.
+   * The paystack client has no refund resource, so this calls the REST API directly.
+   * @param {Object} refundData - Refund details
+   * @param {string} refundData.transaction - Transaction reference or id
+   * @param {number} [refundData.amount] - Amount in kobo; full transaction amount when omitted
+   * @param {string} [refundData.currency] - Currency code (default: NGN)
+   * @param {string} [refundData.merchant_note] - Reason shown on the Paystack dashboard
+   * @returns {Promise<Object>} Paystack response ({ status, message, data })
+   */
+  static async createRefund(refundData) {
+    try {
+      const { transaction, amount, currency = 'NGN', merchant_note } = refundData;
+      const response = await axios.post(
+        'https://api.paystack.co/refund',
+        { transaction, amount, currency, merchant_note },
+        {
+          headers: {
+            Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      console.error('Paystack refund error:', message);
+      const refundError = new Error(`Failed to refund Paystack transaction: ${message}`);
+      // Paystack answered with a client error, so no refund was created; otherwise the outcome is unknown
+      refundError.rejected = !!error.response && error.response.status < 500;
+      throw refundError;
+    }
+  }
+
   /**
    * Convert amount to kobo (Paystack's smallest currency unit)
    * @param {number} amount - Amount in major currency unit
@@ -0,0 +1,279 @@
+const Product = require('../models/Product');
+const currencyExchangeService = require('./currencyExchangeService');
+const promotionService = require('./promotionService');
+const taxService = require('./taxService');
+const saleService = require('./saleService');
+const { findVariant } = require('./inventoryService');
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function normalizeCurrency(currency) {
+  return currency === 'USDT' ? 'USDC' : (currency || 'USDC');
+}
+
+/**
+ * Snapshot the platform rates so every amount on an order is converted with the same rate.
+ * @param {string} quoteCurrency - Currency the quote amounts are expressed in
+ * @param {Object} [rates] - Rates to lock; loaded from CurrencyExchangeRate when omitted
+ */
+async function lockRates(quoteCurrency, rates) {
+  const locked = currencyExchangeService.normalizeRates(rates || await currencyExchangeService.getRates());
+  return {
+    base: 'USD',
+    rates: locked,
+    quoteCurrency: normalizeCurrency(quoteCurrency),
+    lockedAt: new Date()
+  };
+}
+
+/**
+ * Convert with the rates locked on a quote or an order (Order.exchangeRate).
+ */
+function convertLocked(amount, fromCurrency, toCurrency, exchangeRate) {
+  const from = normalizeCurrency(fromCurrency);
+  const to = normalizeCurrency(toCurrency);
+  if (from === to) return Number(amount) || 0;
+  const rates = exchangeRate?.rates || currencyExchangeService.normalizeRates(currencyExchangeService.DEFAULT_RATES);
+  return currencyExchangeService.convert(amount, from, to, rates);
+}
+
+/**
+ * Price of a line right now: the selected variant's (or, without one, the product's) sale price
+ * while its sale is live, its regular price otherwise
+ * @param {Object} product - Product with price and sale (and variants when a variant is selected)
+ * @param {Object|string} [variant] - { variantId, name }, or a variant ID or name
+ * @returns {{ price: number, originalPrice: number, onSale: boolean }}
+ */
+function linePriceFor(product, variant) {
+  const key = variant?.variantId || variant?.name || variant;
+  return saleService.pricesFor(product, findVariant(product, key));
+}
+
+/**
+ * Unit price of a line (see linePriceFor)
+ */
+function unitPriceFor(product, variant) {
+  return linePriceFor(product, variant).price;
+}
+
+/**
+ * Price a set of items for checkout. Every checkout path (direct, cart, Paystack, SeerBit,
+ * crypto, wallet) goes through here so totals use one rate snapshot, the same promotion
+ * rules and the same tax rules.
+ * @param {Object} params
+ * @param {Array<{ product: Object, quantity: number, unitPrice?: number, currency?: string, variant?: Object }>} params.items
+ *   product needs _id, price, sale, currency, category and variants; unitPrice/currency override the product (or variant) price
+ * @param {string} params.currency - Currency of the quote (and of the order amounts)
+ * @param {Object} [params.deliveryMethod] - DeliveryMethod document ({ price, currency })
+ * @param {string} [params.shippingAddressId] - Tax destination (NG when absent)
+ * @param {boolean} [params.includeTax=true]
+ * @param {string} [params.promoCode] - Evaluated, not redeemed; call redeemQuotePromotion when the order is created
+ * @param {string} [params.userId]
+ * @param {Object} [params.rates] - Rates to lock; loaded from CurrencyExchangeRate when omitted
+ * @returns {Promise<{ error?: string, quote?: Object }>}
+ */
+async function buildQuote(params) {
+  const currency = normalizeCurrency(params.currency);
+  const exchangeRate = await lockRates(currency, params.rates);
+  const toQuoteCurrency = (amount, from) => convertLocked(amount, from, currency, exchangeRate);
+
+  const lines = (params.items || []).map((item) => {
+    const product = item.product;
+    const live = item.unitPrice != null ? null : linePriceFor(product, item.variant);
+    const sourcePrice = live ? live.price : item.unitPrice;
+    const sourceCurrency = normalizeCurrency(item.currency || product.currency);
+    const unitPrice = toQuoteCurrency(sourcePrice, sourceCurrency);
+    return {
+      product,
+      productId: product._id,
+      category: product.category,
+      variant: item.variant || null,
+      quantity: item.quantity,
+      // Priced at a sale price: checkout counts the units against the sale (see stockReservationService)
+      onSale: live ? live.onSale : false,
+      sourceUnitPrice: sourcePrice,
+      sourceCurrency,
+      unitPrice,
+      lineTotal: unitPrice * item.quantity
+    };
+  });
+  const subTotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  const deliveryFee = params.deliveryMethod
+    ? toQuoteCurrency(params.deliveryMethod.price || 0, params.deliveryMethod.currency || 'USD')
+    : 0;
+
+  let promotion = null;
+  let discountAmount = 0;
+  let freeDelivery = false;
+  if (params.promoCode) {
+    const result = await promotionService.applyPromotionCode(params.promoCode, {
+      userId: params.userId,
+      currency,
+      deliveryFee,
+      lines,
+      rates: exchangeRate.rates
+    });
+    if (!result.valid) {
+      return { error: result.message || 'Promotion code cannot be applied' };
+    }
+    promotion = result.promotion;
+    discountAmount = result.discountAmount;
+    freeDelivery = result.freeDelivery;
+  }
+
+  let tax = { taxAmount: 0, exclusiveTaxAmount: 0, breakdown: [] };
+  if (params.includeTax !== false) {
+    tax = await taxService.calculateOrderTax(params.shippingAddressId, {
+      lines,
+      deliveryFee,
+      discountAmount,
+      freeDelivery
+    });
+  }
+
+  return {
+    quote: {
+      currency,
+      exchangeRate,
+      lines,
+      subTotal: roundMoney(subTotal),
+      deliveryFee: roundMoney(deliveryFee),
+      promotion,
+      discountAmount,
+      freeDelivery,
+      taxAmount: tax.taxAmount,
+      exclusiveTaxAmount: tax.exclusiveTaxAmount,
+      taxBreakdown: tax.breakdown,
+      totalAmount: roundMoney(subTotal + deliveryFee - discountAmount + tax.exclusiveTaxAmount)
+    }
+  };
+}
+
+/**
+ * Rebuild an in-memory quote from a stored CheckoutQuote so checkout uses the locked snapshot.
+ * Line products are ids unless the caller populated them.
+ */
+function quoteFromSnapshot(snapshot) {
+  return {
+    currency: snapshot.currency,
+    exchangeRate: snapshot.exchangeRate,
+    lines: snapshot.lines.map((line) => ({
+      product: line.product,
+      productId: line.product?._id || line.product,
+      category: line.category,
+      variant: line.variant,
+      quantity: line.quantity,
+      onSale: line.onSale || false,
+      sourceUnitPrice: line.sourceUnitPrice,
+      sourceCurrency: line.sourceCurrency,
+      unitPrice: line.unitPrice,
+      lineTotal: line.lineTotal
+    })),
+    subTotal: snapshot.subTotal,
+    deliveryFee: snapshot.deliveryFee,
+    promotion: snapshot.promotion ? { _id: snapshot.promotion, code: snapshot.promotionCode } : null,
+    discountAmount: snapshot.discountAmount,
+    freeDelivery: snapshot.freeDelivery,
+    taxAmount: snapshot.taxAmount,
+    exclusiveTaxAmount: snapshot.exclusiveTaxAmount,
+    taxBreakdown: snapshot.taxBreakdown,
+    totalAmount: snapshot.totalAmount
+  };
+}
+
+/**
+ * Amount of a quote total in another currency (e.g. NGN for Paystack/SeerBit), using the locked rate.
+ */
+function quoteAmountIn(quote, toCurrency) {
+  return roundMoney(convertLocked(quote.totalAmount, quote.currency, toCurrency, quote.exchangeRate));
+}
+
+/**
+ * Count the quote's promotion against its usage cap. Returns false when the cap was reached meanwhile.
+ */
+async function redeemQuotePromotion(quote, options = {}) {
+  if (!quote.promotion) return true;
+  return promotionService.redeemPromotion(quote.promotion._id, options);
+}
+
+/**
+ * Give back the use counted by redeemQuotePromotion when the checkout goes no further.
+ */
+async function releaseQuotePromotion(quote) {
+  if (!quote.promotion) return;
+  await promotionService.releasePromotion({ promotion: quote.promotion._id });
+}
+
+/**
+ * Order fields for a quote; spread onto new Order(...).
+ */
+function orderFieldsFromQuote(quote) {
+  return {
+    subTotal: quote.subTotal,
+    deliveryFee: quote.deliveryFee,
+    discountAmount: quote.discountAmount,
+    promotion: quote.promotion ? quote.promotion._id : null,
+    promotionCode: quote.promotion ? quote.promotion.code : null,
+    taxAmount: quote.taxAmount,
+    taxBreakdown: quote.taxBreakdown,
+    totalAmount: quote.totalAmount,
+    currency: quote.currency,
+    exchangeRate: quote.exchangeRate
+  };
+}
+
+/**
+ * Recalculate cart subtotal, discount and total in cart.currency. Tax is only known at checkout.
+ * @returns {Promise<Object|null>} Promotion evaluation, or null when no code is applied
+ */
+async function priceCart(cart) {
+  const currency = normalizeCurrency(cart.currency);
+  const exchangeRate = await lockRates(currency);
+  const activeItems = cart.items.filter((item) => item.status === 'active');
+
+  const lines = activeItems.map((item) => ({
+    productId: item.productId,
+    lineTotal: convertLocked(item.unitPrice, item.currency, currency, exchangeRate) * item.quantity
+  }));
+  cart.subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  let evaluation = null;
+  cart.discount = 0;
+  if (cart.promotionCode) {
+    // The cart keeps a product snapshot without the category; promotion scopes need it
+    const products = await Product.find({ _id: { $in: lines.map((line) => line.productId) } })
+      .select('category')
+      .lean();
+    const categoryById = new Map(products.map((p) => [p._id.toString(), p.category]));
+    lines.forEach((line) => { line.category = categoryById.get(line.productId.toString()); });
+
+    evaluation = await promotionService.applyPromotionCode(cart.promotionCode, {
+      userId: cart.user,
+      currency,
+      deliveryFee: cart.deliveryFee || 0,
+      lines,
+      rates: exchangeRate.rates
+    });
+    cart.discount = evaluation.valid ? evaluation.discountAmount : 0;
+  }
+
+  cart.total = roundMoney(cart.subtotal + (cart.deliveryFee || 0) - cart.discount);
+  return evaluation;
+}
+
+module.exports = {
+  lockRates,
+  convertLocked,
+  linePriceFor,
+  unitPriceFor,
+  buildQuote,
+  quoteFromSnapshot,
+  quoteAmountIn,
+  redeemQuotePromotion,
+  releaseQuotePromotion,
+  orderFieldsFromQuote,
+  priceCart
+};
@@ -0,0 +1,289 @@
+/**
+ * Product listing filters and faceted search.
+ *
+ * Filters are kept per facet so each facet's counts can ignore its own selection
+ * ("Brand: Apple (12), Samsung (8)" still lists Samsung after Apple is picked),
+ * while still applying every other selected filter.
+ */
+const Product = require('../models/Product');
+const searchService = require('./searchService');
+const categoryService = require('./categoryService');
+const brandService = require('./brandService');
+
+// Upper bounds of the price buckets (USDC); anything above the last one falls into the open-ended bucket
+const PRICE_BOUNDARIES = [0, 50, 100, 250, 500, 1000, 2500, 5000];
+
+const RELEVANCE_SORT = { score: { $meta: 'textScore' } };
+
+/**
+ * Listing sort from the `sort` query param. Relevance needs a text search; searches default to it.
+ */
+function parseSort(sortParam, hasSearch = false) {
+  if (!sortParam) return hasSearch ? RELEVANCE_SORT : { createdAt: -1 };
+  if (sortParam === 'relevance') return hasSearch ? RELEVANCE_SORT : { createdAt: -1 };
+  if (sortParam === 'newest') return { createdAt: -1 };
+  if (sortParam.startsWith('price:')) {
+    return { price: sortParam.endsWith(':desc') ? -1 : 1 };
+  }
+  if (sortParam === 'popularity') return { createdAt: -1 }; // Placeholder
+  if (sortParam === 'rating' || sortParam === 'rating:desc') return { averageRating: -1, reviewCount: -1 };
+  if (sortParam === 'rating:asc') return { averageRating: 1, reviewCount: -1 };
+  if (sortParam === 'reviews') return { reviewCount: -1, averageRating: -1 };
+  return { createdAt: -1 };
+}
+
+function toList(value) {
+  if (value == null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Spec/attribute filters from the query: color and size (kept for the existing listing),
+ * plus `spec[Label]=a,b` or `attr[Name]=a,b` for any other spec label or variant attribute.
+ * A product matches an option when one of its specs or variant attributes has one of the values.
+ * @returns {Object} Label -> values
+ */
+function parseOptionFilters(query) {
+  const options = {};
+  const add = (label, value) => {
+    const values = toList(value);
+    if (label && values.length > 0) options[label] = [...(options[label] || []), ...values];
+  };
+
+  add('Color', query.color);
+  add('Size', query.size);
+  for (const [key, value] of Object.entries(query)) {
+    const match = /^(?:spec|attr)\[(.+)\]$/.exec(key);
+    if (match) add(match[1], value);
+  }
+  // Extended query parser: ?spec[RAM]=8GB arrives as { spec: { RAM: '8GB' } }
+  for (const group of [query.spec, query.attr]) {
+    if (group && typeof group === 'object') {
+      for (const [label, value] of Object.entries(group)) add(label, value);
+    }
+  }
+  return options;
+}
+
+function optionCondition(label, values) {
+  return {
+    $or: [
+      { specs: { $elemMatch: { label, value: { $in: values } } } },
+      { variants: { $elemMatch: { attributes: { $elemMatch: { name: label, value: { $in: values } } } } } }
+    ]
+  };
+}
+
+/**
+ * Split listing query params into the base filter (always applied) and per-facet conditions.
+ * The search text is expanded with synonyms and typo corrections (searchService).
+ * @param {Object} query - req.query
+ * @returns {Promise<{ base: Object, conditions: Object, options: Object, search: Object|null }>}
+ *   `search` is { terms, corrections } when a search was given
+ */
+async function parseFilters(query) {
+  const base = { published: true };
+  let search = null;
+  // $text must be in the first $match of a pipeline, so it always stays in the base filter
+  if (query.search) {
+    const expanded = await searchService.expandQuery(query.search);
+    base.$text = { $search: expanded.search || String(query.search) };
+    search = { terms: expanded.terms, corrections: expanded.corrections };
+  }
+
+  const conditions = {};
+
+  // A category matches its subcategories' products too
+  const categories = toList(query.category);
+  if (categories.length > 0) conditions.category = await categoryService.categoryCondition(categories);
+
+  // Brand IDs, slugs, names or aliases ("apple" finds Apple)
+  const brands = toList(query.brand);
+  if (brands.length > 0) conditions.brand = await brandService.brandCondition(brands);
+
+  if (query.minPrice || query.maxPrice) {
+    const price = {};
+    if (query.minPrice) price.$gte = Number(query.minPrice);
+    if (query.maxPrice) price.$lte = Number(query.maxPrice);
+    conditions.price = { price };
+  }
+
+  if (query.minRating) conditions.rating = { averageRating: { $gte: Number(query.minRating) } };
+
+  // Sales saleJob has marked live, on the product or any variant
+  if (query.onSale === 'true') conditions.onSale = { $or: [{ 'sale.active': true }, { 'variants.sale.active': true }] };
+
+  const options = parseOptionFilters(query);
+  for (const [label, values] of Object.entries(options)) {
+    conditions[`option:${label}`] = optionCondition(label, values);
+  }
+
+  return { base, conditions, options, search };
+}
+
+/**
+ * Mongo filter from the base filter and the conditions, leaving out the keys in `except`
+ */
+function buildFilter(base, conditions, except = []) {
+  const parts = Object.entries(conditions)
+    .filter(([key]) => !except.includes(key))
+    .map(([, condition]) => condition);
+  return parts.length > 0 ? { ...base, $and: parts } : { ...base };
+}
+
+// Count of products per spec label/value; `onlyLabel` limits it to one label
+function specFacet(match, onlyLabel) {
+  return [
+    { $match: match },
+    { $unwind: '$specs' },
+    ...(onlyLabel ? [{ $match: { 'specs.label': onlyLabel } }] : []),
+    { $group: { _id: { label: '$specs.label', value: '$specs.value', product: '$_id' } } },
+    { $group: { _id: { label: '$_id.label', value: '$_id.value' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, '_id.value': 1 } },
+    { $group: { _id: '$_id.label', values: { $push: { value: '$_id.value', count: '$count' } } } },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+// Count of products per variant attribute name/value; `onlyName` limits it to one attribute
+function attributeFacet(match, onlyName) {
+  return [
+    { $match: match },
+    { $unwind: '$variants' },
+    { $unwind: '$variants.attributes' },
+    ...(onlyName ? [{ $match: { 'variants.attributes.name': onlyName } }] : []),
+    { $group: { _id: { name: '$variants.attributes.name', value: '$variants.attributes.value', product: '$_id' } } },
+    { $group: { _id: { name: '$_id.name', value: '$_id.value' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, '_id.value': 1 } },
+    { $group: { _id: '$_id.name', values: { $push: { value: '$_id.value', count: '$count' } } } },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+function valueFacet(field, match) {
+  return [
+    { $match: { ...match, [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ];
+}
+
+// Count of products per category, with the category's name and slug for links
+function categoryFacet(match) {
+  return [
+    { $match: { ...match, category: { $nin: [null, ''] } } },
+    { $group: { _id: { id: '$categoryId', name: '$category' }, count: { $sum: 1 } } },
+    { $lookup: { from: 'categories', localField: '_id.id', foreignField: '_id', as: 'node' } },
+    { $unwind: { path: '$node', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: '$_id.id',
+        name: { $ifNull: ['$node.name', '$_id.name'] },
+        slug: { $ifNull: ['$node.slug', null] },
+        parent: { $ifNull: ['$node.parent', null] },
+        count: 1
+      }
+    },
+    { $sort: { count: -1, name: 1 } }
+  ];
+}
+
+function priceFacet(match) {
+  return [
+    { $match: match },
+    {
+      $bucket: {
+        groupBy: '$price',
+        boundaries: PRICE_BOUNDARIES,
+        default: 'above',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ];
+}
+
+function priceRanges(buckets) {
+  return buckets.map((bucket) => {
+    if (bucket._id === 'above') {
+      return { min: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1], max: null, count: bucket.count };
+    }
+    const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+    return { min: bucket._id, max: PRICE_BOUNDARIES[index + 1], count: bucket.count };
+  });
+}
+
+function groupedValues(groups, key) {
+  return groups.map((group) => ({ [key]: group._id, values: group.values }));
+}
+
+/**
+ * Matching products (one page) plus facet counts per category, brand, price range,
+ * spec label/value and variant attribute, in a single aggregation.
+ * @param {Object} query - req.query (filters as for GET /api/products)
+ * @param {Object} page - { skip, limit, sort }; sort by `score` for relevance (needs a search)
+ * @returns {Promise<{ items: Array, total: number, facets: Object, filters: Object, search: Object|null }>}
+ */
+async function facetedSearch(query, { skip, limit, sort }) {
+  const { base, conditions, options, search } = await parseFilters(query);
+  // Branch stages run after the $text match, so the base filter is matched once up front
+  const except = (...keys) => buildFilter({}, conditions, keys);
+  const all = except();
+  // Relevance sorts on the text score added before $facet
+  const itemSort = sort.score ? { score: -1, createdAt: -1 } : sort;
+
+  const facets = {
+    items: [{ $match: all }, { $sort: itemSort }, { $skip: skip }, { $limit: limit }],
+    total: [{ $match: all }, { $count: 'count' }],
+    categories: categoryFacet(except('category')),
+    brands: valueFacet('brand', except('brand')),
+    priceRanges: priceFacet(except('price')),
+    specs: specFacet(all),
+    attributes: attributeFacet(all)
+  };
+
+  // A selected spec/attribute is counted without its own selection so its other values stay visible
+  const selected = Object.keys(options);
+  selected.forEach((label, i) => {
+    facets[`spec_${i}`] = specFacet(except(`option:${label}`), label);
+    facets[`attr_${i}`] = attributeFacet(except(`option:${label}`), label);
+  });
+
+  const stages = [{ $match: base }];
+  if (search) stages.push({ $addFields: { score: { $meta: 'textScore' } } });
+  const [result] = await Product.aggregate([...stages, { $facet: facets }]);
+
+  const specs = groupedValues(result.specs, 'label');
+  const attributes = groupedValues(result.attributes, 'name');
+  selected.forEach((label, i) => {
+    const replace = (list, key, own) => {
+      const rest = list.filter((entry) => entry[key] !== label);
+      return own.length > 0 ? [...rest, ...groupedValues(own, key)].sort((a, b) => String(a[key]).localeCompare(String(b[key]))) : rest;
+    };
+    specs.splice(0, specs.length, ...replace(specs, 'label', result[`spec_${i}`]));
+    attributes.splice(0, attributes.length, ...replace(attributes, 'name', result[`attr_${i}`]));
+  });
+
+  return {
+    items: result.items,
+    total: result.total[0]?.count || 0,
+    facets: {
+      categories: result.categories,
+      brands: result.brands,
+      priceRanges: priceRanges(result.priceRanges),
+      specs,
+      attributes
+    },
+    filters: options,
+    search
+  };
+}
+
+module.exports = {
+  PRICE_BOUNDARIES,
+  parseSort,
+  parseFilters,
+  buildFilter,
+  facetedSearch
+};
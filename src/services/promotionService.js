@@ -0,0 +1,161 @@
+const Promotion = require('../models/Promotion');
+const { Order } = require('../models/Order');
+const currencyExchangeService = require('./currencyExchangeService');
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Whether a line (product id + category) falls inside the promotion scope.
+ * An empty scope matches every line.
+ */
+function isLineInScope(promotion, line) {
+  const products = (promotion.scope?.products || []).map((id) => id.toString());
+  const categories = (promotion.scope?.categories || []).map((c) => c.toLowerCase());
+  if (products.length === 0 && categories.length === 0) return true;
+  if (line.productId && products.includes(line.productId.toString())) return true;
+  if (line.category && categories.includes(String(line.category).toLowerCase())) return true;
+  return false;
+}
+
+/**
+ * Find a promotion by code (case-insensitive). Returns null when not found.
+ */
+async function findPromotionByCode(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+  return Promotion.findOne({ code: normalized });
+}
+
+/**
+ * Evaluate a promotion against a priced cart/order.
+ * @param {Object} promotion - Promotion document
+ * @param {Object} ctx
+ * @param {string} [ctx.userId] - Buyer id, used for the per-user cap
+ * @param {Array<{ productId, category, lineTotal }>} ctx.lines - Lines priced in ctx.currency
+ * @param {number} [ctx.deliveryFee] - Delivery fee in ctx.currency
+ * @param {string} ctx.currency - Order currency
+ * @param {Object} [ctx.rates] - Platform rates; loaded from DB when omitted
+ * @returns {Promise<{ valid: boolean, message?: string, discountAmount: number, freeDelivery: boolean, eligibleSubtotal: number }>}
+ */
+async function evaluatePromotion(promotion, ctx) {
+  const result = { valid: false, discountAmount: 0, freeDelivery: false, eligibleSubtotal: 0 };
+  if (!promotion) return { ...result, message: 'Promotion code not found' };
+
+  const now = ctx.now || new Date();
+  if (!promotion.isActive) return { ...result, message: 'Promotion is not active' };
+  if (promotion.startsAt && now < promotion.startsAt) return { ...result, message: 'Promotion has not started yet' };
+  if (promotion.endsAt && now > promotion.endsAt) return { ...result, message: 'Promotion has expired' };
+
+  if (promotion.usageLimit != null && promotion.usageCount >= promotion.usageLimit) {
+    return { ...result, message: 'Promotion usage limit reached' };
+  }
+
+  if (promotion.usageLimitPerUser != null && ctx.userId) {
+    const used = await Order.countDocuments({
+      buyer: ctx.userId,
+      promotion: promotion._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (used >= promotion.usageLimitPerUser) {
+      return { ...result, message: 'You have already used this promotion' };
+    }
+  }
+
+  const rates = ctx.rates || await currencyExchangeService.getRates();
+  const toOrderCurrency = (amount) => currencyExchangeService.convert(amount, promotion.currency, ctx.currency, rates);
+
+  const lines = Array.isArray(ctx.lines) ? ctx.lines : [];
+  const eligibleSubtotal = lines
+    .filter((line) => isLineInScope(promotion, line))
+    .reduce((sum, line) => sum + (Number(line.lineTotal) || 0), 0);
+
+  if (eligibleSubtotal <= 0) {
+    return { ...result, message: 'No items in your cart qualify for this promotion' };
+  }
+
+  const minSpend = toOrderCurrency(promotion.minSpend || 0);
+  if (eligibleSubtotal < minSpend) {
+    return { ...result, eligibleSubtotal, message: `Minimum spend of ${roundMoney(minSpend)} ${ctx.currency} required` };
+  }
+
+  let discountAmount = 0;
+  let freeDelivery = false;
+  if (promotion.type === 'percentage') {
+    discountAmount = eligibleSubtotal * (promotion.value / 100);
+    if (promotion.maxDiscount != null) {
+      discountAmount = Math.min(discountAmount, toOrderCurrency(promotion.maxDiscount));
+    }
+  } else if (promotion.type === 'fixed') {
+    discountAmount = Math.min(toOrderCurrency(promotion.value), eligibleSubtotal);
+  } else if (promotion.type === 'free_delivery') {
+    freeDelivery = true;
+    discountAmount = Number(ctx.deliveryFee) || 0;
+  }
+
+  return {
+    valid: true,
+    discountAmount: roundMoney(discountAmount),
+    freeDelivery,
+    eligibleSubtotal: roundMoney(eligibleSubtotal)
+  };
+}
+
+/**
+ * Look up a code and evaluate it in one step.
+ * @returns {Promise<{ promotion: Object|null, valid: boolean, message?: string, discountAmount: number, freeDelivery: boolean }>}
+ */
+async function applyPromotionCode(code, ctx) {
+  const promotion = await findPromotionByCode(code);
+  const evaluation = await evaluatePromotion(promotion, ctx);
+  return { promotion, ...evaluation };
+}
+
+/**
+ * Atomically count one use of the promotion against its global cap.
+ * Returns false when the cap was reached between evaluation and redemption.
+ */
+async function redeemPromotion(promotionId, options = {}) {
+  const updated = await Promotion.findOneAndUpdate(
+    {
+      _id: promotionId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session: options.session }
+  );
+  return !!updated;
+}
+
+/**
+ * Give back a use when an order that redeemed a promotion is cancelled or expires unpaid.
+ */
+async function releasePromotion(order) {
+  if (!order || !order.promotion) return;
+  try {
+    await Promotion.updateOne(
+      { _id: order.promotion, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+  } catch (err) {
+    console.error(`[Promotion] Failed to release promotion for order ${order._id}:`, err.message);
+  }
+}
+
+module.exports = {
+  normalizeCode,
+  isLineInScope,
+  findPromotionByCode,
+  evaluatePromotion,
+  applyPromotionCode,
+  redeemPromotion,
+  releasePromotion
+};
@@ -0,0 +1,31 @@
+const ProductQuestion = require('../models/ProductQuestion');
+
+// What shoppers see of a question: no moderation fields, names only
+const PUBLIC_FIELDS = '-hidden -__v';
+
+/**
+ * Answered, visible questions of a product, most recently answered first
+ * @param {string} productId
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<{ questions: Array, total: number }>}
+ */
+async function answeredQuestions(productId, options = {}) {
+  const page = options.page || 1;
+  const limit = options.limit || 10;
+  const filter = { product: productId, hidden: false, answeredAt: { $ne: null } };
+
+  const [questions, total] = await Promise.all([
+    ProductQuestion.find(filter)
+      .select(PUBLIC_FIELDS)
+      .populate('user', ['name'])
+      .populate('answers.user', ['name', 'role', 'companyName'])
+      .sort({ answeredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ProductQuestion.countDocuments(filter)
+  ]);
+  return { questions, total };
+}
+
+module.exports = { answeredQuestions };
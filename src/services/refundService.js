@@ -0,0 +1,515 @@
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { Order, OrderItem } = require('../models/Order');
+const PaystackService = require('./paystackService');
+const seerbitService = require('./seerbitService');
+const blockchainPaymentService = require('./blockchainPaymentService');
+const { convertLocked } = require('./pricingService');
+const { restoreStockOnRefund } = require('../utils/stockAnalysis');
+const commissionService = require('./commissionService');
+
+// Refunds that hold quantity/amount on an order; a failed refund keeps its hold until it is retried or rejected
+const OPEN_STATUSES = ['requested', 'approved', 'processing', 'completed', 'failed'];
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Rail a refund is paid back through, from the order payment method.
+ * Wallet orders were paid from the buyer's platform balance, so that is where the money goes back.
+ * @returns {string|null} null when the order cannot be refunded automatically
+ */
+function refundMethodFor(order) {
+  switch (order.paymentMethod) {
+    case 'paystack':
+      return order.paystackReference ? 'paystack' : null;
+    case 'seerbit':
+      return order.seerbitReference ? 'seerbit' : null;
+    case 'crypto':
+      return 'crypto';
+    case 'wallet':
+      return 'wallet';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Refundable amount per unit of each order item, in order currency.
+ * Each item gets its share of what was paid for goods (total minus delivery), so discounts and
+ * tax are spread the same way they were charged.
+ * @returns {Map<string, number>} orderItem id -> amount per unit
+ */
+function unitRefundAmounts(order, orderItems) {
+  const quoteCurrency = order.exchangeRate?.quoteCurrency || order.currency;
+  const toOrderCurrency = (amount, from) => convertLocked(amount, from, order.currency, order.exchangeRate);
+
+  const itemsTotal = orderItems.reduce((sum, item) => sum + toOrderCurrency(item.totalPrice, item.currency), 0);
+  const goodsPaid = Math.max(0, order.totalAmount - toOrderCurrency(order.deliveryFee || 0, quoteCurrency));
+
+  const amounts = new Map();
+  for (const item of orderItems) {
+    const unit = itemsTotal > 0 ? (toOrderCurrency(item.unitPrice, item.currency) / itemsTotal) * goodsPaid : 0;
+    amounts.set(item._id.toString(), unit);
+  }
+  return amounts;
+}
+
+/**
+ * Open a refund request for a paid order.
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {Array<{ orderItem: string, quantity: number }>} [params.items] - Omit to refund everything not yet refunded
+ * @param {string} [params.reason]
+ * @param {string} [params.requestedBy] - User id
+ * @returns {Promise<{ status?: number, error?: string, refund?: Object }>}
+ */
+async function requestRefund({ order, items, reason = '', requestedBy = null }) {
+  if (order.paymentStatus !== 'paid') {
+    return { status: 400, error: order.paymentStatus === 'refunded' ? 'Order has already been refunded' : 'Only paid orders can be refunded' };
+  }
+  const method = refundMethodFor(order);
+  if (!method) {
+    return { status: 400, error: `Orders paid with ${order.paymentMethod || 'this method'} cannot be refunded automatically` };
+  }
+  // Only money that was actually taken goes back
+  const payment = await Payment.exists({ order: order._id, status: 'completed' });
+  if (!payment) {
+    return { status: 400, error: 'No payment was recorded for this order, so it cannot be refunded' };
+  }
+
+  const orderItems = await OrderItem.find({ order: order._id });
+  const openRefunds = await Refund.find({ order: order._id, status: { $in: OPEN_STATUSES } }).lean();
+
+  const heldQuantity = new Map();
+  for (const refund of openRefunds) {
+    for (const line of refund.items) {
+      const key = line.orderItem.toString();
+      heldQuantity.set(key, (heldQuantity.get(key) || 0) + line.quantity);
+    }
+  }
+  const heldAmount = openRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+  const remainingQuantity = (item) => item.quantity - (heldQuantity.get(item._id.toString()) || 0);
+
+  let requested;
+  if (!items) {
+    requested = orderItems
+      .filter((item) => remainingQuantity(item) > 0)
+      .map((item) => ({ item, quantity: remainingQuantity(item) }));
+  } else {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { status: 400, error: 'Select at least one item to refund' };
+    }
+    requested = [];
+    for (const entry of items) {
+      const item = orderItems.find((candidate) => candidate._id.toString() === String(entry.orderItem));
+      if (!item) {
+        return { status: 400, error: `Order item ${entry.orderItem} is not part of this order` };
+      }
+      const quantity = Number(entry.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return { status: 400, error: 'Refund quantity must be a positive whole number' };
+      }
+      if (quantity > remainingQuantity(item)) {
+        return { status: 400, error: `Only ${Math.max(0, remainingQuantity(item))} of ${item.productName || 'this item'} can still be refunded` };
+      }
+      requested.push({ item, quantity });
+    }
+  }
+  if (requested.length === 0) {
+    return { status: 409, error: 'Every item on this order already has a refund' };
+  }
+
+  const unitAmounts = unitRefundAmounts(order, orderItems);
+  const lines = requested.map(({ item, quantity }) => ({
+    orderItem: item._id,
+    product: item.product,
+    variant: { variantId: item.variant?.variantId || null, name: item.variant?.name || null },
+    productName: item.productName,
+    quantity,
+    amount: roundMoney(unitAmounts.get(item._id.toString()) * quantity)
+  }));
+
+  // When this request covers every remaining unit it settles the order, delivery included
+  const requestedQuantity = new Map(requested.map(({ item, quantity }) => [item._id.toString(), quantity]));
+  const fullRefund = orderItems.every((item) => remainingQuantity(item) - (requestedQuantity.get(item._id.toString()) || 0) <= 0);
+  const amount = fullRefund
+    ? roundMoney(order.totalAmount - heldAmount)
+    : roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (amount <= 0) {
+    return { status: 409, error: 'Nothing left to refund on this order' };
+  }
+
+  const refund = await Refund.create({
+    order: order._id,
+    user: order.buyer,
+    items: lines,
+    fullRefund,
+    amount,
+    currency: order.currency,
+    method,
+    reason,
+    requestedBy
+  });
+  return { refund };
+}
+
+/**
+ * Address to send an on-chain refund to: the admin override, the address whose USDC the
+ * payment transaction sent to the order's payment address, or the buyer's connected wallet
+ * when no payment transaction was recorded. Null when a recorded payment's sender cannot be
+ * read, so the admin has to give a payoutAddress rather than the refund going elsewhere.
+ */
+async function resolvePayoutAddress(refund, order) {
+  if (refund.payoutAddress) return refund.payoutAddress;
+  if (order.paymentTransactionHash) {
+    try {
+      return await blockchainPaymentService.getUSDCTransferSender(order.paymentTransactionHash, order.paymentAddress);
+    } catch (err) {
+      console.error('Error looking up payment sender for refund:', err.message);
+      return null;
+    }
+  }
+  const buyer = await User.findById(order.buyer).select('walletAddress').lean();
+  return buyer?.walletAddress || null;
+}
+
+// Amount and currency a refund is paid out in: NGN for Paystack/SeerBit, USDC otherwise
+function payoutAmountFor(refund, order) {
+  const currency = refund.method === 'paystack' || refund.method === 'seerbit' ? 'NGN' : 'USDC';
+  return {
+    payoutAmount: roundMoney(convertLocked(refund.amount, refund.currency, currency, order.exchangeRate)),
+    payoutCurrency: currency
+  };
+}
+
+/**
+ * Send the money back through the order's rail, at refund.payoutAmount.
+ * Returns success false only when the rail declined and no money moved; throws when the outcome is unknown.
+ * An on-chain transfer is saved on the refund (transactionHash) as soon as it is broadcast.
+ * @returns {Promise<{ success: boolean, message?: string, providerReference?: string, transactionHash?: string }>}
+ */
+async function payOut(refund, order) {
+  const note = refund.reason || `Refund for order ${order.orderNumber}`;
+
+  if (refund.method === 'paystack') {
+    let response;
+    try {
+      response = await PaystackService.createRefund({
+        transaction: order.paystackReference,
+        amount: PaystackService.convertToKobo(refund.payoutAmount, 'NGN'),
+        currency: 'NGN',
+        merchant_note: note
+      });
+    } catch (err) {
+      if (err.rejected) return { success: false, message: err.message };
+      throw err;
+    }
+    if (!response?.status) {
+      return { success: false, message: response?.message || 'Paystack did not accept the refund' };
+    }
+    return {
+      success: true,
+      providerReference: response.data?.id != null ? String(response.data.id) : order.paystackReference
+    };
+  }
+
+  if (refund.method === 'seerbit') {
+    const result = await seerbitService.refundPayment({
+      paymentReference: order.seerbitReference,
+      amount: refund.payoutAmount,
+      currency: 'NGN',
+      full: refund.fullRefund && !order.refundedAmount,
+      description: note
+    });
+    if (!result.success) {
+      return { success: false, message: result.message };
+    }
+    return { success: true, providerReference: result.refundReference || order.seerbitReference };
+  }
+
+  if (refund.method === 'wallet') {
+    const credited = await User.updateOne({ _id: order.buyer }, { $inc: { platformBalance: refund.payoutAmount } });
+    if (!credited.matchedCount) {
+      return { success: false, message: 'Buyer account no longer exists' };
+    }
+    return { success: true };
+  }
+
+  // crypto: USDC from the main wallet
+  const payoutAddress = await resolvePayoutAddress(refund, order);
+  if (!payoutAddress) {
+    return { success: false, message: 'No payout address found; approve again with a payoutAddress' };
+  }
+  refund.payoutAddress = payoutAddress;
+  await refund.save();
+
+  const result = await blockchainPaymentService.sendUSDCFromMainWallet(payoutAddress, refund.payoutAmount, {
+    onSubmitted: async (transactionHash) => {
+      refund.transactionHash = transactionHash;
+      await refund.save();
+    }
+  });
+  if (!result.success) {
+    return { success: false, message: result.message };
+  }
+  return { success: true, transactionHash: result.transactionHash };
+}
+
+/**
+ * Record a paid-out refund on the order: item quantities and statuses, stock,
+ * refunded amount, payment status and a Payment row for the payment history.
+ */
+async function applyToOrder(refund, order) {
+  for (const line of refund.items) {
+    const item = await OrderItem.findByIdAndUpdate(
+      line.orderItem,
+      { $inc: { refundedQuantity: line.quantity } },
+      { new: true }
+    );
+    if (item && item.refundedQuantity >= item.quantity && item.status !== 'refunded') {
+      item.status = 'refunded';
+      await item.save();
+    }
+    const movement = {
+      actor: refund.reviewedBy,
+      reason: refund.reason ? `Refund: ${refund.reason}` : 'Refund',
+      order: order._id,
+      refund: refund._id
+    };
+    // A bundle's stock went out of its components, so that is where it comes back
+    const restock = item?.bundleItems?.length
+      ? item.bundleItems.map((component) => ({
+        product: component.product,
+        variant: component.variantId ? component.variantId.toString() : null,
+        quantity: component.quantity * line.quantity
+      }))
+      : [{ product: line.product, variant: line.variant?.variantId || line.variant?.name || null, quantity: line.quantity }];
+    for (const entry of restock) {
+      try {
+        await restoreStockOnRefund(entry.product, entry.variant, entry.quantity, movement);
+      } catch (err) {
+        console.error(`Error restocking product ${entry.product} for refund ${refund._id}:`, err.message);
+      }
+    }
+  }
+
+  const payment = await Payment.create({
+    order: order._id,
+    user: order.buyer,
+    amount: refund.amount,
+    currency: refund.currency,
+    method: refund.method,
+    status: 'refunded',
+    reference: `REFUND_${refund._id}`,
+    paystackReference: refund.method === 'paystack' ? order.paystackReference : undefined,
+    seerbitReference: refund.method === 'seerbit' ? order.seerbitReference : undefined,
+    walletAddress: refund.payoutAddress || undefined,
+    transactionHash: refund.transactionHash || undefined,
+    paymentDate: new Date(),
+    notes: `Refund of ${refund.payoutAmount} ${refund.payoutCurrency}${refund.reason ? `: ${refund.reason}` : ''}`
+  });
+
+  order.refundedAmount = roundMoney((order.refundedAmount || 0) + refund.amount);
+  order.payments = order.payments || [];
+  order.payments.push(payment._id);
+  if (refund.fullRefund || order.refundedAmount >= order.totalAmount) {
+    order.paymentStatus = 'refunded';
+    if (order.status !== 'cancelled') order.status = 'refunded';
+  }
+  await order.save();
+
+  return payment;
+}
+
+/**
+ * Record a refund whose money has moved: the order, a Payment row and the vendor ledger.
+ * The refund is completed even if updating the order fails, so it is never paid twice.
+ */
+async function completeRefund(refund, order) {
+  try {
+    const payment = await applyToOrder(refund, order);
+    refund.payment = payment._id;
+  } catch (err) {
+    console.error(`Refund ${refund._id} paid out but order update failed:`, err.message);
+    refund.failureReason = `Paid out, but the order was not updated: ${err.message}`;
+  }
+  refund.status = 'completed';
+  refund.completedAt = new Date();
+  await refund.save();
+
+  // Sellers give back their share of the refunded units
+  try {
+    await commissionService.recordRefund(refund, order);
+  } catch (err) {
+    console.error(`Refund ${refund._id} completed but vendor ledger not updated:`, err.message);
+  }
+  return refund;
+}
+
+// A refund whose payout did not go through; it can be approved again
+async function failRefund(refund, reason) {
+  refund.status = 'failed';
+  refund.failureReason = reason || 'Refund payout failed';
+  await refund.save();
+  return refund;
+}
+
+// Status of an on-chain refund transfer, or null when the node cannot be asked
+async function transferStatus(transactionHash) {
+  try {
+    return await blockchainPaymentService.getTransferStatus(transactionHash);
+  } catch (err) {
+    console.error(`Error checking refund transaction ${transactionHash}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Approve a requested (or failed) refund and pay it out straight away.
+ * When the rail's answer is lost (timeout, a broadcast transfer that could not be awaited) the money
+ * may have moved, so the refund stays processing until reconcileRefund settles it.
+ * @param {string} refundId
+ * @param {string} adminId
+ * @param {Object} [options]
+ * @param {string} [options.payoutAddress] - Override the on-chain recipient for crypto refunds
+ * @returns {Promise<{ status?: number, error?: string, refund?: Object }>} refund ends up completed, failed or processing
+ */
+async function approveRefund(refundId, adminId, options = {}) {
+  const update = { status: 'approved', reviewedBy: adminId, reviewedAt: new Date(), failureReason: null };
+  if (options.payoutAddress) update.payoutAddress = options.payoutAddress;
+
+  const approved = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $in: ['requested', 'failed'] } },
+    { $set: update },
+    { new: true }
+  );
+  if (!approved) {
+    const existing = await Refund.findById(refundId).lean();
+    if (!existing) return { status: 404, error: 'Refund not found' };
+    return { status: 409, error: `Refund is already ${existing.status}` };
+  }
+
+  // Claim the payout so a double click cannot send money twice
+  const refund = await Refund.findOneAndUpdate(
+    { _id: approved._id, status: 'approved' },
+    { $set: { status: 'processing', providerReference: null, transactionHash: null } },
+    { new: true }
+  );
+  if (!refund) return { status: 409, error: 'Refund is already being processed' };
+
+  const order = await Order.findById(refund.order);
+  if (!order) {
+    return { refund: await failRefund(refund, 'Order no longer exists') };
+  }
+
+  refund.set(payoutAmountFor(refund, order));
+  await refund.save();
+
+  let payout;
+  try {
+    payout = await payOut(refund, order);
+  } catch (err) {
+    console.error(`Refund ${refund._id} payout error:`, err.message);
+    // A transfer that was mined settles it; one that reverted moved no money and can be retried
+    const transfer = refund.transactionHash ? await transferStatus(refund.transactionHash) : null;
+    if (transfer === 'confirmed') {
+      refund.failureReason = null;
+      return { refund: await completeRefund(refund, order) };
+    }
+    if (transfer === 'reverted') {
+      return { refund: await failRefund(refund, 'Refund transaction reverted') };
+    }
+    refund.failureReason = `Payout outcome unknown, reconcile before retrying: ${err.message}`;
+    await refund.save();
+    return { refund };
+  }
+
+  if (!payout.success) {
+    return { refund: await failRefund(refund, payout.message) };
+  }
+
+  refund.providerReference = payout.providerReference || null;
+  refund.transactionHash = payout.transactionHash || refund.transactionHash || null;
+  refund.failureReason = null;
+  return { refund: await completeRefund(refund, order) };
+}
+
+/**
+ * Settle a refund left processing because its payout outcome was unknown.
+ * An on-chain refund is settled from its transaction: mined and succeeded completes it, reverted fails it.
+ * Otherwise an admin checks with the provider (or the buyer's balance) and sends the outcome.
+ * @param {Object} [options]
+ * @param {string} [options.outcome] - 'completed' or 'failed', as confirmed with the provider
+ * @param {string} [options.providerReference] - Provider refund ID, for completed refunds
+ * @param {string} [options.reason] - Why it failed
+ * @returns {Promise<{ status?: number, error?: string, refund?: Object }>}
+ */
+async function reconcileRefund(refundId, adminId, options = {}) {
+  const existing = await Refund.findById(refundId).lean();
+  if (!existing) return { status: 404, error: 'Refund not found' };
+  if (existing.status !== 'processing') {
+    return { status: 409, error: `Refund is ${existing.status}, only processing refunds are reconciled` };
+  }
+
+  let outcome = options.outcome;
+  if (existing.transactionHash) {
+    const transfer = await transferStatus(existing.transactionHash);
+    if (!transfer || transfer === 'pending') {
+      return { status: 409, error: 'Refund transaction is not mined yet, try again later' };
+    }
+    if (transfer !== 'not_found') outcome = transfer === 'confirmed' ? 'completed' : 'failed';
+  }
+  if (!['completed', 'failed'].includes(outcome)) {
+    return { status: 400, error: 'Check the payout with the payment provider and send outcome "completed" or "failed"' };
+  }
+
+  // Claim it so two reconciles cannot record the payout twice
+  const refund = await Refund.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+    { $set: { reviewedBy: adminId, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!refund) return { status: 409, error: 'Refund changed meanwhile, try again' };
+
+  if (outcome === 'failed') {
+    return { refund: await failRefund(refund, options.reason || 'Payout did not go through') };
+  }
+  const order = await Order.findById(refund.order);
+  if (!order) {
+    return { status: 409, error: 'Order no longer exists' };
+  }
+  if (options.providerReference) refund.providerReference = options.providerReference;
+  refund.failureReason = null;
+  return { refund: await completeRefund(refund, order) };
+}
+
+/**
+ * Reject a requested refund, or give up on a failed one.
+ * @returns {Promise<{ status?: number, error?: string, refund?: Object }>}
+ */
+async function rejectRefund(refundId, adminId, reason) {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $in: ['requested', 'failed'] } },
+    { $set: { status: 'rejected', reviewedBy: adminId, reviewedAt: new Date(), rejectionReason: reason || null } },
+    { new: true }
+  );
+  if (!refund) {
+    const existing = await Refund.findById(refundId).lean();
+    if (!existing) return { status: 404, error: 'Refund not found' };
+    return { status: 409, error: `Refund is already ${existing.status}` };
+  }
+  return { refund };
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  refundMethodFor,
+  unitRefundAmounts,
+  requestRefund,
+  approveRefund,
+  reconcileRefund,
+  rejectRefund
+};
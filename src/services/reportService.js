@@ -0,0 +1,366 @@
+const { Order, OrderItem } = require('../models/Order');
+const currencyExchangeService = require('./currencyExchangeService');
+const { SETTLED_PAYMENT_STATUSES, roundMoney } = require('./commissionService');
+const { INTERVAL_FORMATS, analyticsRange, periodKeys } = require('./vendorAnalyticsService');
+const { csvLine } = require('./catalogFileService');
+
+const REPORT_CURRENCIES = ['USD', 'USDC', 'NGN', 'EUR', 'GHS'];
+const DEFAULT_REPORT_CURRENCY = 'USD';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Report parameters: from, to and granularity (day | week | month) are required; currency
+ * (default USD) is what amounts are normalised to; limit applies to top products
+ * @param {Object} query
+ * @returns {{ error?: string, from?: Date, to?: Date, granularity?: string, currency?: string, limit?: number }}
+ */
+function reportParams(query) {
+  if (!query.from || !query.to || !query.granularity) return { error: 'from, to and granularity are required' };
+  if (!INTERVAL_FORMATS[query.granularity]) return { error: 'Granularity must be day, week or month' };
+
+  // A date without a time covers that whole day
+  const to = /^\d{4}-\d{2}-\d{2}$/.test(query.to) && !Number.isNaN(Date.parse(query.to))
+    ? new Date(Date.parse(query.to) + DAY_MS - 1).toISOString()
+    : query.to;
+  const range = analyticsRange({ from: query.from, to, interval: query.granularity });
+  if (range.error) return { error: range.error };
+
+  const currency = String(query.currency || DEFAULT_REPORT_CURRENCY).toUpperCase();
+  if (!REPORT_CURRENCIES.includes(currency)) {
+    return { error: `Currency must be one of: ${REPORT_CURRENCIES.join(', ')}` };
+  }
+  const limit = Math.max(Math.min(parseInt(query.limit || '10', 10) || 10, 50), 1);
+  return { from: range.from, to: range.to, granularity: range.interval, currency, limit };
+}
+
+function periodOf(params, date) {
+  return { $dateToString: { format: INTERVAL_FORMATS[params.granularity], date, timezone: 'UTC' } };
+}
+
+// Orders placed in the period
+function placedIn(params) {
+  return { createdAt: { $gte: params.from, $lte: params.to } };
+}
+
+// Paid orders, including those refunded since (refunds are reported separately)
+const IS_PAID = { $in: ['$paymentStatus', SETTLED_PAYMENT_STATUSES] };
+
+function roundRow(row, moneyColumns) {
+  for (const column of moneyColumns) row[column] = roundMoney(row[column]);
+  return row;
+}
+
+/**
+ * GMV, refunds, tax, net revenue and AOV per period.
+ * GMV is what buyers paid (items, delivery and tax, after discounts) on paid orders;
+ * net revenue is GMV less refunds and tax.
+ */
+async function salesReport(params, toReportCurrency) {
+  const groups = await Order.aggregate([
+    { $match: placedIn(params) },
+    {
+      $group: {
+        _id: {
+          period: periodOf(params, '$createdAt'),
+          currency: '$currency',
+          quoteCurrency: { $ifNull: ['$exchangeRate.quoteCurrency', '$currency'] },
+          paid: IS_PAID
+        },
+        orders: { $sum: 1 },
+        total: { $sum: '$totalAmount' },
+        refunded: { $sum: '$refundedAmount' },
+        tax: { $sum: '$taxAmount' }
+      }
+    }
+  ]);
+
+  const empty = () => ({ orders: 0, paidOrders: 0, gmv: 0, refunds: 0, tax: 0, netRevenue: 0, aov: 0 });
+  const byPeriod = new Map();
+  const totals = empty();
+  for (const group of groups) {
+    const { period, currency, quoteCurrency, paid } = group._id;
+    const row = byPeriod.get(period) || empty();
+    for (const target of [row, totals]) {
+      target.orders += group.orders;
+      if (!paid) continue;
+      target.paidOrders += group.orders;
+      target.gmv += toReportCurrency(group.total, currency);
+      target.refunds += toReportCurrency(group.refunded, currency);
+      // Order tax is in the quote currency
+      target.tax += toReportCurrency(group.tax, quoteCurrency);
+    }
+    byPeriod.set(period, row);
+  }
+
+  const finish = (row) => {
+    row.netRevenue = row.gmv - row.refunds - row.tax;
+    row.aov = row.paidOrders > 0 ? row.gmv / row.paidOrders : 0;
+    return roundRow(row, ['gmv', 'refunds', 'tax', 'netRevenue', 'aov']);
+  };
+  return {
+    columns: ['period', 'orders', 'paidOrders', 'gmv', 'refunds', 'tax', 'netRevenue', 'aov'],
+    rows: periodKeys(params.from, params.to, params.granularity)
+      .map((period) => ({ period, ...finish(byPeriod.get(period) || empty()) })),
+    totals: finish(totals)
+  };
+}
+
+/**
+ * Orders per period and value of `field` (status or paymentMethod): all orders with their value,
+ * and the paid ones with their GMV
+ */
+async function orderBreakdown(params, toReportCurrency, field) {
+  const groups = await Order.aggregate([
+    { $match: placedIn(params) },
+    {
+      $group: {
+        _id: {
+          period: periodOf(params, '$createdAt'),
+          key: { $ifNull: [`$${field}`, null] },
+          currency: '$currency',
+          paid: IS_PAID
+        },
+        orders: { $sum: 1 },
+        total: { $sum: '$totalAmount' }
+      }
+    }
+  ]);
+
+  const empty = (key) => ({ [field]: key, orders: 0, value: 0, paidOrders: 0, gmv: 0 });
+  const rows = new Map();
+  const totals = new Map();
+  for (const group of groups) {
+    const { period, key, currency, paid } = group._id;
+    const id = `${period}|${key}`;
+    const row = rows.get(id) || { period, ...empty(key) };
+    const total = totals.get(key) || empty(key);
+    const amount = toReportCurrency(group.total, currency);
+    for (const target of [row, total]) {
+      target.orders += group.orders;
+      target.value += amount;
+      if (paid) {
+        target.paidOrders += group.orders;
+        target.gmv += amount;
+      }
+    }
+    rows.set(id, row);
+    totals.set(key, total);
+  }
+
+  const byOrders = (a, b) => b.orders - a.orders;
+  return {
+    columns: ['period', field, 'orders', 'value', 'paidOrders', 'gmv'],
+    rows: [...rows.values()]
+      .sort((a, b) => a.period.localeCompare(b.period) || byOrders(a, b))
+      .map((row) => roundRow(row, ['value', 'gmv'])),
+    totals: [...totals.values()].sort(byOrders).map((row) => roundRow(row, ['value', 'gmv']))
+  };
+}
+
+/**
+ * GMV and refunds of paid orders per period and order currency, as charged and normalised
+ */
+async function currencyReport(params, toReportCurrency) {
+  const groups = await Order.aggregate([
+    { $match: { ...placedIn(params), paymentStatus: { $in: SETTLED_PAYMENT_STATUSES } } },
+    {
+      $group: {
+        _id: { period: periodOf(params, '$createdAt'), currency: '$currency' },
+        orders: { $sum: 1 },
+        gmv: { $sum: '$totalAmount' },
+        refunds: { $sum: '$refundedAmount' }
+      }
+    },
+    { $sort: { '_id.period': 1, gmv: -1 } }
+  ]);
+
+  const totals = new Map();
+  const rows = groups.map((group) => {
+    const { period, currency } = group._id;
+    const row = {
+      period,
+      currency,
+      orders: group.orders,
+      gmv: group.gmv,
+      refunds: group.refunds,
+      normalizedGmv: toReportCurrency(group.gmv, currency),
+      normalizedRefunds: toReportCurrency(group.refunds, currency)
+    };
+    const total = totals.get(currency) || { currency, orders: 0, gmv: 0, refunds: 0, normalizedGmv: 0, normalizedRefunds: 0 };
+    for (const column of ['orders', 'gmv', 'refunds', 'normalizedGmv', 'normalizedRefunds']) total[column] += row[column];
+    totals.set(currency, total);
+    return row;
+  });
+
+  const money = ['gmv', 'refunds', 'normalizedGmv', 'normalizedRefunds'];
+  return {
+    columns: ['period', 'currency', 'orders', 'gmv', 'refunds', 'normalizedGmv', 'normalizedRefunds'],
+    rows: rows.map((row) => roundRow(row, money)),
+    totals: [...totals.values()]
+      .sort((a, b) => b.normalizedGmv - a.normalizedGmv)
+      .map((row) => roundRow(row, money))
+  };
+}
+
+/**
+ * Buyers with a paid order per period: new buyers placed their first paid order in that period,
+ * returning buyers had one before it
+ */
+async function buyersReport(params) {
+  const [result] = await Order.aggregate([
+    { $match: { createdAt: { $lte: params.to }, paymentStatus: { $in: SETTLED_PAYMENT_STATUSES } } },
+    {
+      $group: {
+        _id: '$buyer',
+        firstPeriod: { $min: periodOf(params, '$createdAt') },
+        periods: {
+          $addToSet: { $cond: [{ $gte: ['$createdAt', params.from] }, periodOf(params, '$createdAt'), null] }
+        }
+      }
+    },
+    { $project: { firstPeriod: 1, periods: { $setDifference: ['$periods', [null]] } } },
+    { $match: { 'periods.0': { $exists: true } } },
+    {
+      $facet: {
+        periods: [
+          { $unwind: '$periods' },
+          {
+            $group: {
+              _id: '$periods',
+              buyers: { $sum: 1 },
+              newBuyers: { $sum: { $cond: [{ $eq: ['$periods', '$firstPeriod'] }, 1, 0] } }
+            }
+          }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              buyers: { $sum: 1 },
+              // First paid order within the range
+              newBuyers: { $sum: { $cond: [{ $in: ['$firstPeriod', '$periods'] }, 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const byPeriod = new Map((result?.periods || []).map((row) => [row._id, row]));
+  const totals = result?.totals?.[0] || { buyers: 0, newBuyers: 0 };
+  return {
+    columns: ['period', 'buyers', 'newBuyers', 'returningBuyers'],
+    rows: periodKeys(params.from, params.to, params.granularity).map((period) => {
+      const row = byPeriod.get(period) || { buyers: 0, newBuyers: 0 };
+      return { period, buyers: row.buyers, newBuyers: row.newBuyers, returningBuyers: row.buyers - row.newBuyers };
+    }),
+    // Buyers are counted once over the whole range
+    totals: { buyers: totals.buyers, newBuyers: totals.newBuyers, returningBuyers: totals.buyers - totals.newBuyers }
+  };
+}
+
+/**
+ * Best-selling products of paid orders per period, by normalised revenue
+ */
+async function topProductsReport(params, toReportCurrency) {
+  const groups = await Order.aggregate([
+    { $match: { ...placedIn(params), paymentStatus: { $in: SETTLED_PAYMENT_STATUSES } } },
+    { $project: { items: 1, period: periodOf(params, '$createdAt') } },
+    { $lookup: { from: OrderItem.collection.name, localField: 'items', foreignField: '_id', as: 'item' } },
+    { $unwind: '$item' },
+    {
+      $group: {
+        _id: { period: '$period', product: '$item.product', currency: '$item.currency' },
+        name: { $last: '$item.productName' },
+        units: { $sum: '$item.quantity' },
+        refundedUnits: { $sum: { $ifNull: ['$item.refundedQuantity', 0] } },
+        revenue: { $sum: '$item.totalPrice' }
+      }
+    }
+  ]);
+
+  const combine = (map, id, group, extra) => {
+    const row = map.get(id) || { ...extra, product: group._id.product, name: group.name, units: 0, refundedUnits: 0, revenue: 0 };
+    row.units += group.units;
+    row.refundedUnits += group.refundedUnits;
+    row.revenue += toReportCurrency(group.revenue, group._id.currency);
+    map.set(id, row);
+  };
+  const perPeriod = new Map();
+  const overall = new Map();
+  for (const group of groups) {
+    const { period, product } = group._id;
+    combine(perPeriod, `${period}|${product}`, group, { period });
+    combine(overall, String(product), group, {});
+  }
+
+  const byRevenue = (a, b) => b.revenue - a.revenue || b.units - a.units;
+  const ranked = (rows) => rows.sort(byRevenue).slice(0, params.limit)
+    .map((row, index) => roundRow({ ...row, rank: index + 1 }, ['revenue']));
+  const periods = new Map();
+  for (const row of perPeriod.values()) {
+    periods.set(row.period, [...(periods.get(row.period) || []), row]);
+  }
+
+  return {
+    columns: ['period', 'rank', 'product', 'name', 'units', 'refundedUnits', 'revenue'],
+    rows: [...periods.keys()].sort().flatMap((period) => ranked(periods.get(period))),
+    totals: ranked([...overall.values()])
+  };
+}
+
+const REPORTS = {
+  sales: salesReport,
+  'order-status': (params, toReportCurrency) => orderBreakdown(params, toReportCurrency, 'status'),
+  'payment-methods': (params, toReportCurrency) => orderBreakdown(params, toReportCurrency, 'paymentMethod'),
+  currencies: currencyReport,
+  buyers: buyersReport,
+  'top-products': topProductsReport
+};
+
+/**
+ * Run a report. Amounts are converted to params.currency at the platform rates (CurrencyExchangeRate)
+ * @param {string} name - A key of REPORTS
+ * @param {Object} params - From reportParams
+ * @returns {Promise<Object>} { report, from, to, granularity, currency, rates, columns, rows, totals }
+ */
+async function runReport(name, params) {
+  const rates = await currencyExchangeService.getRates();
+  const toReportCurrency = (amount, currency) => currencyExchangeService.convert(amount || 0, currency || params.currency, params.currency, rates);
+  const { columns, rows, totals } = await REPORTS[name](params, toReportCurrency);
+  return {
+    report: name,
+    from: params.from,
+    to: params.to,
+    granularity: params.granularity,
+    currency: params.currency,
+    rates,
+    columns,
+    rows,
+    totals
+  };
+}
+
+/**
+ * The report's rows as CSV, with a header line of its columns
+ */
+function reportCsv(report) {
+  return [
+    csvLine(report.columns),
+    ...report.rows.map((row) => csvLine(report.columns.map((column) => row[column])))
+  ].join('');
+}
+
+function reportFileName(report) {
+  const day = (date) => date.toISOString().slice(0, 10);
+  return `${report.report}-${day(report.from)}-to-${day(report.to)}-${report.granularity}.csv`;
+}
+
+module.exports = {
+  REPORTS,
+  REPORT_CURRENCIES,
+  reportParams,
+  runReport,
+  reportCsv,
+  reportFileName
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const { Order, OrderItem } = require('../models/Order');
+
+/**
+ * The buyer's order item for a product that has been delivered (order or item marked delivered),
+ * ignoring refunded and cancelled items.
+ * @returns {Promise<Object|null>} OrderItem or null
+ */
+async function findVerifiedPurchase(userId, productId) {
+  const orders = await Order.find({ buyer: userId, status: { $nin: ['cancelled', 'refunded'] } })
+    .select('_id status')
+    .lean();
+  if (orders.length === 0) return null;
+
+  const deliveredOrders = orders.filter((o) => o.status === 'delivered').map((o) => o._id);
+  return OrderItem.findOne({
+    product: productId,
+    $or: [
+      { order: { $in: deliveredOrders }, status: { $nin: ['cancelled', 'refunded'] } },
+      { order: { $in: orders.map((o) => o._id) }, status: 'delivered' }
+    ]
+  })
+    .select('_id order')
+    .lean();
+}
+
+/**
+ * Recompute a product's averageRating (one decimal) and reviewCount from its approved reviews
+ */
+async function refreshProductRating(productId) {
+  const [stats] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const averageRating = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const reviewCount = stats ? stats.count : 0;
+  await Product.updateOne({ _id: productId }, { $set: { averageRating, reviewCount } });
+  return { averageRating, reviewCount };
+}
+
+/**
+ * Approved review counts per star (1-5) for a product
+ * @returns {Promise<Object>} e.g. { 1: 0, 2: 1, 3: 0, 4: 5, 5: 12 }
+ */
+async function ratingBreakdown(productId) {
+  const groups = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const group of groups) breakdown[group._id] = group.count;
+  return breakdown;
+}
+
+/**
+ * Approve or reject a review and update the product's rating
+ * @param {string} reviewId
+ * @param {'approved'|'rejected'} status
+ * @param {string} adminId
+ * @param {string} [note]
+ * @returns {Promise<Object|null>} Updated review, or null when not found
+ */
+async function moderateReview(reviewId, status, adminId, note) {
+  const review = await Review.findByIdAndUpdate(
+    reviewId,
+    { $set: { status, moderatedBy: adminId, moderatedAt: new Date(), moderationNote: note || null } },
+    { new: true }
+  );
+  if (!review) return null;
+
+  await refreshProductRating(review.product);
+  return review;
+}
+
+module.exports = {
+  findVerifiedPurchase,
+  refreshProductRating,
+  ratingBreakdown,
+  moderateReview
+};
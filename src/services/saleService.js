@@ -0,0 +1,242 @@
+/**
+ * Sale prices: time-boxed prices on products and variants, optionally capped to a number of units.
+ *
+ * A sale is live while now is between its startsAt and endsAt (either may be open) and, with a
+ * quantityLimit, until that many units have been sold at the sale price. Checkout works from the
+ * dates and the cap themselves, so a sale is only honoured while it is live; `sale.active` is the
+ * flag saleJob keeps up to date for listings and the `onSale` filter.
+ *
+ * A variant has its own sale; the product's sale applies to the product price (products without variants).
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+/**
+ * @param {Object} sale - { price, startsAt, endsAt, quantityLimit, soldQuantity }
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isSaleLive(sale, now = new Date()) {
+  if (!sale || sale.price == null) return false;
+  if (sale.startsAt && new Date(sale.startsAt) > now) return false;
+  if (sale.endsAt && new Date(sale.endsAt) <= now) return false;
+  return sale.quantityLimit == null || (sale.soldQuantity || 0) < sale.quantityLimit;
+}
+
+/**
+ * What a product (or one of its variants) sells for right now
+ * @param {Object} product
+ * @param {Object} [variant] - Variant of the product
+ * @returns {{ price: number, originalPrice: number, onSale: boolean }}
+ *   originalPrice is the compare-at price when one is set, the regular price otherwise
+ */
+function pricesFor(product, variant, now = new Date()) {
+  const holder = variant || product;
+  const regular = variant && variant.price != null ? variant.price : product.price;
+  const onSale = isSaleLive(holder.sale, now);
+  return {
+    price: onSale ? holder.sale.price : regular,
+    originalPrice: holder.compareAtPrice != null ? holder.compareAtPrice : regular,
+    onSale
+  };
+}
+
+/**
+ * Add `effectivePrice`, `originalPrice` and `onSale` to lean products and their variants
+ * @param {Array} products
+ * @returns {Array} The same list
+ */
+function withEffectivePrices(products, now = new Date()) {
+  for (const product of products || []) {
+    const { price, originalPrice, onSale } = pricesFor(product, null, now);
+    Object.assign(product, { effectivePrice: price, originalPrice, onSale });
+    for (const variant of product.variants || []) {
+      const prices = pricesFor(product, variant, now);
+      Object.assign(variant, { effectivePrice: prices.price, originalPrice: prices.originalPrice, onSale: prices.onSale });
+    }
+  }
+  return products;
+}
+
+// Whether an edited sale is the stored one running on, so the units it has sold still count
+function continuesSale(existing, startsAt, now = new Date()) {
+  if (!existing || existing.price == null) return false;
+  if (existing.endsAt && new Date(existing.endsAt) <= now) return false;
+  const storedStart = existing.startsAt ? new Date(existing.startsAt).getTime() : null;
+  return storedStart === (startsAt ? startsAt.getTime() : null);
+}
+
+/**
+ * Check and normalize a sale given on create/update/import
+ * @param {Object|null} input - { price, startsAt, endsAt, quantityLimit }; null or '' removes the sale
+ * @param {Object|null} [existing] - The stored sale being edited. Its soldQuantity is kept while the
+ *   same sale runs on (same start, not yet ended); a new sale counts from zero. The input's is ignored.
+ * @returns {{ error?: string, sale?: Object|null }}
+ */
+function prepareSale(input, existing = null) {
+  if (input == null || input === '') return { sale: null };
+
+  const price = Number(input.price);
+  if (input.price == null || input.price === '' || !(price >= 0)) return { error: 'Sale price must be a non-negative number' };
+
+  const startsAt = input.startsAt ? new Date(input.startsAt) : null;
+  const endsAt = input.endsAt ? new Date(input.endsAt) : null;
+  if ((startsAt && Number.isNaN(startsAt.getTime())) || (endsAt && Number.isNaN(endsAt.getTime()))) {
+    return { error: 'Sale startsAt and endsAt must be dates' };
+  }
+  if (startsAt && endsAt && endsAt <= startsAt) return { error: 'Sale must end after it starts' };
+
+  const hasLimit = input.quantityLimit != null && input.quantityLimit !== '';
+  const quantityLimit = hasLimit ? Number(input.quantityLimit) : null;
+  if (hasLimit && !(Number.isInteger(quantityLimit) && quantityLimit >= 1)) {
+    return { error: 'Sale quantity limit must be a whole number of at least 1' };
+  }
+
+  const soldQuantity = continuesSale(existing, startsAt) ? existing.soldQuantity || 0 : 0;
+  const sale = { price, startsAt, endsAt, quantityLimit, soldQuantity };
+  sale.active = isSaleLive(sale);
+  return { sale };
+}
+
+/**
+ * Check the sales on product data (`sale` and each variant's `sale`), replacing them with the normalized ones
+ * @param {Object} data - Product create/update/import body
+ * @param {Object|null} [existing] - The stored product when updating; variants are matched by _id, else by name
+ * @returns {string|null} Error message
+ */
+function prepareProductSales(data, existing = null) {
+  if ('sale' in data) {
+    const { error, sale } = prepareSale(data.sale, existing && existing.sale);
+    if (error) return error;
+    data.sale = sale;
+  }
+  const storedVariants = (existing && existing.variants) || [];
+  for (const variant of Array.isArray(data.variants) ? data.variants : []) {
+    if (!('sale' in variant)) continue;
+    const stored = storedVariants.find((v) => (variant._id ? String(v._id) === String(variant._id) : v.name === variant.name));
+    const { error, sale } = prepareSale(variant.sale, stored && stored.sale);
+    if (error) return `${variant.name || 'Variant'}: ${error}`;
+    variant.sale = sale;
+  }
+  return null;
+}
+
+// Conditions on a sale at `path` being live now with room for `quantity` more units
+function liveSaleConditions(path, sale, quantity, now) {
+  return {
+    [`${path}.price`]: { $ne: null },
+    [`${path}.startsAt`]: sale.startsAt ? { $lte: now } : null,
+    [`${path}.endsAt`]: sale.endsAt ? { $gt: now } : null,
+    [`${path}.quantityLimit`]: sale.quantityLimit,
+    ...(sale.quantityLimit != null && { [`${path}.soldQuantity`]: { $lte: sale.quantityLimit - quantity } })
+  };
+}
+
+function variantMatch(variantKey) {
+  const key = String(variantKey);
+  return mongoose.Types.ObjectId.isValid(key)
+    ? { $or: [{ _id: new mongoose.Types.ObjectId(key) }, { name: key }] }
+    : { name: key };
+}
+
+/**
+ * Count units sold at the sale price against the sale's cap. The update only matches while the
+ * sale is live and has room, so the cap cannot be oversold.
+ * @param {string} productId
+ * @param {string} [variantKey] - Variant ID or name
+ * @param {number} quantity
+ * @param {Object} [options] - { session, enforce } - enforce: false counts the units without checking (order already paid)
+ * @returns {Promise<boolean>} false when the sale is over or sold out
+ */
+async function claimSaleUnits(productId, variantKey, quantity, options = {}) {
+  const { session } = options;
+  const now = new Date();
+  const product = await Product.findById(productId).select('sale variants._id variants.name variants.sale')
+    .session(session || null)
+    .lean();
+  if (!product) return false;
+
+  const variant = variantKey
+    ? product.variants?.find((v) => v._id.toString() === String(variantKey) || v.name === String(variantKey))
+    : null;
+  const sale = variant ? variant.sale : product.sale;
+  if (!sale) return options.enforce === false;
+
+  const conditions = options.enforce === false ? { 'sale.price': { $ne: null } } : liveSaleConditions('sale', sale, quantity, now);
+  const result = variant
+    ? await Product.updateOne(
+      { _id: productId, variants: { $elemMatch: { _id: variant._id, ...conditions } } },
+      { $inc: { 'variants.$.sale.soldQuantity': quantity } },
+      { session }
+    )
+    : await Product.updateOne(
+      { _id: productId, ...conditions },
+      { $inc: { 'sale.soldQuantity': quantity } },
+      { session }
+    );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Give sale units back to the cap (checkout released before payment)
+ */
+async function releaseSaleUnits(productId, variantKey, quantity, options = {}) {
+  const { session } = options;
+  if (variantKey) {
+    await Product.updateOne(
+      { _id: productId, variants: { $elemMatch: { ...variantMatch(variantKey), 'sale.soldQuantity': { $gte: quantity } } } },
+      { $inc: { 'variants.$.sale.soldQuantity': -quantity } },
+      { session }
+    );
+    return;
+  }
+  await Product.updateOne(
+    { _id: productId, 'sale.soldQuantity': { $gte: quantity } },
+    { $inc: { 'sale.soldQuantity': -quantity } },
+    { session }
+  );
+}
+
+/**
+ * Turn `sale.active` on for sales that have started and off for ones that ended or sold out.
+ * Used by saleJob.
+ * @returns {Promise<{ activated: number, expired: number }>}
+ */
+async function syncSaleFlags(now = new Date()) {
+  const products = await Product.find({
+    $or: [{ 'sale.price': { $ne: null } }, { 'variants.sale.price': { $ne: null } }]
+  }).select('sale variants._id variants.sale').lean();
+
+  let activated = 0;
+  let expired = 0;
+  const count = (live) => { if (live) activated += 1; else expired += 1; };
+
+  for (const product of products) {
+    if (product.sale && Boolean(product.sale.active) !== isSaleLive(product.sale, now)) {
+      const live = isSaleLive(product.sale, now);
+      await Product.updateOne({ _id: product._id }, { $set: { 'sale.active': live } });
+      count(live);
+    }
+    for (const variant of product.variants || []) {
+      if (!variant.sale || Boolean(variant.sale.active) === isSaleLive(variant.sale, now)) continue;
+      const live = isSaleLive(variant.sale, now);
+      await Product.updateOne(
+        { _id: product._id, 'variants._id': variant._id },
+        { $set: { 'variants.$.sale.active': live } }
+      );
+      count(live);
+    }
+  }
+  return { activated, expired };
+}
+
+module.exports = {
+  isSaleLive,
+  pricesFor,
+  withEffectivePrices,
+  prepareSale,
+  prepareProductSales,
+  claimSaleUnits,
+  releaseSaleUnits,
+  syncSaleFlags
+};
@@ -0,0 +1,251 @@
+/**
+ * Product search terms: synonyms, typo correction and prefix completion.
+ *
+ * Matching and ranking use the weighted `product_search_text` index on Product. MongoDB's
+ * $text has no fuzzy matching, so query words are first checked against a vocabulary built
+ * from the catalog (names, brands, categories, SKUs, variant names and spec values): unknown
+ * words are replaced with the closest catalog words, and every word brings its synonyms along.
+ */
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const { SYNONYM_GROUPS } = require('../config/searchSynonyms');
+
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const MAX_COMPLETIONS = 3;
+
+const synonymsByTerm = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const term of group) synonymsByTerm.set(term, group);
+}
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+let vocabularyBuild = null;
+
+/**
+ * Lowercase words of at least two letters/digits
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length >= 2);
+}
+
+/**
+ * Edit distance (insert, delete, substitute, swap neighbours), giving up once it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a word of this length
+function allowedTypos(term) {
+  if (term.length <= 3) return 0;
+  if (term.length <= 5) return 1;
+  return 2;
+}
+
+async function buildVocabulary() {
+  const products = await Product.find({ published: true })
+    .select('name brand category sku specs.value variants.name')
+    .lean();
+
+  const counts = new Map();
+  for (const product of products) {
+    const text = [
+      product.name,
+      product.brand,
+      product.category,
+      product.sku,
+      ...(product.specs || []).map((spec) => spec.value),
+      ...(product.variants || []).map((variant) => variant.name)
+    ].join(' ');
+    for (const token of new Set(tokenize(text))) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Catalog words and how many products use them, rebuilt every 10 minutes
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getVocabulary() {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) return vocabulary;
+  if (!vocabularyBuild) {
+    vocabularyBuild = buildVocabulary()
+      .then((counts) => {
+        vocabulary = counts;
+        vocabularyBuiltAt = Date.now();
+        return counts;
+      })
+      .finally(() => {
+        vocabularyBuild = null;
+      });
+  }
+  // Serve the previous vocabulary while a rebuild is running
+  return vocabulary || vocabularyBuild;
+}
+
+/**
+ * Drop the cached vocabulary (e.g. after a bulk import) so the next search rebuilds it
+ */
+function invalidateVocabulary() {
+  vocabularyBuiltAt = 0;
+}
+
+// Closest catalog words to a misspelt word, most used first
+function corrections(term, words) {
+  const max = allowedTypos(term);
+  if (max === 0) return [];
+  let best = max + 1;
+  let matches = [];
+  for (const [word, count] of words) {
+    const distance = editDistance(term, word, max);
+    if (distance < best) {
+      best = distance;
+      matches = [{ word, count }];
+    } else if (distance === best && distance <= max) {
+      matches.push({ word, count });
+    }
+  }
+  return matches.sort((a, b) => b.count - a.count).slice(0, 2).map((m) => m.word);
+}
+
+// Catalog words starting with a prefix, most used first
+function completions(prefix, words, limit = MAX_COMPLETIONS) {
+  const matches = [];
+  for (const [word, count] of words) {
+    if (word.length > prefix.length && word.startsWith(prefix)) matches.push({ word, count });
+  }
+  return matches.sort((a, b) => b.count - a.count).slice(0, limit).map((m) => m.word);
+}
+
+/**
+ * Turn what the shopper typed into $text search terms.
+ * Known words are kept; unknown ones are corrected (typos) or completed (unfinished last word);
+ * every word adds its synonyms.
+ * @param {string} query
+ * @returns {Promise<{ terms: string[], corrections: Object, search: string }>}
+ *   `search` is the $search string (empty when nothing is left), `corrections` maps typed words to replacements
+ */
+async function expandQuery(query) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return { terms: [], corrections: {}, search: '' };
+
+  const words = await getVocabulary();
+  const terms = new Set();
+  const replaced = {};
+
+  tokens.forEach((token, index) => {
+    let matched = [token];
+    if (!words.has(token) && !synonymsByTerm.has(token)) {
+      const fixed = corrections(token, words);
+      const completed = index === tokens.length - 1 && token.length >= 3 ? completions(token, words) : [];
+      const alternatives = [...new Set([...fixed, ...completed])];
+      if (alternatives.length > 0) {
+        matched = alternatives;
+        replaced[token] = alternatives;
+      }
+    }
+    for (const term of matched) {
+      terms.add(term);
+      for (const synonym of synonymsByTerm.get(term) || []) terms.add(synonym);
+    }
+  });
+
+  const list = [...terms];
+  return { terms: list, corrections: replaced, search: list.join(' ') };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Autocomplete for a partly typed query: matching product names plus catalog words,
+ * brands and categories. The last word is treated as a prefix; typos in it are tolerated.
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Promise<{ products: Array, terms: string[], brands: Array, categories: Array }>}
+ */
+async function suggest(query, limit = 8) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return { products: [], terms: [], brands: [], categories: [] };
+
+  const words = await getVocabulary();
+  const last = tokens[tokens.length - 1];
+  const head = tokens.slice(0, -1);
+
+  let lastTerms = words.has(last) ? [last, ...completions(last, words, limit)] : completions(last, words, limit);
+  if (lastTerms.length === 0) lastTerms = corrections(last, words);
+  const terms = lastTerms.map((term) => [...head, term].join(' '));
+
+  // Names containing every typed word, the last one as a word prefix
+  const patterns = [...head.map((t) => `\\b${escapeRegex(t)}`), `\\b(${[last, ...lastTerms].map(escapeRegex).join('|')})`];
+  const nameFilter = { published: true, $and: patterns.map((pattern) => ({ name: { $regex: pattern, $options: 'i' } })) };
+  const prefix = new RegExp(`^${escapeRegex(String(query).trim())}`, 'i');
+
+  const [products, brands, categories] = await Promise.all([
+    Product.find(nameFilter)
+      .select('name slug price currency images averageRating')
+      .sort({ reviewCount: -1, createdAt: -1 })
+      .limit(limit)
+      .lean(),
+    Brand.find({ isActive: true, $or: [{ name: prefix }, { aliases: prefix }] })
+      .select('name slug logo')
+      .sort({ featured: -1, name: 1 })
+      .limit(5)
+      .lean(),
+    Category.find({ isActive: true, $or: [{ name: prefix }, { aliases: prefix }] })
+      .select('name slug')
+      .sort({ ancestors: 1, sortOrder: 1, name: 1 })
+      .limit(5)
+      .lean()
+  ]);
+
+  return {
+    products: products.map((p) => ({
+      _id: p._id,
+      name: p.name,
+      slug: p.slug,
+      price: p.price,
+      currency: p.currency,
+      image: p.images?.[0] || null,
+      averageRating: p.averageRating
+    })),
+    terms: terms.slice(0, limit),
+    brands: brands.map((b) => ({ _id: b._id, name: b.name, slug: b.slug, logo: b.logo })),
+    categories: categories.map((c) => ({ _id: c._id, name: c.name, slug: c.slug }))
+  };
+}
+
+module.exports = {
+  tokenize,
+  editDistance,
+  expandQuery,
+  suggest,
+  invalidateVocabulary
+};
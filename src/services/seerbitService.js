@@ -6,6 +6,7 @@
 const SEERBIT_ENCRYPT_URL = 'https://seerbitapi.com/api/v2/encrypt/keys';
 const SEERBIT_PAYMENTS_URL = 'https://seerbitapi.com/api/v2/payments';
 const SEERBIT_QUERY_URL = 'https://seerbitapi.com/api/v3/payments/query';
+const SEERBIT_REFUNDS_URL = 'https://seerbitapi.com/api/v2/refunds';
 
 /**
  * Get Bearer token for API calls (encrypt secret.public key).
@@ -104,6 +105,48 @@ async function verifyPayment(paymentReference) {
   };
 }
 
+/**
+ * Refund a successful payment, fully or partially.
+ * @param {Object} opts
+ * @param {string} opts.paymentReference - Reference of the original payment
+ * @param {number} opts.amount - Amount to refund in major units (e.g. NGN)
+ * @param {string} [opts.currency] - e.g. "NGN"
+ * @param {boolean} [opts.full] - Whether this refunds the whole payment
+ * @param {string} [opts.description] - Reason for the refund
+ * @returns {Promise<{ success: boolean, refundReference?: string, message?: string }>} success false when SeerBit
+ *   declined the refund; throws when SeerBit could not be reached or failed, as the refund may still have been made
+ */
+async function refundPayment(opts) {
+  const token = await getBearerToken();
+  const body = {
+    publicKey: process.env.SEERBIT_PUBLIC_KEY,
+    paymentReference: opts.paymentReference,
+    amount: String(opts.amount),
+    currency: opts.currency || 'NGN',
+    description: opts.description || 'Order refund',
+    refundType: opts.full ? 'FULL' : 'PARTIAL'
+  };
+  const res = await fetch(SEERBIT_REFUNDS_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(body)
+  });
+  if (res.status >= 500) {
+    throw new Error(`SeerBit refund request failed with status ${res.status}`);
+  }
+  const data = await res.json().catch(() => ({}));
+  const code = data?.code ?? data?.data?.code;
+  const success = data?.status === 'SUCCESS' || code === '00';
+  return {
+    success: !!success,
+    refundReference: data?.data?.refundReference ?? data?.data?.payments?.refundReference,
+    message: data?.message || data?.error || (success ? undefined : 'SeerBit refund failed')
+  };
+}
+
 /**
  * Generate unique payment reference for SeerBit
  */
@@ -117,5 +160,6 @@ module.exports = {
   getBearerToken,
   initializePayment,
   verifyPayment,
+  refundPayment,
   generateReference
 };
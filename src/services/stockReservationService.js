@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const StockReservation = require('../models/StockReservation');
+const { OrderItem } = require('../models/Order');
+const Product = require('../models/Product');
+const { takeStock, returnStock } = require('../utils/stockAnalysis');
+const { findVariant, recordMovement } = require('./inventoryService');
+const { expandStockItems } = require('./bundleService');
+const { claimSaleUnits, releaseSaleUnits } = require('./saleService');
+
+const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30;
+
+function idOf(value) {
+  return value && (value._id || value);
+}
+
+/**
+ * Run work in the caller's transaction, or in a new one that is aborted when work returns { error }.
+ * Callers passing their own session must abort it when they get { error } back.
+ * Transactions need MongoDB to run as a replica set; connectDB refuses to start without one.
+ */
+async function runInTransaction(session, work) {
+  if (session) return work(session);
+
+  const ownSession = await mongoose.startSession();
+  ownSession.startTransaction();
+  try {
+    const result = await work(ownSession);
+    if (result && result.error) {
+      await ownSession.abortTransaction();
+    } else {
+      await ownSession.commitTransaction();
+    }
+    return result;
+  } catch (err) {
+    try { await ownSession.abortTransaction(); } catch (abortErr) { /* ignore */ }
+    throw err;
+  } finally {
+    ownSession.endSession();
+  }
+}
+
+/**
+ * Reservation lines for cart items (product populated or productId set).
+ * @param {Object} [quote] - Quote priced from the same items, in the same order; marks the lines priced at a sale
+ */
+function itemsFromCart(cartItems, quote) {
+  return cartItems.map((item, index) => ({
+    product: idOf(item.product) || item.productId,
+    variant: item.variant?.variantId?.toString() || item.variant?.name || item.variantName || null,
+    productName: item.product?.name || item.name || null,
+    quantity: item.quantity,
+    onSale: Boolean(quote?.lines[index]?.onSale)
+  }));
+}
+
+/**
+ * Reservation lines for order items.
+ */
+function itemsFromOrderItems(orderItems) {
+  return orderItems.map((item) => ({
+    product: idOf(item.product),
+    variant: item.variant?.variantId?.toString() || item.variant?.name || null,
+    productName: item.productName || item.product?.name || null,
+    quantity: item.quantity,
+    onSale: Boolean(item.onSale)
+  }));
+}
+
+/**
+ * Take stock for every line, all or nothing, and record the reservation.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Array<{ product: string, variant?: string, productName?: string, quantity: number, onSale?: boolean }>} params.items
+ *   onSale lines are counted against their sale's cap, and fail when the sale has ended or sold out
+ * @param {Array} [params.saleItems] - Sale units to count instead of the onSale lines (stock taken again for a lapsed reservation)
+ * @param {boolean} [params.enforceSales] - false counts sale units even when the sale has ended (order already paid at the sale price)
+ * @param {string} [params.orderId] - Can be attached later with attachOrder
+ * @param {Date} [params.expiresAt] - Defaults to now + STOCK_RESERVATION_TTL_MINUTES
+ * @param {boolean} [params.commit] - Create it committed (order already paid)
+ * @param {string} [params.reason] - Reason recorded in the inventory ledger
+ * @param {Object} [params.session] - Run inside the caller's transaction
+ * @returns {Promise<{ error?: string, product?: string, reservation?: Object }>}
+ */
+async function reserveStock(params) {
+  const lines = (params.items || []).filter((item) => item.product && item.quantity > 0);
+  const now = new Date();
+
+  const reservationId = new mongoose.Types.ObjectId();
+  const movement = {
+    type: params.commit ? 'sale' : 'reservation',
+    actor: params.userId,
+    reason: params.reason || (params.commit ? 'Paid checkout' : 'Checkout'),
+    order: params.orderId || null,
+    reservation: reservationId
+  };
+
+  const saleItems = params.saleItems || lines
+    .filter((item) => item.onSale)
+    .map((item) => ({ product: item.product, variant: item.variant || null, quantity: item.quantity }));
+
+  return runInTransaction(params.session, async (session) => {
+    for (const item of saleItems) {
+      if (!(await claimSaleUnits(item.product, item.variant, item.quantity, { session, enforce: params.enforceSales !== false }))) {
+        const line = lines.find((l) => String(l.product) === String(item.product));
+        return {
+          error: `The sale price of ${line?.productName || 'one of the items'} is no longer available; review your cart`,
+          product: item.product.toString()
+        };
+      }
+    }
+
+    // Bundles are held as their components, so releasing puts back exactly what was taken
+    const items = await expandStockItems(lines, { session });
+    for (const item of items) {
+      // Variant stock adds up to the product stock, so products sold in variants are only taken per variant
+      if (!item.variant && await Product.exists({ _id: item.product, 'variants.0': { $exists: true } }).session(session)) {
+        return { error: `Choose an option for ${item.productName || 'one of the items'}`, product: item.product.toString() };
+      }
+      const taken = await takeStock(item.product, item.variant, item.quantity, { session, movement });
+      if (!taken) {
+        return {
+          error: `Not enough stock for ${item.productName || 'one of the items'}${item.variant ? ` (${item.variant})` : ''}`,
+          product: item.product.toString()
+        };
+      }
+    }
+
+    const [reservation] = await StockReservation.create([{
+      _id: reservationId,
+      order: params.orderId || null,
+      user: params.userId,
+      items,
+      saleItems,
+      status: params.commit ? 'committed' : 'active',
+      expiresAt: params.expiresAt || new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000),
+      committedAt: params.commit ? now : null
+    }], { session });
+
+    return { reservation };
+  });
+}
+
+async function attachOrder(reservationId, orderId, options = {}) {
+  await StockReservation.updateOne({ _id: reservationId }, { $set: { order: orderId } }, { session: options.session });
+}
+
+/**
+ * Put a reservation's stock back. Only active reservations are released, so this is safe to repeat.
+ * @param {Object} [options] - { session, actor } (actor: user who cancelled, for the inventory ledger)
+ * @returns {Promise<Object|null>} The released reservation, or null when nothing was active
+ */
+async function releaseReservation(reservationId, reason, options = {}) {
+  return runInTransaction(options.session, async (session) => {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { _id: reservationId, status: 'active' },
+      { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason || null } },
+      { new: true, session }
+    );
+    if (!reservation) return null;
+
+    const movement = {
+      type: 'release',
+      actor: options.actor || null,
+      reason: reason || 'Reservation released',
+      order: reservation.order,
+      reservation: reservation._id
+    };
+    for (const item of reservation.items) {
+      await returnStock(item.product, item.variant, item.quantity, { session, movement });
+    }
+    for (const item of reservation.saleItems || []) {
+      await releaseSaleUnits(item.product, item.variant, item.quantity, { session });
+    }
+    return reservation;
+  });
+}
+
+/**
+ * Release the active reservation of an order (payment expired, order cancelled).
+ */
+async function releaseOrderReservation(orderId, reason, options = {}) {
+  const reservation = await StockReservation.findOne({ order: orderId, status: 'active' })
+    .select('_id')
+    .session(options.session || null)
+    .lean();
+  if (!reservation) return null;
+  return releaseReservation(reservation._id, reason, options);
+}
+
+/**
+ * Ledger entries for a committed reservation: the stock already left with the reservation,
+ * so each sale moves nothing but ties the units to the paid order.
+ */
+async function recordReservedSale(reservation) {
+  for (const item of reservation.items) {
+    try {
+      const product = await Product.findById(item.product).select('sku stock variants').lean();
+      if (!product) continue;
+      await recordMovement({
+        type: 'sale',
+        product,
+        variant: findVariant(product, item.variant),
+        quantity: 0,
+        reason: 'Reserved stock sold',
+        order: reservation.order,
+        reservation: reservation._id
+      });
+    } catch (err) {
+      console.error(`[StockReservation] Error recording sale for reservation ${reservation._id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Keep an order's reserved stock once payment is confirmed. Safe to call more than once.
+ * When the reservation already lapsed (late payment) the stock is taken again; if it has been
+ * sold meanwhile the reservation is recorded as oversold for an admin to resolve.
+ * Call it after the transaction that marks the order paid has committed.
+ * @param {Object} order - Order document (or { _id, buyer })
+ * @returns {Promise<Object|null>} Committed reservation, or null for orders with nothing to reserve
+ */
+async function commitOrderReservation(order) {
+  const orderId = idOf(order);
+
+  const committed = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: 'active' },
+    { $set: { status: 'committed', committedAt: new Date() } },
+    { new: true }
+  );
+  if (committed) {
+    await recordReservedSale(committed);
+    return committed;
+  }
+
+  const existing = await StockReservation.findOne({ order: orderId, status: 'committed' });
+  if (existing) return existing;
+
+  const lapsed = await StockReservation.findOne({ order: orderId, status: 'released' })
+    .sort({ createdAt: -1 })
+    .lean();
+  const items = lapsed
+    ? lapsed.items
+    : itemsFromOrderItems(await OrderItem.find({ order: orderId }).lean());
+  if (items.length === 0) return null;
+
+  const buyer = idOf(order.buyer);
+  const { error, reservation } = await reserveStock({
+    userId: buyer,
+    orderId,
+    items,
+    saleItems: lapsed ? lapsed.saleItems : undefined,
+    enforceSales: false,
+    commit: true,
+    reason: 'Paid after reservation lapsed'
+  });
+  if (!error) return reservation;
+
+  console.warn(`[StockReservation] Order ${orderId} was paid but stock ran out: ${error}`);
+  return StockReservation.create({
+    order: orderId,
+    user: buyer,
+    items,
+    status: 'committed',
+    expiresAt: new Date(),
+    committedAt: new Date(),
+    oversold: true
+  });
+}
+
+/**
+ * Release every active reservation past its expiry. Used by stockReservationJob.
+ * @returns {Promise<number>} Number of reservations released
+ */
+async function releaseExpiredReservations(now = new Date()) {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: now } })
+    .select('_id order')
+    .lean();
+
+  let released = 0;
+  for (const reservation of expired) {
+    try {
+      if (await releaseReservation(reservation._id, 'expired')) released += 1;
+    } catch (err) {
+      console.error(`[StockReservation] Error releasing reservation ${reservation._id}:`, err.message);
+    }
+  }
+  return released;
+}
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  itemsFromCart,
+  itemsFromOrderItems,
+  reserveStock,
+  attachOrder,
+  releaseReservation,
+  releaseOrderReservation,
+  commitOrderReservation,
+  releaseExpiredReservations
+};
@@ -0,0 +1,165 @@
+const TaxRule = require('../models/TaxRule');
+const DeliveryAddress = require('../models/DeliveryAddress');
+
+// Matches the DeliveryAddress.country default; used when an order has no shipping address
+const DEFAULT_COUNTRY = 'NG';
+
+// Statutory rates applied when no TaxRule has been configured for a country.
+// Nigerian VAT is 7.5% on goods and on the delivery service; catalogue prices are VAT-exclusive.
+// Exempt categories (basic food, medical, educational materials) are configured as 0% TaxRules.
+const STATUTORY_RULES = {
+  NG: [{
+    name: 'Nigeria VAT',
+    taxType: 'VAT',
+    country: 'NG',
+    state: null,
+    categories: [],
+    rate: 7.5,
+    mode: 'exclusive',
+    appliesToDelivery: true,
+    isActive: true
+  }]
+};
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Higher wins within a taxType: state + category > category > state > country-wide.
+// A category rule outranks any geographic one, so a country-level exemption holds in every state.
+function specificity(rule) {
+  return (rule.categories && rule.categories.length > 0 ? 2 : 0) + (rule.state ? 1 : 0);
+}
+
+/**
+ * Active rules for a destination, falling back to the statutory rules
+ * when nothing (active or not) is configured for the country.
+ */
+async function getRulesForLocation({ country, state }) {
+  const countryCode = String(country || DEFAULT_COUNTRY).trim().toUpperCase();
+  const configured = await TaxRule.find({ country: countryCode }).lean();
+  const rules = configured.length > 0 ? configured : (STATUTORY_RULES[countryCode] || []);
+  return rules.filter((rule) => rule.isActive && (!rule.state || sameText(rule.state, state)));
+}
+
+/**
+ * Pick the rules that apply to one taxable line, one per taxType.
+ * Pass category = null for the delivery fee.
+ */
+function selectRules(rules, category, isDelivery) {
+  const byType = new Map();
+  for (const rule of rules) {
+    const categories = rule.categories || [];
+    if (isDelivery) {
+      if (!rule.appliesToDelivery || categories.length > 0) continue;
+    } else if (categories.length > 0 && !categories.some((c) => sameText(c, category))) {
+      continue;
+    }
+    const current = byType.get(rule.taxType);
+    if (!current || specificity(rule) > specificity(current)) byType.set(rule.taxType, rule);
+  }
+  return [...byType.values()];
+}
+
+function taxFor(amount, rule) {
+  if (rule.mode === 'inclusive') return amount * rule.rate / (100 + rule.rate);
+  return amount * rule.rate / 100;
+}
+
+/**
+ * Calculate tax for a priced order. All amounts are in the order currency.
+ * An order-level discount is spread across the lines pro rata; a free-delivery
+ * discount makes the delivery fee non-taxable instead.
+ * @param {Object} ctx
+ * @param {string} [ctx.country] - Destination country (ISO alpha-2), defaults to NG
+ * @param {string} [ctx.state] - Destination state
+ * @param {Array<{ productId, category, lineTotal }>} ctx.lines
+ * @param {number} [ctx.deliveryFee]
+ * @param {number} [ctx.discountAmount]
+ * @param {boolean} [ctx.freeDelivery]
+ * @returns {Promise<{ taxAmount: number, exclusiveTaxAmount: number, inclusiveTaxAmount: number, breakdown: Array }>}
+ *   exclusiveTaxAmount is added to the order total; inclusiveTaxAmount is already inside the prices.
+ */
+async function calculateTax(ctx) {
+  const rules = await getRulesForLocation(ctx);
+  const lines = Array.isArray(ctx.lines) ? ctx.lines : [];
+  const discountAmount = Number(ctx.discountAmount) || 0;
+  const deliveryFee = ctx.freeDelivery ? 0 : (Number(ctx.deliveryFee) || 0);
+
+  const subtotal = lines.reduce((sum, line) => sum + (Number(line.lineTotal) || 0), 0);
+  const lineDiscount = ctx.freeDelivery ? 0 : Math.min(discountAmount, subtotal);
+  const lineFactor = subtotal > 0 ? (subtotal - lineDiscount) / subtotal : 0;
+
+  const entries = new Map();
+  const addTax = (rule, taxableAmount) => {
+    const key = rule._id ? rule._id.toString() : `${rule.country}:${rule.taxType}:${rule.name}`;
+    const entry = entries.get(key) || {
+      rule: rule._id || null,
+      name: rule.name,
+      taxType: rule.taxType,
+      rate: rule.rate,
+      mode: rule.mode,
+      taxableAmount: 0,
+      taxAmount: 0
+    };
+    entry.taxableAmount += taxableAmount;
+    entry.taxAmount += taxFor(taxableAmount, rule);
+    entries.set(key, entry);
+  };
+
+  for (const line of lines) {
+    const taxable = (Number(line.lineTotal) || 0) * lineFactor;
+    if (taxable <= 0) continue;
+    selectRules(rules, line.category, false).forEach((rule) => addTax(rule, taxable));
+  }
+  if (deliveryFee > 0) {
+    selectRules(rules, null, true).forEach((rule) => addTax(rule, deliveryFee));
+  }
+
+  const breakdown = [...entries.values()].map((entry) => ({
+    ...entry,
+    taxableAmount: roundMoney(entry.taxableAmount),
+    taxAmount: roundMoney(entry.taxAmount)
+  }));
+  const exclusiveTaxAmount = roundMoney(breakdown.filter((e) => e.mode === 'exclusive').reduce((sum, e) => sum + e.taxAmount, 0));
+  const inclusiveTaxAmount = roundMoney(breakdown.filter((e) => e.mode === 'inclusive').reduce((sum, e) => sum + e.taxAmount, 0));
+
+  return {
+    taxAmount: roundMoney(exclusiveTaxAmount + inclusiveTaxAmount),
+    exclusiveTaxAmount,
+    inclusiveTaxAmount,
+    breakdown
+  };
+}
+
+/**
+ * Resolve the tax destination from a DeliveryAddress id (or the default country).
+ */
+async function resolveTaxLocation(shippingAddressId) {
+  if (shippingAddressId) {
+    const address = await DeliveryAddress.findById(shippingAddressId).select('country state').lean();
+    if (address) return { country: address.country || DEFAULT_COUNTRY, state: address.state || null };
+  }
+  return { country: DEFAULT_COUNTRY, state: null };
+}
+
+/**
+ * Calculate tax for an order shipped to a DeliveryAddress.
+ * @param {string} shippingAddressId
+ * @param {Object} ctx - Same as calculateTax without country/state
+ */
+async function calculateOrderTax(shippingAddressId, ctx) {
+  const location = await resolveTaxLocation(shippingAddressId);
+  return calculateTax({ ...ctx, ...location });
+}
+
+module.exports = {
+  STATUTORY_RULES,
+  calculateTax,
+  calculateOrderTax,
+  resolveTaxLocation
+};
@@ -0,0 +1,477 @@
+const { Order, OrderItem } = require('../models/Order');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+const DeliveryAddress = require('../models/DeliveryAddress');
+const { DEFAULT_RATES, normalizeRates } = require('./currencyExchangeService');
+const { LEDGER_CURRENCY, SETTLED_PAYMENT_STATUSES, roundMoney } = require('./commissionService');
+
+// $dateToString formats of the revenue intervals (UTC); weeks are ISO weeks
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_DAILY_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payments that date a sale: the first completed one (refunded payments were completed first)
+const PAID_PAYMENT_STATUSES = ['completed', 'refunded'];
+
+/**
+ * Reporting period from ?from=&to=&interval= (defaults: the last 30 days, by day)
+ * @param {Object} query
+ * @returns {{ error?: string, from?: Date, to?: Date, interval?: string }}
+ */
+function analyticsRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime())) return { error: 'from and to must be dates' };
+  if (from > to) return { error: 'from must be before to' };
+
+  const interval = query.interval || 'day';
+  if (!INTERVAL_FORMATS[interval]) return { error: 'Interval must be day, week or month' };
+  if (interval === 'day' && to - from > MAX_DAILY_RANGE_DAYS * DAY_MS) {
+    return { error: `Daily figures cover at most ${MAX_DAILY_RANGE_DAYS} days; use week or month` };
+  }
+  return { from, to, interval };
+}
+
+// The value of `code` in an $objectToArray rate table
+function rateOf(rates, code) {
+  return {
+    $arrayElemAt: [
+      { $map: { input: { $filter: { input: rates, cond: { $eq: ['$$this.k', code] } } }, in: '$$this.v' } },
+      0
+    ]
+  };
+}
+
+// Multiplier from the item's currency to USDC at the order's locked rates (currencyExchangeService.convert)
+const USDC_RATE = {
+  $let: {
+    vars: {
+      rates: { $objectToArray: { $ifNull: ['$order.exchangeRate.rates', { $literal: normalizeRates(DEFAULT_RATES) }] } }
+    },
+    in: {
+      $let: {
+        vars: {
+          from: rateOf('$$rates', '$currency'),
+          to: { $ifNull: [rateOf('$$rates', LEDGER_CURRENCY), { $ifNull: [rateOf('$$rates', 'USD'), 1] }] }
+        },
+        in: {
+          $cond: [
+            { $and: [{ $ne: ['$currency', LEDGER_CURRENCY] }, { $gt: ['$$from', 0] }] },
+            { $divide: ['$$to', '$$from'] },
+            1
+          ]
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Pipeline stages for a seller's sold items paid within the range: one document per order item
+ * with its order, buyer, shipping address, paidAt, and revenue and refunded value in USDC.
+ * Orders count once paid (and still count when refunded later, as in the commission ledger);
+ * an item's refunded value is its share of units refunded so far.
+ */
+function soldItemStages(vendorId, { from, to }) {
+  return [
+    // Items are created before they are paid for
+    { $match: { vendor: vendorId, createdAt: { $lte: to } } },
+    { $lookup: { from: Order.collection.name, localField: 'order', foreignField: '_id', as: 'order' } },
+    { $unwind: '$order' },
+    { $match: { 'order.paymentStatus': { $in: SETTLED_PAYMENT_STATUSES } } },
+    { $lookup: { from: Payment.collection.name, localField: 'order.payments', foreignField: '_id', as: 'payments' } },
+    {
+      $addFields: {
+        paidAt: {
+          $ifNull: [
+            {
+              $min: {
+                $map: {
+                  input: { $filter: { input: '$payments', cond: { $in: ['$$this.status', PAID_PAYMENT_STATUSES] } } },
+                  in: '$$this.paymentDate'
+                }
+              }
+            },
+            '$order.createdAt'
+          ]
+        },
+        usdcRate: USDC_RATE
+      }
+    },
+    { $match: { paidAt: { $gte: from, $lte: to } } },
+    {
+      $project: {
+        product: 1,
+        variant: 1,
+        productName: 1,
+        quantity: 1,
+        refundedQuantity: { $ifNull: ['$refundedQuantity', 0] },
+        paidAt: 1,
+        order: '$order._id',
+        buyer: '$order.buyer',
+        shippingAddress: '$order.shippingAddress',
+        revenue: { $multiply: ['$totalPrice', '$usdcRate'] },
+        refunded: {
+          $cond: [
+            { $gt: ['$quantity', 0] },
+            {
+              $multiply: [
+                '$totalPrice',
+                '$usdcRate',
+                { $divide: [{ $ifNull: ['$refundedQuantity', 0] }, '$quantity'] }
+              ]
+            },
+            0
+          ]
+        }
+      }
+    }
+  ];
+}
+
+// part / whole as a percentage with two decimals; 0 when there is nothing to compare with
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+// ISO week of a date, formatted like $dateToString '%G-W%V'
+function isoWeekKey(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const week = Math.ceil(((day - Date.UTC(day.getUTCFullYear(), 0, 1)) / DAY_MS + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Every period key of the range, in order, so periods without sales show as zero
+ * @returns {string[]}
+ */
+function periodKeys(from, to, interval) {
+  const keys = new Set();
+  for (let time = from.getTime(); time <= to.getTime() + DAY_MS - 1; time += DAY_MS) {
+    const date = new Date(Math.min(time, to.getTime()));
+    if (interval === 'week') keys.add(isoWeekKey(date));
+    else keys.add(date.toISOString().slice(0, interval === 'month' ? 7 : 10));
+  }
+  return [...keys];
+}
+
+/**
+ * Revenue per day, week or month of the range, in USDC
+ * @param {ObjectId} vendorId
+ * @param {Object} range - From analyticsRange
+ * @returns {Promise<{ currency: string, interval: string, from: Date, to: Date, series: Array, totals: Object }>}
+ */
+async function revenueOverTime(vendorId, range) {
+  const rows = await OrderItem.aggregate([
+    ...soldItemStages(vendorId, range),
+    {
+      $group: {
+        _id: { $dateToString: { format: INTERVAL_FORMATS[range.interval], date: '$paidAt', timezone: 'UTC' } },
+        revenue: { $sum: '$revenue' },
+        refunded: { $sum: '$refunded' },
+        units: { $sum: '$quantity' },
+        orders: { $addToSet: '$order' }
+      }
+    },
+    { $project: { revenue: 1, refunded: 1, units: 1, orders: { $size: '$orders' } } }
+  ]);
+
+  const byPeriod = new Map(rows.map((row) => [row._id, row]));
+  const totals = { revenue: 0, refunded: 0, netRevenue: 0, units: 0, orders: 0 };
+  const series = periodKeys(range.from, range.to, range.interval).map((period) => {
+    const row = byPeriod.get(period) || {};
+    const point = {
+      period,
+      revenue: roundMoney(row.revenue || 0),
+      refunded: roundMoney(row.refunded || 0),
+      netRevenue: roundMoney((row.revenue || 0) - (row.refunded || 0)),
+      units: row.units || 0,
+      // An order is paid once, so it falls in one period
+      orders: row.orders || 0
+    };
+    for (const key of Object.keys(totals)) totals[key] += point[key];
+    return point;
+  });
+  for (const key of ['revenue', 'refunded', 'netRevenue']) totals[key] = roundMoney(totals[key]);
+
+  return { currency: LEDGER_CURRENCY, interval: range.interval, from: range.from, to: range.to, series, totals };
+}
+
+/**
+ * Units sold and revenue per product, with a line per variant, best sellers first
+ * @param {ObjectId} vendorId
+ * @param {Object} range - From analyticsRange
+ * @param {number} limit - Products returned
+ * @returns {Promise<{ currency: string, products: Array }>}
+ */
+async function unitsByProduct(vendorId, range, limit) {
+  const rows = await OrderItem.aggregate([
+    ...soldItemStages(vendorId, range),
+    // Latest names last, for $last below
+    { $sort: { paidAt: 1 } },
+    {
+      $group: {
+        _id: { product: '$product', variantId: '$variant.variantId' },
+        productName: { $last: '$productName' },
+        variantName: { $last: '$variant.name' },
+        sku: { $last: '$variant.sku' },
+        units: { $sum: '$quantity' },
+        refundedUnits: { $sum: '$refundedQuantity' },
+        revenue: { $sum: '$revenue' }
+      }
+    },
+    { $sort: { units: -1 } },
+    {
+      $group: {
+        _id: '$_id.product',
+        productName: { $last: '$productName' },
+        units: { $sum: '$units' },
+        refundedUnits: { $sum: '$refundedUnits' },
+        revenue: { $sum: '$revenue' },
+        variants: {
+          $push: {
+            variantId: '$_id.variantId',
+            name: '$variantName',
+            sku: '$sku',
+            units: '$units',
+            refundedUnits: '$refundedUnits',
+            revenue: '$revenue'
+          }
+        }
+      }
+    },
+    { $sort: { units: -1, revenue: -1 } },
+    { $limit: limit }
+  ]);
+
+  const products = await Product.find({ _id: { $in: rows.map((row) => row._id) } }).select('name slug images').lean();
+  const current = new Map(products.map((product) => [product._id.toString(), product]));
+  return {
+    currency: LEDGER_CURRENCY,
+    products: rows.map((row) => {
+      const product = current.get(row._id.toString());
+      return {
+        product: row._id,
+        name: product?.name || row.productName,
+        slug: product?.slug || null,
+        image: product?.images?.[0] || null,
+        units: row.units,
+        refundedUnits: row.refundedUnits,
+        revenue: roundMoney(row.revenue),
+        // Sales without a variant are the product itself
+        variants: row.variants
+          .filter((variant) => variant.variantId != null)
+          .map((variant) => ({ ...variant, revenue: roundMoney(variant.revenue) }))
+      };
+    })
+  };
+}
+
+/**
+ * How many shoppers with a product on their wishlist bought it in the range.
+ * Wishlists are as they are now (items carry no date) and are not emptied by a purchase.
+ * @param {ObjectId} vendorId
+ * @param {Object} range - From analyticsRange
+ * @param {number} limit - Products returned, most wishlisted first
+ * @returns {Promise<{ totals: Object, products: Array }>}
+ */
+async function wishlistConversion(vendorId, range, limit) {
+  const productIds = await Product.find({ vendor: vendorId }).distinct('_id');
+  const totals = { wishlisted: 0, converted: 0, conversionRate: 0 };
+  if (productIds.length === 0) return { totals, products: [] };
+
+  const [wishlisted, purchased] = await Promise.all([
+    Wishlist.aggregate([
+      { $match: { 'items.product': { $in: productIds } } },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: productIds } } },
+      { $group: { _id: '$items.product', users: { $addToSet: '$user' } } }
+    ]),
+    OrderItem.aggregate([
+      ...soldItemStages(vendorId, range),
+      { $group: { _id: '$product', buyers: { $addToSet: '$buyer' } } }
+    ])
+  ]);
+
+  const buyersOf = new Map(purchased.map((row) => [row._id.toString(), new Set(row.buyers.map(String))]));
+  const rows = wishlisted.map((row) => {
+    const buyers = buyersOf.get(row._id.toString()) || new Set();
+    const converted = row.users.filter((user) => buyers.has(String(user))).length;
+    totals.wishlisted += row.users.length;
+    totals.converted += converted;
+    return {
+      product: row._id,
+      wishlisted: row.users.length,
+      converted,
+      conversionRate: percent(converted, row.users.length),
+      buyers: buyers.size
+    };
+  });
+  totals.conversionRate = percent(totals.converted, totals.wishlisted);
+
+  rows.sort((a, b) => b.wishlisted - a.wishlisted || b.converted - a.converted);
+  const top = rows.slice(0, limit);
+  const products = await Product.find({ _id: { $in: top.map((row) => row.product) } }).select('name slug').lean();
+  const names = new Map(products.map((product) => [product._id.toString(), product]));
+  return {
+    totals,
+    products: top.map((row) => ({
+      ...row,
+      name: names.get(row.product.toString())?.name || null,
+      slug: names.get(row.product.toString())?.slug || null
+    }))
+  };
+}
+
+/**
+ * Where the seller's customers are: orders grouped by the state (and country) of their
+ * delivery address, most customers first. Orders without an address are grouped under state null.
+ * @param {ObjectId} vendorId
+ * @param {Object} range - From analyticsRange
+ * @param {number} limit - Regions returned
+ * @returns {Promise<{ currency: string, regions: Array }>}
+ */
+async function customerRegions(vendorId, range, limit) {
+  const rows = await OrderItem.aggregate([
+    ...soldItemStages(vendorId, range),
+    {
+      $group: {
+        _id: '$order',
+        buyer: { $first: '$buyer' },
+        shippingAddress: { $first: '$shippingAddress' },
+        revenue: { $sum: '$revenue' },
+        units: { $sum: '$quantity' }
+      }
+    },
+    { $lookup: { from: DeliveryAddress.collection.name, localField: 'shippingAddress', foreignField: '_id', as: 'address' } },
+    { $unwind: { path: '$address', preserveNullAndEmptyArrays: true } },
+    { $addFields: { state: { $trim: { input: { $ifNull: ['$address.state', ''] } } } } },
+    {
+      $group: {
+        // "Lagos" and "lagos " are one region
+        _id: { state: { $toLower: '$state' }, country: { $ifNull: ['$address.country', null] } },
+        state: { $first: '$state' },
+        customers: { $addToSet: '$buyer' },
+        orders: { $sum: 1 },
+        units: { $sum: '$units' },
+        revenue: { $sum: '$revenue' }
+      }
+    },
+    { $project: { state: 1, customers: { $size: '$customers' }, orders: 1, units: 1, revenue: 1 } },
+    { $sort: { customers: -1, revenue: -1 } },
+    { $limit: limit }
+  ]);
+
+  return {
+    currency: LEDGER_CURRENCY,
+    regions: rows.map((row) => ({
+      state: row.state || null,
+      country: row._id.country,
+      customers: row.customers,
+      orders: row.orders,
+      units: row.units,
+      revenue: roundMoney(row.revenue)
+    }))
+  };
+}
+
+/**
+ * Refunds of the items sold in the range: by units, by orders and by value, overall and for the
+ * products with most units refunded. Rates are percentages.
+ * @param {ObjectId} vendorId
+ * @param {Object} range - From analyticsRange
+ * @param {number} limit - Products returned
+ * @returns {Promise<{ currency: string, totals: Object, products: Array }>}
+ */
+async function refundRates(vendorId, range, limit) {
+  const [result] = await OrderItem.aggregate([
+    ...soldItemStages(vendorId, range),
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              units: { $sum: '$quantity' },
+              refundedUnits: { $sum: '$refundedQuantity' },
+              revenue: { $sum: '$revenue' },
+              refunded: { $sum: '$refunded' },
+              orders: { $addToSet: '$order' },
+              refundedOrders: { $addToSet: { $cond: [{ $gt: ['$refundedQuantity', 0] }, '$order', null] } }
+            }
+          },
+          {
+            $project: {
+              units: 1,
+              refundedUnits: 1,
+              revenue: 1,
+              refunded: 1,
+              orders: { $size: '$orders' },
+              refundedOrders: { $size: { $setDifference: ['$refundedOrders', [null]] } }
+            }
+          }
+        ],
+        products: [
+          { $sort: { paidAt: 1 } },
+          {
+            $group: {
+              _id: '$product',
+              productName: { $last: '$productName' },
+              units: { $sum: '$quantity' },
+              refundedUnits: { $sum: '$refundedQuantity' },
+              revenue: { $sum: '$revenue' },
+              refunded: { $sum: '$refunded' }
+            }
+          },
+          { $match: { refundedUnits: { $gt: 0 } } },
+          { $sort: { refundedUnits: -1, refunded: -1 } },
+          { $limit: limit }
+        ]
+      }
+    }
+  ]);
+
+  const sums = result?.totals?.[0] || { units: 0, refundedUnits: 0, revenue: 0, refunded: 0, orders: 0, refundedOrders: 0 };
+  return {
+    currency: LEDGER_CURRENCY,
+    totals: {
+      units: sums.units,
+      refundedUnits: sums.refundedUnits,
+      unitRefundRate: percent(sums.refundedUnits, sums.units),
+      orders: sums.orders,
+      refundedOrders: sums.refundedOrders,
+      orderRefundRate: percent(sums.refundedOrders, sums.orders),
+      revenue: roundMoney(sums.revenue),
+      refunded: roundMoney(sums.refunded),
+      revenueRefundRate: percent(sums.refunded, sums.revenue)
+    },
+    products: (result?.products || []).map((row) => ({
+      product: row._id,
+      name: row.productName,
+      units: row.units,
+      refundedUnits: row.refundedUnits,
+      unitRefundRate: percent(row.refundedUnits, row.units),
+      revenue: roundMoney(row.revenue),
+      refunded: roundMoney(row.refunded)
+    }))
+  };
+}
+
+module.exports = {
+  INTERVAL_FORMATS,
+  analyticsRange,
+  soldItemStages,
+  periodKeys,
+  revenueOverTime,
+  unitsByProduct,
+  wishlistConversion,
+  customerRegions,
+  refundRates
+};
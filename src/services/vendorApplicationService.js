@@ -0,0 +1,235 @@
+/**
+ * Vendor onboarding: applications with business details and KYC documents, reviewed by admins.
+ * Documents are checked by their content, stored as private files through config/storage under
+ * random names and only handed out as short-lived signed URLs.
+ */
+const User = require('../models/User');
+const VendorApplication = require('../models/VendorApplication');
+const { saveDocument, deleteDocument, signedDocumentUrl } = require('../config/storage');
+const { detectImageType } = require('./imageService');
+
+const MAX_DOCUMENT_BYTES = Number(process.env.VENDOR_DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_DOCUMENTS = 10;
+// Signed document links last 15 minutes
+const DOCUMENT_LINK_SECONDS = 15 * 60;
+
+const { OPEN_APPLICATION_STATUSES, DOCUMENT_TYPES } = VendorApplication;
+
+// Where each status can move to
+const STATUS_TRANSITIONS = {
+  submitted: ['in_review', 'approved', 'rejected'],
+  in_review: ['approved', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+const DETAIL_FIELDS = ['businessName', 'businessType', 'registrationNumber', 'taxId', 'contactName', 'phone', 'website', 'description'];
+const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'state', 'country', 'postalCode'];
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ extension: string, mimetype: string }|null} PDF or JPEG/PNG/GIF/WebP, from the leading bytes
+ */
+function detectDocumentType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') return { extension: 'pdf', mimetype: 'application/pdf' };
+  const image = detectImageType(buffer);
+  return image ? { extension: image.format === 'jpeg' ? 'jpg' : image.format, mimetype: image.mimetype } : null;
+}
+
+/**
+ * @param {Object} file - multer file
+ * @returns {string|null} Error message naming the file
+ */
+function validateDocument(file) {
+  const name = file.originalname || 'Document';
+  if (!file.buffer || file.buffer.length === 0) return `${name} is empty`;
+  if (file.buffer.length > MAX_DOCUMENT_BYTES) return `${name} is larger than ${Math.round(MAX_DOCUMENT_BYTES / (1024 * 1024))}MB`;
+  if (!detectDocumentType(file.buffer)) return `${name} is not a PDF or an image`;
+  return null;
+}
+
+// Document types sent alongside the files: an array, or a comma-separated string, in file order
+function documentTypes(value, count) {
+  const types = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from({ length: count }, (_, i) => {
+    const type = String(types[i] || '').trim();
+    return DOCUMENT_TYPES.includes(type) ? type : 'other';
+  });
+}
+
+/**
+ * Store application documents; nothing is left behind when one fails
+ * @returns {Promise<Array>} Document entries for the application
+ */
+async function storeDocuments(files, types) {
+  const stored = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const { extension, mimetype } = detectDocumentType(file.buffer);
+      const key = await saveDocument(`document.${extension}`, file.buffer, mimetype);
+      stored.push({
+        type: types[index],
+        key,
+        fileName: file.originalname || null,
+        contentType: mimetype,
+        size: file.buffer.length
+      });
+    }
+  } catch (err) {
+    await Promise.all(stored.map((doc) => deleteDocument(doc.key).catch(() => false)));
+    throw err;
+  }
+  return stored;
+}
+
+// Business details from a request body (multipart fields arrive as strings)
+function applicationDetails(body) {
+  const details = {};
+  for (const field of DETAIL_FIELDS) {
+    if (body[field] != null && body[field] !== '') details[field] = String(body[field]);
+  }
+  let address = body.address;
+  if (typeof address === 'string') {
+    try {
+      address = JSON.parse(address);
+    } catch (err) {
+      address = null;
+    }
+  }
+  if (address && typeof address === 'object') {
+    details.address = {};
+    for (const field of ADDRESS_FIELDS) {
+      if (address[field] != null && address[field] !== '') details.address[field] = String(address[field]);
+    }
+  }
+  return details;
+}
+
+/**
+ * Submit an application with its documents
+ * @param {Object} user - Signed-in user
+ * @param {Object} body - Business details, address (object or JSON) and documentTypes
+ * @param {Array} files - multer files
+ * @returns {Promise<{ status?: number, error?: string|string[], application?: Object }>}
+ */
+async function submitApplication(user, body, files) {
+  if (user.role === 'admin') return { status: 400, error: 'Admins cannot apply to sell' };
+  if (user.role === 'vendor' && user.approved) return { status: 400, error: 'You are already an approved vendor' };
+  const open = await VendorApplication.exists({ user: user._id, status: { $in: OPEN_APPLICATION_STATUSES } });
+  if (open) return { status: 409, error: 'You already have an application under review' };
+
+  const details = applicationDetails(body);
+  if (!details.businessName || details.businessName.trim().length < 2) {
+    return { status: 400, error: 'Business name is required' };
+  }
+  if (details.businessType && !['individual', 'company'].includes(details.businessType)) {
+    return { status: 400, error: 'Business type must be individual or company' };
+  }
+  if (files.length === 0) return { status: 400, error: 'At least one document is required' };
+  if (files.length > MAX_DOCUMENTS) return { status: 400, error: `At most ${MAX_DOCUMENTS} documents can be uploaded` };
+  const invalid = files.map(validateDocument).filter(Boolean);
+  if (invalid.length > 0) return { status: 400, error: invalid };
+
+  const application = new VendorApplication({ ...details, user: user._id });
+  const invalidDetails = application.validateSync();
+  if (invalidDetails) return { status: 400, error: Object.values(invalidDetails.errors).map((e) => e.message) };
+
+  application.documents = await storeDocuments(files, documentTypes(body.documentTypes, files.length));
+  try {
+    await application.save();
+  } catch (err) {
+    await Promise.all(application.documents.map((doc) => deleteDocument(doc.key).catch(() => false)));
+    throw err;
+  }
+  return { application };
+}
+
+/**
+ * Move an application on, with an optional note. Approval makes the applicant an approved vendor.
+ * @param {Object} application - Application document
+ * @param {string} status - in_review | approved | rejected
+ * @param {Object} review - { reviewer, note, reason } (reason is shown to the applicant; required to reject)
+ * @returns {Promise<{ error?: string }>} The application is saved
+ */
+async function changeStatus(application, status, review) {
+  const allowed = STATUS_TRANSITIONS[application.status] || [];
+  if (!allowed.includes(status)) {
+    return { error: allowed.length > 0
+      ? `A ${application.status} application can only move to: ${allowed.join(', ')}`
+      : `The application is already ${application.status}` };
+  }
+  const reason = typeof review.reason === 'string' ? review.reason.trim() : '';
+  if (status === 'rejected' && !reason) return { error: 'A reason is required to reject an application' };
+
+  application.status = status;
+  application.reviewedBy = review.reviewer;
+  application.reviewedAt = new Date();
+  if (status === 'rejected') application.rejectionReason = reason;
+  const note = typeof review.note === 'string' ? review.note.trim() : '';
+  if (note) application.notes.push({ author: review.reviewer, note, status });
+
+  if (status === 'approved') {
+    const user = await User.findById(application.user).select('companyName').lean();
+    await User.updateOne(
+      { _id: application.user },
+      { $set: { role: 'vendor', approved: true, companyName: user?.companyName || application.businessName } }
+    );
+  }
+  await application.save();
+  return {};
+}
+
+/**
+ * The application with a time-limited link on each document, and without the storage references
+ * @param {Object} application - Lean application (or document)
+ * @param {string} origin - Base URL for locally stored files
+ */
+async function withDocumentLinks(application, origin) {
+  const plain = typeof application.toObject === 'function' ? application.toObject() : application;
+  const documents = await Promise.all((plain.documents || []).map(async ({ key, ...doc }) => {
+    let signedUrl = null;
+    try {
+      signedUrl = await signedDocumentUrl(key, { expiresIn: DOCUMENT_LINK_SECONDS, baseUrl: origin });
+    } catch (err) {
+      console.error(`Could not sign document ${doc._id}:`, err.message);
+    }
+    return { ...doc, signedUrl };
+  }));
+  return { ...plain, documents };
+}
+
+/**
+ * What an applicant sees of their application: no internal notes or reviewer
+ */
+function applicantView(application) {
+  const { notes, reviewedBy, ...rest } = application;
+  return rest;
+}
+
+/**
+ * Who is told about new applications: VENDOR_APPLICATION_EMAILS, or every admin when it is not set
+ */
+async function reviewerEmails() {
+  const configured = (process.env.VENDOR_APPLICATION_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+
+  const admins = await User.find({ role: 'admin', email: { $nin: [null, ''] } }).select('email').lean();
+  return admins.map((admin) => admin.email);
+}
+
+module.exports = {
+  MAX_DOCUMENT_BYTES,
+  MAX_DOCUMENTS,
+  STATUS_TRANSITIONS,
+  detectDocumentType,
+  validateDocument,
+  submitApplication,
+  changeStatus,
+  withDocumentLinks,
+  applicantView,
+  reviewerEmails
+};
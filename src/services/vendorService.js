@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const { OrderItem } = require('../models/Order');
+
+// Statuses a seller can move their fulfilment group to, in order
+const VENDOR_FULFILLMENT_STATUSES = ['processing', 'shipped', 'delivered'];
+const FULFILLMENT_STEPS = ['pending', ...VENDOR_FULFILLMENT_STATUSES];
+
+// Orders are passed to sellers once the buyer has paid or an admin confirmed them
+const HIDDEN_ORDER_STATUSES = ['pending', 'pending_payment'];
+
+const UNAPPROVED_PUBLISH_MESSAGE = 'Your vendor account must be approved before you can publish products';
+
+/**
+ * Product filter for the admin product routes: vendors work on their own products only
+ * @param {Object} user - Signed-in admin or vendor
+ * @returns {Object}
+ */
+function productScope(user) {
+  return user?.role === 'vendor' ? { vendor: user._id } : {};
+}
+
+/**
+ * Whether a user may publish products: admins, and vendors once their application is approved
+ * @param {Object} user - Signed-in admin or vendor
+ * @returns {boolean}
+ */
+function canPublish(user) {
+  return user?.role !== 'vendor' || user.approved === true;
+}
+
+/**
+ * Whether a request value would publish a product (multipart and CSV values arrive as strings)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPublishing(value) {
+  return Boolean(value) && value !== 'false' && value !== '0';
+}
+
+/**
+ * Check the seller an admin assigns to a product
+ * @param {string|null} value - Vendor user ID; empty clears the seller
+ * @returns {Promise<{ error?: string, vendor?: ObjectId|null }>}
+ */
+async function resolveVendor(value) {
+  if (value == null || value === '') return { vendor: null };
+  if (!mongoose.Types.ObjectId.isValid(value)) return { error: 'Invalid vendor ID' };
+  const vendor = await User.findOne({ _id: value, role: 'vendor' }).select('_id').lean();
+  if (!vendor) return { error: 'Vendor not found' };
+  return { vendor: vendor._id };
+}
+
+/**
+ * Split an order into one fulfilment group per seller. Each item is stamped with its product's
+ * seller, so later changes of product ownership do not move lines between sellers. The caller saves the order.
+ * @param {Object} order - Order document with its item IDs set
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array>} The groups set on the order
+ */
+async function splitOrder(order, options = {}) {
+  const { session = null } = options;
+  const items = await OrderItem.find({ _id: { $in: order.items } })
+    .select('product totalPrice currency')
+    .session(session)
+    .lean();
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } })
+    .select('vendor')
+    .session(session)
+    .lean();
+  const vendorByProduct = new Map(products.map((product) => [product._id.toString(), product.vendor || null]));
+
+  const groups = new Map();
+  const stamps = [];
+  for (const item of items) {
+    const vendor = vendorByProduct.get(item.product.toString()) || null;
+    if (vendor) stamps.push({ updateOne: { filter: { _id: item._id }, update: { $set: { vendor } } } });
+
+    const key = vendor ? vendor.toString() : 'store';
+    if (!groups.has(key)) groups.set(key, { vendor, items: [], subTotal: 0, currency: item.currency });
+    const group = groups.get(key);
+    group.items.push(item._id);
+    group.subTotal += item.totalPrice || 0;
+  }
+  if (stamps.length > 0) await OrderItem.bulkWrite(stamps, { session });
+
+  order.fulfillments = [...groups.values()].map((group) => ({
+    ...group,
+    subTotal: Math.round(group.subTotal * 100) / 100
+  }));
+  return order.fulfillments;
+}
+
+/**
+ * Order fulfilment status from its groups: fulfilled once every open group has shipped
+ * @param {Array} fulfillments
+ * @returns {'unfulfilled'|'partial'|'fulfilled'}
+ */
+function fulfillmentStatusOf(fulfillments) {
+  const open = (fulfillments || []).filter((group) => group.status !== 'cancelled');
+  const sent = open.filter((group) => ['shipped', 'delivered'].includes(group.status));
+  if (open.length === 0 || sent.length === 0) return 'unfulfilled';
+  return sent.length === open.length ? 'fulfilled' : 'partial';
+}
+
+/**
+ * Move a seller's group forward and its items with it
+ * @param {Object} order - Order document
+ * @param {Object} group - One of order.fulfillments
+ * @param {Object} changes - { status?, trackingNumber? }
+ * @returns {Promise<{ error?: string }>} The caller saves the order
+ */
+async function updateFulfillment(order, group, changes) {
+  const { status, trackingNumber } = changes;
+  if (['cancelled', 'refunded'].includes(order.status) || group.status === 'cancelled') {
+    return { error: 'This order has been cancelled' };
+  }
+  if (status != null) {
+    if (!VENDOR_FULFILLMENT_STATUSES.includes(status)) {
+      return { error: `Status must be one of: ${VENDOR_FULFILLMENT_STATUSES.join(', ')}` };
+    }
+    if (FULFILLMENT_STEPS.indexOf(status) < FULFILLMENT_STEPS.indexOf(group.status)) {
+      return { error: `The items are already ${group.status}` };
+    }
+  }
+  if (trackingNumber !== undefined && trackingNumber !== null && typeof trackingNumber !== 'string') {
+    return { error: 'trackingNumber must be a string' };
+  }
+
+  if (trackingNumber !== undefined) group.trackingNumber = trackingNumber ? trackingNumber.trim() : null;
+  if (status && status !== group.status) {
+    group.status = status;
+    if (status === 'shipped' || (status === 'delivered' && !group.shippedAt)) group.shippedAt = new Date();
+    if (status === 'delivered') group.deliveredAt = new Date();
+    // Refunded or cancelled lines keep their status
+    await OrderItem.updateMany(
+      { _id: { $in: group.items }, status: { $nin: ['cancelled', 'refunded'] } },
+      { $set: { status } }
+    );
+  }
+  order.fulfillmentStatus = fulfillmentStatusOf(order.fulfillments);
+  return {};
+}
+
+/**
+ * What a seller sees of an order: delivery details and their own group and items only
+ * @param {Object} order - Lean order with buyer, shippingAddress and deliveryMethod populated
+ * @param {string} vendorId
+ * @param {Array} items - The seller's lean order items
+ * @returns {Object|null} null when the seller has no items in the order
+ */
+function vendorOrderView(order, vendorId, items) {
+  const group = (order.fulfillments || []).find((entry) => entry.vendor && entry.vendor.toString() === vendorId.toString());
+  if (!group) return null;
+  const ids = new Set(group.items.map((id) => id.toString()));
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    orderDate: order.orderDate,
+    createdAt: order.createdAt,
+    buyer: order.buyer ? { _id: order.buyer._id, name: order.buyer.name } : null,
+    shippingAddress: order.shippingAddress || null,
+    deliveryMethod: order.deliveryMethod || null,
+    notes: order.notes,
+    fulfillment: group,
+    items: items.filter((item) => ids.has(item._id.toString()))
+  };
+}
+
+module.exports = {
+  VENDOR_FULFILLMENT_STATUSES,
+  HIDDEN_ORDER_STATUSES,
+  UNAPPROVED_PUBLISH_MESSAGE,
+  productScope,
+  canPublish,
+  isPublishing,
+  resolveVendor,
+  splitOrder,
+  fulfillmentStatusOf,
+  updateFulfillment,
+  vendorOrderView
+};
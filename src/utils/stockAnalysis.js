@@ -1,4 +1,6 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const { findVariant, recordMovement } = require('../services/inventoryService');
 
 /**
  * Analyzes and updates stock status for a product
@@ -10,7 +12,7 @@ async function analyzeAndUpdateStock(productId) {
   try {
     // Get product (either by ID or use the document directly)
     let product;
-    if (typeof productId === 'string' || productId instanceof require('mongoose').Types.ObjectId) {
+    if (typeof productId === 'string' || productId instanceof mongoose.Types.ObjectId) {
       product = await Product.findById(productId);
     } else {
       product = productId;
@@ -45,46 +47,143 @@ async function analyzeAndUpdateStock(productId) {
 }
 
 /**
- * Reduces stock for a product and variant when an order is completed
+ * $elemMatch condition for a variant given by ID or name
+ * @param {String} variantId - Variant ID or variant name
+ * @returns {Object}
+ */
+function variantCondition(variantId) {
+  const key = variantId.toString();
+  if (mongoose.Types.ObjectId.isValid(key)) {
+    return { $or: [{ _id: new mongoose.Types.ObjectId(key) }, { name: key }] };
+  }
+  return { name: key };
+}
+
+/**
+ * Keep outOfStock in line with stock after an atomic stock change
+ */
+async function syncOutOfStock(productId, session) {
+  await Product.updateOne(
+    { _id: productId, stock: { $lte: 0 }, outOfStock: { $ne: true } },
+    { $set: { outOfStock: true } },
+    { session }
+  );
+  await Product.updateOne(
+    { _id: productId, stock: { $gt: 0 }, outOfStock: { $ne: false } },
+    { $set: { outOfStock: false } },
+    { session }
+  );
+}
+
+const STOCK_FIELDS = { sku: 1, stock: 1, variants: 1 };
+
+/**
+ * Record the inventory movement for an atomic stock change, when the caller asked for one
+ */
+async function logMovement(product, variantId, quantity, options) {
+  if (!options.movement) return;
+  await recordMovement({
+    ...options.movement,
+    product,
+    variant: findVariant(product, variantId),
+    quantity
+  }, { session: options.session });
+}
+
+/**
+ * Atomically takes stock for a product and variant. The update only matches while enough
+ * stock is left, so two buyers can never both get the last unit.
+ * Products without variants (or with a stale variant on a product that has none) use product stock.
  * @param {String} productId - Product ID
  * @param {String} variantId - Optional variant ID or variant name
- * @param {Number} quantity - Quantity to reduce
- * @returns {Promise<Object>} Updated product
+ * @param {Number} quantity - Quantity to take
+ * @param {Object} [options] - { session } to run inside a transaction, { movement: { type, actor, reason, order, reservation } } to record it in the inventory ledger
+ * @returns {Promise<Boolean>} false when there is not enough stock
  */
-async function reduceStockOnOrder(productId, variantId = null, quantity = 1) {
-  try {
-    const product = await Product.findById(productId);
+async function takeStock(productId, variantId = null, quantity = 1, options = {}) {
+  const { session } = options;
+  let product = null;
+
+  if (variantId) {
+    product = await Product.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { ...variantCondition(variantId), stock: { $gte: quantity } } } },
+      { $inc: { 'variants.$.stock': -quantity, stock: -quantity } },
+      { new: true, projection: STOCK_FIELDS, session }
+    ).lean();
     if (!product) {
-      throw new Error('Product not found');
+      const hasVariants = await Product.exists({ _id: productId, 'variants.0': { $exists: true } }).session(session || null);
+      if (hasVariants) return false;
     }
+  }
+
+  if (!product) {
+    product = await Product.findOneAndUpdate(
+      { _id: productId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { new: true, projection: STOCK_FIELDS, session }
+    ).lean();
+    if (!product) return false;
+  }
 
-    // If variant is specified, reduce variant stock
-    if (variantId && product.variants && product.variants.length > 0) {
-      const variant = product.variants.find(
-        v => v._id.toString() === variantId.toString() || v.name === variantId
-      );
+  await syncOutOfStock(productId, session);
+  await logMovement(product, variantId, -quantity, options);
+  return true;
+}
 
-      if (variant) {
-        const currentStock = variant.stock || 0;
-        variant.stock = Math.max(0, currentStock - quantity);
-      }
-    } else {
-      // Reduce main product stock
-      const currentStock = product.stock || 0;
-      product.stock = Math.max(0, currentStock - quantity);
-    }
+/**
+ * Atomically puts stock back for a product and variant (released reservation or refund)
+ * @param {String} productId - Product ID
+ * @param {String} variantId - Optional variant ID or variant name
+ * @param {Number} quantity - Quantity to return
+ * @param {Object} [options] - { session } to run inside a transaction, { movement } to record it in the inventory ledger
+ * @returns {Promise<Boolean>} false when the product no longer exists
+ */
+async function returnStock(productId, variantId = null, quantity = 1, options = {}) {
+  const { session } = options;
+  let product = null;
 
-    // Analyze and update stock status
-    await analyzeAndUpdateStock(product);
+  if (variantId) {
+    product = await Product.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: variantCondition(variantId) } },
+      { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+      { new: true, projection: STOCK_FIELDS, session }
+    ).lean();
+  }
 
-    return product;
+  if (!product) {
+    product = await Product.findOneAndUpdate(
+      { _id: productId },
+      { $inc: { stock: quantity } },
+      { new: true, projection: STOCK_FIELDS, session }
+    ).lean();
+    if (!product) return false;
+  }
+
+  await syncOutOfStock(productId, session);
+  await logMovement(product, variantId, quantity, options);
+  return true;
+}
+
+/**
+ * Puts stock back for a product and variant when ordered units are refunded
+ * @param {String} productId - Product ID
+ * @param {String} variantId - Optional variant ID or variant name
+ * @param {Number} quantity - Quantity to restore
+ * @param {Object} [movement] - Ledger context: { actor, reason, order, refund }
+ * @returns {Promise<Boolean>} false when the product no longer exists
+ */
+async function restoreStockOnRefund(productId, variantId = null, quantity = 1, movement = {}) {
+  try {
+    return await returnStock(productId, variantId, quantity, { movement: { ...movement, type: 'return' } });
   } catch (error) {
-    console.error('Error reducing stock on order:', error);
+    console.error('Error restoring stock on refund:', error);
     throw error;
   }
 }
 
 module.exports = {
   analyzeAndUpdateStock,
-  reduceStockOnOrder
+  takeStock,
+  returnStock,
+  restoreStockOnRefund
 };
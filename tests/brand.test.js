@@ -0,0 +1,135 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Brand = require('../src/models/Brand');
+const Product = require('../src/models/Product');
+const brandService = require('../src/services/brandService');
+const productSearchService = require('../src/services/productSearchService');
+const brandController = require('../src/controllers/brandController');
+
+class BrandTests extends TestSuite {
+  constructor() {
+    super('Brand');
+  }
+
+  // Apple with its products, and two stray spellings of Samsung created by imports
+  async catalog(db) {
+    const [apple, samsung, samsungTypo] = db.seed(Brand, [
+      { name: 'Apple', slug: 'apple', aliases: ['Apple Inc'], featured: true },
+      { name: 'Samsung', slug: 'samsung' },
+      { name: 'Samsng', slug: 'samsng', logo: 'https://cdn.example.com/samsung.png' }
+    ]);
+    const products = db.seed(Product, [
+      { name: 'iPhone', price: 900, ...brandService.productBrandFields(apple) },
+      { name: 'AirPods', price: 150, ...brandService.productBrandFields(apple) },
+      { name: 'Apple Draft', price: 10, published: false, ...brandService.productBrandFields(apple) },
+      { name: 'Galaxy', price: 700, ...brandService.productBrandFields(samsungTypo) },
+      { name: 'Galaxy Tab', price: 400, brand: 'SAMSUNG ELECTRONICS' }
+    ]);
+    return { apple, samsung, samsungTypo, products };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Brand Tests...\n');
+
+    await this.test('A product\'s brand resolves by ID, slug, name or alias, and new names create a brand', async () => {
+      const db = new MemoryDb(this);
+      const { apple } = await this.catalog(db);
+      assert.strictEqual(String((await brandService.findBrand('apple inc'))._id), String(apple._id));
+      assert.deepStrictEqual((await brandService.brandForProduct(' APPLE ')).fields, { brandId: apple._id, brand: 'Apple' });
+
+      const { fields } = await brandService.brandForProduct('Nokia');
+      assert.strictEqual(fields.brand, 'Nokia');
+      assert.strictEqual((await Brand.findById(fields.brandId).lean()).slug, 'nokia');
+      const missing = new mongoose.Types.ObjectId().toString();
+      assert.deepStrictEqual(await brandService.brandForProduct(missing), { error: `Brand not found: ${missing}` });
+    });
+
+    await this.test('Brands are unique by name, whatever the case or alias', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      const create = (body) => callHandler(brandController.createBrand, { body });
+      assert.strictEqual((await create({ name: 'apple inc' })).status, 409);
+      assert.strictEqual((await create({ slug: 'nameless' })).status, 400);
+      assert.strictEqual((await create({ name: 'Banana', slug: 'apple' })).status, 400);
+      const created = await create({ name: 'Google', aliases: 'Alphabet, ' });
+      assert.deepStrictEqual([created.status, created.body.slug, created.body.aliases], [201, 'google', ['Alphabet']]);
+    });
+
+    await this.test('Renaming a brand renames it on its products', async () => {
+      const db = new MemoryDb(this);
+      const { apple, products } = await this.catalog(db);
+      const { status } = await callHandler(brandController.updateBrand, { params: { id: String(apple._id) }, body: { name: 'Apple Computer' } });
+      assert.strictEqual(status, 200);
+      assert.strictEqual((await Product.findById(products[0]._id).lean()).brand, 'Apple Computer');
+      assert.strictEqual((await Product.findById(products[3]._id).lean()).brand, 'Samsng');
+    });
+
+    await this.test('Merging moves the duplicates\' products and names to the target and deletes them', async () => {
+      const db = new MemoryDb(this);
+      const { samsung, samsungTypo, products } = await this.catalog(db);
+      await Brand.updateOne({ _id: samsung._id }, { $push: { aliases: 'Samsung Electronics' } });
+      const merge = (sources) => callHandler(brandController.mergeBrands, { params: { id: String(samsung._id) }, body: { sources } });
+      assert.deepStrictEqual((await merge(['samsng', 'Sony'])).body, { errors: [{ msg: 'Brands not found: Sony' }] });
+
+      const { body } = await merge(['samsng']);
+      assert.deepStrictEqual([body.merged, body.productsMoved], [1, 2]);
+      assert.deepStrictEqual(body.brand.aliases, ['Samsung Electronics', 'Samsng']);
+      assert.strictEqual(body.brand.logo, samsungTypo.logo);
+      assert.strictEqual(await Brand.countDocuments({ _id: samsungTypo._id }), 0);
+      const moved = await Product.find({ _id: { $in: [products[3]._id, products[4]._id] } }).lean();
+      assert.deepStrictEqual(moved.map((p) => [p.brand, String(p.brandId)]), [['Samsung', String(samsung._id)], ['Samsung', String(samsung._id)]]);
+      assert.strictEqual(String((await brandService.findBrand('samsng'))._id), String(samsung._id));
+    });
+
+    await this.test('Brands with products cannot be deleted', async () => {
+      const db = new MemoryDb(this);
+      const { apple, samsung } = await this.catalog(db);
+      const remove = (brand) => callHandler(brandController.deleteBrand, { params: { id: String(brand._id) } });
+      assert.strictEqual((await remove(apple)).status, 409);
+      assert.deepStrictEqual((await remove(samsung)).body, { success: true });
+      assert.strictEqual((await remove(samsung)).status, 404);
+    });
+
+    await this.test('Brand pages list published products, featured brands first with their counts', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      db.seed(Brand, [{ name: 'Retired', slug: 'retired', isActive: false }]);
+      const brands = (await callHandler(brandController.getBrands)).body;
+      assert.deepStrictEqual(brands.map((b) => [b.name, b.productCount]), [['Apple', 2], ['Samsng', 1], ['Samsung', 0]]);
+
+      const page = await callHandler(brandController.getBrandBySlug, { params: { slug: 'Apple' }, query: { maxPrice: '500', search: 'iphone' } });
+      assert.deepStrictEqual(page.body.items.map((p) => p.name), ['AirPods']);
+      assert.strictEqual(page.body.brand.aliases, undefined);
+      assert.strictEqual((await callHandler(brandController.getBrandBySlug, { params: { slug: 'retired' } })).status, 404);
+    });
+
+    await this.test('Admin search treats the text literally', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      db.seed(Brand, [{ name: 'C++ Books', slug: 'cpp-books' }]);
+      const search = async (text) => (await callHandler(brandController.listBrands, { query: { search: text } })).body;
+      assert.deepStrictEqual((await search('c++')).map((b) => b.name), ['C++ Books']);
+      assert.deepStrictEqual((await search('inc')).map((b) => [b.name, b.productCount]), [['Apple', 3]]);
+      assert.deepStrictEqual(await search('.*'), []);
+    });
+
+    await this.test('Listing filters find a brand\'s products by alias and legacy brand names', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      const page = { skip: 0, limit: 10, sort: { name: 1 } };
+      const byAlias = await productSearchService.facetedSearch({ brand: 'apple inc' }, page);
+      assert.deepStrictEqual(byAlias.items.map((p) => p.name), ['AirPods', 'iPhone']);
+      const legacy = await productSearchService.facetedSearch({ brand: 'SAMSUNG ELECTRONICS,samsng' }, page);
+      assert.deepStrictEqual(legacy.items.map((p) => p.name), ['Galaxy', 'Galaxy Tab']);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const brandTests = new BrandTests();
+brandTests.runAllTests();
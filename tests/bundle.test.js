@@ -0,0 +1,166 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const DeliveryMethod = require('../src/models/DeliveryMethod');
+const User = require('../src/models/User');
+const Payment = require('../src/models/Payment');
+const { Order, OrderItem } = require('../src/models/Order');
+const bundleService = require('../src/services/bundleService');
+const stockReservationService = require('../src/services/stockReservationService');
+const lowStockService = require('../src/services/lowStockService');
+const refundService = require('../src/services/refundService');
+const PaystackService = require('../src/services/paystackService');
+const productController = require('../src/controllers/productController');
+const cartController = require('../src/controllers/cartController');
+const orderController = require('../src/controllers/orderController');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+class BundleTests extends TestSuite {
+  constructor() {
+    super('Bundle');
+  }
+
+  // A phone, a case sold in two colours and a kit of one phone with two black cases
+  stockUp(db) {
+    const [phone, phoneCase] = db.seed(Product, [
+      { name: 'Phone', price: 100, stock: 5 },
+      { name: 'Case', price: 10, stock: 9, variants: [{ name: 'Black', price: 10, stock: 4, sku: 'CASE-BLK' }, { name: 'Red', price: 12, stock: 5 }] }
+    ]);
+    const black = phoneCase.variants[0];
+    const [kit] = db.seed(Product, [{
+      name: 'Phone Kit', price: 110, type: 'bundle',
+      bundle: { items: [{ product: phone._id, quantity: 1 }, { product: phoneCase._id, variantId: black._id, quantity: 2 }], discountPercent: null }
+    }]);
+    return { phone, phoneCase, black, kit };
+  }
+
+  async stored(product) {
+    return Product.findById(product._id).lean();
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Bundle Tests...\n');
+
+    await this.test('Bundle definitions need real, simple components and a variant where there are variants', async () => {
+      const db = new MemoryDb(this);
+      const { phone, phoneCase, black, kit } = this.stockUp(db);
+      const prepare = (items, discountPercent, selfId) => bundleService.prepareBundle({ items, discountPercent }, selfId);
+      assert.deepStrictEqual(await prepare([]), { error: 'A bundle needs at least one component' });
+      assert.deepStrictEqual(await prepare([{ product: phoneCase._id }]), { error: 'Choose a variant of Case for the bundle' });
+      assert.deepStrictEqual(await prepare([{ product: kit._id }]), { error: 'Phone Kit is a bundle; bundles cannot contain bundles' });
+      assert.deepStrictEqual(await prepare([{ product: phone._id }], null, phone._id), { error: 'A bundle cannot contain itself' });
+      assert.match((await prepare([{ product: phone._id, quantity: 0 }])).error, /whole number/);
+      assert.match((await prepare([{ product: phone._id }], 120)).error, /between 0 and 100/);
+
+      const { bundle, price } = await prepare([{ product: phone._id }, { product: phoneCase._id, variantId: black._id, quantity: '2' }], 10);
+      assert.strictEqual(price, 108);
+      assert.deepStrictEqual(bundle.items.map((item) => item.quantity), [1, 2]);
+    });
+
+    await this.test('A bundle\'s stock is the number of complete sets its components allow', async () => {
+      const db = new MemoryDb(this);
+      const { phone, kit } = this.stockUp(db);
+      assert.strictEqual(await bundleService.bundleStock(kit), 2);
+      await Product.updateOne({ _id: phone._id }, { $set: { stock: 1 } });
+      assert.strictEqual(await bundleService.bundleStock(kit), 1);
+
+      const { body } = await callHandler(productController.getProductById, { params: { id: String(kit._id) } });
+      assert.deepStrictEqual([body.stock, body.outOfStock], [1, false]);
+      assert.strictEqual((await bundleService.bundleContents(kit))[1].sku, 'CASE-BLK');
+    });
+
+    await this.test('Reserving a bundle takes its components\' stock and releasing puts it back', async () => {
+      const db = new MemoryDb(this);
+      const { phone, phoneCase, kit } = this.stockUp(db);
+      const { reservation } = await stockReservationService.reserveStock({ userId: admin.id, items: [{ product: kit._id, productName: 'Phone Kit', quantity: 2 }] });
+      let [storedPhone, storedCase] = [await this.stored(phone), await this.stored(phoneCase)];
+      assert.deepStrictEqual([storedPhone.stock, storedCase.variants[0].stock, storedCase.stock], [3, 0, 5]);
+      assert.deepStrictEqual(reservation.items.map((item) => item.quantity), [2, 4]);
+
+      const refused = await stockReservationService.reserveStock({ userId: admin.id, items: [{ product: kit._id, productName: 'Phone Kit', quantity: 1 }] });
+      assert.match(refused.error, /^Not enough stock for Phone Kit: Case/);
+      assert.strictEqual((await this.stored(phone)).stock, 3);
+
+      await stockReservationService.releaseReservation(reservation._id, 'cancelled');
+      [storedPhone, storedCase] = [await this.stored(phone), await this.stored(phoneCase)];
+      assert.deepStrictEqual([storedPhone.stock, storedCase.variants[0].stock], [5, 4]);
+    });
+
+    await this.test('The cart checks a bundle against the sets left and orders record its contents', async () => {
+      const db = new MemoryDb(this);
+      const { kit } = this.stockUp(db);
+      const buyer = { id: new mongoose.Types.ObjectId().toString() };
+      const tooMany = await callHandler(cartController.addItemToCart, { user: buyer, body: { productId: String(kit._id), quantity: 3 } });
+      assert.deepStrictEqual([tooMany.status, tooMany.body.available], [409, 2]);
+
+      const [pickup] = db.seed(DeliveryMethod, [{ name: 'Pickup', code: 'PICKUP', price: 0, currency: 'USDC' }]);
+      const { status, body } = await callHandler(orderController.createOrder, {
+        user: buyer, body: { products: [{ productId: String(kit._id), quantity: 1 }], deliveryMethodId: String(pickup._id) }
+      });
+      assert.strictEqual(status, 200);
+      const [item] = await OrderItem.find({ order: body._id }).lean();
+      assert.deepStrictEqual(item.bundleItems.map((c) => [c.productName, c.variantName, c.quantity]), [['Phone', null, 1], ['Case', 'Black', 2]]);
+      assert.strictEqual(await bundleService.bundleStock(kit), 1);
+    });
+
+    await this.test('Refunding a bundle puts the stock back into its components', async () => {
+      const db = new MemoryDb(this);
+      const { phone, phoneCase, kit } = this.stockUp(db);
+      const [buyer] = db.seed(User, [{ name: 'Buyer', email: 'buyer@example.com', password: 'secret123' }]);
+      this.stub(PaystackService, 'createRefund', async () => ({ status: true, data: { id: 88 } }));
+      const [order] = db.seed(Order, [{
+        buyer: buyer._id, deliveryMethod: new mongoose.Types.ObjectId(), subTotal: 220, deliveryFee: 0, totalAmount: 220,
+        currency: 'USDC', status: 'confirmed', paymentStatus: 'paid', paymentMethod: 'paystack', paystackReference: 'ps_kit'
+      }]);
+      db.seed(OrderItem, [{
+        order: order._id, product: kit._id, productName: 'Phone Kit', quantity: 2, unitPrice: 110, totalPrice: 220, currency: 'USDC',
+        bundleItems: await bundleService.bundleContents(kit)
+      }]);
+      db.seed(Payment, [{ order: order._id, user: buyer._id, amount: 220, currency: 'USDC', method: 'paystack', status: 'completed' }]);
+
+      const { refund: requested } = await refundService.requestRefund({ order: await Order.findById(order._id), reason: 'Changed mind' });
+      const { refund } = await refundService.approveRefund(requested._id, new mongoose.Types.ObjectId());
+      assert.strictEqual(refund.status, 'completed');
+      const [storedPhone, storedCase, storedKit] = [await this.stored(phone), await this.stored(phoneCase), await this.stored(kit)];
+      assert.deepStrictEqual([storedPhone.stock, storedCase.variants[0].stock, storedKit.stock || 0], [7, 8, 0]);
+    });
+
+    await this.test('Bundles have no stock of their own to edit and stay out of low-stock reports', async () => {
+      const db = new MemoryDb(this);
+      const { kit } = this.stockUp(db);
+      const adjust = await callHandler(productController.updateInventory, { user: admin, params: { id: String(kit._id) }, body: { stock: 5 } });
+      assert.strictEqual(adjust.status, 400);
+      await Product.updateOne({ _id: kit._id }, { $set: { stock: 0 } });
+      const names = (await lowStockService.findLowStockItems()).map((line) => line.name);
+      assert.deepStrictEqual([...new Set(names)].sort(), ['Case', 'Phone']);
+    });
+
+    await this.test('Discounted bundles are priced from their components and follow their price changes', async () => {
+      const db = new MemoryDb(this);
+      const { phone, phoneCase, black } = this.stockUp(db);
+      const { status, body } = await callHandler(productController.createProduct, {
+        user: admin,
+        body: {
+          name: 'Discount Kit', type: 'bundle', published: true,
+          bundle: { items: [{ product: String(phone._id) }, { product: String(phoneCase._id), variantId: String(black._id) }], discountPercent: 50 }
+        }
+      });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.price, 55);
+
+      const repriced = await callHandler(productController.updateProduct, { user: admin, params: { id: String(phone._id) }, body: { price: 200 } });
+      assert.strictEqual(repriced.status, 200);
+      assert.strictEqual((await this.stored(body)).price, 105);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const bundleTests = new BundleTests();
+bundleTests.runAllTests();
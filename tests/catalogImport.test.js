@@ -0,0 +1,213 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { PassThrough } = require('stream');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const Brand = require('../src/models/Brand');
+const ImportJob = require('../src/models/ImportJob');
+const InventoryMovement = require('../src/models/InventoryMovement');
+const catalogImportService = require('../src/services/catalogImportService');
+const productController = require('../src/controllers/productController');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+class CatalogImportTests extends TestSuite {
+  constructor() {
+    super('Catalog Import');
+  }
+
+  // A shirt with specs, sized variants (one on a capped sale) and a kit bundling it with a cable
+  catalog(db) {
+    const [brand] = db.seed(Brand, [{ name: 'Acme', slug: 'acme' }]);
+    const [shirt, cable] = db.seed(Product, [
+      {
+        name: 'Shirt', slug: 'shirt', price: 20, sku: '00123', stock: 5, outOfStock: false, brand: 'Acme', brandId: brand._id, images: ['https://cdn.example.com/shirt.png'],
+        specs: [{ label: 'Material', value: 'Cotton' }],
+        variants: [
+          { name: 'M', price: 20, stock: 3, sku: 'SH-M', attributes: [{ name: 'Size', value: 'M' }] },
+          { name: 'XL', price: 25, stock: 2, attributes: [{ name: 'Size', value: 'XL' }], sale: { price: 15, quantityLimit: 10, soldQuantity: 4, active: true } }
+        ]
+      },
+      { name: 'Cable', slug: 'cable', price: 5, stock: 40, outOfStock: false, published: false, specs: [{ label: 'Length', value: '1m' }] }
+    ]);
+    db.seed(Product, [{
+      name: 'Kit', slug: 'kit', price: 22, type: 'bundle',
+      bundle: { items: [{ product: shirt._id, variantId: shirt.variants[0]._id, quantity: 1 }, { product: cable._id, quantity: 2 }], discountPercent: null }
+    }]);
+    return { shirt, cable };
+  }
+
+  async exportFile(format) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    const ended = new Promise((resolve) => stream.on('end', resolve));
+    await catalogImportService.exportCatalog(stream, format);
+    await ended;
+    return Buffer.concat(chunks);
+  }
+
+  upload(buffer, format = 'csv') {
+    return { originalname: `products.${format}`, buffer };
+  }
+
+  csv(lines) {
+    return this.upload(Buffer.from(lines.join('\n')));
+  }
+
+  // Products as stored, without what every save changes (variant attributes are rewritten with new IDs)
+  async snapshot() {
+    const products = await Product.find().sort({ slug: 1 }).lean();
+    return JSON.parse(JSON.stringify(products.map(({ updatedAt, __v, ...product }) => ({
+      ...product,
+      variants: product.variants.map((variant) => ({ ...variant, attributes: variant.attributes.map(({ name, value }) => ({ name, value })) }))
+    }))));
+  }
+
+  // Start an import and wait for the background run to finish
+  async importAndWait(file) {
+    const { status, body } = await callHandler(productController.importProducts, { user: admin, file });
+    assert.strictEqual(status, 202);
+    for (let tick = 0; tick < 200; tick += 1) {
+      const job = await ImportJob.findById(body.job._id).lean();
+      if (['completed', 'failed'].includes(job.status)) return job;
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    throw new Error('Import did not finish');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Catalog Import Tests...\n');
+
+    await this.test('Exports have a product row, then a row per variant, in the import layout', async () => {
+      const db = new MemoryDb(this);
+      const { shirt } = this.catalog(db);
+      const lines = (await this.exportFile('csv')).toString().trim().split('\n');
+      const header = lines[0].split(',');
+      assert.ok(header.includes('spec:Material') && header.includes('attr:Size') && header.includes('variant.id'));
+      assert.strictEqual(lines.length, 6);
+      const cell = (line, column) => lines[line].split(',')[header.indexOf(column)];
+      assert.deepStrictEqual([cell(1, 'slug'), cell(1, 'sku'), cell(1, 'spec:Material'), cell(1, 'variant.name')], ['shirt', '00123', 'Cotton', '']);
+      assert.deepStrictEqual([cell(3, 'slug'), cell(3, 'variant.id'), cell(3, 'attr:Size'), cell(3, 'variant.sale.soldQuantity')], ['shirt', String(shirt.variants[1]._id), 'XL', '4']);
+      assert.match(cell(5, 'bundle.items'), new RegExp(`^${shirt._id}:${shirt.variants[0]._id}:1\\|`));
+    });
+
+    for (const format of ['csv', 'xlsx']) {
+      await this.test(`Importing an unedited ${format.toUpperCase()} export changes nothing`, async () => {
+        const db = new MemoryDb(this);
+        this.catalog(db);
+        const before = await this.snapshot();
+        const file = this.upload(await this.exportFile(format), format);
+
+        const dryRun = await catalogImportService.dryRunFile(file);
+        assert.deepStrictEqual([dryRun.valid, dryRun.rows, dryRun.products, dryRun.toUpdate, dryRun.toCreate], [true, 5, 3, 3, 0]);
+
+        const job = await this.importAndWait(file);
+        assert.deepStrictEqual([job.status, job.processed, job.updated, job.failed], ['completed', 3, 3, 0]);
+        assert.deepStrictEqual(await this.snapshot(), before);
+        assert.strictEqual(await InventoryMovement.countDocuments(), 0);
+      });
+    }
+
+    await this.test('A dry run reports every bad row and writes nothing', async () => {
+      const db = new MemoryDb(this);
+      this.catalog(db);
+      const before = await this.snapshot();
+      const report = await catalogImportService.dryRunFile(this.csv([
+        'slug,name,price,stock,brandId,variant.name,variant.price,Notes',
+        'lamp,Lamp,12,3,,,,new',
+        'shirt,,cheap,,,,,',
+        'shirt,,,,,L,30,',
+        'mug,Mug,8,2.5,,,,',
+        'lamp,Lamp again,9,1,,,,',
+        `vase,Vase,30,1,${new mongoose.Types.ObjectId()},,,`,
+        'pen,Pen,2,1,,,,',
+        'shirt,,,,,S,10,'
+      ]));
+      assert.deepStrictEqual(report.ignoredColumns, ['Notes']);
+      assert.deepStrictEqual([report.valid, report.toCreate, report.toUpdate], [false, 1, 0]);
+      assert.deepStrictEqual(report.errors.map((e) => [e.row, e.msg.replace(/: [0-9a-f]{24}$/, '')]), [
+        [3, 'price must be a number'],
+        [4, 'Variant of a product row with errors'],
+        [5, 'stock must be a whole number'],
+        [6, 'Slug lamp is also on row 2'],
+        [7, 'Brand not found'],
+        [9, 'Variant row for shirt follows the row of pen']
+      ]);
+      assert.deepStrictEqual(await this.snapshot(), before);
+    });
+
+    await this.test('Empty cells leave fields as they are; variant rows replace the variants, keeping their IDs', async () => {
+      const db = new MemoryDb(this);
+      const { shirt } = this.catalog(db);
+      const job = await this.importAndWait(this.csv([
+        'slug,price,variant.id,variant.name,variant.price,variant.stock,attr:Size',
+        'shirt,18,,,,,',
+        `shirt,,${shirt.variants[0]._id},M,20,7,M`,
+        'lamp,12,,,,,'
+      ]));
+      assert.deepStrictEqual([job.updated, job.failed, job.rowErrors.length], [1, 1, 1]);
+      assert.match(job.rowErrors[0].msg, /name/i);
+
+      const stored = await Product.findById(shirt._id).lean();
+      assert.deepStrictEqual([stored.name, stored.price, stored.sku, stored.specs[0].value], ['Shirt', 18, '00123', 'Cotton']);
+      assert.deepStrictEqual(stored.variants.map((v) => [String(v._id), v.name, v.stock]), [[String(shirt.variants[0]._id), 'M', 7]]);
+      assert.strictEqual(stored.stock, 7);
+      assert.strictEqual(await InventoryMovement.countDocuments({ product: shirt._id }) > 0, true);
+    });
+
+    await this.test('Imports and admin edits cannot set ratings, category paths, renditions or sale counters', async () => {
+      const db = new MemoryDb(this);
+      const { shirt } = this.catalog(db);
+      await Product.updateOne({ _id: shirt._id }, { $set: { averageRating: 4.2, reviewCount: 6 } });
+      const forged = {
+        averageRating: 5,
+        reviewCount: 900,
+        categoryPath: [new mongoose.Types.ObjectId()],
+        imageRenditions: [{ url: 'https://evil.example.com/x.png' }],
+        'variants.1.sale.soldQuantity': 0,
+        'sale.active': true
+      };
+      const { body } = await callHandler(productController.bulkUpsert, { user: admin, body: [{ slug: 'shirt', price: 19, ...forged }] });
+      assert.deepStrictEqual([body.updated, body.errors], [1, []]);
+      const check = async (price) => {
+        const stored = await Product.findById(shirt._id).lean();
+        assert.deepStrictEqual(
+          [stored.price, stored.averageRating, stored.reviewCount, stored.categoryPath, stored.imageRenditions, stored.variants[1].sale.soldQuantity, stored.sale],
+          [price, 4.2, 6, [], [], 4, null]
+        );
+      };
+      await check(19);
+
+      const edited = await callHandler(productController.updateProduct, { user: admin, params: { id: String(shirt._id) }, body: { price: 21, ...forged } });
+      assert.strictEqual(edited.status, 200);
+      await check(21);
+    });
+
+    await this.test('Mapped headers are read as columns; bad uploads are refused', async () => {
+      const db = new MemoryDb(this);
+      this.catalog(db);
+      const file = this.csv(['Product name,Cost,Qty', 'Lamp,12,3']);
+      const mapping = JSON.stringify({ 'Product name': 'name', Cost: 'price', Qty: 'stock' });
+      const { body } = await callHandler(productController.importProducts, { user: admin, file, body: { mapping, dryRun: 'true' } });
+      assert.deepStrictEqual([body.columns, body.toCreate, body.valid], [['name', 'price', 'stock'], 1, true]);
+      assert.strictEqual(await Product.countDocuments({ name: 'Lamp' }), 0);
+
+      const refuse = async (req) => (await callHandler(productController.importProducts, { user: admin, ...req })).status;
+      assert.strictEqual(await refuse({}), 400);
+      assert.strictEqual(await refuse({ file: { originalname: 'products.pdf', buffer: Buffer.from('x') } }), 400);
+      assert.strictEqual(await refuse({ file, body: { mapping: '[1]' } }), 400);
+      assert.strictEqual(await refuse({ file: this.csv(['Colour,Size', 'red,M']) }), 400);
+      assert.strictEqual((await callHandler(productController.exportProducts, { query: { format: 'pdf' } })).status, 400);
+      assert.strictEqual((await callHandler(productController.getImportJob, { params: { jobId: 'nope' } })).status, 404);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const catalogImportTests = new CatalogImportTests();
+catalogImportTests.runAllTests();
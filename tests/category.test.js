@@ -0,0 +1,162 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+const categoryService = require('../src/services/categoryService');
+const productSearchService = require('../src/services/productSearchService');
+const categoryController = require('../src/controllers/categoryController');
+
+class CategoryTests extends TestSuite {
+  constructor() {
+    super('Category');
+  }
+
+  create(body) {
+    return callHandler(categoryController.createCategory, { body });
+  }
+
+  update(category, body) {
+    return callHandler(categoryController.updateCategory, { params: { id: String(category._id) }, body });
+  }
+
+  // Electronics > Phones > Android, with a spec template on each level
+  async tree() {
+    const electronics = (await this.create({ name: 'Electronics', specTemplate: [{ label: 'Warranty', type: 'number', unit: 'months' }] })).body;
+    const phones = (await this.create({
+      name: 'Phones', parent: String(electronics._id), aliases: ['mobiles'],
+      specTemplate: [{ label: 'RAM', required: true }, { label: 'Warranty', type: 'number', required: true }]
+    })).body;
+    const android = (await this.create({
+      name: 'Android', parent: String(phones._id), specTemplate: [{ label: 'OS', type: 'select', options: ['Android 14', 'Android 15'] }]
+    })).body;
+    return { electronics, phones, android };
+  }
+
+  // A product placed in a category the way the product endpoints place it
+  async place(db, name, category) {
+    const { fields } = await categoryService.categoryForProduct(String(category._id), [{ label: 'RAM', value: '8GB' }, { label: 'Warranty', value: '12' }]);
+    return db.seed(Product, [{ name, price: 100, ...fields }])[0];
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Category Tests...\n');
+
+    await this.test('Subcategories get a slug and the path from the root', async () => {
+      new MemoryDb(this);
+      const { electronics, phones, android } = await this.tree();
+      assert.deepStrictEqual([android.slug, android.ancestors.map(String)], ['android', [String(electronics._id), String(phones._id)]]);
+      const twin = await this.create({ name: 'Android', parent: String(electronics._id) });
+      assert.strictEqual(twin.body.slug, 'android-2');
+      assert.strictEqual((await this.create({ name: 'Clash', slug: 'android' })).status, 400);
+      assert.strictEqual((await this.create({ name: 'Orphan', parent: String(new mongoose.Types.ObjectId()) })).status, 400);
+      assert.strictEqual((await this.create({ description: 'No name' })).status, 400);
+    });
+
+    await this.test('A category cannot move under itself or its subcategories', async () => {
+      new MemoryDb(this);
+      const { electronics, android } = await this.tree();
+      const { status, body } = await this.update(electronics, { parent: String(android._id) });
+      assert.strictEqual(status, 400);
+      assert.match(body.errors[0].msg, /cannot be moved under itself/);
+      assert.strictEqual((await this.update(electronics, { parent: String(electronics._id) })).status, 400);
+    });
+
+    await this.test('Moving or renaming a category updates its subcategories and their products', async () => {
+      const db = new MemoryDb(this);
+      const { electronics, phones, android } = await this.tree();
+      const pixel = await this.place(db, 'Pixel', android);
+      const iphone = await this.place(db, 'iPhone', phones);
+
+      const moved = await this.update(phones, { parent: '', name: 'Smartphones' });
+      assert.deepStrictEqual([moved.status, moved.body.ancestors], [200, []]);
+      const storedAndroid = await Category.findById(android._id).lean();
+      assert.deepStrictEqual(storedAndroid.ancestors.map(String), [String(phones._id)]);
+      const [storedPixel, storedIphone] = await Promise.all([Product.findById(pixel._id).lean(), Product.findById(iphone._id).lean()]);
+      assert.deepStrictEqual(storedPixel.categoryPath.map(String), [String(phones._id), String(android._id)]);
+      assert.deepStrictEqual([storedIphone.category, storedIphone.categoryPath.map(String)], ['Smartphones', [String(phones._id)]]);
+      assert.strictEqual(await Product.countDocuments({ categoryPath: electronics._id }), 0);
+    });
+
+    await this.test('Filtering by a category includes its subcategories; unknown names match the product\'s category name', async () => {
+      const db = new MemoryDb(this);
+      const { electronics, android } = await this.tree();
+      await this.place(db, 'Pixel', android);
+      db.seed(Product, [{ name: 'Old Listing', price: 5, category: 'Legacy' }]);
+      const names = async (values) => (await Product.find(await categoryService.categoryCondition(values)).lean()).map((p) => p.name);
+      assert.deepStrictEqual(await names([String(electronics._id)]), ['Pixel']);
+      assert.deepStrictEqual(await names(['MOBILES']), ['Pixel']);
+      assert.deepStrictEqual(await names(['legacy']), []);
+      assert.deepStrictEqual(await names(['Legacy', 'android']), ['Pixel', 'Old Listing']);
+      assert.strictEqual(await categoryService.categoryCondition([]), null);
+    });
+
+    await this.test('Products are checked against the spec template they inherit', async () => {
+      new MemoryDb(this);
+      const { android } = await this.tree();
+      const check = (specs) => categoryService.categoryForProduct('android', specs);
+      assert.deepStrictEqual(await check([{ label: 'warranty', value: '12' }]), { error: 'Android: Missing required specs: RAM' });
+      assert.deepStrictEqual(await check([{ label: 'RAM', value: '8GB' }, { label: 'Warranty', value: 'long' }]), { error: 'Android: Warranty must be a number' });
+      assert.match((await check([{ label: 'RAM', value: '8GB' }, { label: 'Warranty', value: '12' }, { label: 'OS', value: 'iOS' }])).error, /OS must be one of/);
+      const { fields } = await check([{ label: 'RAM', value: '8GB' }, { label: 'Warranty', value: '24' }, { label: 'OS', value: 'Android 15' }]);
+      assert.deepStrictEqual([fields.category, fields.categoryPath.length], ['Android', 3]);
+      assert.deepStrictEqual(await categoryService.categoryForProduct('Tablets', []), { error: 'Category not found: Tablets' });
+    });
+
+    await this.test('Deleting a category needs its subcategories gone and its products reassigned', async () => {
+      const db = new MemoryDb(this);
+      const { phones, android } = await this.tree();
+      const pixel = await this.place(db, 'Pixel', android);
+      const remove = (category, query = {}) => callHandler(categoryController.deleteCategory, { params: { id: String(category._id) }, query });
+      assert.strictEqual((await remove(phones)).status, 409);
+      assert.match((await remove(android)).body.errors[0].msg, /1 product\(s\)/);
+      assert.strictEqual((await remove(android, { reassignTo: String(android._id) })).status, 400);
+
+      const { body } = await remove(android, { reassignTo: 'phones' });
+      assert.deepStrictEqual(body, { success: true, reassigned: 1 });
+      const stored = await Product.findById(pixel._id).lean();
+      assert.deepStrictEqual([stored.category, String(stored.categoryId)], ['Phones', String(phones._id)]);
+      assert.strictEqual((await remove(phones, { reassignTo: 'electronics' })).status, 200);
+    });
+
+    await this.test('Shoppers see only active branches, with breadcrumbs and the inherited template', async () => {
+      new MemoryDb(this);
+      const { phones } = await this.tree();
+      await this.create({ name: 'Cameras', sortOrder: -1 });
+      const tree = (await callHandler(categoryController.getCategoryTree)).body;
+      assert.deepStrictEqual(tree.map((node) => node.name), ['Cameras', 'Electronics']);
+      assert.deepStrictEqual(tree[1].children[0].children.map((node) => node.name), ['Android']);
+
+      const { body } = await callHandler(categoryController.getCategory, { params: { idOrSlug: 'android' } });
+      assert.deepStrictEqual(body.breadcrumb.map((crumb) => crumb.slug), ['electronics', 'phones']);
+      assert.deepStrictEqual(body.effectiveSpecTemplate.map((spec) => spec.label), ['Warranty', 'RAM', 'OS']);
+      assert.strictEqual(body.effectiveSpecTemplate[0].required, true);
+      assert.strictEqual(body.aliases, undefined);
+
+      await this.update(phones, { isActive: false });
+      assert.strictEqual((await callHandler(categoryController.getCategory, { params: { idOrSlug: 'android' } })).status, 404);
+      const hidden = (await callHandler(categoryController.getCategoryTree)).body;
+      assert.deepStrictEqual(hidden[1].children, []);
+    });
+
+    await this.test('The category facet counts products with the category\'s name and slug', async () => {
+      const db = new MemoryDb(this);
+      const { phones, android } = await this.tree();
+      await this.place(db, 'Pixel', android);
+      await this.place(db, 'Galaxy', android);
+      await this.place(db, 'iPhone', phones);
+      const { facets, total } = await productSearchService.facetedSearch({ category: 'phones' }, { skip: 0, limit: 10, sort: { name: 1 } });
+      assert.strictEqual(total, 3);
+      assert.deepStrictEqual(facets.categories.map((c) => [c.name, c.slug, c.count]), [['Android', 'android', 2], ['Phones', 'phones', 1]]);
+      assert.strictEqual(String(facets.categories[0].parent), String(phones._id));
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const categoryTests = new CategoryTests();
+categoryTests.runAllTests();
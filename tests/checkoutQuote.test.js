@@ -0,0 +1,178 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+
+process.env.CHECKOUT_QUOTE_SECRET = process.env.CHECKOUT_QUOTE_SECRET || 'test-quote-secret';
+
+const CheckoutQuote = require('../src/models/CheckoutQuote');
+const Product = require('../src/models/Product');
+const Promotion = require('../src/models/Promotion');
+const DeliveryMethod = require('../src/models/DeliveryMethod');
+const checkoutQuoteService = require('../src/services/checkoutQuoteService');
+const cartController = require('../src/controllers/cartController');
+const orderController = require('../src/controllers/orderController');
+
+const phone = { _id: new mongoose.Types.ObjectId(), name: 'Phone', price: 100, currency: 'USDC', category: 'phones' };
+const cartLines = [{ productId: phone._id, variant: { name: '128GB' }, specs: [], quantity: 2, unitPrice: 100, currency: 'USDC' }];
+
+class CheckoutQuoteTests extends TestSuite {
+  constructor() {
+    super('Checkout Quote');
+  }
+
+  // A quote for two phones, priced and stored the way checkout stores it
+  async quoteTwoPhones() {
+    const { quote } = await checkoutQuoteService.createQuote({
+      cart: { _id: new mongoose.Types.ObjectId() },
+      activeItems: cartLines,
+      items: [{ product: phone, quantity: 2, variant: { name: '128GB' } }],
+      deliveryMethod: { _id: new mongoose.Types.ObjectId(), price: 10, currency: 'USD' },
+      currency: 'USDC',
+      userId: new mongoose.Types.ObjectId()
+    });
+    return quote;
+  }
+
+  // A buyer with two mugs in the cart and a signed quote for them with a one-use promotion
+  async quotedCart(db) {
+    const [mug] = db.seed(Product, [{ name: 'Mug', price: 10, stock: 2 }]);
+    const [pickup] = db.seed(DeliveryMethod, [{ name: 'Pickup', code: 'PICKUP', price: 0, currency: 'USDC' }]);
+    const [promotion] = db.seed(Promotion, [{ code: 'ONCE', type: 'fixed', value: 5, usageLimit: 1 }]);
+    const user = { id: new mongoose.Types.ObjectId().toString() };
+    await callHandler(cartController.addItemToCart, { user, body: { productId: String(mug._id), quantity: 2 } });
+    const { body } = await callHandler(orderController.createCheckoutQuote, { user, body: { deliveryMethodId: String(pickup._id), promoCode: 'ONCE' } });
+    const checkout = () => callHandler(orderController.checkoutFromCart, {
+      user, body: { paymentMethod: 'wallet', quoteId: body.quoteId, quoteSignature: body.signature }
+    });
+    return { mug, promotion, quoteId: body.quoteId, total: body.totalAmount, checkout };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Checkout Quote Tests...\n');
+
+    await this.test('A stored quote is a signed, expiring snapshot of the priced cart', async () => {
+      new MemoryDb(this);
+      const created = await this.quoteTwoPhones();
+      const stored = await CheckoutQuote.findById(created._id);
+      assert.strictEqual(stored.totalAmount, 225.75);
+      assert.strictEqual(stored.lines[0].lineTotal, 200);
+      const ttlMs = stored.expiresAt.getTime() - Date.now();
+      assert.ok(ttlMs > 0 && ttlMs <= checkoutQuoteService.QUOTE_TTL_MINUTES * 60 * 1000);
+      assert.strictEqual(checkoutQuoteService.validateQuote(stored, { signature: created.signature, activeItems: cartLines }), null);
+    });
+
+    await this.test('A total changed in the database breaks the signature', async () => {
+      new MemoryDb(this);
+      const created = await this.quoteTwoPhones();
+      await CheckoutQuote.updateOne({ _id: created._id }, { $set: { totalAmount: 1 } });
+      const stored = await CheckoutQuote.findById(created._id);
+      assert.deepStrictEqual(
+        checkoutQuoteService.validateQuote(stored, { signature: created.signature, activeItems: cartLines }),
+        { status: 400, msg: 'Quote signature is invalid' }
+      );
+    });
+
+    await this.test('The buyer must send the quote\'s own signature', async () => {
+      new MemoryDb(this);
+      const quote = await this.quoteTwoPhones();
+      assert.strictEqual(checkoutQuoteService.validateQuote(quote, { signature: 'a'.repeat(64), activeItems: cartLines }).status, 400);
+      assert.strictEqual(checkoutQuoteService.validateQuote(quote, { signature: undefined, activeItems: cartLines }).status, 400);
+    });
+
+    await this.test('A signature that is not 64 hex characters is refused rather than failing the checkout', async () => {
+      new MemoryDb(this);
+      const quote = await this.quoteTwoPhones();
+      for (const signature of ['z'.repeat(64), `${quote.signature.slice(0, 63)}g`, quote.signature.slice(0, 62), { length: 64 }]) {
+        assert.strictEqual(checkoutQuoteService.validateQuote(quote, { signature, activeItems: cartLines }).status, 400);
+      }
+      assert.strictEqual(checkoutQuoteService.validateQuote(quote, { signature: quote.signature.toUpperCase(), activeItems: cartLines }), null);
+    });
+
+    await this.test('A quote is refused once the cart changed, whatever the line order', async () => {
+      new MemoryDb(this);
+      const quote = await this.quoteTwoPhones();
+      const cable = { productId: new mongoose.Types.ObjectId(), specs: [], quantity: 1, unitPrice: 5, currency: 'USDC' };
+      assert.strictEqual(
+        checkoutQuoteService.cartFingerprint([cartLines[0], cable]),
+        checkoutQuoteService.cartFingerprint([cable, cartLines[0]])
+      );
+      const result = checkoutQuoteService.validateQuote(quote, { signature: quote.signature, activeItems: [{ ...cartLines[0], quantity: 3 }] });
+      assert.strictEqual(result.status, 409);
+      assert.match(result.msg, /cart has changed/);
+    });
+
+    await this.test('Two checkouts racing on one quote: only one consumes it', async () => {
+      new MemoryDb(this);
+      const quote = await this.quoteTwoPhones();
+      const consumed = await Promise.all([
+        checkoutQuoteService.consumeQuote(quote._id),
+        checkoutQuoteService.consumeQuote(quote._id)
+      ]);
+      assert.deepStrictEqual(consumed.sort(), [false, true]);
+      const stored = await CheckoutQuote.findById(quote._id);
+      assert.strictEqual(checkoutQuoteService.validateQuote(stored, { signature: quote.signature, activeItems: cartLines }).msg, 'Quote has already been used');
+    });
+
+    await this.test('An expired quote can be neither validated nor consumed', async () => {
+      new MemoryDb(this);
+      const quote = await this.quoteTwoPhones();
+      await CheckoutQuote.updateOne({ _id: quote._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+      const stored = await CheckoutQuote.findById(quote._id);
+      stored.signature = checkoutQuoteService.signQuote(stored);
+      const result = checkoutQuoteService.validateQuote(stored, { signature: stored.signature, activeItems: cartLines });
+      assert.deepStrictEqual(result, { status: 409, msg: 'Quote has expired, please request a new one' });
+      assert.strictEqual(await checkoutQuoteService.consumeQuote(quote._id), false);
+    });
+
+    await this.test('Consuming in an aborted transaction leaves the quote usable', async () => {
+      new MemoryDb(this);
+      const quote = await this.quoteTwoPhones();
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      assert.strictEqual(await checkoutQuoteService.consumeQuote(quote._id, { session }), true);
+      await checkoutQuoteService.attachOrder(quote._id, new mongoose.Types.ObjectId(), { session });
+      await session.abortTransaction();
+      const stored = await CheckoutQuote.findById(quote._id).lean();
+      assert.strictEqual(stored.usedAt, null);
+      assert.strictEqual(stored.order, null);
+      assert.strictEqual(await checkoutQuoteService.consumeQuote(quote._id), true);
+    });
+
+    await this.test('A checkout refused for stock or the promotion cap leaves its quote usable', async () => {
+      const db = new MemoryDb(this);
+      const { mug, promotion, quoteId, total, checkout } = await this.quotedCart(db);
+
+      await Product.updateOne({ _id: mug._id }, { $set: { stock: 1 } });
+      assert.strictEqual((await checkout()).status, 409);
+      await Product.updateOne({ _id: mug._id }, { $set: { stock: 2 } });
+      await Promotion.updateOne({ _id: promotion._id }, { $set: { usageCount: 1 } });
+      assert.strictEqual((await checkout()).status, 400);
+      assert.strictEqual((await CheckoutQuote.findById(quoteId).lean()).usedAt, null);
+      assert.strictEqual((await Product.findById(mug._id).lean()).stock, 2);
+
+      await Promotion.updateOne({ _id: promotion._id }, { $set: { usageCount: 0 } });
+      const paid = await checkout();
+      assert.deepStrictEqual([paid.status, paid.body.totalAmount], [200, total]);
+      assert.ok((await CheckoutQuote.findById(quoteId).lean()).usedAt);
+    });
+
+    await this.test('A checkout that loses the race for its quote gives back the stock and promotion it took', async () => {
+      const db = new MemoryDb(this);
+      const { mug, promotion, quoteId, checkout } = await this.quotedCart(db);
+      this.stub(checkoutQuoteService, 'consumeQuote', async () => false);
+      const { status, body } = await checkout();
+      assert.deepStrictEqual([status, body.msg], [409, 'Quote has already been used']);
+      assert.strictEqual((await Product.findById(mug._id).lean()).stock, 2);
+      assert.strictEqual((await Promotion.findById(promotion._id).lean()).usageCount, 0);
+      assert.strictEqual((await CheckoutQuote.findById(quoteId).lean()).usedAt, null);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const checkoutQuoteTests = new CheckoutQuoteTests();
+checkoutQuoteTests.runAllTests();
@@ -0,0 +1,69 @@
+/**
+ * Base for behaviour suites that run without a MongoDB server or HTTP server: each test is a function
+ * that throws (through assert) to fail, gets its own in-memory store from helpers/memoryDb.js, and
+ * replaces outside services (payment providers, the chain, email) with `stub` for the length of the test.
+ * A failed test sets a non-zero exit code, so run-all.js reports the suite as failed.
+ */
+class TestSuite {
+  constructor(title) {
+    this.title = title;
+    this.testResults = [];
+    this.stubs = [];
+  }
+
+  stub(object, method, implementation) {
+    this.stubs.push({ object, method, original: object[method] });
+    object[method] = implementation;
+    return implementation;
+  }
+
+  restoreStubs() {
+    while (this.stubs.length > 0) {
+      const { object, method, original } = this.stubs.pop();
+      object[method] = original;
+    }
+  }
+
+  async test(name, fn) {
+    console.log(`📝 Test: ${name}`);
+    try {
+      await fn();
+      console.log(`✅ ${name} - Success`);
+      this.testResults.push({ test: name, status: 'PASS' });
+    } catch (error) {
+      console.log(`❌ ${name} - Failed:`, error.message);
+      this.testResults.push({ test: name, status: 'FAIL', error: error.message });
+    } finally {
+      this.restoreStubs();
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 ${this.title.toUpperCase()} TEST RESULTS`);
+    console.log('='.repeat(60));
+
+    const passed = this.testResults.filter(r => r.status === 'PASS').length;
+    const failed = this.testResults.filter(r => r.status === 'FAIL').length;
+
+    this.testResults.forEach(result => {
+      const status = result.status === 'PASS' ? '✅' : '❌';
+      console.log(`${status} ${result.test}: ${result.status}`);
+      if (result.error) console.log(`   Error: ${result.error}`);
+    });
+
+    console.log('\n📈 SUMMARY:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.testResults.length}`);
+
+    if (failed === 0) {
+      console.log(`\n🎉 All ${this.title} tests passed!`);
+    } else {
+      console.log(`\n💡 Some ${this.title} tests failed. Check the errors above.`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+module.exports = TestSuite;
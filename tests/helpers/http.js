@@ -0,0 +1,47 @@
+/**
+ * Call an Express handler with a plain request object and collect what it sends back.
+ * @param {Function} handler - (req, res) controller
+ * @param {Object} [req] - params, query, body, user, files ...; params, query and body default to {}
+ * @returns {Promise<{ status: number, body: *, headers: Object }>}
+ */
+async function callHandler(handler, req = {}) {
+  const response = { status: 200, body: undefined, headers: {} };
+  const res = {
+    status(code) {
+      response.status = code;
+      return res;
+    },
+    json(body) {
+      response.body = body;
+      return res;
+    },
+    send(body) {
+      response.body = body;
+      return res;
+    },
+    setHeader(name, value) {
+      response.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    set(name, value) {
+      return res.setHeader(name, value);
+    },
+    attachment(filename) {
+      return res.setHeader('content-disposition', `attachment; filename="${filename}"`);
+    },
+    type(value) {
+      return res.setHeader('content-type', value);
+    }
+  };
+  await handler({
+    params: {},
+    query: {},
+    body: {},
+    protocol: 'http',
+    get: (name) => (name.toLowerCase() === 'host' ? 'localhost:5000' : undefined),
+    ...req
+  }, res);
+  return response;
+}
+
+module.exports = { callHandler };
@@ -0,0 +1,516 @@
+const mongoose = require('mongoose');
+const mingo = require('mingo');
+const { update: applyModifier } = require('mingo/updater');
+
+/**
+ * An in-memory MongoDB for behaviour suites. Each model's collection is swapped, for the length of one
+ * test, for one that keeps its documents in an array and runs filters, update operators and pipelines
+ * through mingo. Mongoose casting, defaults, hooks and populate run unchanged, a conditional update only
+ * applies while its filter still matches and unique indexes reject duplicates. Writes made in a
+ * session's transaction are undone if it aborts, but other operations see them before it commits.
+ * $text matches the model's text index with a simplified stemmer and scores each field by its weight,
+ * so relevance ranks like MongoDB's without reproducing its exact scores.
+ */
+
+const COLLECTION_METHODS = [
+  'insertOne', 'insertMany', 'find', 'findOne', 'countDocuments', 'estimatedDocumentCount', 'distinct',
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete',
+  'deleteOne', 'deleteMany', 'aggregate', 'bulkWrite'
+];
+
+function copy(value) {
+  // Documents and arrays mongoose hands the driver are serialized the way BSON would
+  if (value != null && typeof value === 'object' && !value._bsontype && typeof value.toBSON === 'function') return copy(value.toBSON());
+  if (Array.isArray(value)) return Array.from(value, copy);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof Map) return Object.fromEntries([...value].map(([key, item]) => [key, copy(item)]));
+  if (value == null || typeof value !== 'object' || value._bsontype || Buffer.isBuffer(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+}
+
+function cursor(docs) {
+  let position = 0;
+  return {
+    toArray: async () => docs.slice(position),
+    next: async () => (position < docs.length ? docs[position++] : null),
+    close: async () => {},
+    rewind: () => { position = 0; },
+    addCursorFlag: () => {},
+    async *[Symbol.asyncIterator]() {
+      while (position < docs.length) yield docs[position++];
+    }
+  };
+}
+
+function duplicateKeyError(collectionName, keyValue) {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} dup key: ${JSON.stringify(keyValue)}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyValue = keyValue;
+  return error;
+}
+
+// The plain field values an upsert copies from its filter into the inserted document
+function upsertBase(filter) {
+  const base = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key.startsWith('$')) continue;
+    if (value !== null && typeof value === 'object' && !value._bsontype && !(value instanceof Date) && !Array.isArray(value)) {
+      if ('$eq' in value) base[key] = copy(value.$eq);
+      continue;
+    }
+    base[key] = copy(value);
+  }
+  return base;
+}
+
+const TEXT_SCORE = '__textScore';
+
+// Lowercase words with plural endings removed, as a stand-in for MongoDB's English stemmer
+function stemmedWords(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).map((word) => {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && /(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  });
+}
+
+// Every value at a dotted path, through arrays
+function valuesAt(value, path) {
+  if (value == null) return [];
+  if (Array.isArray(value)) return value.flatMap((item) => valuesAt(item, path));
+  if (path.length === 0) return [value];
+  return valuesAt(value[path[0]], path.slice(1));
+}
+
+// Splits a top-level $text off a filter
+function splitText(filter) {
+  if (!filter || !filter.$text) return { text: null, rest: filter || {} };
+  const { $text: text, ...rest } = filter;
+  return { text, rest };
+}
+
+const isTextScore = (value) => value !== null && typeof value === 'object' && value.$meta === 'textScore';
+
+// A sort or projection with { $meta: 'textScore' } entries pointed at the computed score field
+function withTextScore(spec, replacement) {
+  if (!spec) return spec;
+  const entries = spec instanceof Map ? [...spec] : Object.entries(spec);
+  return Object.fromEntries(entries.map(([key, value]) => (isTextScore(value) ? [TEXT_SCORE, replacement] : [key, value])));
+}
+
+// Pipeline expressions with { $meta: 'textScore' } read from the computed score field
+function replaceTextScore(value) {
+  if (isTextScore(value)) return `$${TEXT_SCORE}`;
+  if (Array.isArray(value)) return value.map(replaceTextScore);
+  if (value == null || typeof value !== 'object' || value._bsontype || value instanceof Date) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceTextScore(item)]));
+}
+
+function withoutTextScore(value) {
+  if (Array.isArray(value)) return value.map(withoutTextScore);
+  if (value == null || typeof value !== 'object' || value._bsontype || value instanceof Date) return value;
+  return Object.fromEntries(Object.entries(value).filter(([key]) => key !== TEXT_SCORE).map(([key, item]) => [key, withoutTextScore(item)]));
+}
+
+// mingo reads timezones as offsets or Area/City names; MongoDB also takes "UTC"
+function withOffsetTimezones(value) {
+  if (Array.isArray(value)) return value.map(withOffsetTimezones);
+  if (value == null || Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => (
+    [key, key === 'timezone' && entry === 'UTC' ? '+00:00' : withOffsetTimezones(entry)]
+  )));
+}
+
+/**
+ * A pipeline with the stages mingo runs differently from MongoDB rewritten: $bucket there also emits
+ * empty buckets, so it becomes the $group MongoDB documents it as (only buckets with documents).
+ */
+function mongoPipeline(pipeline) {
+  return withOffsetTimezones(pipeline).flatMap((stage) => {
+    if (stage.$facet) {
+      return [{ $facet: Object.fromEntries(Object.entries(stage.$facet).map(([name, branch]) => [name, mongoPipeline(branch)])) }];
+    }
+    if (!stage.$bucket) return [stage];
+    const { groupBy, boundaries, default: otherwise, output = { count: { $sum: 1 } } } = stage.$bucket;
+    const branches = boundaries.slice(0, -1).map((lower, i) => ({
+      case: { $and: [{ $gte: [groupBy, lower] }, { $lt: [groupBy, boundaries[i + 1]] }] },
+      then: lower
+    }));
+    return [{ $group: { _id: { $switch: { branches, default: otherwise } }, ...output } }, { $sort: { _id: 1 } }];
+  });
+}
+
+class MemoryCollection {
+  constructor(db, model) {
+    this.db = db;
+    this.name = model.collection.collectionName;
+    this.docs = [];
+    this.uniqueIndexes = [[{ _id: 1 }, {}], ...model.schema.indexes().filter(([, options]) => options && options.unique)];
+    const [textFields, textOptions] = model.schema.indexes().find(([fields]) => Object.values(fields).includes('text')) || [];
+    this.textWeights = textFields
+      ? Object.keys(textFields).filter((field) => textFields[field] === 'text').map((field) => [field, textOptions?.weights?.[field] || 1])
+      : [];
+  }
+
+  // Weighted score of a document for $text, 0 when no search word is in an indexed field
+  textScore(doc, text) {
+    const terms = new Set(stemmedWords(text.$search));
+    let score = 0;
+    for (const [field, weight] of this.textWeights) {
+      for (const value of valuesAt(doc, field.split('.'))) {
+        const words = stemmedWords(value);
+        const hits = words.filter((word) => terms.has(word)).length;
+        if (hits > 0) score += weight * (0.5 + (0.5 * hits) / words.length) * hits;
+      }
+    }
+    return score;
+  }
+
+  // Undo a write when the session's transaction aborts
+  journal(session, undo) {
+    if (session && session.inTransaction()) session.journal.push(undo);
+  }
+
+  assertUnique(doc, replacing) {
+    for (const [fields, options] of this.uniqueIndexes) {
+      const keyValue = {};
+      for (const field of Object.keys(fields)) {
+        const value = mingo.find([doc], {}, { _id: 0, value: `$${field}` }).all()[0].value;
+        keyValue[field] = value === undefined ? null : value;
+      }
+      if (options.sparse && Object.values(keyValue).every((value) => value === null)) continue;
+      if (options.partialFilterExpression && !new mingo.Query(options.partialFilterExpression).test(doc)) continue;
+      const sameKey = new mingo.Query(Object.fromEntries(Object.entries(keyValue).map(([field, value]) => [field, { $eq: value }])));
+      const clash = this.docs.find((other) => other !== replacing && (!options.partialFilterExpression
+        || new mingo.Query(options.partialFilterExpression).test(other)) && sameKey.test(other));
+      if (clash) throw duplicateKeyError(this.name, keyValue);
+    }
+  }
+
+  insert(doc, session) {
+    const stored = copy(doc);
+    if (stored._id === undefined) stored._id = new mongoose.Types.ObjectId();
+    this.assertUnique(stored, null);
+    this.docs.push(stored);
+    this.journal(session, () => this.docs.splice(this.docs.indexOf(stored), 1));
+    return stored;
+  }
+
+  replace(previous, next, session) {
+    this.assertUnique(next, previous);
+    this.docs[this.docs.indexOf(previous)] = next;
+    this.journal(session, () => { this.docs[this.docs.indexOf(next)] = previous; });
+  }
+
+  remove(doc, session) {
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    this.journal(session, () => this.docs.push(doc));
+  }
+
+  // Stored documents matching a filter, sorted and paged; their $text scores are kept for project()
+  select(filter, options = {}) {
+    const { text, rest } = splitText(filter);
+    const query = new mingo.Query(rest);
+    let docs = this.docs.filter((doc) => query.test(doc));
+    const scores = new Map();
+    if (text) {
+      docs.forEach((doc) => scores.set(doc, this.textScore(doc, text)));
+      docs = docs.filter((doc) => scores.get(doc) > 0);
+    }
+    // Sorted and paged as rows pointing back at the stored documents, so writes can replace them
+    const rows = docs.map((doc, position) => ({ ...doc, [TEXT_SCORE]: scores.get(doc), __position: position }));
+    let found = mingo.find(rows, {});
+    if (options.sort) found = found.sort(withTextScore(options.sort, -1));
+    if (options.skip) found = found.skip(options.skip);
+    if (options.limit) found = found.limit(options.limit);
+    const selected = found.all().map((row) => docs[row.__position]);
+    this.textScores = scores;
+    return selected;
+  }
+
+  project(docs, projection) {
+    const scoreField = projection && Object.keys(projection).find((key) => isTextScore(projection[key]));
+    const copies = docs.map((doc) => (scoreField ? { ...copy(doc), [scoreField]: this.textScores.get(doc) } : copy(doc)));
+    const rest = scoreField ? Object.fromEntries(Object.entries(projection).filter(([key]) => key !== scoreField)) : projection;
+    if (!rest || Object.keys(rest).length === 0) return copies;
+    if (scoreField && Object.values(rest).some((value) => value === 1 || value === true)) rest[scoreField] = 1;
+    return mingo.find(copies, {}, rest).all();
+  }
+
+  // The document an update produces, or the document itself when nothing changed
+  updated(doc, update, filter, options) {
+    if (Array.isArray(update)) return mingo.aggregate([copy(doc)], update)[0];
+    const { $setOnInsert, ...modifier } = update;
+    const next = copy(doc);
+    const changed = applyModifier(next, copy(modifier), options.arrayFilters, filter, { cloneMode: 'none' });
+    return changed.length > 0 ? next : doc;
+  }
+
+  upsert(filter, update, options) {
+    if (Array.isArray(update)) return this.insert(this.updated(upsertBase(filter), update, {}, options), options.session);
+    const base = Object.assign(upsertBase(filter), copy(update.$setOnInsert || {}));
+    return this.insert(this.updated(base, update, {}, options), options.session);
+  }
+
+  write(filter, update, options = {}, multi = false) {
+    const matched = this.select(filter, { sort: options.sort, limit: multi ? 0 : 1 });
+    if (matched.length === 0) {
+      if (!options.upsert) return { matched, results: [] };
+      const inserted = this.upsert(filter, update, options);
+      return { matched, results: [{ before: null, after: inserted }], upserted: inserted };
+    }
+    const results = matched.map((doc) => {
+      const next = this.updated(doc, update, filter, options);
+      if (next !== doc) this.replace(doc, next, options.session);
+      return { before: doc, after: next };
+    });
+    return { matched, results };
+  }
+
+  async insertOne(doc, options = {}) {
+    const stored = this.insert(doc, options.session);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs, options = {}) {
+    const insertedIds = {};
+    docs.forEach((doc, index) => { insertedIds[index] = this.insert(doc, options.session)._id; });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter, options = {}) {
+    return cursor(this.project(this.select(filter, options), options.projection));
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.project(this.select(filter, { ...options, limit: 1 }), options.projection);
+    return doc || null;
+  }
+
+  async countDocuments(filter) {
+    return this.select(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = new Map();
+    for (const doc of this.select(filter)) {
+      const value = mingo.find([doc], {}, { _id: 0, value: `$${field}` }).all()[0].value;
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined) values.set(item instanceof Date || item?._bsontype ? String(item) : item, copy(item));
+      }
+    }
+    return [...values.values()];
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.updateResult(this.write(filter, update, options));
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.updateResult(this.write(filter, update, options, true));
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateResult(this.replaceMatch(filter, replacement, options));
+  }
+
+  updateResult({ matched, results, upserted }) {
+    return {
+      acknowledged: true,
+      matchedCount: matched.length,
+      modifiedCount: results.filter(({ before, after }) => before && before !== after).length,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? upserted._id : null
+    };
+  }
+
+  replaceMatch(filter, replacement, options) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!doc) {
+      if (!options.upsert) return { matched: [], results: [] };
+      const inserted = this.insert({ ...upsertBase(filter), ...replacement }, options.session);
+      return { matched: [], results: [{ before: null, after: inserted }], upserted: inserted };
+    }
+    const next = { ...copy(replacement), _id: doc._id };
+    this.replace(doc, next, options.session);
+    return { matched: [doc], results: [{ before: doc, after: next }] };
+  }
+
+  modifyResult(before, after, options) {
+    const chosen = options.returnDocument === 'after' ? after : before;
+    const [value = null] = chosen ? this.project([chosen], options.projection) : [];
+    if (!options.includeResultMetadata) return value;
+    return { ok: 1, value, lastErrorObject: { n: before || after ? 1 : 0, updatedExisting: before != null } };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [result = { before: null, after: null }] = this.write(filter, update, options).results;
+    return this.modifyResult(result.before, result.after, options);
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    const [result = { before: null, after: null }] = this.replaceMatch(filter, replacement, options).results;
+    return this.modifyResult(result.before, result.after, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) this.remove(doc, options.session);
+    return this.modifyResult(doc || null, null, options);
+  }
+
+  async deleteOne(filter, options = {}) {
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) this.remove(doc, options.session);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter, options = {}) {
+    const docs = this.select(filter);
+    docs.forEach((doc) => this.remove(doc, options.session));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  aggregate(pipeline) {
+    const [first, ...stages] = pipeline;
+    const { text, rest } = splitText(first && first.$match);
+    if (!text) {
+      return cursor(mingo.aggregate(this.docs.map(copy), mongoPipeline(pipeline), {
+        collectionResolver: (name) => this.db.collectionNamed(name).docs.map(copy)
+      }));
+    }
+    // $text is only allowed in the first $match: score there, then read the score wherever it is asked for
+    const matched = this.select({ ...rest, $text: text }).map((doc) => ({ ...copy(doc), [TEXT_SCORE]: this.textScores.get(doc) }));
+    const scored = stages.map((stage) => (stage.$sort ? { $sort: withTextScore(stage.$sort, -1) } : replaceTextScore(stage)));
+    return cursor(withoutTextScore(mingo.aggregate(matched, mongoPipeline(scored), {
+      collectionResolver: (name) => this.db.collectionNamed(name).docs.map(copy)
+    })));
+  }
+
+  async bulkWrite(operations, options = {}) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} };
+    operations.forEach((operation, index) => {
+      const [type, spec] = Object.entries(operation)[0];
+      const writeOptions = { ...spec, session: options.session };
+      if (type === 'insertOne') {
+        result.insertedIds[index] = this.insert(spec.document, options.session)._id;
+        result.insertedCount += 1;
+        return;
+      }
+      if (type === 'deleteOne' || type === 'deleteMany') {
+        const docs = this.select(spec.filter, { limit: type === 'deleteOne' ? 1 : 0 });
+        docs.forEach((doc) => this.remove(doc, options.session));
+        result.deletedCount += docs.length;
+        return;
+      }
+      const written = type === 'replaceOne'
+        ? this.replaceMatch(spec.filter, spec.replacement, writeOptions)
+        : this.write(spec.filter, spec.update, writeOptions, type === 'updateMany');
+      const counts = this.updateResult(written);
+      result.matchedCount += counts.matchedCount;
+      result.modifiedCount += counts.modifiedCount;
+      result.upsertedCount += counts.upsertedCount;
+      if (written.upserted) result.upsertedIds[index] = written.upserted._id;
+    });
+    return { acknowledged: true, ...result };
+  }
+}
+
+class MemorySession {
+  constructor() {
+    this.journal = null;
+    this.hasEnded = false;
+    this.aborted = 0;
+    this.committed = 0;
+  }
+
+  startTransaction() {
+    this.journal = [];
+  }
+
+  inTransaction() {
+    return this.journal !== null;
+  }
+
+  async commitTransaction() {
+    this.journal = null;
+    this.committed += 1;
+  }
+
+  async abortTransaction() {
+    const undo = this.journal || [];
+    this.journal = null;
+    this.aborted += 1;
+    undo.reverse().forEach((step) => step());
+  }
+
+  async endSession() {
+    if (this.inTransaction()) await this.abortTransaction();
+    this.hasEnded = true;
+  }
+
+  async withTransaction(fn) {
+    this.startTransaction();
+    try {
+      const result = await fn(this);
+      await this.commitTransaction();
+      return result;
+    } catch (error) {
+      await this.abortTransaction();
+      throw error;
+    }
+  }
+}
+
+class MemoryDb {
+  // Backs every registered model with an empty in-memory collection, restored with the suite's stubs
+  constructor(suite) {
+    this.collections = new Map();
+    this.sessions = [];
+    for (const name of mongoose.modelNames()) {
+      const model = mongoose.model(name);
+      const collectionName = model.collection.collectionName;
+      if (this.collections.has(collectionName)) continue;
+      const memory = new MemoryCollection(this, model);
+      this.collections.set(collectionName, memory);
+      for (const method of COLLECTION_METHODS) {
+        suite.stub(model.collection, method, memory[method].bind(memory));
+      }
+      suite.stub(model.collection, 'buffer', false);
+    }
+    suite.stub(mongoose, 'startSession', async () => {
+      const session = new MemorySession();
+      this.sessions.push(session);
+      return session;
+    });
+  }
+
+  collectionNamed(name) {
+    const memory = this.collections.get(name);
+    if (!memory) throw new Error(`No in-memory collection named ${name}`);
+    return memory;
+  }
+
+  collectionFor(Model) {
+    return this.collectionNamed(Model.collection.collectionName);
+  }
+
+  // Stores documents cast through the model, without validation, and returns them as stored
+  seed(Model, docs) {
+    const memory = this.collectionFor(Model);
+    return docs.map((fields) => copy(memory.insert(new Model(fields).toBSON())));
+  }
+
+  // Copies of the documents in a model's collection, in insertion order
+  documents(Model) {
+    return this.collectionFor(Model).docs.map(copy);
+  }
+}
+
+module.exports = MemoryDb;
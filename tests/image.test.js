@@ -0,0 +1,126 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+
+// Local storage writes to uploads/ under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-tests-'));
+process.chdir(workDir);
+process.env.PRODUCT_IMAGE_MAX_BYTES = String(1024 * 1024);
+
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const imageService = require('../src/services/imageService');
+const productController = require('../src/controllers/productController');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+class ImageTests extends TestSuite {
+  constructor() {
+    super('Image');
+  }
+
+  // A 1000×500 JPEG carrying EXIF (camera and orientation), as phones upload them
+  async photo(name = 'photo.jpg') {
+    const buffer = await sharp({ create: { width: 1000, height: 500, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withExif({ IFD0: { Make: 'PhoneCam', Copyright: 'Someone' } })
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+    return { originalname: name, mimetype: 'image/jpeg', buffer };
+  }
+
+  storedFile(url) {
+    return path.join(workDir, 'uploads', decodeURIComponent(url.split('/uploads/')[1]));
+  }
+
+  async upload(product, files) {
+    return callHandler(productController.uploadImages, { user: admin, params: { id: String(product._id) }, files });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Image Tests...\n');
+
+    await this.test('Uploads are checked by their content and size, not their name', async () => {
+      const check = (file) => imageService.validateImage(file);
+      assert.strictEqual(await check(await this.photo()), null);
+      assert.strictEqual(await check({ originalname: 'empty.png', buffer: Buffer.alloc(0) }), 'empty.png is empty');
+      assert.strictEqual(await check({ originalname: 'notes.png', buffer: Buffer.from('just some text, not a picture') }), 'notes.png is not a JPEG, PNG, GIF or WebP image');
+      const truncated = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(20)]);
+      assert.strictEqual(await check({ originalname: 'broken.png', buffer: truncated }), 'broken.png could not be read');
+      assert.strictEqual(await check({ originalname: 'huge.jpg', buffer: Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.alloc(1024 * 1024)]) }), 'huge.jpg is larger than 1MB');
+    });
+
+    await this.test('Stored images are upright, stripped of metadata and come with WebP renditions', async () => {
+      const stored = await imageService.storeImage(await this.photo(), 'http://localhost:5000');
+      assert.match(stored.url, /^http:\/\/localhost:5000\/uploads\/.+\.jpg$/);
+      const original = await sharp(fs.readFileSync(this.storedFile(stored.url))).metadata();
+      assert.deepStrictEqual([original.width, original.height, original.exif, original.orientation], [500, 1000, undefined, undefined]);
+
+      for (const [name, longest] of [['thumbnail', 200], ['medium', 800], ['large', 1000]]) {
+        const rendition = await sharp(fs.readFileSync(this.storedFile(stored[name]))).metadata();
+        assert.deepStrictEqual([rendition.format, Math.max(rendition.width, rendition.height), rendition.exif], ['webp', longest, undefined]);
+      }
+    });
+
+    await this.test('Uploading adds the images and renditions to the product; one bad file stores nothing', async () => {
+      const db = new MemoryDb(this);
+      const [product] = db.seed(Product, [{ name: 'Lamp', price: 20, images: ['https://cdn.example.com/lamp.png'] }]);
+      const filesBefore = fs.readdirSync(path.join(workDir, 'uploads')).length;
+      const refused = await this.upload(product, [await this.photo(), { originalname: 'virus.jpg', buffer: Buffer.from('MZ not an image at all') }]);
+      assert.deepStrictEqual([refused.status, refused.body.errors], [400, [{ msg: 'virus.jpg is not a JPEG, PNG, GIF or WebP image' }]]);
+      assert.strictEqual(fs.readdirSync(path.join(workDir, 'uploads')).length, filesBefore);
+
+      const { status, body } = await this.upload(product, [await this.photo('side.jpg')]);
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.images.length, 2);
+      assert.deepStrictEqual(body.imageRenditions.map((r) => r.url), [body.images[1]]);
+      assert.ok(fs.existsSync(this.storedFile(body.imageRenditions[0].thumbnail)));
+    });
+
+    await this.test('Removing an uploaded image deletes its files; other images and files are left alone', async () => {
+      const db = new MemoryDb(this);
+      const [product, other] = db.seed(Product, [
+        { name: 'Lamp', price: 20, images: ['https://cdn.example.com/lamp.png'] },
+        { name: 'Desk', price: 90 }
+      ]);
+      const { body } = await this.upload(product, [await this.photo()]);
+      const uploaded = body.imageRenditions[0];
+      const remove = (target, image) => callHandler(productController.removeImage, { user: admin, params: { id: String(target._id) }, body: { image } });
+
+      assert.strictEqual((await remove(other, uploaded.url)).status, 404);
+      assert.ok(fs.existsSync(this.storedFile(uploaded.url)));
+
+      const external = await remove(product, 'https://cdn.example.com/lamp.png');
+      assert.deepStrictEqual(external.body.images, [uploaded.url]);
+
+      const removed = await remove(product, uploaded.url);
+      assert.deepStrictEqual([removed.body.images, removed.body.imageRenditions], [[], []]);
+      for (const url of [uploaded.url, uploaded.thumbnail, uploaded.medium, uploaded.large]) {
+        assert.strictEqual(fs.existsSync(this.storedFile(url)), false);
+      }
+    });
+
+    await this.test('Files still used by another product are kept', async () => {
+      const db = new MemoryDb(this);
+      const [product] = db.seed(Product, [{ name: 'Lamp', price: 20 }]);
+      const { body } = await this.upload(product, [await this.photo()]);
+      const uploaded = body.imageRenditions[0];
+      db.seed(Product, [{ name: 'Lamp Copy', price: 20, images: [uploaded.url] }]);
+
+      await callHandler(productController.removeImage, { user: admin, params: { id: String(product._id) }, body: { image: uploaded.url } });
+      assert.ok(fs.existsSync(this.storedFile(uploaded.url)));
+    });
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+}
+
+// Run tests
+const imageTests = new ImageTests();
+imageTests.runAllTests();
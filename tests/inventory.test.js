@@ -0,0 +1,145 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const Product = require('../src/models/Product');
+// Models the movement history populates
+require('../src/models/User');
+require('../src/models/Order');
+require('../src/models/StockReservation');
+const InventoryMovement = require('../src/models/InventoryMovement');
+const inventoryService = require('../src/services/inventoryService');
+const { takeStock, returnStock, restoreStockOnRefund } = require('../src/utils/stockAnalysis');
+
+const staff = new mongoose.Types.ObjectId();
+
+class InventoryTests extends TestSuite {
+  constructor() {
+    super('Inventory');
+  }
+
+  async ledgerOf(product) {
+    return InventoryMovement.find({ product: product._id }).sort({ _id: 1 }).lean();
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Inventory Tests...\n');
+
+    await this.test('The first movement opens the ledger with the stock it had before', async () => {
+      const db = new MemoryDb(this);
+      const [phone] = db.seed(Product, [{ name: 'Phone', price: 100, stock: 5 }]);
+      assert.strictEqual(await takeStock(phone._id, null, 2, { movement: { type: 'sale', reason: 'Walk-in' } }), true);
+      assert.strictEqual(await takeStock(phone._id, null, 1, { movement: { type: 'sale' } }), true);
+
+      const ledger = await this.ledgerOf(phone);
+      assert.deepStrictEqual(ledger.map((m) => [m.type, m.quantity, m.balanceAfter]), [['opening', 5, 5], ['sale', -2, 3], ['sale', -1, 2]]);
+      assert.strictEqual(ledger.reduce((sum, m) => sum + m.quantity, 0), 2);
+    });
+
+    await this.test('Stock taken and returned per variant is recorded against the variant', async () => {
+      const db = new MemoryDb(this);
+      const [shirt] = db.seed(Product, [{ name: 'Shirt', price: 20, stock: 6, variants: [{ name: 'M', sku: 'SH-M', stock: 4 }, { name: 'L', stock: 2 }] }]);
+      const order = new mongoose.Types.ObjectId();
+      await takeStock(shirt._id, 'M', 3, { movement: { type: 'reservation', order } });
+      assert.strictEqual(await takeStock(shirt._id, 'M', 2, { movement: { type: 'reservation' } }), false);
+      await restoreStockOnRefund(shirt._id, 'M', 1, { actor: staff, order });
+
+      const ledger = await this.ledgerOf(shirt);
+      assert.deepStrictEqual(ledger.map((m) => [m.type, m.variantName, m.sku, m.quantity, m.balanceAfter]), [
+        ['opening', 'M', 'SH-M', 4, 4], ['reservation', 'M', 'SH-M', -3, 1], ['return', 'M', 'SH-M', 1, 2]
+      ]);
+      assert.strictEqual(String(ledger[2].actor), String(staff));
+      assert.strictEqual(String(ledger[2].order), String(order));
+    });
+
+    await this.test('Stock changes without a movement context are not recorded', async () => {
+      const db = new MemoryDb(this);
+      const [phone] = db.seed(Product, [{ name: 'Phone', price: 100, stock: 5 }]);
+      await takeStock(phone._id, null, 1);
+      await returnStock(phone._id, null, 1);
+      assert.strictEqual(await InventoryMovement.countDocuments(), 0);
+    });
+
+    await this.test('Edits record the difference per variant, including removed variants', async () => {
+      const db = new MemoryDb(this);
+      const [before] = db.seed(Product, [{ name: 'Shirt', price: 20, stock: 6, variants: [{ name: 'M', stock: 4 }, { name: 'L', stock: 2 }] }]);
+      const after = { ...before, stock: 9, variants: [{ ...before.variants[0], stock: 9 }] };
+      const movements = await inventoryService.recordStockChanges(before, after, { type: 'restock', actor: staff });
+      assert.deepStrictEqual(movements.map((m) => [m.variantName, m.type, m.quantity, m.balanceAfter]), [['M', 'restock', 5, 9], ['L', 'restock', -2, 0]]);
+      assert.strictEqual(movements[1].reason, 'Variant removed');
+
+      const created = { _id: new mongoose.Types.ObjectId(), stock: 3 };
+      const [initial] = await inventoryService.recordStockChanges(null, created, { type: 'initial' });
+      assert.deepStrictEqual([initial.type, initial.quantity, initial.balanceAfter], ['initial', 3, 3]);
+      assert.strictEqual(await InventoryMovement.countDocuments({ product: created._id }), 1);
+    });
+
+    await this.test('Reconciliation flags stock changed outside the ledger and stock never tracked', async () => {
+      const db = new MemoryDb(this);
+      const [tracked, drifted, untracked, empty] = db.seed(Product, [
+        { name: 'Tracked', price: 1, stock: 5 },
+        { name: 'Drifted', price: 1, stock: 5 },
+        { name: 'Untracked', price: 1, stock: 7 },
+        { name: 'Empty', price: 1, stock: 0 }
+      ]);
+      await takeStock(tracked._id, null, 1, { movement: { type: 'sale' } });
+      await takeStock(drifted._id, null, 1, { movement: { type: 'sale' } });
+      await Product.updateOne({ _id: drifted._id }, { $set: { stock: 10 } });
+      const removed = new mongoose.Types.ObjectId();
+      await inventoryService.recordMovement({ product: { _id: removed, stock: 2 }, type: 'restock', quantity: 2 });
+
+      const { summary, lines } = await inventoryService.reconcileInventory();
+      const statusOf = (id) => lines.find((line) => String(line.product) === String(id));
+      assert.strictEqual(statusOf(tracked._id).status, 'ok');
+      assert.deepStrictEqual([statusOf(drifted._id).status, statusOf(drifted._id).difference], ['mismatch', 6]);
+      assert.strictEqual(statusOf(untracked._id).status, 'untracked');
+      assert.strictEqual(statusOf(empty._id).status, 'ok');
+      assert.deepStrictEqual([statusOf(removed).status, statusOf(removed).difference], ['mismatch', -2]);
+      assert.deepStrictEqual([summary.ok, summary.mismatch, summary.untracked], [2, 2, 1]);
+
+      const one = await inventoryService.reconcileInventory({ productId: drifted._id, onlyIssues: true });
+      assert.deepStrictEqual(one.lines.map((line) => line.name), ['Drifted']);
+    });
+
+    await this.test('Movements are append-only', async () => {
+      const db = new MemoryDb(this);
+      const [phone] = db.seed(Product, [{ name: 'Phone', price: 100, stock: 5 }]);
+      const movement = await inventoryService.recordMovement({ product: { ...phone, stock: 6 }, type: 'restock', quantity: 1 });
+      await assert.rejects(InventoryMovement.updateOne({ _id: movement._id }, { $set: { quantity: 100 } }), /append-only/);
+      await assert.rejects(InventoryMovement.deleteMany({}), /append-only/);
+      movement.quantity = 100;
+      await assert.rejects(movement.save(), /append-only/);
+      assert.strictEqual(await InventoryMovement.countDocuments(), 2);
+    });
+
+    await this.test('A movement taken in an aborted transaction is undone with the stock', async () => {
+      const db = new MemoryDb(this);
+      const [phone] = db.seed(Product, [{ name: 'Phone', price: 100, stock: 5 }]);
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      await takeStock(phone._id, null, 2, { session, movement: { type: 'reservation' } });
+      await session.abortTransaction();
+      assert.strictEqual((await Product.findById(phone._id).lean()).stock, 5);
+      assert.strictEqual(await InventoryMovement.countDocuments(), 0);
+    });
+
+    await this.test('History pages newest first and filters by type', async () => {
+      const db = new MemoryDb(this);
+      const [phone] = db.seed(Product, [{ name: 'Phone', price: 100, stock: 10 }]);
+      for (let i = 0; i < 3; i++) await takeStock(phone._id, null, 1, { movement: { type: 'sale' } });
+      await returnStock(phone._id, null, 1, { movement: { type: 'return' } });
+
+      const { movements, pagination } = await inventoryService.getMovementHistory(phone._id, { limit: '2' });
+      assert.deepStrictEqual(movements.map((m) => m.type), ['return', 'sale']);
+      assert.deepStrictEqual([pagination.total, pagination.pages], [5, 3]);
+      const sales = await inventoryService.getMovementHistory(phone._id, { type: 'sale, opening' });
+      assert.strictEqual(sales.pagination.total, 4);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const inventoryTests = new InventoryTests();
+inventoryTests.runAllTests();
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test_key';
+delete process.env.LOW_STOCK_DEFAULT_THRESHOLD;
+
+const emailConfig = require('../src/email/config');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const lowStockService = require('../src/services/lowStockService');
+
+class LowStockTests extends TestSuite {
+  constructor() {
+    super('Low Stock');
+  }
+
+  // One line per status, one comfortably stocked product and a shirt whose sizes inherit its thresholds
+  stockUp(db) {
+    return db.seed(Product, [
+      { name: 'Sold Out', price: 1, stock: 0, category: 'phones' },
+      { name: 'Reorder', price: 1, stock: 8, reorderPoint: 10, lowStockThreshold: 3, category: 'phones' },
+      { name: 'Low', price: 1, stock: 5, category: 'cables', published: false },
+      { name: 'Plenty', price: 1, stock: 50, category: 'phones' },
+      { name: 'Shirt', price: 1, stock: 22, lowStockThreshold: 2, variants: [{ name: 'M', stock: 20 }, { name: 'L', stock: 2 }, { name: 'S', stock: 0, lowStockThreshold: 0 }] }
+    ]);
+  }
+
+  // Captures what would go out through Resend
+  captureEmails() {
+    const sent = [];
+    this.stub(emailConfig.resend.emails, 'send', async (email) => {
+      sent.push(email);
+      return { data: { id: `email_${sent.length}` }, error: null };
+    });
+    return sent;
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Low Stock Tests...\n');
+
+    await this.test('Lines at or below their threshold or reorder point are listed lowest stock first', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      const items = await lowStockService.findLowStockItems();
+      assert.deepStrictEqual(items.map((item) => [item.name, item.variantName, item.stock, item.status]), [
+        ['Shirt', 'S', 0, 'out_of_stock'],
+        ['Sold Out', null, 0, 'out_of_stock'],
+        ['Shirt', 'L', 2, 'low'],
+        ['Low', null, 5, 'low'],
+        ['Reorder', null, 8, 'reorder']
+      ]);
+      assert.strictEqual(items[2].lowStockThreshold, 2);
+      assert.strictEqual(items[3].lowStockThreshold, lowStockService.DEFAULT_LOW_STOCK_THRESHOLD);
+      assert.deepStrictEqual(lowStockService.summarize(items), { total: 5, out_of_stock: 2, reorder: 1, low: 2 });
+    });
+
+    await this.test('The report filters by status, category and published products', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      const names = (items) => items.map((item) => item.name);
+      assert.deepStrictEqual(names(await lowStockService.findLowStockItems({ status: 'reorder' })), ['Reorder']);
+      assert.deepStrictEqual(names(await lowStockService.findLowStockItems({ category: 'phones' })), ['Sold Out', 'Reorder']);
+      assert.ok(!names(await lowStockService.findLowStockItems({ includeUnpublished: false })).includes('Low'));
+    });
+
+    await this.test('The digest goes to the configured addresses, or every admin when none are set', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      db.seed(User, [
+        { name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' },
+        { name: 'Shopper', email: 'shopper@example.com', password: 'secret123' }
+      ]);
+      const sent = this.captureEmails();
+
+      delete process.env.LOW_STOCK_ALERT_EMAILS;
+      const toAdmins = await lowStockService.sendLowStockDigest();
+      assert.deepStrictEqual([toAdmins.sent, toAdmins.summary.total], [true, 5]);
+      assert.deepStrictEqual(sent[0].to, ['admin@example.com']);
+      assert.match(sent[0].subject, /Low stock: 5 item/);
+      assert.match(sent[0].html, /Reorder/);
+
+      process.env.LOW_STOCK_ALERT_EMAILS = 'ops@example.com, buyer@example.com';
+      await lowStockService.sendLowStockDigest();
+      delete process.env.LOW_STOCK_ALERT_EMAILS;
+      assert.deepStrictEqual(sent[1].to, ['ops@example.com', 'buyer@example.com']);
+    });
+
+    await this.test('No digest is sent when everything is stocked or nobody can receive it', async () => {
+      const db = new MemoryDb(this);
+      const sent = this.captureEmails();
+      db.seed(Product, [{ name: 'Plenty', price: 1, stock: 50 }]);
+      assert.deepStrictEqual(await lowStockService.sendLowStockDigest(), { sent: false, summary: { total: 0, out_of_stock: 0, reorder: 0, low: 0 } });
+
+      db.seed(Product, [{ name: 'Sold Out', price: 1, stock: 0 }]);
+      const result = await lowStockService.sendLowStockDigest();
+      assert.strictEqual(result.sent, false);
+      assert.match(result.error, /No recipients/);
+      assert.strictEqual(sent.length, 0);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const lowStockTests = new LowStockTests();
+lowStockTests.runAllTests();
@@ -0,0 +1,196 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+
+process.env.VENDOR_PAYOUT_MINIMUM = '10';
+process.env.VENDOR_COMMISSION_RATE = '10';
+
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const CommissionRule = require('../src/models/CommissionRule');
+const VendorLedgerEntry = require('../src/models/VendorLedgerEntry');
+const VendorPayout = require('../src/models/VendorPayout');
+const { Order, OrderItem } = require('../src/models/Order');
+const blockchainPaymentService = require('../src/services/blockchainPaymentService');
+const commissionService = require('../src/services/commissionService');
+const payoutService = require('../src/services/payoutService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PayoutTests extends TestSuite {
+  constructor() {
+    super('Payout');
+  }
+
+  // A vendor paid in USDC, one paid by bank transfer and one whose balance stays under the minimum
+  vendors(db) {
+    const [wallet, bank, small] = db.seed(User, [
+      { name: 'Wallet Store', email: 'wallet@example.com', password: 'secret123', role: 'vendor', walletAddress: '0xvendor' },
+      { name: 'Bank Store', email: 'bank@example.com', password: 'secret123', role: 'vendor' },
+      { name: 'Small Store', email: 'small@example.com', password: 'secret123', role: 'vendor', walletAddress: '0xsmall' }
+    ]);
+    return { wallet, bank, small };
+  }
+
+  // Sale entries, available now unless a hold in days is given
+  sales(db, vendor, nets, holdDays = -1) {
+    return db.seed(VendorLedgerEntry, nets.map((net) => ({
+      vendor: vendor._id,
+      type: 'sale',
+      orderItem: new mongoose.Types.ObjectId(),
+      quantity: 1,
+      gross: net * 1.25,
+      commissionRate: 20,
+      commission: net * 0.25,
+      net,
+      availableAt: new Date(Date.now() + holdDays * DAY_MS)
+    })));
+  }
+
+  async claimedBy(payout) {
+    return VendorLedgerEntry.countDocuments({ payout: payout._id });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Payout Tests...\n');
+
+    await this.test('Paid orders are recorded once, at the most specific commission rule', async () => {
+      const db = new MemoryDb(this);
+      const { wallet } = this.vendors(db);
+      const phones = new mongoose.Types.ObjectId();
+      const [phone, book] = db.seed(Product, [
+        { name: 'Phone', price: 100, vendor: wallet._id, categoryPath: [phones] },
+        { name: 'Book', price: 20, vendor: wallet._id }
+      ]);
+      db.seed(CommissionRule, [{ category: phones, rate: 15 }, { vendor: wallet._id, category: phones, rate: 12 }]);
+      const [order] = db.seed(Order, [{
+        buyer: new mongoose.Types.ObjectId(), currency: 'NGN', exchangeRate: { rates: { USDC: 1, NGN: 1000 } },
+        paymentStatus: 'paid', fulfillments: [{ vendor: wallet._id }]
+      }]);
+      const items = db.seed(OrderItem, [
+        { order: order._id, product: phone._id, vendor: wallet._id, quantity: 1, unitPrice: 100000, totalPrice: 100000, currency: 'NGN' },
+        { order: order._id, product: book._id, vendor: wallet._id, quantity: 2, unitPrice: 10000, totalPrice: 20000, currency: 'NGN' }
+      ]);
+      await Order.updateOne({ _id: order._id }, { $set: { items: items.map((item) => item._id) } });
+
+      assert.deepStrictEqual(await commissionService.syncLedger(), { orders: 1, entries: 2 });
+      assert.deepStrictEqual(await commissionService.syncLedger(), { orders: 0, entries: 0 });
+      await Order.updateOne({ _id: order._id }, { $set: { commissionRecordedAt: null } });
+      assert.deepStrictEqual(await commissionService.syncLedger(), { orders: 1, entries: 0 });
+
+      const entries = await VendorLedgerEntry.find().sort({ gross: -1 }).lean();
+      assert.deepStrictEqual(entries.map((e) => [e.gross, e.commissionRate, e.net]), [[100, 12, 88], [20, 10, 18]]);
+      const balance = await commissionService.vendorBalance(wallet._id);
+      assert.deepStrictEqual([balance.held, balance.available], [106, 0]);
+    });
+
+    await this.test('A batch pays available balances over the minimum: USDC to wallets, bank payouts pending', async () => {
+      const db = new MemoryDb(this);
+      const { wallet, bank, small } = this.vendors(db);
+      this.sales(db, wallet, [30, 20]);
+      const [held] = this.sales(db, wallet, [100], 3);
+      this.sales(db, bank, [15]);
+      this.sales(db, small, [5]);
+      const sent = [];
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async (to, amount) => {
+        sent.push({ to, amount });
+        return { success: true, transactionHash: '0xpaid' };
+      });
+      const result = await payoutService.runPayoutBatch();
+      assert.deepStrictEqual(sent, [{ to: '0xvendor', amount: 50 }]);
+      const payouts = await VendorPayout.find().sort({ amount: -1 }).lean();
+      assert.deepStrictEqual(payouts.map((p) => [p.method, p.status, p.amount, p.entryCount]), [['usdc', 'paid', 50, 2], ['bank', 'pending', 15, 1]]);
+      assert.strictEqual((await VendorLedgerEntry.findById(held._id).lean()).payout, null);
+      assert.strictEqual(await VendorLedgerEntry.countDocuments({ vendor: small._id, payout: null }), 1);
+      assert.deepStrictEqual({ failed: result.failed, unsettled: result.unsettled }, { failed: 0, unsettled: 0 });
+    });
+
+    await this.test('Two batches running at once pay a vendor once', async () => {
+      const db = new MemoryDb(this);
+      const { wallet } = this.vendors(db);
+      this.sales(db, wallet, [40]);
+      let transfers = 0;
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async () => {
+        transfers += 1;
+        return { success: true, transactionHash: `0x${transfers}` };
+      });
+      await Promise.all([payoutService.runPayoutBatch(), payoutService.runPayoutBatch()]);
+      assert.strictEqual(transfers, 1);
+      assert.strictEqual(await VendorPayout.countDocuments(), 1);
+    });
+
+    await this.test('A declined transfer fails the payout and releases its entries', async () => {
+      const db = new MemoryDb(this);
+      const { wallet } = this.vendors(db);
+      this.sales(db, wallet, [40]);
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async () => ({ success: false, message: 'Insufficient USDC' }));
+      const result = await payoutService.runPayoutBatch();
+      assert.strictEqual(result.failed, 1);
+      assert.strictEqual(result.payouts[0].failureReason, 'Insufficient USDC');
+      assert.strictEqual(await this.claimedBy(result.payouts[0]), 0);
+    });
+
+    await this.test('An unknown transfer outcome keeps the entries claimed until the next batch settles it', async () => {
+      const db = new MemoryDb(this);
+      const { wallet } = this.vendors(db);
+      this.sales(db, wallet, [40]);
+      let transfers = 0;
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async (to, amount, options) => {
+        transfers += 1;
+        await options.onSubmitted('0xunknown');
+        throw new Error('timeout waiting for receipt');
+      });
+      this.stub(blockchainPaymentService, 'getTransferStatus', async () => 'pending');
+      const first = await payoutService.runPayoutBatch();
+      const [payout] = first.payouts;
+      assert.strictEqual(first.unsettled, 1);
+      assert.deepStrictEqual([payout.status, payout.transactionHash], ['processing', '0xunknown']);
+      assert.strictEqual(await this.claimedBy(payout), 1);
+
+      // The transfer is mined before the next run: it settles the payout and pays nothing twice
+      this.stub(blockchainPaymentService, 'getTransferStatus', async () => 'confirmed');
+      const second = await payoutService.runPayoutBatch();
+      assert.strictEqual((await VendorPayout.findById(payout._id).lean()).status, 'paid');
+      assert.strictEqual(second.payouts.length, 0);
+      assert.strictEqual(transfers, 1);
+    });
+
+    await this.test('Reconciling a payout without a transaction needs the admin\'s outcome', async () => {
+      const db = new MemoryDb(this);
+      const { wallet } = this.vendors(db);
+      this.sales(db, wallet, [40]);
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async () => {
+        throw new Error('RPC unavailable');
+      });
+      const { payouts: [payout] } = await payoutService.runPayoutBatch();
+      const admin = new mongoose.Types.ObjectId();
+      assert.strictEqual((await payoutService.reconcilePayout(payout._id, admin)).status, 400);
+
+      const reconciled = await payoutService.reconcilePayout(payout._id, admin, { outcome: 'failed', reason: 'Never sent' });
+      assert.strictEqual(reconciled.payout.status, 'failed');
+      assert.strictEqual(await this.claimedBy(payout), 0);
+      assert.strictEqual((await payoutService.reconcilePayout(payout._id, admin, { outcome: 'paid' })).status, 409);
+    });
+
+    await this.test('Only pending bank payouts are recorded as paid by hand', async () => {
+      const db = new MemoryDb(this);
+      const { bank, wallet } = this.vendors(db);
+      const [pending, usdc] = db.seed(VendorPayout, [
+        { vendor: bank._id, batch: 'B1', method: 'bank', status: 'pending', amount: 15 },
+        { vendor: wallet._id, batch: 'B1', method: 'usdc', status: 'processing', amount: 40 }
+      ]);
+      const admin = new mongoose.Types.ObjectId();
+      const { payout } = await payoutService.markBankPayoutPaid(pending._id, admin, 'TRF-1');
+      assert.deepStrictEqual([payout.status, payout.reference], ['paid', 'TRF-1']);
+      assert.deepStrictEqual(await payoutService.markBankPayoutPaid(pending._id, admin), { status: 409, error: 'Payout is already paid' });
+      assert.deepStrictEqual(await payoutService.markBankPayoutPaid(usdc._id, admin), { status: 409, error: 'Only bank payouts are recorded by hand' });
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const payoutTests = new PayoutTests();
+payoutTests.runAllTests();
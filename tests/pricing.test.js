@@ -0,0 +1,103 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const CurrencyExchangeRate = require('../src/models/CurrencyExchangeRate');
+const Product = require('../src/models/Product');
+const Promotion = require('../src/models/Promotion');
+const pricingService = require('../src/services/pricingService');
+
+const phone = { _id: new mongoose.Types.ObjectId(), name: 'Phone', price: 100, currency: 'USDC', category: 'phones' };
+const courier = { price: 5, currency: 'USD' };
+
+class PricingTests extends TestSuite {
+  constructor() {
+    super('Pricing');
+  }
+
+  // The platform rate document checkout locks from
+  storeRates(db, rates) {
+    db.seed(CurrencyExchangeRate, [{ base: 'USD', rates, updatedAt: new Date(), source: 'api' }]);
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Pricing Tests...\n');
+
+    await this.test('A quote converts lines and delivery with the stored rate and adds tax to the total', async () => {
+      const db = new MemoryDb(this);
+      this.storeRates(db, { USDC: 1, USD: 1, NGN: 1600 });
+      const { quote } = await pricingService.buildQuote({
+        items: [{ product: phone, quantity: 2 }],
+        currency: 'NGN',
+        deliveryMethod: courier
+      });
+      assert.strictEqual(quote.exchangeRate.rates.NGN, 1600);
+      assert.strictEqual(quote.exchangeRate.quoteCurrency, 'NGN');
+      assert.strictEqual(quote.lines[0].unitPrice, 160000);
+      assert.strictEqual(quote.subTotal, 320000);
+      assert.strictEqual(quote.deliveryFee, 8000);
+      assert.strictEqual(quote.taxAmount, 24600);
+      assert.strictEqual(quote.totalAmount, 352600);
+    });
+
+    await this.test('Without a stored rate the default rates are locked', async () => {
+      new MemoryDb(this);
+      const { quote } = await pricingService.buildQuote({ items: [{ product: phone, quantity: 1 }], currency: 'NGN', includeTax: false });
+      assert.strictEqual(quote.exchangeRate.rates.NGN, 1500);
+      assert.strictEqual(quote.totalAmount, 150000);
+    });
+
+    await this.test('A rate change after quoting does not move the locked amounts', async () => {
+      const db = new MemoryDb(this);
+      this.storeRates(db, { USDC: 1, USD: 1, NGN: 1500 });
+      const { quote } = await pricingService.buildQuote({ items: [{ product: phone, quantity: 1 }], currency: 'USDC', includeTax: false });
+      await CurrencyExchangeRate.updateMany({}, { $set: { 'rates.NGN': 2000 } });
+      assert.strictEqual(pricingService.quoteAmountIn(quote, 'NGN'), 150000);
+      assert.strictEqual(pricingService.convertLocked(300000, 'NGN', 'USDT', quote.exchangeRate), 200);
+    });
+
+    await this.test('A promotion discounts the quote before tax, and an invalid code stops it', async () => {
+      const db = new MemoryDb(this);
+      const [promotion] = db.seed(Promotion, [{ code: 'TENOFF', type: 'fixed', value: 10, currency: 'USDC' }]);
+      const { quote } = await pricingService.buildQuote({ items: [{ product: phone, quantity: 1 }], currency: 'USDC', promoCode: 'tenoff' });
+      assert.strictEqual(quote.discountAmount, 10);
+      assert.strictEqual(quote.taxAmount, 6.75);
+      assert.strictEqual(quote.totalAmount, 96.75);
+      assert.deepStrictEqual(
+        { promotion: String(pricingService.orderFieldsFromQuote(quote).promotion), code: pricingService.orderFieldsFromQuote(quote).promotionCode },
+        { promotion: String(promotion._id), code: 'TENOFF' }
+      );
+
+      const refused = await pricingService.buildQuote({ items: [{ product: phone, quantity: 1 }], currency: 'USDC', promoCode: 'NOPE' });
+      assert.deepStrictEqual(refused, { error: 'Promotion code not found' });
+    });
+
+    await this.test('Pricing a cart converts every line to the cart currency and scopes its code by category', async () => {
+      const db = new MemoryDb(this);
+      this.storeRates(db, { USDC: 1, USD: 1, NGN: 1000 });
+      const [stored] = db.seed(Product, [{ name: 'Phone', price: 100, category: 'phones' }]);
+      const other = new mongoose.Types.ObjectId();
+      db.seed(Promotion, [{ code: 'PHONES', type: 'percentage', value: 10, scope: { categories: ['phones'] } }]);
+      const cart = {
+        user: new mongoose.Types.ObjectId(),
+        currency: 'USDC',
+        deliveryFee: 4,
+        promotionCode: 'PHONES',
+        items: [
+          { productId: stored._id, unitPrice: 100, currency: 'USDC', quantity: 1, status: 'active' },
+          { productId: other, unitPrice: 50000, currency: 'NGN', quantity: 2, status: 'active' },
+          { productId: other, unitPrice: 999, currency: 'USDC', quantity: 1, status: 'saved' }
+        ]
+      };
+      const evaluation = await pricingService.priceCart(cart);
+      assert.strictEqual(evaluation.valid, true);
+      assert.deepStrictEqual({ subtotal: cart.subtotal, discount: cart.discount, total: cart.total }, { subtotal: 200, discount: 10, total: 194 });
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const pricingTests = new PricingTests();
+pricingTests.runAllTests();
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const productSearchService = require('../src/services/productSearchService');
+const productController = require('../src/controllers/productController');
+
+class ProductSearchTests extends TestSuite {
+  constructor() {
+    super('Product Search');
+  }
+
+  // Two Apple products and a Samsung phone, plus an unpublished phone that never counts
+  catalog(db) {
+    return db.seed(Product, [
+      {
+        name: 'iPhone', price: 900, brand: 'Apple', category: 'phones',
+        specs: [{ label: 'Color', value: 'Black' }, { label: 'RAM', value: '8GB' }],
+        variants: [{ name: '128GB', stock: 3, attributes: [{ name: 'Storage', value: '128GB' }] }, { name: '256GB', stock: 1, attributes: [{ name: 'Storage', value: '256GB' }] }]
+      },
+      { name: 'Galaxy', price: 700, brand: 'Samsung', category: 'phones', specs: [{ label: 'Color', value: 'White' }, { label: 'RAM', value: '8GB' }] },
+      { name: 'Lightning Cable', price: 20, brand: 'Apple', category: 'cables', specs: [{ label: 'Color', value: 'White' }] },
+      { name: 'Prototype', price: 100, brand: 'Apple', category: 'phones', published: false, specs: [{ label: 'Color', value: 'Black' }] }
+    ]);
+  }
+
+  search(query, page = { skip: 0, limit: 12, sort: { price: 1 } }) {
+    return productSearchService.facetedSearch(query, page);
+  }
+
+  counts(list, key = 'value') {
+    return Object.fromEntries(list.map((entry) => [entry[key], entry.count]));
+  }
+
+  valuesOf(facet, label, key = 'label') {
+    const entry = facet.find((group) => group[key] === label);
+    return entry ? this.counts(entry.values) : null;
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Product Search Tests...\n');
+
+    await this.test('Facets count published products per brand, price range, spec and variant attribute', async () => {
+      const db = new MemoryDb(this);
+      this.catalog(db);
+      const { items, total, facets } = await this.search({});
+      assert.deepStrictEqual(items.map((item) => item.name), ['Lightning Cable', 'Galaxy', 'iPhone']);
+      assert.strictEqual(total, 3);
+      assert.deepStrictEqual(this.counts(facets.brands), { Apple: 2, Samsung: 1 });
+      assert.deepStrictEqual(facets.priceRanges, [{ min: 0, max: 50, count: 1 }, { min: 500, max: 1000, count: 2 }]);
+      assert.deepStrictEqual(this.valuesOf(facets.specs, 'Color'), { White: 2, Black: 1 });
+      assert.deepStrictEqual(this.valuesOf(facets.specs, 'RAM'), { '8GB': 2 });
+      assert.deepStrictEqual(this.valuesOf(facets.attributes, 'Storage', 'name'), { '128GB': 1, '256GB': 1 });
+    });
+
+    await this.test('A selected facet still counts its other values while the rest narrow', async () => {
+      const db = new MemoryDb(this);
+      this.catalog(db);
+      const { items, facets } = await this.search({ brand: 'Apple' });
+      assert.deepStrictEqual(items.map((item) => item.name), ['Lightning Cable', 'iPhone']);
+      assert.deepStrictEqual(this.counts(facets.brands), { Apple: 2, Samsung: 1 });
+      assert.deepStrictEqual(this.valuesOf(facets.specs, 'Color'), { Black: 1, White: 1 });
+      assert.deepStrictEqual(facets.priceRanges.map((range) => range.count), [1, 1]);
+    });
+
+    await this.test('Spec filters match specs or variant attributes and keep their own values visible', async () => {
+      const db = new MemoryDb(this);
+      this.catalog(db);
+      const white = await this.search({ 'spec[Color]': 'White' });
+      assert.deepStrictEqual(white.items.map((item) => item.name), ['Lightning Cable', 'Galaxy']);
+      assert.deepStrictEqual(white.filters, { Color: ['White'] });
+      assert.deepStrictEqual(this.valuesOf(white.facets.specs, 'Color'), { White: 2, Black: 1 });
+      assert.deepStrictEqual(this.valuesOf(white.facets.specs, 'RAM'), { '8GB': 1 });
+
+      const storage = await this.search({ attr: { Storage: '256GB' }, color: 'Black' });
+      assert.deepStrictEqual(storage.items.map((item) => item.name), ['iPhone']);
+      assert.deepStrictEqual(this.valuesOf(storage.facets.attributes, 'Storage', 'name'), { '128GB': 1, '256GB': 1 });
+    });
+
+    await this.test('Price and rating filters narrow the items and the other facets', async () => {
+      const db = new MemoryDb(this);
+      const [, galaxy] = this.catalog(db);
+      await Product.updateOne({ _id: galaxy._id }, { $set: { averageRating: 4.5 } });
+      const { items, facets } = await this.search({ minPrice: '100', maxPrice: '800' });
+      assert.deepStrictEqual(items.map((item) => item.name), ['Galaxy']);
+      assert.deepStrictEqual(this.counts(facets.brands), { Samsung: 1 });
+      assert.deepStrictEqual(facets.priceRanges.map((range) => range.count), [1, 2]);
+
+      const rated = await this.search({ minRating: '4' });
+      assert.deepStrictEqual(rated.items.map((item) => item.name), ['Galaxy']);
+    });
+
+    await this.test('The search endpoint pages the items and sorts as asked', async () => {
+      const db = new MemoryDb(this);
+      this.catalog(db);
+      const { status, body } = await callHandler(productController.searchProducts, { query: { sort: 'price:desc', limit: '2', page: '2' } });
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual([body.page, body.limit, body.total], [2, 2, 3]);
+      assert.deepStrictEqual(body.items.map((item) => item.name), ['Lightning Cable']);
+      assert.deepStrictEqual(productSearchService.parseSort('rating'), { averageRating: -1, reviewCount: -1 });
+      assert.deepStrictEqual(productSearchService.parseSort(undefined), { createdAt: -1 });
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const productSearchTests = new ProductSearchTests();
+productSearchTests.runAllTests();
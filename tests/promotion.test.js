@@ -0,0 +1,124 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Promotion = require('../src/models/Promotion');
+const { Order } = require('../src/models/Order');
+const promotionService = require('../src/services/promotionService');
+const promotionController = require('../src/controllers/promotionController');
+
+const RATES = { USDC: 1, NGN: 1500 };
+const phoneLine = { productId: 'p1', category: 'phones', lineTotal: 200 };
+
+class PromotionTests extends TestSuite {
+  constructor() {
+    super('Promotion');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Promotion Tests...\n');
+
+    await this.test('Percentage discount is capped by maxDiscount', async () => {
+      const db = new MemoryDb(this);
+      db.seed(Promotion, [{ code: 'HALF', type: 'percentage', value: 50, maxDiscount: 30 }]);
+      const result = await promotionService.applyPromotionCode(' half ', { currency: 'USDC', rates: RATES, lines: [phoneLine] });
+      assert.strictEqual(result.promotion.code, 'HALF');
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.discountAmount, 30);
+    });
+
+    await this.test('Fixed discount is converted and never exceeds the eligible subtotal', async () => {
+      const promotion = new Promotion({ code: 'TAKE500', type: 'fixed', value: 500, currency: 'USDC' });
+      const result = await promotionService.evaluatePromotion(promotion, {
+        currency: 'NGN',
+        rates: RATES,
+        lines: [{ productId: 'p1', lineTotal: 300000 }, { productId: 'p2', lineTotal: 200 }]
+      });
+      assert.strictEqual(result.discountAmount, 300200);
+    });
+
+    await this.test('Only lines in scope count towards the discount and the minimum spend', async () => {
+      const promotion = new Promotion({ code: 'PHONES', type: 'percentage', value: 10, minSpend: 50, scope: { categories: ['Phones'] } });
+      const lines = [{ productId: 'p1', category: 'phones', lineTotal: 100 }, { productId: 'p2', category: 'laptops', lineTotal: 900 }];
+      const result = await promotionService.evaluatePromotion(promotion, { currency: 'USDC', rates: RATES, lines });
+      assert.deepStrictEqual([result.eligibleSubtotal, result.discountAmount], [100, 10]);
+
+      promotion.minSpend = 250;
+      const short = await promotionService.evaluatePromotion(promotion, { currency: 'USDC', rates: RATES, lines });
+      assert.strictEqual(short.valid, false);
+      assert.match(short.message, /Minimum spend of 250 USDC/);
+    });
+
+    await this.test('Inactive, unstarted, expired and used-up codes are refused', async () => {
+      const ctx = { currency: 'USDC', rates: RATES, lines: [phoneLine] };
+      const refusal = async (fields) => (await promotionService.evaluatePromotion(
+        new Promotion({ code: 'X10', type: 'percentage', value: 10, ...fields }), ctx
+      )).message;
+      assert.strictEqual(await refusal({ isActive: false }), 'Promotion is not active');
+      assert.strictEqual(await refusal({ startsAt: new Date(Date.now() + 60000) }), 'Promotion has not started yet');
+      assert.strictEqual(await refusal({ endsAt: new Date(Date.now() - 60000) }), 'Promotion has expired');
+      assert.strictEqual(await refusal({ usageLimit: 5, usageCount: 5 }), 'Promotion usage limit reached');
+    });
+
+    await this.test('Per-user cap counts the buyer\'s orders that were not cancelled', async () => {
+      const db = new MemoryDb(this);
+      const buyer = new mongoose.Types.ObjectId();
+      const [promotion] = db.seed(Promotion, [{ code: 'ONCE', type: 'percentage', value: 10, usageLimitPerUser: 1 }]);
+      db.seed(Order, [{ buyer, promotion: promotion._id, status: 'cancelled' }]);
+      const ctx = { userId: buyer, currency: 'USDC', rates: RATES, lines: [phoneLine] };
+
+      assert.strictEqual((await promotionService.applyPromotionCode('ONCE', ctx)).valid, true);
+      db.seed(Order, [{ buyer, promotion: promotion._id, status: 'pending' }]);
+      const second = await promotionService.applyPromotionCode('ONCE', ctx);
+      assert.strictEqual(second.valid, false);
+      assert.strictEqual(second.message, 'You have already used this promotion');
+    });
+
+    await this.test('Concurrent redemptions of the last use let exactly one order through', async () => {
+      const db = new MemoryDb(this);
+      const [promotion] = db.seed(Promotion, [{ code: 'LAST', type: 'fixed', value: 5, usageLimit: 3, usageCount: 2 }]);
+      const redeemed = await Promise.all([1, 2, 3].map(() => promotionService.redeemPromotion(promotion._id)));
+      assert.deepStrictEqual(redeemed.filter(Boolean).length, 1);
+      assert.strictEqual((await Promotion.findById(promotion._id).lean()).usageCount, 3);
+    });
+
+    await this.test('A redemption inside an aborted checkout transaction is not counted', async () => {
+      const db = new MemoryDb(this);
+      const [promotion] = db.seed(Promotion, [{ code: 'TXN', type: 'fixed', value: 5, usageLimit: 1 }]);
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      assert.strictEqual(await promotionService.redeemPromotion(promotion._id, { session }), true);
+      await session.abortTransaction();
+      session.endSession();
+      assert.strictEqual((await Promotion.findById(promotion._id).lean()).usageCount, 0);
+    });
+
+    await this.test('Releasing an order gives back one use, never going below zero', async () => {
+      const db = new MemoryDb(this);
+      const [promotion] = db.seed(Promotion, [{ code: 'BACK', type: 'fixed', value: 5, usageCount: 1 }]);
+      const order = { _id: new mongoose.Types.ObjectId(), promotion: promotion._id };
+      await promotionService.releasePromotion(order);
+      await promotionService.releasePromotion(order);
+      assert.strictEqual((await Promotion.findById(promotion._id).lean()).usageCount, 0);
+    });
+
+    await this.test('Admin search matches codes and names literally', async () => {
+      const db = new MemoryDb(this);
+      db.seed(Promotion, [
+        { code: 'SAVE10', name: 'Save 10 (spring)', type: 'fixed', value: 10 },
+        { code: 'SAVE100', name: 'Save 100', type: 'fixed', value: 100 }
+      ]);
+      const search = async (text) => (await callHandler(promotionController.listPromotions, { query: { search: text } })).body;
+      assert.deepStrictEqual((await search('10 (spring')).map((p) => p.code), ['SAVE10']);
+      assert.deepStrictEqual(await search('.*'), []);
+      assert.deepStrictEqual((await search('save1')).map((p) => p.code).sort(), ['SAVE10', 'SAVE100']);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const promotionTests = new PromotionTests();
+promotionTests.runAllTests();
@@ -0,0 +1,188 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test_key';
+process.env.FRONTEND_URL = 'https://shop.example.com/';
+
+const emailConfig = require('../src/email/config');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const ProductQuestion = require('../src/models/ProductQuestion');
+const questionController = require('../src/controllers/questionController');
+const productController = require('../src/controllers/productController');
+
+class QuestionTests extends TestSuite {
+  constructor() {
+    super('Question');
+  }
+
+  // A published lamp, an unpublished draft, a shopper and an admin
+  stockUp(db) {
+    const [lamp, draft] = db.seed(Product, [
+      { name: 'Desk Lamp', slug: 'desk-lamp', price: 20, stock: 5, published: true },
+      { name: 'Draft', slug: 'draft', price: 5, published: false }
+    ]);
+    const [shopper, admin] = db.seed(User, [
+      { name: 'Sam', email: 'sam@example.com', password: 'secret123' },
+      { name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'admin' }
+    ]);
+    return {
+      lamp,
+      draft,
+      shopper: { id: String(shopper._id), role: 'user' },
+      admin: { id: String(admin._id), role: 'admin' }
+    };
+  }
+
+  captureEmails() {
+    const sent = [];
+    this.stub(emailConfig.resend.emails, 'send', async (email) => {
+      sent.push(email);
+      return { data: { id: `email_${sent.length}` }, error: null };
+    });
+    return sent;
+  }
+
+  ask(user, productId, question) {
+    return callHandler(questionController.askQuestion, { user, params: { id: productId }, body: { question } });
+  }
+
+  answer(user, questionId, text) {
+    return callHandler(questionController.answerQuestion, { user, params: { id: String(questionId) }, body: { text } });
+  }
+
+  publicQuestions(productId, user) {
+    return callHandler(questionController.getProductQuestions, { user, params: { id: productId }, query: {} });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Question Tests...\n');
+
+    await this.test('Questions are asked on published products and wait unseen until answered', async () => {
+      const db = new MemoryDb(this);
+      const { lamp, draft, shopper } = this.stockUp(db);
+      assert.strictEqual((await this.ask(shopper, String(draft._id), 'Is this any good?')).status, 404);
+      assert.deepStrictEqual((await this.ask(shopper, 'desk-lamp', 'Hi?')).body.errors, [{ msg: 'Question must be at least 5 characters' }]);
+      assert.strictEqual((await this.ask(shopper, 'desk-lamp', 'x'.repeat(501))).status, 400);
+
+      const asked = await this.ask(shopper, 'desk-lamp', '  Does it take LED bulbs?  ');
+      assert.deepStrictEqual([asked.status, asked.body.question, String(asked.body.product)], [201, 'Does it take LED bulbs?', String(lamp._id)]);
+
+      const anonymous = await this.publicQuestions('desk-lamp');
+      assert.deepStrictEqual([anonymous.body.questions, anonymous.body.total, anonymous.body.myQuestions], [[], 0, []]);
+      const own = await this.publicQuestions(String(lamp._id), shopper);
+      assert.deepStrictEqual(own.body.myQuestions.map((q) => q.question), ['Does it take LED bulbs?']);
+    });
+
+    await this.test('Answering emails the asker and shows the thread on the product without private fields', async () => {
+      const db = new MemoryDb(this);
+      const { lamp, shopper, admin } = this.stockUp(db);
+      const sent = this.captureEmails();
+      const { body: question } = await this.ask(shopper, 'desk-lamp', 'Does it take LED bulbs?');
+
+      assert.strictEqual((await this.answer(admin, question._id, '   ')).status, 400);
+      assert.strictEqual((await this.answer(admin, new mongoose.Types.ObjectId(), 'Yes')).status, 404);
+      const answered = await this.answer(admin, question._id, 'Yes, any E27 LED bulb.');
+      assert.strictEqual(answered.status, 201);
+      assert.ok(answered.body.answeredAt);
+
+      assert.strictEqual(sent.length, 1);
+      assert.deepStrictEqual(sent[0].to, ['sam@example.com']);
+      assert.match(sent[0].subject, /^Your question about Desk Lamp was answered/);
+      assert.ok(sent[0].html.includes('https://shop.example.com/products/desk-lamp'));
+      assert.ok(sent[0].html.includes('Yes, any E27 LED bulb.'));
+
+      const { body } = await this.publicQuestions('desk-lamp');
+      assert.strictEqual(body.total, 1);
+      const [shown] = body.questions;
+      assert.deepStrictEqual([shown.user.name, shown.user.email, shown.hidden], ['Sam', undefined, undefined]);
+      assert.deepStrictEqual([shown.answers[0].user.name, shown.answers[0].user.email], ['Ada', undefined]);
+
+      const detail = await callHandler(productController.getProductById, { params: { id: String(lamp._id) } });
+      assert.deepStrictEqual([detail.body.questionCount, detail.body.questions.map((q) => q.question)], [1, ['Does it take LED bulbs?']]);
+    });
+
+    await this.test('A failing email does not fail the answer', async () => {
+      const db = new MemoryDb(this);
+      const { shopper, admin } = this.stockUp(db);
+      this.stub(emailConfig.resend.emails, 'send', async () => {
+        throw new Error('Resend is down');
+      });
+      const { body: question } = await this.ask(shopper, 'desk-lamp', 'Is the cable long?');
+      const answered = await this.answer(admin, question._id, 'It is 1.8m.');
+      assert.strictEqual(answered.status, 201);
+      assert.strictEqual((await ProductQuestion.findById(question._id).lean()).answers.length, 1);
+    });
+
+    await this.test('The answer queue lists the oldest unanswered first; hidden questions leave the product page', async () => {
+      const db = new MemoryDb(this);
+      const { lamp, shopper, admin } = this.stockUp(db);
+      this.captureEmails();
+      const day = 24 * 60 * 60 * 1000;
+      const [older, newer, done] = db.seed(ProductQuestion, [
+        { product: lamp._id, user: shopper.id, question: 'How bright is it?', createdAt: new Date(Date.now() - 2 * day) },
+        { product: lamp._id, user: shopper.id, question: 'Is it dimmable?', createdAt: new Date(Date.now() - day) },
+        { product: lamp._id, user: shopper.id, question: 'What colour is it?' }
+      ]);
+      await this.answer(admin, done._id, 'Black.');
+
+      const list = (query) => callHandler(questionController.adminListQuestions, { user: admin, query });
+      const queue = await list({ status: 'unanswered' });
+      assert.deepStrictEqual(queue.body.questions.map((q) => String(q._id)), [String(older._id), String(newer._id)]);
+      assert.strictEqual(queue.body.pagination.total, 2);
+      assert.strictEqual((await list({ status: 'open' })).status, 400);
+      assert.strictEqual((await list({ product: 'lamp' })).status, 400);
+
+      const hide = (hidden) => callHandler(questionController.setQuestionHidden, { user: admin, params: { id: String(done._id) }, body: { hidden } });
+      assert.strictEqual((await hide('yes')).status, 400);
+      assert.strictEqual((await hide(true)).body.hidden, true);
+      assert.strictEqual((await this.publicQuestions('desk-lamp')).body.total, 0);
+      assert.deepStrictEqual((await list({ hidden: 'true' })).body.questions.map((q) => String(q._id)), [String(done._id)]);
+    });
+
+    await this.test('Deleting the last answer puts the question back in the queue', async () => {
+      const db = new MemoryDb(this);
+      const { shopper, admin } = this.stockUp(db);
+      this.captureEmails();
+      const { body: question } = await this.ask(shopper, 'desk-lamp', 'Does it have a switch?');
+      const first = await this.answer(admin, question._id, 'Yes, on the cable.');
+      const second = await this.answer(admin, question._id, 'And a touch dimmer.');
+      assert.strictEqual(String(second.body.answeredAt), String(first.body.answeredAt));
+
+      const remove = (answerId) => callHandler(questionController.deleteAnswer, { user: admin, params: { id: question._id, answerId: String(answerId) } });
+      assert.strictEqual((await remove(new mongoose.Types.ObjectId())).status, 404);
+      const [one, two] = second.body.answers;
+      assert.ok((await remove(one._id)).body.answeredAt);
+      const emptied = await remove(two._id);
+      assert.deepStrictEqual([emptied.body.answers, emptied.body.answeredAt], [[], null]);
+      assert.strictEqual((await this.publicQuestions('desk-lamp')).body.total, 0);
+    });
+
+    await this.test('Shoppers delete only their own questions; admins delete any', async () => {
+      const db = new MemoryDb(this);
+      const { shopper, admin } = this.stockUp(db);
+      const { body: question } = await this.ask(shopper, 'desk-lamp', 'Is there a warranty?');
+      const other = { id: new mongoose.Types.ObjectId().toString(), role: 'user' };
+      const remove = (user, questionId) => callHandler(questionController.deleteQuestion, { user, params: { id: 'desk-lamp', questionId } });
+
+      assert.strictEqual((await remove(other, 'nope')).status, 400);
+      assert.strictEqual((await remove(other, String(question._id))).status, 403);
+      assert.strictEqual((await remove(shopper, String(question._id))).status, 200);
+      assert.strictEqual(await ProductQuestion.countDocuments(), 0);
+
+      const { body: again } = await this.ask(shopper, 'desk-lamp', 'Is there a warranty?');
+      const adminRemove = (id) => callHandler(questionController.adminDeleteQuestion, { user: admin, params: { id } });
+      assert.strictEqual((await adminRemove(String(again._id))).status, 200);
+      assert.strictEqual((await adminRemove(String(again._id))).status, 404);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const questionTests = new QuestionTests();
+questionTests.runAllTests();
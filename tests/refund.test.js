@@ -0,0 +1,254 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Refund = require('../src/models/Refund');
+const Payment = require('../src/models/Payment');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const DeliveryMethod = require('../src/models/DeliveryMethod');
+const StockReservation = require('../src/models/StockReservation');
+const { Order, OrderItem } = require('../src/models/Order');
+const PaystackService = require('../src/services/paystackService');
+const blockchainPaymentService = require('../src/services/blockchainPaymentService');
+const refundService = require('../src/services/refundService');
+const cartController = require('../src/controllers/cartController');
+const orderController = require('../src/controllers/orderController');
+const refundController = require('../src/controllers/refundController');
+
+class RefundTests extends TestSuite {
+  constructor() {
+    super('Refund');
+  }
+
+  /**
+   * A paid order for two phones (30 each) and a cable (40) with a 10 delivery fee, its completed
+   * payment, the buyer and the products' stock
+   */
+  paidOrder(db, fields = {}) {
+    const [buyer] = db.seed(User, [{ name: 'Buyer', email: 'buyer@example.com', password: 'secret123', walletAddress: '0xbuyer', platformBalance: 5 }]);
+    const [phone, cable] = db.seed(Product, [{ name: 'Phone', price: 30, stock: 1 }, { name: 'Cable', price: 40, stock: 0 }]);
+    const [order] = db.seed(Order, [{
+      orderNumber: 'ORD-1',
+      buyer: buyer._id,
+      deliveryMethod: new mongoose.Types.ObjectId(),
+      subTotal: 100,
+      deliveryFee: 10,
+      totalAmount: 110,
+      currency: 'USDC',
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      paymentMethod: 'crypto',
+      ...fields
+    }]);
+    const items = db.seed(OrderItem, [
+      { order: order._id, product: phone._id, productName: 'Phone', quantity: 2, unitPrice: 30, totalPrice: 60, currency: 'USDC' },
+      { order: order._id, product: cable._id, productName: 'Cable', quantity: 1, unitPrice: 40, totalPrice: 40, currency: 'USDC' }
+    ]);
+    db.seed(Payment, [{ order: order._id, user: buyer._id, amount: 110, currency: 'USDC', method: order.paymentMethod === 'wallet' ? 'wallet' : 'crypto', status: 'completed' }]);
+    return { buyer, order, items, phone, cable };
+  }
+
+  async request(orderId, items) {
+    return refundService.requestRefund({ order: await Order.findById(orderId), items, reason: 'Damaged' });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Refund Tests...\n');
+
+    await this.test('Refunds go back through the rail the order was paid with', async () => {
+      assert.strictEqual(refundService.refundMethodFor({ paymentMethod: 'paystack', paystackReference: 'ref' }), 'paystack');
+      assert.strictEqual(refundService.refundMethodFor({ paymentMethod: 'paystack' }), null);
+      assert.strictEqual(refundService.refundMethodFor({ paymentMethod: 'seerbit', seerbitReference: 'ref' }), 'seerbit');
+      assert.strictEqual(refundService.refundMethodFor({ paymentMethod: 'crypto' }), 'crypto');
+      assert.strictEqual(refundService.refundMethodFor({ paymentMethod: 'wallet' }), 'wallet');
+      assert.strictEqual(refundService.refundMethodFor({ paymentMethod: 'cash' }), null);
+    });
+
+    await this.test('Orders without a completed payment cannot be refunded', async () => {
+      const db = new MemoryDb(this);
+      const { order } = this.paidOrder(db);
+      await Payment.deleteMany({ order: order._id });
+      const result = await this.request(order._id);
+      assert.strictEqual(result.status, 400);
+      assert.match(result.error, /No payment was recorded/);
+    });
+
+    await this.test('A refund request with items that are not a list is refused', async () => {
+      const db = new MemoryDb(this);
+      const { buyer, order, items } = this.paidOrder(db);
+      const request = (body) => callHandler(refundController.requestOrderRefund, {
+        user: { id: String(buyer._id) }, params: { id: String(order._id) }, body
+      });
+      for (const malformed of ['all', { orderItemId: String(items[0]._id) }, [null]]) {
+        const { status, body } = await request({ items: malformed });
+        assert.deepStrictEqual([status, body.msg], [400, 'items must be a list of { orderItemId, quantity }']);
+      }
+      assert.strictEqual(await Refund.countDocuments(), 0);
+      const listed = await request({ items: [{ orderItemId: String(items[0]._id), quantity: 1 }] });
+      assert.deepStrictEqual([listed.status, listed.body.amount], [201, 30]);
+    });
+
+    await this.test('A partial refund is the items\' share of the goods; the last one settles the rest', async () => {
+      const db = new MemoryDb(this);
+      const { order, items } = this.paidOrder(db);
+      const { refund: partial } = await this.request(order._id, [{ orderItem: String(items[0]._id), quantity: 1 }]);
+      assert.deepStrictEqual([partial.fullRefund, partial.amount, partial.method], [false, 30, 'crypto']);
+
+      const tooMany = await this.request(order._id, [{ orderItem: String(items[0]._id), quantity: 2 }]);
+      assert.deepStrictEqual(tooMany, { status: 400, error: 'Only 1 of Phone can still be refunded' });
+
+      const { refund: rest } = await this.request(order._id);
+      assert.strictEqual(rest.fullRefund, true);
+      assert.strictEqual(rest.amount, 80);
+      assert.deepStrictEqual(rest.items.map((line) => line.quantity), [1, 1]);
+      assert.strictEqual((await this.request(order._id)).status, 409);
+    });
+
+    await this.test('A wallet refund credits the platform balance, restocks and marks the order refunded', async () => {
+      const db = new MemoryDb(this);
+      const { buyer, order, phone } = this.paidOrder(db, { paymentMethod: 'wallet' });
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async () => {
+        throw new Error('wallet refunds must not send USDC');
+      });
+      const { refund: requested } = await this.request(order._id);
+      const { refund } = await refundService.approveRefund(requested._id, new mongoose.Types.ObjectId());
+
+      assert.strictEqual(refund.status, 'completed');
+      assert.strictEqual((await User.findById(buyer._id).lean()).platformBalance, 115);
+      assert.strictEqual((await Product.findById(phone._id).lean()).stock, 3);
+      const stored = await Order.findById(order._id).lean();
+      assert.deepStrictEqual([stored.paymentStatus, stored.status, stored.refundedAmount], ['refunded', 'refunded', 110]);
+      assert.strictEqual(await Payment.countDocuments({ order: order._id, status: 'refunded' }), 1);
+    });
+
+    await this.test('Approving the same refund twice at once pays it out once', async () => {
+      const db = new MemoryDb(this);
+      const { buyer, order } = this.paidOrder(db, { paymentMethod: 'wallet' });
+      const { refund } = await this.request(order._id);
+      const results = await Promise.all([
+        refundService.approveRefund(refund._id, new mongoose.Types.ObjectId()),
+        refundService.approveRefund(refund._id, new mongoose.Types.ObjectId())
+      ]);
+      assert.deepStrictEqual(results.map((result) => result.status || result.refund.status).sort(), [409, 'completed']);
+      assert.strictEqual((await User.findById(buyer._id).lean()).platformBalance, 115);
+    });
+
+    await this.test('A declined Paystack refund fails and can be approved again', async () => {
+      const db = new MemoryDb(this);
+      const { order } = this.paidOrder(db, { paymentMethod: 'paystack', paystackReference: 'ps_ref' });
+      let declines = 1;
+      this.stub(PaystackService, 'createRefund', async () => (declines-- > 0
+        ? { status: false, message: 'Transaction has been fully reversed' }
+        : { status: true, data: { id: 77 } }));
+      const { refund } = await this.request(order._id);
+      const failed = await refundService.approveRefund(refund._id, new mongoose.Types.ObjectId());
+      assert.strictEqual(failed.refund.status, 'failed');
+      assert.strictEqual(failed.refund.failureReason, 'Transaction has been fully reversed');
+
+      const retried = await refundService.approveRefund(refund._id, new mongoose.Types.ObjectId());
+      assert.strictEqual(retried.refund.status, 'completed');
+      assert.strictEqual(retried.refund.payoutCurrency, 'NGN');
+      assert.strictEqual(retried.refund.providerReference, '77');
+    });
+
+    await this.test('A broadcast transfer with an unknown outcome stays processing until it is mined', async () => {
+      const db = new MemoryDb(this);
+      const { order } = this.paidOrder(db);
+      this.stub(blockchainPaymentService, 'getUSDCTransferSender', async () => null);
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async (to, amount, options) => {
+        await options.onSubmitted('0xhash');
+        throw new Error('timeout waiting for receipt');
+      });
+      this.stub(blockchainPaymentService, 'getTransferStatus', async () => 'pending');
+      const { refund } = await this.request(order._id);
+      const approved = await refundService.approveRefund(refund._id, new mongoose.Types.ObjectId());
+      assert.strictEqual(approved.refund.status, 'processing');
+      assert.strictEqual(approved.refund.payoutAddress, '0xbuyer');
+      assert.match(approved.refund.failureReason, /Payout outcome unknown/);
+      assert.strictEqual((await refundService.approveRefund(refund._id, new mongoose.Types.ObjectId())).status, 409);
+      assert.strictEqual((await refundService.reconcileRefund(refund._id, new mongoose.Types.ObjectId(), { outcome: 'failed' })).status, 409);
+
+      this.stub(blockchainPaymentService, 'getTransferStatus', async () => 'confirmed');
+      const settled = await refundService.reconcileRefund(refund._id, new mongoose.Types.ObjectId());
+      assert.strictEqual(settled.refund.status, 'completed');
+      assert.strictEqual((await Order.findById(order._id).lean()).paymentStatus, 'refunded');
+    });
+
+    await this.test('A reverted transfer fails the refund so it can be approved again', async () => {
+      const db = new MemoryDb(this);
+      const { order } = this.paidOrder(db);
+      this.stub(blockchainPaymentService, 'getUSDCTransferSender', async () => null);
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async (to, amount, options) => {
+        await options.onSubmitted('0xhash');
+        throw new Error('transaction reverted');
+      });
+      this.stub(blockchainPaymentService, 'getTransferStatus', async () => 'reverted');
+      const { refund } = await this.request(order._id);
+      const result = await refundService.approveRefund(refund._id, new mongoose.Types.ObjectId());
+      assert.strictEqual(result.refund.status, 'failed');
+      assert.strictEqual((await Refund.findById(refund._id).lean()).status, 'failed');
+    });
+
+    await this.test('A crypto refund goes to the address whose USDC paid the order, not the relayer', async () => {
+      const db = new MemoryDb(this);
+      const [payer, relayer, paymentAddress] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+      const { order } = this.paidOrder(db, { paymentAddress, paymentTransactionHash: '0xpaid' });
+      const usdc = blockchainPaymentService.getUSDCContractAddress();
+      const erc20 = new ethers.Interface(blockchainPaymentService.erc20ABI);
+      const transfer = (address, from, to) => ({ address, ...erc20.encodeEventLog('Transfer', [from, to, 110000000n]) });
+      // Another token's transfer to the payment address says nothing about who paid in USDC
+      let logs = [transfer(relayer, relayer, paymentAddress)];
+      this.stub(blockchainPaymentService.provider, 'getTransactionReceipt', async () => ({ from: relayer, logs }));
+      const sentTo = [];
+      this.stub(blockchainPaymentService, 'sendUSDCFromMainWallet', async (to) => {
+        sentTo.push(to);
+        return { success: true, transactionHash: '0xrefund' };
+      });
+      const { refund } = await this.request(order._id);
+      const refused = await refundService.approveRefund(refund._id, new mongoose.Types.ObjectId());
+      assert.deepStrictEqual([refused.refund.status, refused.refund.failureReason, sentTo], [
+        'failed', 'No payout address found; approve again with a payoutAddress', []
+      ]);
+
+      logs = [transfer(usdc, payer, relayer), transfer(usdc, payer, paymentAddress)];
+      const paid = await refundService.approveRefund(refund._id, new mongoose.Types.ObjectId());
+      assert.deepStrictEqual([paid.refund.status, paid.refund.payoutAddress, sentTo], ['completed', payer, [payer]]);
+    });
+
+    await this.test('A wallet payment only debits a balance that still covers it', async () => {
+      const db = new MemoryDb(this);
+      const [buyer] = db.seed(User, [{ name: 'Buyer', email: 'buyer@example.com', password: 'secret123', walletAddress: '0xbuyer', platformBalance: 30 }]);
+      const [mug] = db.seed(Product, [{ name: 'Mug', price: 10, stock: 2 }]);
+      const [pickup] = db.seed(DeliveryMethod, [{ name: 'Pickup', code: 'PICKUP', price: 0, currency: 'USDC' }]);
+      const pay = async (user) => {
+        await callHandler(cartController.addItemToCart, { user: { id: String(buyer._id) }, body: { productId: String(mug._id), quantity: 2 } });
+        return callHandler(orderController.processUSDCWalletPayment, { user, body: { deliveryMethodId: String(pickup._id) } });
+      };
+
+      // The buyer was loaded with 30 but spent 25 of it elsewhere before this payment
+      const stale = await User.findById(buyer._id);
+      await User.updateOne({ _id: buyer._id }, { $inc: { platformBalance: -25 } });
+      const refused = await pay(stale);
+      assert.deepStrictEqual([refused.status, refused.body.available], [400, 5]);
+      assert.strictEqual((await User.findById(buyer._id).lean()).platformBalance, 5);
+      assert.strictEqual((await Product.findById(mug._id).lean()).stock, 2);
+      assert.strictEqual(await Order.countDocuments(), 0);
+
+      await User.updateOne({ _id: buyer._id }, { $inc: { platformBalance: 25 } });
+      const paid = await pay(await User.findById(buyer._id));
+      assert.strictEqual(paid.status, 200);
+      assert.strictEqual((await User.findById(buyer._id).lean()).platformBalance, 30 - paid.body.totalAmount);
+      assert.strictEqual((await Product.findById(mug._id).lean()).stock, 0);
+      assert.strictEqual((await StockReservation.findOne({ order: paid.body._id }).lean()).status, 'committed');
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const refundTests = new RefundTests();
+refundTests.runAllTests();
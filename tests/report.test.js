@@ -0,0 +1,174 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const { Order, OrderItem } = require('../src/models/Order');
+const reportService = require('../src/services/reportService');
+const reportController = require('../src/controllers/reportController');
+
+const MARCH = { from: '2026-03-01', to: '2026-03-31' };
+
+class ReportTests extends TestSuite {
+  constructor() {
+    super('Report');
+  }
+
+  /*
+   * March 2026, at the default rates (1 USD = 1 USDC = 1500 NGN):
+   * - Mar 2, Sam: a lamp, 121 USDC with 11 tax, wallet, paid
+   * - Mar 9, Kim: a desk, 150000 NGN (100 USD) by Paystack, half refunded
+   * - Mar 16, Sam: two mugs, 50 USDC, wallet, delivered
+   * - Mar 20, Lou: 30 USDC by Paystack, never paid
+   * Kim also paid for an order in February, and an April order falls outside the range.
+   */
+  stockUp(db) {
+    const [sam, kim, lou] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const [lamp, desk, mug] = db.seed(Product, [
+      { name: 'Lamp', price: 110 },
+      { name: 'Desk', price: 100 },
+      { name: 'Mug', price: 25 }
+    ]);
+    const place = (buyer, createdAt, fields, lines = []) => {
+      const orderId = new mongoose.Types.ObjectId();
+      const items = db.seed(OrderItem, lines.map(([product, quantity, totalPrice, more = {}]) => ({
+        order: orderId, product: product._id, productName: product.name, quantity, unitPrice: totalPrice / quantity, totalPrice,
+        currency: fields.currency || 'USDC', ...more
+      })));
+      db.seed(Order, [{
+        _id: orderId, buyer, deliveryMethod: new mongoose.Types.ObjectId(), subTotal: 0, deliveryFee: 0, currency: 'USDC',
+        status: 'confirmed', paymentStatus: 'paid', paymentMethod: 'wallet', createdAt: new Date(createdAt), items: items.map((item) => item._id), ...fields
+      }]);
+    };
+    place(sam, '2026-03-02T09:00:00Z', { totalAmount: 121, taxAmount: 11 }, [[lamp, 1, 110]]);
+    place(kim, '2026-03-09T09:00:00Z', {
+      totalAmount: 150000, currency: 'NGN', paymentMethod: 'paystack', paymentStatus: 'refunded', status: 'refunded', refundedAmount: 75000
+    }, [[desk, 1, 150000, { refundedQuantity: 1 }]]);
+    place(sam, '2026-03-16T09:00:00Z', { totalAmount: 50, status: 'delivered' }, [[mug, 2, 50]]);
+    place(lou, '2026-03-20T09:00:00Z', { totalAmount: 30, paymentMethod: 'paystack', paymentStatus: 'unpaid', status: 'pending' }, [[mug, 1, 25]]);
+    place(kim, '2026-02-10T09:00:00Z', { totalAmount: 20 }, [[mug, 1, 20]]);
+    place(lou, '2026-04-02T09:00:00Z', { totalAmount: 500 }, [[lamp, 5, 500]]);
+    return { lamp, desk, mug };
+  }
+
+  async report(name, query = {}) {
+    const params = reportService.reportParams({ ...MARCH, granularity: 'month', ...query });
+    assert.strictEqual(params.error, undefined);
+    return reportService.runReport(name, params);
+  }
+
+  // Rows keyed by one column, for breakdowns whose ties have no set order
+  byKey(rows, key) {
+    return Object.fromEntries(rows.map(({ [key]: value, ...rest }) => [value, rest]));
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Report Tests...\n');
+
+    await this.test('Report parameters are required and checked', async () => {
+      const error = (query) => reportService.reportParams(query).error;
+      assert.strictEqual(error({ from: '2026-03-01', to: '2026-03-31' }), 'from, to and granularity are required');
+      assert.strictEqual(error({ ...MARCH, granularity: 'year' }), 'Granularity must be day, week or month');
+      assert.strictEqual(error({ ...MARCH, granularity: 'day', currency: 'JPY' }), 'Currency must be one of: USD, USDC, NGN, EUR, GHS');
+      assert.strictEqual(error({ from: '2026-04-01', to: '2026-03-01', granularity: 'day' }), 'from must be before to');
+
+      const params = reportService.reportParams({ ...MARCH, granularity: 'day', currency: 'ngn', limit: '500' });
+      assert.deepStrictEqual([params.to.toISOString(), params.currency, params.limit], ['2026-03-31T23:59:59.999Z', 'NGN', 50]);
+
+      const refuse = async (query) => (await callHandler(reportController.getSalesReport, { query })).status;
+      assert.strictEqual(await refuse({}), 400);
+      assert.strictEqual(await refuse({ ...MARCH, granularity: 'month', format: 'pdf' }), 400);
+    });
+
+    await this.test('Sales count paid orders, take out refunds and tax, and cover every period', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      const monthly = await this.report('sales');
+      assert.deepStrictEqual(monthly.rows, [{ period: '2026-03', orders: 4, paidOrders: 3, gmv: 271, refunds: 50, tax: 11, netRevenue: 210, aov: 90.33 }]);
+
+      const weekly = await this.report('sales', { granularity: 'week' });
+      assert.deepStrictEqual(weekly.rows.map((row) => [row.period, row.orders, row.paidOrders, row.gmv]), [
+        ['2026-W09', 0, 0, 0], ['2026-W10', 1, 1, 121], ['2026-W11', 1, 1, 100], ['2026-W12', 2, 1, 50], ['2026-W13', 0, 0, 0], ['2026-W14', 0, 0, 0]
+      ]);
+      assert.deepStrictEqual(weekly.totals, monthly.totals);
+
+      const inNaira = await this.report('sales', { currency: 'NGN' });
+      assert.deepStrictEqual([inNaira.totals.gmv, inNaira.totals.refunds, inNaira.currency], [406500, 75000, 'NGN']);
+    });
+
+    await this.test('Orders break down by status and payment method, with the paid share of each', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      const statuses = await this.report('order-status');
+      assert.deepStrictEqual(this.byKey(statuses.totals, 'status'), {
+        confirmed: { orders: 1, value: 121, paidOrders: 1, gmv: 121 },
+        refunded: { orders: 1, value: 100, paidOrders: 1, gmv: 100 },
+        delivered: { orders: 1, value: 50, paidOrders: 1, gmv: 50 },
+        pending: { orders: 1, value: 30, paidOrders: 0, gmv: 0 }
+      });
+      assert.deepStrictEqual(statuses.columns, ['period', 'status', 'orders', 'value', 'paidOrders', 'gmv']);
+
+      const methods = await this.report('payment-methods');
+      assert.deepStrictEqual(this.byKey(methods.totals, 'paymentMethod'), {
+        wallet: { orders: 2, value: 171, paidOrders: 2, gmv: 171 },
+        paystack: { orders: 2, value: 130, paidOrders: 1, gmv: 100 }
+      });
+    });
+
+    await this.test('Currencies show paid amounts as charged and normalised', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      const { rows, totals } = await this.report('currencies');
+      assert.deepStrictEqual(rows, [
+        { period: '2026-03', currency: 'NGN', orders: 1, gmv: 150000, refunds: 75000, normalizedGmv: 100, normalizedRefunds: 50 },
+        { period: '2026-03', currency: 'USDC', orders: 2, gmv: 171, refunds: 0, normalizedGmv: 171, normalizedRefunds: 0 }
+      ]);
+      assert.deepStrictEqual(totals.map((row) => row.currency), ['USDC', 'NGN']);
+    });
+
+    await this.test('Buyers are new in the period of their first paid order and returning after it', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      const monthly = await this.report('buyers');
+      assert.deepStrictEqual(monthly.rows, [{ period: '2026-03', buyers: 2, newBuyers: 1, returningBuyers: 1 }]);
+
+      const weekly = await this.report('buyers', { granularity: 'week' });
+      assert.deepStrictEqual(weekly.rows.filter((row) => row.buyers > 0), [
+        { period: '2026-W10', buyers: 1, newBuyers: 1, returningBuyers: 0 },
+        { period: '2026-W11', buyers: 1, newBuyers: 0, returningBuyers: 1 },
+        { period: '2026-W12', buyers: 1, newBuyers: 0, returningBuyers: 1 }
+      ]);
+      assert.deepStrictEqual(weekly.totals, { buyers: 2, newBuyers: 1, returningBuyers: 1 });
+    });
+
+    await this.test('Top products rank paid sales by normalised revenue, per period and overall', async () => {
+      const db = new MemoryDb(this);
+      const { lamp, desk } = this.stockUp(db);
+      const { rows, totals } = await this.report('top-products', { limit: '2' });
+      assert.deepStrictEqual(rows.map((row) => [row.period, row.rank, row.name, row.units, row.refundedUnits, row.revenue]), [
+        ['2026-03', 1, 'Lamp', 1, 0, 110], ['2026-03', 2, 'Desk', 1, 1, 100]
+      ]);
+      assert.deepStrictEqual(totals.map((row) => [String(row.product), row.rank]), [[String(lamp._id), 1], [String(desk._id), 2]]);
+    });
+
+    await this.test('Reports download as CSV with their columns', async () => {
+      const db = new MemoryDb(this);
+      this.stockUp(db);
+      const { status, body, headers } = await callHandler(reportController.getSalesReport, { query: { ...MARCH, granularity: 'month', format: 'csv' } });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(headers['content-type'], 'text/csv; charset=utf-8');
+      assert.strictEqual(headers['content-disposition'], 'attachment; filename="sales-2026-03-01-to-2026-03-31-month.csv"');
+      assert.deepStrictEqual(body.trim().split(/\r?\n/), ['period,orders,paidOrders,gmv,refunds,tax,netRevenue,aov', '2026-03,4,3,271,50,11,210,90.33']);
+
+      const json = await callHandler(reportController.getTopProductsReport, { query: { ...MARCH, granularity: 'month' } });
+      assert.deepStrictEqual([json.body.report, json.body.rows.length, json.body.rates.NGN], ['top-products', 3, 1500]);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const reportTests = new ReportTests();
+reportTests.runAllTests();
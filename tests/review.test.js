@@ -0,0 +1,147 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const Review = require('../src/models/Review');
+const User = require('../src/models/User');
+const { Order, OrderItem } = require('../src/models/Order');
+const reviewService = require('../src/services/reviewService');
+const reviewController = require('../src/controllers/reviewController');
+
+class ReviewTests extends TestSuite {
+  constructor() {
+    super('Review');
+  }
+
+  // A published phone, an unpublished draft and two shoppers
+  catalog(db) {
+    const [phone, draft] = db.seed(Product, [
+      { name: 'Phone', slug: 'phone', price: 100 },
+      { name: 'Draft', slug: 'draft', price: 100, published: false }
+    ]);
+    const [alice, bob] = db.seed(User, [
+      { name: 'Alice', email: 'alice@example.com', password: 'secret123' },
+      { name: 'Bob', email: 'bob@example.com', password: 'secret123' }
+    ]);
+    return { phone, draft, alice, bob };
+  }
+
+  // An order for the product in the given order status, with its item in the given item status
+  buy(db, buyer, product, orderStatus, itemStatus = 'ordered') {
+    const [order] = db.seed(Order, [{
+      buyer: buyer._id, deliveryMethod: new mongoose.Types.ObjectId(), subTotal: 100, deliveryFee: 0, totalAmount: 100, currency: 'USDC', status: orderStatus
+    }]);
+    const [item] = db.seed(OrderItem, [{ order: order._id, product: product._id, quantity: 1, unitPrice: 100, totalPrice: 100, currency: 'USDC', status: itemStatus }]);
+    return item;
+  }
+
+  review(product, user, body) {
+    return callHandler(reviewController.createReview, { params: { id: product.slug }, user: { id: String(user._id) }, body });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Review Tests...\n');
+
+    await this.test('A purchase is verified once its order or item is delivered and not refunded', async () => {
+      const db = new MemoryDb(this);
+      const { phone, alice, bob } = this.catalog(db);
+      this.buy(db, alice, phone, 'shipped');
+      assert.strictEqual(await reviewService.findVerifiedPurchase(alice._id, phone._id), null);
+      const delivered = this.buy(db, alice, phone, 'confirmed', 'delivered');
+      assert.strictEqual(String((await reviewService.findVerifiedPurchase(alice._id, phone._id))._id), String(delivered._id));
+
+      this.buy(db, bob, phone, 'refunded', 'delivered');
+      this.buy(db, bob, phone, 'delivered', 'cancelled');
+      assert.strictEqual(await reviewService.findVerifiedPurchase(bob._id, phone._id), null);
+    });
+
+    await this.test('A new review waits for moderation, flagged when the purchase is verified', async () => {
+      const db = new MemoryDb(this);
+      const { phone, alice } = this.catalog(db);
+      const item = this.buy(db, alice, phone, 'delivered');
+      const { status, body } = await this.review(phone, alice, { rating: '5', title: 'Great' });
+      assert.strictEqual(status, 201);
+      assert.deepStrictEqual([body.status, body.rating, body.verifiedPurchase, String(body.orderItem)], ['pending', 5, true, String(item._id)]);
+      assert.strictEqual((await Product.findById(phone._id).lean()).reviewCount, 0);
+    });
+
+    await this.test('Ratings outside 1-5, drafts and second reviews are refused', async () => {
+      const db = new MemoryDb(this);
+      const { phone, draft, alice } = this.catalog(db);
+      assert.strictEqual((await this.review(phone, alice, { rating: 4.5 })).status, 400);
+      assert.strictEqual((await this.review(phone, alice, { rating: 6 })).status, 400);
+      assert.strictEqual((await this.review(draft, alice, { rating: 5 })).status, 404);
+      assert.strictEqual((await this.review(phone, alice, { rating: 5 })).status, 201);
+      assert.strictEqual((await this.review(phone, alice, { rating: 1 })).status, 409);
+
+      // Two requests that both pass the existence check still leave one review
+      await Review.deleteMany({});
+      const racing = await Promise.all([this.review(phone, alice, { rating: 5 }), this.review(phone, alice, { rating: 4 })]);
+      assert.deepStrictEqual(racing.map((r) => r.status).sort(), [201, 409]);
+    });
+
+    await this.test('Approving and rejecting keep the product\'s rating and star breakdown in step', async () => {
+      const db = new MemoryDb(this);
+      const { phone, alice, bob } = this.catalog(db);
+      const [carol] = db.seed(User, [{ name: 'Carol', email: 'carol@example.com', password: 'secret123' }]);
+      const reviews = [];
+      for (const [user, rating] of [[alice, 5], [bob, 4], [carol, 1]]) reviews.push((await this.review(phone, user, { rating })).body);
+      const admin = new mongoose.Types.ObjectId();
+      await reviewService.moderateReview(reviews[0]._id, 'approved', admin);
+      await reviewService.moderateReview(reviews[1]._id, 'approved', admin);
+      const rejected = await reviewService.moderateReview(reviews[2]._id, 'rejected', admin, 'Off-topic');
+      assert.strictEqual(rejected.moderationNote, 'Off-topic');
+
+      const stored = await Product.findById(phone._id).lean();
+      assert.deepStrictEqual([stored.averageRating, stored.reviewCount], [4.5, 2]);
+      assert.deepStrictEqual(await reviewService.ratingBreakdown(phone._id), { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 });
+      assert.strictEqual(await reviewService.moderateReview(new mongoose.Types.ObjectId(), 'approved', admin), null);
+    });
+
+    await this.test('Editing an approved review sends it back to moderation and out of the rating', async () => {
+      const db = new MemoryDb(this);
+      const { phone, alice, bob } = this.catalog(db);
+      const { body: review } = await this.review(phone, alice, { rating: 5 });
+      await reviewService.moderateReview(review._id, 'approved', new mongoose.Types.ObjectId());
+
+      const denied = await callHandler(reviewController.updateReview, {
+        params: { id: phone.slug, reviewId: String(review._id) }, user: { id: String(bob._id) }, body: { rating: 1 }
+      });
+      assert.strictEqual(denied.status, 403);
+
+      const edited = await callHandler(reviewController.updateReview, {
+        params: { id: phone.slug, reviewId: String(review._id) }, user: { id: String(alice._id) }, body: { rating: 3 }
+      });
+      assert.deepStrictEqual([edited.body.status, edited.body.rating, edited.body.moderatedBy], ['pending', 3, null]);
+      assert.deepStrictEqual(
+        await Product.findById(phone._id).select('averageRating reviewCount').lean().then((p) => [p.averageRating, p.reviewCount]),
+        [0, 0]
+      );
+    });
+
+    await this.test('The product page lists approved reviews only, with the shopper\'s own review', async () => {
+      const db = new MemoryDb(this);
+      const { phone, alice, bob } = this.catalog(db);
+      const { body: approved } = await this.review(phone, alice, { rating: 4 });
+      await this.review(phone, bob, { rating: 2 });
+      await reviewService.moderateReview(approved._id, 'approved', new mongoose.Types.ObjectId());
+
+      const { body } = await callHandler(reviewController.getProductReviews, { params: { id: String(phone._id) }, user: { id: String(bob._id) } });
+      assert.deepStrictEqual(body.reviews.map((r) => [r.user.name, r.rating]), [['Alice', 4]]);
+      assert.deepStrictEqual([body.total, body.averageRating, body.reviewCount], [1, 4, 1]);
+      assert.strictEqual(body.myReview.status, 'pending');
+      assert.strictEqual(body.reviews[0].moderatedBy, undefined);
+
+      const filtered = await callHandler(reviewController.getProductReviews, { params: { id: phone.slug }, query: { verified: 'true' } });
+      assert.strictEqual(filtered.body.total, 0);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const reviewTests = new ReviewTests();
+reviewTests.runAllTests();
@@ -7,7 +7,32 @@ class TestRunner {
       'jwt.test.js',
       'database.test.js',
       'server.test.js',
-      'auth.test.js'
+      'auth.test.js',
+      'promotion.test.js',
+      'tax.test.js',
+      'pricing.test.js',
+      'checkoutQuote.test.js',
+      'refund.test.js',
+      'stockReservation.test.js',
+      'inventory.test.js',
+      'lowStock.test.js',
+      'review.test.js',
+      'productSearch.test.js',
+      'search.test.js',
+      'category.test.js',
+      'brand.test.js',
+      'variant.test.js',
+      'bundle.test.js',
+      'sale.test.js',
+      'catalogImport.test.js',
+      'image.test.js',
+      'storage.test.js',
+      'question.test.js',
+      'vendor.test.js',
+      'payout.test.js',
+      'vendorApplication.test.js',
+      'vendorAnalytics.test.js',
+      'report.test.js'
     ];
     this.results = [];
   }
@@ -114,6 +139,7 @@ class TestRunner {
     } else {
       console.log('\n💡 Some test suites failed. Please review the errors above.');
       console.log('🔧 Fix the issues before deploying to production.');
+      process.exitCode = 1;
     }
 
     console.log('\n' + '='.repeat(60));
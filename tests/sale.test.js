@@ -0,0 +1,157 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const saleService = require('../src/services/saleService');
+const pricingService = require('../src/services/pricingService');
+const productSearchService = require('../src/services/productSearchService');
+const stockReservationService = require('../src/services/stockReservationService');
+const productController = require('../src/controllers/productController');
+
+const buyer = new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+class SaleTests extends TestSuite {
+  constructor() {
+    super('Sale');
+  }
+
+  // A phone on sale at 80 for its last three sale units, and a shirt whose XL is on sale
+  stockUp(db) {
+    return db.seed(Product, [
+      { name: 'Phone', price: 100, compareAtPrice: 120, stock: 10, sale: { price: 80, quantityLimit: 3, soldQuantity: 0 } },
+      { name: 'Shirt', price: 20, stock: 6, variants: [{ name: 'M', price: 20, stock: 3 }, { name: 'XL', price: 25, stock: 3, sale: { price: 15 } }] }
+    ]);
+  }
+
+  async stored(product) {
+    return Product.findById(product._id).lean();
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Sale Tests...\n');
+
+    await this.test('A sale is live between its dates and while its cap has units left', async () => {
+      const now = new Date();
+      assert.strictEqual(saleService.isSaleLive({ price: 5 }, now), true);
+      assert.strictEqual(saleService.isSaleLive({ price: 5, startsAt: new Date(now.getTime() + HOUR) }, now), false);
+      assert.strictEqual(saleService.isSaleLive({ price: 5, endsAt: now }, now), false);
+      assert.strictEqual(saleService.isSaleLive({ price: 5, quantityLimit: 2, soldQuantity: 2 }, now), false);
+      assert.deepStrictEqual(
+        saleService.pricesFor({ price: 100, compareAtPrice: 120, sale: { price: 80 } }, null, now),
+        { price: 80, originalPrice: 120, onSale: true }
+      );
+      assert.deepStrictEqual(saleService.pricesFor({ price: 100, sale: { price: 80, endsAt: now } }, null, now), { price: 100, originalPrice: 100, onSale: false });
+    });
+
+    await this.test('Sales given on create or update are checked', async () => {
+      const prepare = (sale) => saleService.prepareSale(sale);
+      assert.deepStrictEqual(prepare(''), { sale: null });
+      assert.match(prepare({ price: -1 }).error, /non-negative/);
+      assert.match(prepare({ price: 5, startsAt: '2026-02-01', endsAt: '2026-01-01' }).error, /end after it starts/);
+      assert.match(prepare({ price: 5, quantityLimit: 1.5 }).error, /whole number/);
+      const { sale } = prepare({ price: '5', quantityLimit: '10' });
+      assert.deepStrictEqual([sale.price, sale.quantityLimit, sale.soldQuantity, sale.active], [5, 10, 0, true]);
+
+      const data = { variants: [{ name: 'XL', sale: { price: 'cheap' } }] };
+      assert.strictEqual(saleService.prepareProductSales(data), 'XL: Sale price must be a non-negative number');
+    });
+
+    await this.test('Editing a running sale keeps the units it sold; a new sale counts from zero', async () => {
+      const db = new MemoryDb(this);
+      const [phone, shirt] = this.stockUp(db);
+      await Product.updateOne({ _id: phone._id }, { $set: { 'sale.soldQuantity': 2 } });
+      await Product.updateOne({ _id: shirt._id, 'variants.name': 'XL' }, { $set: { 'variants.$.sale.soldQuantity': 4 } });
+      const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+      const update = (product, body) => callHandler(productController.updateProduct, { user: admin, params: { id: String(product._id) }, body });
+
+      const edited = await update(phone, { sale: { price: 75, quantityLimit: 3, soldQuantity: 0 } });
+      assert.deepStrictEqual([edited.status, edited.body.sale.price, edited.body.sale.soldQuantity], [200, 75, 2]);
+      const { variants } = await this.stored(shirt);
+      await update(shirt, { variants: variants.map((v) => (v.name === 'XL' ? { ...v, sale: { price: 12, soldQuantity: 99 } } : v)) });
+      assert.deepStrictEqual((await this.stored(shirt)).variants.map((v) => v.sale && v.sale.soldQuantity), [null, 4]);
+
+      const tomorrow = new Date(Date.now() + 24 * HOUR);
+      const restarted = await update(phone, { sale: { price: 70, startsAt: tomorrow, quantityLimit: 3 } });
+      assert.strictEqual(restarted.body.sale.soldQuantity, 0);
+      assert.strictEqual(saleService.prepareSale({ price: 5, soldQuantity: 7 }).sale.soldQuantity, 0);
+    });
+
+    await this.test('Quotes use the live sale price of the product or variant and mark the line', async () => {
+      const db = new MemoryDb(this);
+      const [phone, shirt] = this.stockUp(db);
+      const { quote } = await pricingService.buildQuote({
+        currency: 'USDC',
+        includeTax: false,
+        items: [{ product: phone, quantity: 1 }, { product: shirt, quantity: 1, variant: { name: 'XL' } }, { product: shirt, quantity: 1, variant: { name: 'M' } }]
+      });
+      assert.deepStrictEqual(quote.lines.map((line) => [line.unitPrice, line.onSale]), [[80, true], [15, true], [20, false]]);
+    });
+
+    await this.test('Reserving sale-priced lines counts them against the cap, and releasing gives them back', async () => {
+      const db = new MemoryDb(this);
+      const [phone, shirt] = this.stockUp(db);
+      const { reservation } = await stockReservationService.reserveStock({
+        userId: buyer,
+        items: [{ product: phone._id, productName: 'Phone', quantity: 2, onSale: true }, { product: shirt._id, variant: 'XL', productName: 'Shirt', quantity: 1, onSale: true }]
+      });
+      assert.strictEqual((await this.stored(phone)).sale.soldQuantity, 2);
+      assert.strictEqual((await this.stored(shirt)).variants[1].sale.soldQuantity, 1);
+
+      await stockReservationService.releaseReservation(reservation._id, 'cancelled');
+      const [storedPhone, storedShirt] = [await this.stored(phone), await this.stored(shirt)];
+      assert.deepStrictEqual([storedPhone.stock, storedPhone.sale.soldQuantity], [10, 0]);
+      assert.deepStrictEqual([storedShirt.variants[1].stock, storedShirt.variants[1].sale.soldQuantity], [3, 0]);
+    });
+
+    await this.test('A sold-out sale refuses lines priced at the sale and takes no stock', async () => {
+      const db = new MemoryDb(this);
+      const [phone] = this.stockUp(db);
+      await Product.updateOne({ _id: phone._id }, { $set: { 'sale.soldQuantity': 2 } });
+      const result = await stockReservationService.reserveStock({
+        userId: buyer,
+        items: [{ product: phone._id, productName: 'Phone', quantity: 2, onSale: true }]
+      });
+      assert.match(result.error, /sale price of Phone is no longer available/);
+      const stored = await this.stored(phone);
+      assert.deepStrictEqual([stored.stock, stored.sale.soldQuantity], [10, 2]);
+    });
+
+    await this.test('Checkouts racing for the last sale units cannot oversell the cap', async () => {
+      const db = new MemoryDb(this);
+      const [phone] = this.stockUp(db);
+      const claims = await Promise.all([1, 2, 3].map(() => saleService.claimSaleUnits(phone._id, null, 2)));
+      assert.deepStrictEqual(claims.filter(Boolean).length, 1);
+      assert.strictEqual((await this.stored(phone)).sale.soldQuantity, 2);
+
+      // A paid order is counted even past the cap
+      assert.strictEqual(await saleService.claimSaleUnits(phone._id, null, 2, { enforce: false }), true);
+      assert.strictEqual((await this.stored(phone)).sale.soldQuantity, 4);
+      assert.strictEqual(await saleService.claimSaleUnits(phone._id, null, 1), false);
+    });
+
+    await this.test('The sale job flags started and finished sales for the onSale filter', async () => {
+      const db = new MemoryDb(this);
+      const [phone, shirt] = this.stockUp(db);
+      const [later] = db.seed(Product, [{ name: 'Tablet', price: 300, sale: { price: 250, startsAt: new Date(Date.now() + HOUR), active: false } }]);
+      await Product.updateOne({ _id: phone._id }, { $set: { 'sale.soldQuantity': 3, 'sale.active': true } });
+      assert.deepStrictEqual(await saleService.syncSaleFlags(), { activated: 1, expired: 1 });
+      assert.strictEqual((await this.stored(shirt)).variants[1].sale.active, true);
+
+      const page = { skip: 0, limit: 10, sort: { name: 1 } };
+      const onSale = await productSearchService.facetedSearch({ onSale: 'true' }, page);
+      assert.deepStrictEqual(onSale.items.map((p) => p.name), ['Shirt']);
+
+      assert.deepStrictEqual(await saleService.syncSaleFlags(new Date(Date.now() + 2 * HOUR)), { activated: 1, expired: 0 });
+      assert.strictEqual((await this.stored(later)).sale.active, true);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const saleTests = new SaleTests();
+saleTests.runAllTests();
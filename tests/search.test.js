@@ -0,0 +1,123 @@
+const assert = require('assert');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const Brand = require('../src/models/Brand');
+const searchService = require('../src/services/searchService');
+const productController = require('../src/controllers/productController');
+
+class SearchTests extends TestSuite {
+  constructor() {
+    super('Search');
+  }
+
+  // A fresh catalog, with the search vocabulary rebuilt from it
+  async catalog(db) {
+    const products = db.seed(Product, [
+      { name: 'Galaxy S24', price: 800, brand: 'Samsung', category: 'phones', reviewCount: 10, description: 'Flagship smartphone' },
+      { name: 'Galaxy Buds', price: 120, brand: 'Samsung', category: 'headphones', reviewCount: 30 },
+      { name: 'Phone Case', price: 15, brand: 'Generic', category: 'accessories', description: 'Fits the Galaxy S24' },
+      { name: 'iPhone 15', price: 900, brand: 'Apple', category: 'phones', sku: 'APL-IP15' }
+    ]);
+    await this.rebuildVocabulary();
+    return products;
+  }
+
+  // The search after an invalidation still gets the old vocabulary; the rebuild it starts is done a tick later
+  async rebuildVocabulary() {
+    searchService.invalidateVocabulary();
+    await searchService.expandQuery('rebuild');
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  async list(search) {
+    const { body } = await callHandler(productController.getProducts, { query: { search } });
+    return body;
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Search Tests...\n');
+
+    await this.test('Edit distance counts swapped neighbours as one typo and gives up past the limit', async () => {
+      assert.strictEqual(searchService.editDistance('samsnug', 'samsung', 2), 1);
+      assert.strictEqual(searchService.editDistance('galxy', 'galaxy', 2), 1);
+      assert.strictEqual(searchService.editDistance('iphone', 'android', 2), 3);
+      assert.deepStrictEqual(searchService.tokenize('iPhone-15, a Pro!'), ['iphone', '15', 'pro']);
+    });
+
+    await this.test('Unknown words are corrected or completed from the catalog and bring their synonyms', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      const typo = await searchService.expandQuery('samsnug galxy');
+      assert.deepStrictEqual(typo.terms, ['samsung', 'galaxy']);
+      assert.deepStrictEqual(typo.corrections, { samsnug: ['samsung'], galxy: ['galaxy'] });
+
+      const partial = await searchService.expandQuery('apple iph');
+      assert.deepStrictEqual(partial.corrections, { iph: ['iphone'] });
+
+      const synonyms = await searchService.expandQuery('mobile');
+      assert.ok(synonyms.terms.includes('phone') && synonyms.terms.includes('smartphone'));
+      assert.deepStrictEqual(synonyms.corrections, {});
+
+      // Too short to correct, so it is searched as typed
+      assert.deepStrictEqual((await searchService.expandQuery('zq')).terms, ['zq']);
+    });
+
+    await this.test('Searches rank name matches above brand, category and description matches', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      const { items, total, search } = await this.list('galaxy');
+      assert.deepStrictEqual(items.map((item) => item.name).slice(2), ['Phone Case']);
+      assert.deepStrictEqual(new Set(items.slice(0, 2).map((item) => item.name)), new Set(['Galaxy S24', 'Galaxy Buds']));
+      assert.strictEqual(total, 3);
+      assert.ok(items[0].score > items[2].score);
+      assert.deepStrictEqual(search.corrections, {});
+
+      const bySku = await this.list('apl-ip15');
+      assert.deepStrictEqual(bySku.items.map((item) => item.name), ['iPhone 15']);
+    });
+
+    await this.test('A misspelt search still finds the products and reports the correction', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      const { items, search } = await this.list('galxy buds');
+      assert.strictEqual(items[0].name, 'Galaxy Buds');
+      assert.deepStrictEqual(search.corrections, { galxy: ['galaxy'] });
+
+      const synonym = await this.list('smartphone');
+      assert.deepStrictEqual(new Set(synonym.items.map((item) => item.name)), new Set(['Galaxy S24', 'Phone Case', 'iPhone 15']));
+    });
+
+    await this.test('New catalog words are learnt once the vocabulary is rebuilt', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      db.seed(Product, [{ name: 'Pixel 8', price: 700, brand: 'Google' }]);
+      assert.deepStrictEqual((await searchService.expandQuery('pixle')).corrections, {});
+
+      await this.rebuildVocabulary();
+      assert.deepStrictEqual((await searchService.expandQuery('pixle')).corrections, { pixle: ['pixel'] });
+    });
+
+    await this.test('Autocomplete completes the last word and lists matching products and brands', async () => {
+      const db = new MemoryDb(this);
+      await this.catalog(db);
+      db.seed(Brand, [{ name: 'Samsung', slug: 'samsung' }, { name: 'Sony', slug: 'sony', isActive: false }]);
+      const { status, body } = await callHandler(productController.suggestProducts, { query: { q: 'galaxy bu' } });
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body.products.map((product) => product.name), ['Galaxy Buds']);
+      assert.deepStrictEqual(body.terms, ['galaxy buds']);
+
+      assert.deepStrictEqual((await searchService.suggest('s')).products, []);
+      const sam = await searchService.suggest('sam');
+      assert.deepStrictEqual(sam.brands.map((brand) => brand.name), ['Samsung']);
+      assert.deepStrictEqual((await callHandler(productController.suggestProducts, { query: { q: 'g' } })).body.products, []);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const searchTests = new SearchTests();
+searchTests.runAllTests();
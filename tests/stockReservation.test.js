@@ -0,0 +1,195 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const Promotion = require('../src/models/Promotion');
+const DeliveryMethod = require('../src/models/DeliveryMethod');
+const StockReservation = require('../src/models/StockReservation');
+const InventoryMovement = require('../src/models/InventoryMovement');
+const { Order } = require('../src/models/Order');
+const stockReservationService = require('../src/services/stockReservationService');
+const vendorService = require('../src/services/vendorService');
+const cartController = require('../src/controllers/cartController');
+const orderController = require('../src/controllers/orderController');
+
+const buyer = new mongoose.Types.ObjectId();
+
+class StockReservationTests extends TestSuite {
+  constructor() {
+    super('Stock Reservation');
+  }
+
+  // Five phones and the last cable
+  stockUp(db) {
+    const [phone, cable] = db.seed(Product, [{ name: 'Phone', price: 100, stock: 5 }, { name: 'Cable', price: 5, stock: 1 }]);
+    return { phone, cable };
+  }
+
+  // Pickup delivery and a promotion with one use left, for checkouts by the buyer
+  checkoutExtras(db) {
+    const [pickup] = db.seed(DeliveryMethod, [{ name: 'Pickup', code: 'PICKUP', price: 0, currency: 'USDC' }]);
+    const [promotion] = db.seed(Promotion, [{ code: 'ONCE', type: 'fixed', value: 5, usageLimit: 1 }]);
+    return { pickup, promotion, user: { id: String(buyer) } };
+  }
+
+  async stockOf(product) {
+    return (await Product.findById(product._id).lean()).stock;
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Stock Reservation Tests...\n');
+
+    await this.test('Reserving takes every line\'s stock in one committed transaction', async () => {
+      const db = new MemoryDb(this);
+      const { phone, cable } = this.stockUp(db);
+      const { error, reservation } = await stockReservationService.reserveStock({
+        userId: buyer,
+        items: [{ product: phone._id, productName: 'Phone', quantity: 2 }, { product: cable._id, productName: 'Cable', quantity: 1 }]
+      });
+      assert.strictEqual(error, undefined);
+      assert.strictEqual(reservation.status, 'active');
+      assert.deepStrictEqual([await this.stockOf(phone), await this.stockOf(cable)], [3, 0]);
+      assert.strictEqual((await Product.findById(cable._id).lean()).outOfStock, true);
+      const ttlMs = reservation.expiresAt.getTime() - Date.now();
+      assert.ok(ttlMs > 0 && ttlMs <= stockReservationService.RESERVATION_TTL_MINUTES * 60 * 1000);
+      assert.deepStrictEqual(db.sessions.map((s) => [s.committed, s.aborted]), [[1, 0]]);
+    });
+
+    await this.test('A line without enough stock rolls back the lines already taken', async () => {
+      const db = new MemoryDb(this);
+      const { phone, cable } = this.stockUp(db);
+      const result = await stockReservationService.reserveStock({
+        userId: buyer,
+        items: [{ product: phone._id, productName: 'Phone', quantity: 1 }, { product: cable._id, productName: 'Cable', quantity: 2 }]
+      });
+      assert.strictEqual(result.error, 'Not enough stock for Cable');
+      assert.strictEqual(result.product, cable._id.toString());
+      assert.strictEqual(await this.stockOf(phone), 5);
+      assert.strictEqual(await StockReservation.countDocuments(), 0);
+      assert.strictEqual(await InventoryMovement.countDocuments(), 0);
+    });
+
+    await this.test('Two checkouts racing for the last unit: one gets it, the other is refused', async () => {
+      const db = new MemoryDb(this);
+      const { cable } = this.stockUp(db);
+      const reserve = () => stockReservationService.reserveStock({ userId: buyer, items: [{ product: cable._id, productName: 'Cable', quantity: 1 }] });
+      const results = await Promise.all([reserve(), reserve()]);
+      assert.deepStrictEqual(results.map((result) => result.error || 'reserved').sort(), ['Not enough stock for Cable', 'reserved']);
+      assert.strictEqual(await this.stockOf(cable), 0);
+    });
+
+    await this.test('Work in the caller\'s transaction is undone when the caller aborts', async () => {
+      const db = new MemoryDb(this);
+      const { phone } = this.stockUp(db);
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      const { reservation } = await stockReservationService.reserveStock({ userId: buyer, items: [{ product: phone._id, quantity: 2 }], session });
+      assert.ok(reservation);
+      assert.strictEqual(db.sessions.length, 1);
+      await session.abortTransaction();
+      assert.strictEqual(await this.stockOf(phone), 5);
+      assert.strictEqual(await StockReservation.countDocuments(), 0);
+    });
+
+    await this.test('Releasing puts back the stock once', async () => {
+      const db = new MemoryDb(this);
+      const { phone } = this.stockUp(db);
+      const { reservation } = await stockReservationService.reserveStock({ userId: buyer, items: [{ product: phone._id, productName: 'Phone', quantity: 2 }] });
+
+      const released = await stockReservationService.releaseReservation(reservation._id, 'cancelled');
+      assert.deepStrictEqual([released.status, released.releaseReason], ['released', 'cancelled']);
+      assert.strictEqual(await stockReservationService.releaseReservation(reservation._id, 'cancelled'), null);
+      assert.strictEqual(await this.stockOf(phone), 5);
+    });
+
+    await this.test('Expired reservations are released by the job', async () => {
+      const db = new MemoryDb(this);
+      const { phone, cable } = this.stockUp(db);
+      await stockReservationService.reserveStock({ userId: buyer, items: [{ product: cable._id, quantity: 1 }], expiresAt: new Date(Date.now() - 1000) });
+      await stockReservationService.reserveStock({ userId: buyer, items: [{ product: phone._id, quantity: 1 }] });
+      assert.strictEqual(await stockReservationService.releaseExpiredReservations(), 1);
+      assert.deepStrictEqual([await this.stockOf(cable), await this.stockOf(phone)], [1, 4]);
+    });
+
+    await this.test('Paying keeps the active reservation; a lapsed one takes stock again or is recorded as oversold', async () => {
+      const db = new MemoryDb(this);
+      const { phone, cable } = this.stockUp(db);
+      const paid = { _id: new mongoose.Types.ObjectId(), buyer };
+      await stockReservationService.reserveStock({ userId: buyer, orderId: paid._id, items: [{ product: phone._id, quantity: 2 }] });
+      assert.strictEqual((await stockReservationService.commitOrderReservation(paid)).status, 'committed');
+      assert.strictEqual((await stockReservationService.commitOrderReservation(paid)).status, 'committed');
+      assert.strictEqual(await this.stockOf(phone), 3);
+
+      const late = { _id: new mongoose.Types.ObjectId(), buyer };
+      const { reservation } = await stockReservationService.reserveStock({ userId: buyer, orderId: late._id, items: [{ product: cable._id, quantity: 1 }] });
+      await stockReservationService.releaseReservation(reservation._id, 'expired');
+      const retaken = await stockReservationService.commitOrderReservation(late);
+      assert.deepStrictEqual([retaken.status, retaken.oversold], ['committed', false]);
+      assert.strictEqual(await this.stockOf(cable), 0);
+
+      const oversoldOrder = { _id: new mongoose.Types.ObjectId(), buyer };
+      const { reservation: lapsed } = await stockReservationService.reserveStock({
+        userId: buyer, orderId: oversoldOrder._id, items: [{ product: phone._id, quantity: 3 }]
+      });
+      await stockReservationService.releaseReservation(lapsed._id, 'expired');
+      await Product.updateOne({ _id: phone._id }, { $set: { stock: 0 } });
+      const oversold = await stockReservationService.commitOrderReservation(oversoldOrder);
+      assert.strictEqual(oversold.oversold, true);
+    });
+
+    await this.test('A wallet checkout commits its reservation once the order is saved', async () => {
+      const db = new MemoryDb(this);
+      const { phone } = this.stockUp(db);
+      const { pickup, user } = this.checkoutExtras(db);
+      await callHandler(cartController.addItemToCart, { user, body: { productId: String(phone._id), quantity: 2 } });
+      const { status, body } = await callHandler(orderController.checkoutFromCart, { user, body: { deliveryMethodId: String(pickup._id), paymentMethod: 'wallet' } });
+      assert.strictEqual(status, 200);
+      const [reservation] = await StockReservation.find().lean();
+      assert.deepStrictEqual([reservation.status, String(reservation.order)], ['committed', body.orderId]);
+      assert.strictEqual(await this.stockOf(phone), 3);
+    });
+
+    await this.test('A wallet checkout whose order cannot be completed gives back its stock and promotion use', async () => {
+      const db = new MemoryDb(this);
+      const { phone } = this.stockUp(db);
+      const { pickup, promotion, user } = this.checkoutExtras(db);
+      await callHandler(cartController.addItemToCart, { user, body: { productId: String(phone._id), quantity: 2 } });
+      this.stub(stockReservationService, 'attachOrder', async () => {
+        throw new Error('Write conflict');
+      });
+      const { status } = await callHandler(orderController.checkoutFromCart, {
+        user, body: { deliveryMethodId: String(pickup._id), paymentMethod: 'wallet', promoCode: 'ONCE' }
+      });
+      assert.strictEqual(status, 500);
+      assert.strictEqual(await this.stockOf(phone), 5);
+      assert.strictEqual((await Promotion.findById(promotion._id).lean()).usageCount, 0);
+      assert.deepStrictEqual((await Order.find().lean()).map((order) => [order.status, order.paymentStatus]), [['cancelled', 'failed']]);
+      assert.deepStrictEqual((await StockReservation.find().lean()).map((r) => [r.status, r.releaseReason]), [['released', 'order_failed']]);
+    });
+
+    await this.test('A direct order that fails after reserving gives back its stock and promotion use', async () => {
+      const db = new MemoryDb(this);
+      const { phone, cable } = this.stockUp(db);
+      const { pickup, promotion, user } = this.checkoutExtras(db);
+      this.stub(vendorService, 'splitOrder', async () => {
+        throw new Error('Write conflict');
+      });
+      const { status } = await callHandler(orderController.createOrder, {
+        user,
+        body: { products: [{ productId: String(phone._id), quantity: 1 }, { productId: String(cable._id), quantity: 1 }], deliveryMethodId: String(pickup._id), promoCode: 'ONCE' }
+      });
+      assert.strictEqual(status, 500);
+      assert.deepStrictEqual([await this.stockOf(phone), await this.stockOf(cable)], [5, 1]);
+      assert.strictEqual((await Promotion.findById(promotion._id).lean()).usageCount, 0);
+      assert.deepStrictEqual((await Order.find().lean()).map((order) => order.status), ['cancelled']);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const stockReservationTests = new StockReservationTests();
+stockReservationTests.runAllTests();
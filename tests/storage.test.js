@@ -0,0 +1,151 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local storage writes to uploads/ under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-tests-'));
+process.chdir(workDir);
+Object.assign(process.env, {
+  STORAGE_DRIVER: 's3',
+  S3_BUCKET: 'catalog',
+  S3_REGION: 'eu-west-1',
+  S3_ENDPOINT: 'http://minio.local:9000',
+  S3_FORCE_PATH_STYLE: 'true',
+  S3_ACCESS_KEY_ID: 'test-key',
+  S3_SECRET_ACCESS_KEY: 'test-secret',
+  GCP_BUCKET: 'old-catalog',
+  GCP_PROJECT_ID: 'test-project'
+});
+
+const { S3Client } = require('@aws-sdk/client-s3');
+const TestSuite = require('./helpers/TestSuite');
+const storage = require('../src/config/storage');
+const { createS3Driver } = require('../src/config/storageDrivers/s3');
+const { createLocalDriver } = require('../src/config/storageDrivers/local');
+
+class StorageTests extends TestSuite {
+  constructor() {
+    super('Storage');
+  }
+
+  // An S3 bucket kept in memory; `fail` makes every request fail as if the service were down
+  fakeS3(options = {}) {
+    const objects = new Map();
+    const requests = [];
+    this.stub(S3Client.prototype, 'send', async (command) => {
+      const name = command.constructor.name;
+      const { Key, Body, ContentType, CacheControl } = command.input;
+      requests.push({ name, Key, ContentType, CacheControl });
+      if (options.fail) throw new Error('connect ECONNREFUSED');
+      if (name === 'PutObjectCommand') {
+        objects.set(Key, Body);
+        return {};
+      }
+      if (!objects.has(Key)) throw Object.assign(new Error('Not Found'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+      if (name === 'DeleteObjectCommand') objects.delete(Key);
+      if (name === 'GetObjectCommand') return { Body: { transformToByteArray: async () => objects.get(Key) } };
+      return {};
+    });
+    return { objects, requests };
+  }
+
+  // Build an S3 driver from other settings, putting the suite's settings back afterwards
+  s3DriverWith(env) {
+    const saved = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+    for (const [key, value] of Object.entries(env)) {
+      if (value == null) delete process.env[key];
+      else process.env[key] = value;
+    }
+    try {
+      return createS3Driver();
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value == null) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Storage Tests...\n');
+
+    await this.test('New images go to the configured S3 bucket with public caching', async () => {
+      const { objects, requests } = this.fakeS3();
+      const url = await storage.saveImage('photo.webp', Buffer.from('image'), 'image/webp');
+      assert.match(url, /^http:\/\/minio\.local:9000\/catalog\/\d+-[a-z0-9]+\.webp$/);
+      assert.strictEqual(objects.size, 1);
+      assert.deepStrictEqual([requests[0].ContentType, requests[0].CacheControl], ['image/webp', 'public, max-age=31536000']);
+      assert.strictEqual(storage.useGCP, false);
+    });
+
+    await this.test('Stored URLs are traced back to the driver that saved them', async () => {
+      const match = (url) => {
+        const stored = storage.driverForUrl(url);
+        return stored && [stored.driver.name, stored.key];
+      };
+      assert.deepStrictEqual(match('http://minio.local:9000/catalog/a%20b.png'), ['s3', 'a b.png']);
+      assert.deepStrictEqual(match('https://storage.googleapis.com/old-catalog/old.png'), ['gcs', 'old.png']);
+      assert.deepStrictEqual(match('http://localhost:5000/uploads/local.png'), ['local', 'local.png']);
+      assert.deepStrictEqual(match('/uploads/local.png'), ['local', 'local.png']);
+      assert.strictEqual(match('https://cdn.example.com/photo.png'), null);
+      assert.strictEqual(await storage.deleteImage('https://cdn.example.com/photo.png'), false);
+    });
+
+    await this.test('Deleting and checking S3 files goes through the bucket; missing files are not an error', async () => {
+      const { objects } = this.fakeS3();
+      const url = await storage.saveImage('photo.png', Buffer.from('image'), 'image/png');
+      assert.strictEqual(await storage.imageExists(url), true);
+      assert.strictEqual(await storage.deleteImage(url), true);
+      assert.strictEqual(objects.size, 0);
+      assert.strictEqual(await storage.deleteImage(url), false);
+      assert.strictEqual(await storage.imageExists(url), false);
+    });
+
+    await this.test('When the bucket cannot be reached the image is kept in local storage', async () => {
+      this.fakeS3({ fail: true });
+      const url = await storage.saveImage('photo.png', Buffer.from('image'), 'image/png', 'http://localhost:5000');
+      assert.match(url, /^http:\/\/localhost:5000\/uploads\//);
+      const { driver, key } = storage.driverForUrl(url);
+      assert.deepStrictEqual(await driver.read(key), Buffer.from('image'));
+      assert.strictEqual(await storage.deleteImage(url), true);
+    });
+
+    await this.test('Signed URLs expire for bucket files; local and external URLs are returned as they are', async () => {
+      const signed = await storage.signedImageUrl('http://minio.local:9000/catalog/photo.png', { expiresIn: 600 });
+      assert.match(signed, /^http:\/\/minio\.local:9000\/catalog\/photo\.png\?.*X-Amz-Expires=600/);
+      assert.match(signed, /X-Amz-Signature=[0-9a-f]{64}/);
+      assert.strictEqual(await storage.signedImageUrl('/uploads/photo.png'), '/uploads/photo.png');
+      assert.strictEqual(await storage.signedImageUrl('https://cdn.example.com/photo.png'), 'https://cdn.example.com/photo.png');
+    });
+
+    await this.test('S3 URLs follow the endpoint style, or the public address when one is set', async () => {
+      const aws = this.s3DriverWith({ S3_ENDPOINT: null, S3_FORCE_PATH_STYLE: null });
+      assert.strictEqual(aws.keyFromUrl('https://catalog.s3.eu-west-1.amazonaws.com/a.png'), 'a.png');
+      const virtualHost = this.s3DriverWith({ S3_ENDPOINT: 'https://spaces.example.com/', S3_FORCE_PATH_STYLE: 'false' });
+      assert.strictEqual(virtualHost.keyFromUrl('https://catalog.spaces.example.com/a.png'), 'a.png');
+      const cdn = this.s3DriverWith({ S3_PUBLIC_URL: 'https://cdn.example.com/media/' });
+      assert.strictEqual(cdn.keyFromUrl('https://cdn.example.com/media/a.png?v=2'), 'a.png');
+      assert.strictEqual(cdn.keyFromUrl('http://minio.local:9000/catalog/a.png'), null);
+      assert.strictEqual(this.s3DriverWith({ S3_BUCKET: null }), null);
+    });
+
+    await this.test('Local keys cannot point outside the uploads directory', async () => {
+      const local = createLocalDriver();
+      const url = await local.save('../../escape.png', Buffer.from('image'), 'image/png', { baseUrl: 'http://localhost:5000/' });
+      assert.strictEqual(url, 'http://localhost:5000/uploads/..%2F..%2Fescape.png');
+      assert.ok(fs.existsSync(path.join(workDir, 'uploads', 'escape.png')));
+      assert.deepStrictEqual(await local.read(local.keyFromUrl(url)), Buffer.from('image'));
+      assert.strictEqual(local.keyFromUrl('/uploads/..%2F..%2Fetc%2Fpasswd'), 'passwd');
+      assert.strictEqual(local.keyFromUrl('/images/photo.png'), null);
+      assert.strictEqual(await local.delete('missing.png'), false);
+    });
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+}
+
+// Run tests
+const storageTests = new StorageTests();
+storageTests.runAllTests();
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const TaxRule = require('../src/models/TaxRule');
+const DeliveryAddress = require('../src/models/DeliveryAddress');
+const taxService = require('../src/services/taxService');
+
+const VAT = { name: 'VAT', taxType: 'VAT', country: 'NG', rate: 7.5, mode: 'exclusive', appliesToDelivery: true };
+
+class TaxTests extends TestSuite {
+  constructor() {
+    super('Tax');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Tax Tests...\n');
+
+    await this.test('Nigerian VAT applies to lines and delivery when no rule is configured', async () => {
+      new MemoryDb(this);
+      const result = await taxService.calculateTax({
+        country: 'NG',
+        lines: [{ productId: 'p1', category: 'phones', lineTotal: 1000 }],
+        deliveryFee: 200
+      });
+      assert.strictEqual(result.exclusiveTaxAmount, 90);
+      assert.strictEqual(result.taxAmount, 90);
+      assert.strictEqual(result.breakdown[0].taxableAmount, 1200);
+    });
+
+    await this.test('A discount is spread over the lines; free delivery untaxes the fee instead', async () => {
+      new MemoryDb(this);
+      const lines = [{ productId: 'p1', lineTotal: 600 }, { productId: 'p2', lineTotal: 400 }];
+      const discounted = await taxService.calculateTax({ country: 'NG', lines, discountAmount: 200 });
+      assert.strictEqual(discounted.breakdown[0].taxableAmount, 800);
+      assert.strictEqual(discounted.taxAmount, 60);
+
+      const freeDelivery = await taxService.calculateTax({ country: 'NG', lines, deliveryFee: 200, discountAmount: 200, freeDelivery: true });
+      assert.strictEqual(freeDelivery.taxAmount, 75);
+    });
+
+    await this.test('A 0% category rule exempts the category', async () => {
+      const db = new MemoryDb(this);
+      db.seed(TaxRule, [VAT, { ...VAT, name: 'Food exemption', categories: ['Food'], rate: 0 }]);
+      const result = await taxService.calculateTax({
+        country: 'NG',
+        lines: [{ productId: 'p1', category: 'food', lineTotal: 1000 }, { productId: 'p2', category: 'phones', lineTotal: 1000 }]
+      });
+      assert.strictEqual(result.taxAmount, 75);
+    });
+
+    await this.test('A state rule wins over the country-wide rule', async () => {
+      const db = new MemoryDb(this);
+      db.seed(TaxRule, [VAT, { ...VAT, name: 'Lagos VAT', state: 'Lagos', rate: 10 }, { ...VAT, name: 'Kano VAT', state: 'Kano', rate: 20 }]);
+      const result = await taxService.calculateTax({ country: 'NG', state: 'lagos', lines: [{ productId: 'p1', lineTotal: 1000 }] });
+      assert.strictEqual(result.taxAmount, 100);
+      assert.deepStrictEqual(result.breakdown.map((entry) => entry.name), ['Lagos VAT']);
+    });
+
+    await this.test('A country-wide category exemption holds where a state rule applies', async () => {
+      const db = new MemoryDb(this);
+      db.seed(TaxRule, [
+        VAT,
+        { ...VAT, name: 'Food exemption', categories: ['Food'], rate: 0 },
+        { ...VAT, name: 'Lagos VAT', state: 'Lagos', rate: 10 },
+        { ...VAT, name: 'Lagos books', state: 'Lagos', categories: ['Books'], rate: 5 }
+      ]);
+      const result = await taxService.calculateTax({
+        country: 'NG',
+        state: 'Lagos',
+        lines: [
+          { productId: 'p1', category: 'food', lineTotal: 1000 },
+          { productId: 'p2', category: 'phones', lineTotal: 1000 },
+          { productId: 'p3', category: 'books', lineTotal: 1000 }
+        ]
+      });
+      assert.strictEqual(result.taxAmount, 150);
+      assert.deepStrictEqual(result.breakdown.map((entry) => [entry.name, entry.taxableAmount]), [
+        ['Food exemption', 1000], ['Lagos VAT', 1000], ['Lagos books', 1000]
+      ]);
+    });
+
+    await this.test('Inclusive tax is extracted from the price, not added to the total', async () => {
+      const db = new MemoryDb(this);
+      db.seed(TaxRule, [{ ...VAT, country: 'GB', rate: 20, mode: 'inclusive', appliesToDelivery: false }]);
+      const result = await taxService.calculateTax({ country: 'gb', lines: [{ productId: 'p1', lineTotal: 120 }], deliveryFee: 10 });
+      assert.strictEqual(result.inclusiveTaxAmount, 20);
+      assert.strictEqual(result.exclusiveTaxAmount, 0);
+    });
+
+    await this.test('Configured but inactive rules switch tax off for the country', async () => {
+      const db = new MemoryDb(this);
+      db.seed(TaxRule, [{ ...VAT, isActive: false }]);
+      const result = await taxService.calculateTax({ country: 'NG', lines: [{ productId: 'p1', lineTotal: 100 }] });
+      assert.strictEqual(result.taxAmount, 0);
+      assert.deepStrictEqual(result.breakdown, []);
+    });
+
+    await this.test('The destination comes from the shipping address', async () => {
+      const db = new MemoryDb(this);
+      const [address] = db.seed(DeliveryAddress, [{ country: 'NG', state: 'Lagos' }]);
+      db.seed(TaxRule, [VAT, { ...VAT, name: 'Lagos VAT', state: 'Lagos', rate: 10 }]);
+      assert.deepStrictEqual(await taxService.resolveTaxLocation(address._id), { country: 'NG', state: 'Lagos' });
+      assert.deepStrictEqual(await taxService.resolveTaxLocation(null), { country: 'NG', state: null });
+      const result = await taxService.calculateOrderTax(address._id, { lines: [{ productId: 'p1', lineTotal: 100 }] });
+      assert.strictEqual(result.taxAmount, 10);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const taxTests = new TaxTests();
+taxTests.runAllTests();
@@ -0,0 +1,143 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const Cart = require('../src/models/Cart');
+const DeliveryMethod = require('../src/models/DeliveryMethod');
+const { OrderItem } = require('../src/models/Order');
+const pricingService = require('../src/services/pricingService');
+const stockReservationService = require('../src/services/stockReservationService');
+const cartController = require('../src/controllers/cartController');
+const orderController = require('../src/controllers/orderController');
+
+const buyer = { id: new mongoose.Types.ObjectId().toString() };
+
+class VariantTests extends TestSuite {
+  constructor() {
+    super('Variant');
+  }
+
+  // A shirt sold in two sizes, each with its own price, SKU, image and stock
+  shirt(db) {
+    return db.seed(Product, [{
+      name: 'Shirt', price: 20, stock: 5,
+      variants: [
+        { name: 'M', price: 20, stock: 3, sku: 'SH-M', images: ['https://cdn.example.com/shirt-m.png'], attributes: [{ name: 'Size', value: 'M' }] },
+        { name: 'XL', price: 25, stock: 2, sku: 'SH-XL', attributes: [{ name: 'Size', value: 'XL' }] }
+      ]
+    }])[0];
+  }
+
+  add(body) {
+    return callHandler(cartController.addItemToCart, { user: buyer, body });
+  }
+
+  async cartLines() {
+    return (await Cart.findOne({ user: buyer.id }).lean()).items;
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Variant Tests...\n');
+
+    await this.test('Products sold in variants are added to the cart per variant', async () => {
+      const db = new MemoryDb(this);
+      const shirt = this.shirt(db);
+      const productId = String(shirt._id);
+      assert.deepStrictEqual((await this.add({ productId, quantity: 1 })).body, { msg: 'Choose an option for this product' });
+      assert.deepStrictEqual((await this.add({ productId, quantity: 1, variantName: 'S' })).body, { msg: 'Variant not found' });
+
+      const { status } = await this.add({ productId, quantity: 1, variantId: String(shirt.variants[1]._id) });
+      assert.strictEqual(status, 200);
+      const [line] = await this.cartLines();
+      assert.strictEqual(line.unitPrice, 25);
+      assert.deepStrictEqual(
+        [String(line.variant.variantId), line.variant.name, line.variant.sku, line.variant.image],
+        [String(shirt.variants[1]._id), 'XL', 'SH-XL', null]
+      );
+    });
+
+    await this.test('The same variant adds to its line; another variant gets its own line', async () => {
+      const db = new MemoryDb(this);
+      const shirt = this.shirt(db);
+      const productId = String(shirt._id);
+      await this.add({ productId, quantity: 1, variantName: 'M' });
+      await this.add({ productId, quantity: 1, variantId: String(shirt.variants[0]._id) });
+      await this.add({ productId, quantity: 1, variantName: 'XL' });
+      const lines = await this.cartLines();
+      assert.deepStrictEqual(lines.map((line) => [line.variant.name, line.quantity, line.unitPrice]), [['M', 2, 20], ['XL', 1, 25]]);
+      assert.strictEqual(lines[0].variant.image, 'https://cdn.example.com/shirt-m.png');
+      assert.strictEqual((await Cart.findOne({ user: buyer.id }).lean()).subtotal, 65);
+    });
+
+    await this.test('Stock is checked against the variant, on add and on quantity change', async () => {
+      const db = new MemoryDb(this);
+      const shirt = this.shirt(db);
+      const productId = String(shirt._id);
+      await this.add({ productId, quantity: 2, variantName: 'XL' });
+      const more = await this.add({ productId, quantity: 1, variantName: 'XL' });
+      assert.deepStrictEqual([more.status, more.body], [409, { msg: 'Only 2 of Shirt (XL) left in stock', available: 2 }]);
+
+      const update = (quantity, variantName) => callHandler(cartController.updateItemQuantity, { user: buyer, body: { productId, quantity, variantName } });
+      assert.strictEqual((await update(3, 'XL')).status, 409);
+      assert.strictEqual((await update(1, 'XL')).status, 200);
+      assert.strictEqual((await update(1, 'M')).status, 404);
+    });
+
+    await this.test('Quotes price each line at its variant\'s price', async () => {
+      const db = new MemoryDb(this);
+      const shirt = this.shirt(db);
+      assert.strictEqual(pricingService.unitPriceFor(shirt, 'XL'), 25);
+      assert.strictEqual(pricingService.unitPriceFor(shirt, { variantId: shirt.variants[0]._id }), 20);
+      assert.strictEqual(pricingService.unitPriceFor(shirt, null), 20);
+
+      const { quote } = await pricingService.buildQuote({
+        currency: 'USDC',
+        includeTax: false,
+        items: [{ product: shirt, quantity: 2, variant: { name: 'XL' } }, { product: shirt, quantity: 1, variant: { name: 'M' } }]
+      });
+      assert.deepStrictEqual(quote.lines.map((line) => line.lineTotal), [50, 20]);
+      assert.strictEqual(quote.subTotal, 70);
+    });
+
+    await this.test('Reservations take the variant\'s stock and refuse lines without one', async () => {
+      const db = new MemoryDb(this);
+      const shirt = this.shirt(db);
+      const reserve = (item) => stockReservationService.reserveStock({ userId: buyer.id, items: [{ product: shirt._id, productName: 'Shirt', ...item }] });
+      assert.strictEqual((await reserve({ quantity: 1 })).error, 'Choose an option for Shirt');
+      assert.strictEqual((await reserve({ variant: 'XL', quantity: 3 })).error, 'Not enough stock for Shirt (XL)');
+
+      const { reservation } = await reserve({ variant: 'M', quantity: 3 });
+      assert.strictEqual(reservation.status, 'active');
+      const stored = await Product.findById(shirt._id).lean();
+      assert.deepStrictEqual([stored.stock, stored.variants[0].stock, stored.variants[1].stock], [2, 0, 2]);
+    });
+
+    await this.test('Order items record the variant bought with its SKU and image', async () => {
+      const db = new MemoryDb(this);
+      const shirt = this.shirt(db);
+      const [pickup] = db.seed(DeliveryMethod, [{ name: 'Pickup', code: 'PICKUP', price: 0, currency: 'USDC' }]);
+      const order = (products) => callHandler(orderController.createOrder, { user: buyer, body: { products, deliveryMethodId: String(pickup._id) } });
+      const unchosen = await order([{ productId: String(shirt._id), quantity: 1 }]);
+      assert.deepStrictEqual([unchosen.status, unchosen.body], [400, { msg: 'Choose an option for Shirt' }]);
+      assert.strictEqual((await order([{ productId: String(shirt._id), quantity: 1, variantName: 'S' }])).status, 400);
+
+      const { status, body } = await order([{ productId: String(shirt._id), quantity: 2, variantName: 'M' }]);
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.subTotal, 40);
+      const [item] = await OrderItem.find({ order: body._id }).lean();
+      assert.deepStrictEqual(
+        [item.variant.name, item.variant.sku, item.variant.image, item.productImage, item.unitPrice],
+        ['M', 'SH-M', 'https://cdn.example.com/shirt-m.png', 'https://cdn.example.com/shirt-m.png', 20]
+      );
+      assert.strictEqual((await Product.findById(shirt._id).lean()).variants[0].stock, 1);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const variantTests = new VariantTests();
+variantTests.runAllTests();
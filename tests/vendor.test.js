@@ -0,0 +1,238 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const DeliveryMethod = require('../src/models/DeliveryMethod');
+const ProductQuestion = require('../src/models/ProductQuestion');
+const { Order, OrderItem } = require('../src/models/Order');
+const vendorService = require('../src/services/vendorService');
+const lowStockService = require('../src/services/lowStockService');
+const productController = require('../src/controllers/productController');
+const orderController = require('../src/controllers/orderController');
+const cartController = require('../src/controllers/cartController');
+const vendorOrderController = require('../src/controllers/vendorOrderController');
+const questionController = require('../src/controllers/questionController');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+class VendorTests extends TestSuite {
+  constructor() {
+    super('Vendor');
+  }
+
+  // Two sellers with a product each, and a product the store sells itself
+  stockUp(db) {
+    const [ana, ben] = db.seed(User, [
+      { name: 'Ana', email: 'ana@example.com', password: 'secret123', role: 'vendor' },
+      { name: 'Ben', email: 'ben@example.com', password: 'secret123', role: 'vendor' }
+    ]);
+    const [mug, hat, pen] = db.seed(Product, [
+      { name: 'Mug', slug: 'mug', price: 10, stock: 8, vendor: ana._id },
+      { name: 'Hat', slug: 'hat', price: 25, stock: 1, vendor: ben._id },
+      { name: 'Pen', slug: 'pen', price: 2, stock: 50 }
+    ]);
+    const [pickup] = db.seed(DeliveryMethod, [{ name: 'Pickup', code: 'PICKUP', price: 0, currency: 'USDC' }]);
+    return { ana: this.signedIn(ana), ben: this.signedIn(ben), mug, hat, pen, pickup };
+  }
+
+  // req.user as the auth middleware sets it
+  signedIn(user) {
+    return { _id: user._id, id: String(user._id), role: user.role, name: user.name };
+  }
+
+  // Order through createOrder, then confirm it as payment would
+  async order(pickup, items) {
+    const buyer = { id: new mongoose.Types.ObjectId().toString() };
+    const { status, body } = await callHandler(orderController.createOrder, {
+      user: buyer,
+      body: { products: items.map(([product, quantity]) => ({ productId: String(product._id), quantity })), deliveryMethodId: String(pickup._id) }
+    });
+    assert.strictEqual(status, 200);
+    return Order.findById(body._id);
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Vendor Tests...\n');
+
+    await this.test('Vendors own what they create; admins may list a product for a vendor', async () => {
+      const db = new MemoryDb(this);
+      const { ana } = this.stockUp(db);
+      const create = (user, body) => callHandler(productController.createProduct, { user, body: { price: 5, ...body } });
+
+      const own = await create(ana, { name: 'Bowl', vendor: String(new mongoose.Types.ObjectId()) });
+      assert.strictEqual(String(own.body.vendor), ana.id);
+      assert.strictEqual(String((await create(admin, { name: 'Plate', vendor: ana.id })).body.vendor), ana.id);
+      assert.strictEqual((await create(admin, { name: 'Plate', vendor: 'ana' })).body.errors[0].msg, 'Invalid vendor ID');
+      assert.strictEqual((await create(admin, { name: 'Plate', vendor: admin.id })).body.errors[0].msg, 'Vendor not found');
+      assert.strictEqual((await create(admin, { name: 'Cup' })).body.vendor, null);
+
+      const list = async (user, query = {}) => (await callHandler(productController.getProductsAdmin, { user, query })).body.items.map((p) => p.name).sort();
+      assert.deepStrictEqual(await list(ana), ['Bowl', 'Mug', 'Plate']);
+      assert.deepStrictEqual(await list(ana, { vendor: 'none' }), ['Bowl', 'Mug', 'Plate']);
+      assert.deepStrictEqual(await list(admin, { vendor: 'none' }), ['Cup', 'Pen']);
+      assert.strictEqual((await callHandler(productController.getProductsAdmin, { user: admin, query: { vendor: 'x' } })).status, 400);
+    });
+
+    await this.test('Vendors cannot see, change or remove another seller\'s products', async () => {
+      const db = new MemoryDb(this);
+      const { ana, ben, mug, hat } = this.stockUp(db);
+      const params = { id: String(hat._id) };
+      const statuses = await Promise.all([
+        callHandler(productController.getProductByIdAdmin, { user: ana, params }),
+        callHandler(productController.updateProduct, { user: ana, params, body: { price: 1 } }),
+        callHandler(productController.updateProduct, { user: ana, params, body: { stock: 0 } }),
+        callHandler(productController.setPublishStatus, { user: ana, params, body: { published: false } }),
+        callHandler(productController.updateInventory, { user: ana, params, body: { stock: 0 } }),
+        callHandler(productController.getInventoryHistory, { user: ana, params, query: {} }),
+        callHandler(productController.deleteProduct, { user: ana, params })
+      ]);
+      assert.deepStrictEqual(statuses.map((response) => response.status), [404, 404, 404, 404, 404, 404, 404]);
+      const stored = await Product.findById(hat._id).lean();
+      assert.deepStrictEqual([stored.price, stored.stock, stored.published], [25, 1, true]);
+
+      // A vendor cannot hand their product to someone else; an admin can
+      const kept = await callHandler(productController.updateProduct, { user: ana, params: { id: String(mug._id) }, body: { price: 12, vendor: ben.id } });
+      assert.deepStrictEqual([kept.body.price, String(kept.body.vendor)], [12, ana.id]);
+      const moved = await callHandler(productController.updateProduct, { user: admin, params: { id: String(mug._id) }, body: { vendor: ben.id } });
+      assert.strictEqual(String(moved.body.vendor), ben.id);
+    });
+
+    await this.test('The publish toggle reads "false" and "0" from forms as unpublish', async () => {
+      const db = new MemoryDb(this);
+      const { ana, mug, pen } = this.stockUp(db);
+      const toggle = (user, product, published) => callHandler(productController.setPublishStatus, { user, params: { id: String(product._id) }, body: { published } });
+      for (const value of ['false', '0', false]) {
+        const { status, body } = await toggle(admin, pen, value);
+        assert.deepStrictEqual([status, body.published], [200, false]);
+        assert.strictEqual((await toggle(admin, pen, 'true')).body.published, true);
+      }
+      const unpublished = await toggle(ana, mug, 'false');
+      assert.deepStrictEqual([unpublished.status, unpublished.body.published], [200, false]);
+    });
+
+    await this.test('Orders are split into one fulfilment group per seller', async () => {
+      const db = new MemoryDb(this);
+      const { ana, ben, mug, hat, pen, pickup } = this.stockUp(db);
+      const order = await this.order(pickup, [[mug, 2], [pen, 3], [hat, 1]]);
+      const groups = order.fulfillments.map((group) => [group.vendor && String(group.vendor), group.items.length, group.subTotal, group.status]);
+      assert.deepStrictEqual(groups, [[ana.id, 1, 20, 'pending'], [null, 1, 6, 'pending'], [ben.id, 1, 25, 'pending']]);
+
+      // Items keep the seller they were sold by
+      await Product.updateOne({ _id: mug._id }, { $set: { vendor: ben._id } });
+      const items = await OrderItem.find({ order: order._id }).lean();
+      assert.deepStrictEqual(items.map((item) => item.vendor && String(item.vendor)), [ana.id, null, ben.id]);
+    });
+
+    await this.test('Sellers see paid orders only, with nothing but their own items', async () => {
+      const db = new MemoryDb(this);
+      const { ana, ben, mug, hat, pen, pickup } = this.stockUp(db);
+      const order = await this.order(pickup, [[mug, 2], [pen, 1], [hat, 1]]);
+      const list = (user, query = {}) => callHandler(vendorOrderController.listVendorOrders, { user, query });
+
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'pending_payment' } });
+      assert.deepStrictEqual((await list(ana)).body.orders, []);
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'confirmed' } });
+
+      const { body } = await list(ana);
+      assert.strictEqual(body.pagination.total, 1);
+      const [view] = body.orders;
+      assert.deepStrictEqual(view.items.map((item) => item.productName), ['Mug']);
+      assert.deepStrictEqual([view.fulfillment.subTotal, view.buyer, view.totalAmount], [20, null, undefined]);
+      assert.strictEqual((await list(ana, { status: 'shipped' })).body.orders.length, 0);
+      assert.strictEqual((await list(ana, { status: 'lost' })).status, 400);
+
+      const get = (user) => callHandler(vendorOrderController.getVendorOrder, { user, params: { id: String(order._id) } });
+      assert.deepStrictEqual((await get(ben)).body.items.map((item) => item.productName), ['Hat']);
+      const stranger = this.signedIn({ _id: new mongoose.Types.ObjectId(), role: 'vendor' });
+      assert.strictEqual((await get(stranger)).status, 404);
+    });
+
+    await this.test('Each seller ships their own group; the order is fulfilled once every group has shipped', async () => {
+      const db = new MemoryDb(this);
+      const { ana, ben, mug, hat, pickup } = this.stockUp(db);
+      const order = await this.order(pickup, [[mug, 1], [hat, 1]]);
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'confirmed' } });
+      const update = (user, body) => callHandler(vendorOrderController.updateVendorFulfillment, { user, params: { id: String(order._id) }, body });
+
+      assert.strictEqual((await update(ana, { status: 'cancelled' })).status, 400);
+      assert.strictEqual((await update(ana, { trackingNumber: 42 })).status, 400);
+      const shipped = await update(ana, { status: 'shipped', trackingNumber: ' TRK-1 ' });
+      assert.deepStrictEqual([shipped.body.fulfillment.status, shipped.body.fulfillment.trackingNumber, shipped.body.items[0].status], ['shipped', 'TRK-1', 'shipped']);
+      assert.ok(shipped.body.fulfillment.shippedAt);
+      assert.strictEqual((await Order.findById(order._id).lean()).fulfillmentStatus, 'partial');
+      assert.deepStrictEqual((await update(ana, { status: 'processing' })).body.errors, [{ msg: 'The items are already shipped' }]);
+
+      const benGroup = (await Order.findById(order._id)).fulfillments.find((group) => String(group.vendor) === ben.id);
+      const adminUpdate = (fulfillmentId, body) => callHandler(orderController.adminUpdateFulfillment, { user: admin, params: { id: String(order._id), fulfillmentId }, body });
+      assert.strictEqual((await adminUpdate(String(new mongoose.Types.ObjectId()), { status: 'shipped' })).status, 404);
+      await adminUpdate(String(benGroup._id), { status: 'delivered' });
+      const stored = await Order.findById(order._id).lean();
+      assert.strictEqual(stored.fulfillmentStatus, 'fulfilled');
+      assert.ok(stored.fulfillments[1].shippedAt && stored.fulfillments[1].deliveredAt);
+
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'cancelled' } });
+      assert.deepStrictEqual((await update(ana, { status: 'delivered' })).body.errors, [{ msg: 'This order has been cancelled' }]);
+    });
+
+    await this.test('Low-stock reports and product questions are limited to the seller\'s products', async () => {
+      const db = new MemoryDb(this);
+      const { ana, ben, mug, hat } = this.stockUp(db);
+      const lowStock = await callHandler(productController.getLowStockProducts, { user: ben, query: {} });
+      assert.deepStrictEqual(lowStock.body.items.map((line) => line.name), ['Hat']);
+      assert.deepStrictEqual((await lowStockService.findLowStockItems({ vendor: ana.id })).map((line) => line.name), []);
+
+      const shopper = new mongoose.Types.ObjectId();
+      const [aboutMug, aboutHat] = db.seed(ProductQuestion, [
+        { product: mug._id, user: shopper, question: 'Is it dishwasher safe?' },
+        { product: hat._id, user: shopper, question: 'Does it fold?' }
+      ]);
+      const listed = await callHandler(questionController.adminListQuestions, { user: ana, query: {} });
+      assert.deepStrictEqual(listed.body.questions.map((q) => String(q._id)), [String(aboutMug._id)]);
+      const filtered = await callHandler(questionController.adminListQuestions, { user: ana, query: { product: String(hat._id) } });
+      assert.strictEqual(filtered.body.questions.length, 0);
+
+      const answer = await callHandler(questionController.answerQuestion, { user: ana, params: { id: String(aboutHat._id) }, body: { text: 'Yes' } });
+      assert.strictEqual(answer.status, 404);
+      assert.strictEqual((await ProductQuestion.findById(aboutHat._id).lean()).answers.length, 0);
+    });
+
+    await this.test('Vendor bulk upserts create their own products and leave other sellers\' slugs alone', async () => {
+      const db = new MemoryDb(this);
+      const { ana } = this.stockUp(db);
+      const { body } = await callHandler(productController.bulkUpsert, {
+        user: ana,
+        body: [{ name: 'Bowl', slug: 'bowl', price: 8 }, { name: 'Hat', slug: 'hat', price: 1 }, { name: 'Mug', slug: 'mug', price: 11 }]
+      });
+      assert.deepStrictEqual([body.upserted, body.updated], [1, 1]);
+      assert.deepStrictEqual(body.errors, [{ msg: 'Hat: Slug hat is used by another seller\'s product' }]);
+      assert.strictEqual(String((await Product.findOne({ slug: 'bowl' }).lean()).vendor), ana.id);
+      assert.deepStrictEqual((await Product.find({ slug: { $in: ['hat', 'mug'] } }).sort({ slug: 1 }).lean()).map((p) => p.price), [25, 11]);
+      assert.strictEqual(vendorService.productScope(admin).vendor, undefined);
+    });
+
+    await this.test('Cart checkouts create the order items and split them per seller', async () => {
+      const db = new MemoryDb(this);
+      const { ana, mug, pen, pickup } = this.stockUp(db);
+      const buyer = { id: new mongoose.Types.ObjectId().toString() };
+      for (const [product, quantity] of [[mug, 1], [pen, 2]]) {
+        await callHandler(cartController.addItemToCart, { user: buyer, body: { productId: String(product._id), quantity } });
+      }
+      const { status, body } = await callHandler(orderController.checkoutFromCart, {
+        user: buyer, body: { deliveryMethodId: String(pickup._id), paymentMethod: 'wallet' }
+      });
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body.items.map((item) => [item.productName, item.quantity]), [['Mug', 1], ['Pen', 2]]);
+      const order = await Order.findById(body._id).lean();
+      assert.deepStrictEqual(order.fulfillments.map((group) => [group.vendor && String(group.vendor), group.subTotal]), [[ana.id, 10], [null, 4]]);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const vendorTests = new VendorTests();
+vendorTests.runAllTests();
@@ -0,0 +1,181 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Payment = require('../src/models/Payment');
+const Wishlist = require('../src/models/Wishlist');
+const DeliveryAddress = require('../src/models/DeliveryAddress');
+const { Order, OrderItem } = require('../src/models/Order');
+const vendorAnalyticsService = require('../src/services/vendorAnalyticsService');
+const vendorAnalyticsController = require('../src/controllers/vendorAnalyticsController');
+
+const MARCH = { from: '2026-03-01T00:00:00Z', to: '2026-03-31T23:59:59Z' };
+
+class VendorAnalyticsTests extends TestSuite {
+  constructor() {
+    super('Vendor Analytics');
+  }
+
+  /*
+   * Ana sells a shirt (sizes S and L) and a bowl; Ben sells a hat. In March Ana has three paid
+   * orders: two shirts and a bowl to Sam in Lagos, a shirt paid in NGN and later refunded to Kim
+   * in "lagos ", and a bowl to Lou with no address. An unpaid order, Ben's hat and an April
+   * bowl must not count.
+   */
+  stockUp(db) {
+    const [ana, ben, sam, kim, lou] = db.seed(User, [
+      { name: 'Ana', email: 'ana@example.com', password: 'secret123', role: 'vendor', approved: true },
+      { name: 'Ben', email: 'ben@example.com', password: 'secret123', role: 'vendor', approved: true },
+      { name: 'Sam', email: 'sam@example.com', password: 'secret123' },
+      { name: 'Kim', email: 'kim@example.com', password: 'secret123' },
+      { name: 'Lou', email: 'lou@example.com', password: 'secret123' }
+    ]);
+    const [shirt, bowl, hat] = db.seed(Product, [
+      { name: 'Shirt', slug: 'shirt', price: 20, vendor: ana._id, variants: [{ name: 'S', price: 20, sku: 'SH-S' }, { name: 'L', price: 20, sku: 'SH-L' }] },
+      { name: 'Bowl', slug: 'bowl', price: 15, vendor: ana._id, images: ['https://cdn.example.com/bowl.png'] },
+      { name: 'Hat', slug: 'hat', price: 25, vendor: ben._id }
+    ]);
+    const address = (user, state) => ({
+      user: user._id, firstName: user.name, lastName: 'Doe', email: user.email, phoneNumber: '08000000000',
+      streetAddress: '1 Main St', city: 'Ikeja', state, country: 'NG'
+    });
+    const [samAddress, kimAddress] = db.seed(DeliveryAddress, [address(sam, 'Lagos'), address(kim, 'lagos ')]);
+    const [small, large] = shirt.variants;
+    const variant = (v) => ({ variantId: v._id, name: v.name, sku: v.sku });
+
+    const sell = (buyer, paidAt, lines, extra = {}) => {
+      const [order] = db.seed(Order, [{
+        buyer: buyer._id, deliveryMethod: new mongoose.Types.ObjectId(), subTotal: 0, deliveryFee: 0, totalAmount: 0,
+        currency: extra.currency || 'USDC', status: 'confirmed', paymentStatus: 'paid', paymentMethod: 'wallet',
+        createdAt: new Date(paidAt.getTime() - 60 * 1000), ...extra
+      }]);
+      db.seed(OrderItem, lines.map(([product, quantity, totalPrice, more = {}]) => ({
+        order: order._id, product: product._id, productName: product.name, quantity, unitPrice: totalPrice / quantity, totalPrice,
+        currency: extra.currency || 'USDC', vendor: product.vendor, createdAt: order.createdAt, ...more
+      })));
+      const [payment] = db.seed(Payment, [{ order: order._id, user: buyer._id, amount: 0, currency: 'USDC', method: 'wallet', status: 'completed', paymentDate: paidAt }]);
+      return Order.updateOne({ _id: order._id }, { $set: { payments: [payment._id] } });
+    };
+
+    return Promise.all([
+      sell(sam, new Date('2026-03-02T10:00:00Z'), [[shirt, 2, 40, { variant: variant(large) }], [bowl, 1, 15]], { shippingAddress: samAddress._id }),
+      sell(kim, new Date('2026-03-10T10:00:00Z'), [[shirt, 1, 30000, { variant: variant(small), refundedQuantity: 1 }]], {
+        shippingAddress: kimAddress._id, currency: 'NGN', paymentStatus: 'refunded', exchangeRate: { base: 'USD', rates: { USD: 1, USDC: 1, NGN: 1500 } }
+      }),
+      sell(lou, new Date('2026-03-20T10:00:00Z'), [[bowl, 1, 15]]),
+      sell(sam, new Date('2026-03-21T10:00:00Z'), [[bowl, 3, 45]], { paymentStatus: 'unpaid', status: 'pending' }),
+      sell(sam, new Date('2026-03-22T10:00:00Z'), [[hat, 1, 25]]),
+      sell(lou, new Date('2026-04-05T10:00:00Z'), [[bowl, 1, 15]])
+    ]).then(() => ({ ana, ben, sam, kim, lou, shirt, bowl, hat }));
+  }
+
+  report(handler, vendor, query = {}) {
+    return callHandler(handler, { user: { _id: vendor._id, id: String(vendor._id), role: 'vendor' }, query: { ...MARCH, ...query } });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Vendor Analytics Tests...\n');
+
+    await this.test('Report periods default to the last 30 days and are checked', async () => {
+      const range = vendorAnalyticsService.analyticsRange({});
+      assert.strictEqual(Math.round((range.to - range.from) / (24 * 60 * 60 * 1000)), 30);
+      assert.strictEqual(range.interval, 'day');
+      const error = (query) => vendorAnalyticsService.analyticsRange(query).error;
+      assert.strictEqual(error({ from: 'yesterday' }), 'from and to must be dates');
+      assert.strictEqual(error({ from: '2026-03-02', to: '2026-03-01' }), 'from must be before to');
+      assert.strictEqual(error({ interval: 'year' }), 'Interval must be day, week or month');
+      assert.match(error({ from: '2024-01-01', to: '2026-01-01' }), /use week or month/);
+      assert.strictEqual(error({ from: '2024-01-01', to: '2026-01-01', interval: 'month' }), undefined);
+
+      const db = new MemoryDb(this);
+      const { ana } = await this.stockUp(db);
+      const refused = await this.report(vendorAnalyticsController.getRevenue, ana, { interval: 'hour' });
+      assert.deepStrictEqual([refused.status, refused.body.errors], [400, [{ msg: 'Interval must be day, week or month' }]]);
+    });
+
+    await this.test('Revenue counts paid orders in USDC by payment date, with every period of the range', async () => {
+      const db = new MemoryDb(this);
+      const { ana, ben } = await this.stockUp(db);
+      const monthly = (await this.report(vendorAnalyticsController.getRevenue, ana, { interval: 'month' })).body;
+      assert.deepStrictEqual(monthly.series, [{ period: '2026-03', revenue: 90, refunded: 20, netRevenue: 70, units: 5, orders: 3 }]);
+      assert.strictEqual(monthly.currency, 'USDC');
+
+      const daily = (await this.report(vendorAnalyticsController.getRevenue, ana)).body;
+      assert.strictEqual(daily.series.length, 31);
+      assert.deepStrictEqual(daily.series.filter((point) => point.revenue > 0).map((point) => [point.period, point.revenue]), [
+        ['2026-03-02', 55], ['2026-03-10', 20], ['2026-03-20', 15]
+      ]);
+      assert.deepStrictEqual(daily.totals, { revenue: 90, refunded: 20, netRevenue: 70, units: 5, orders: 3 });
+
+      const weekly = (await this.report(vendorAnalyticsController.getRevenue, ana, { interval: 'week' })).body;
+      assert.deepStrictEqual(weekly.series.map((point) => [point.period, point.revenue]), [
+        ['2026-W09', 0], ['2026-W10', 55], ['2026-W11', 20], ['2026-W12', 15], ['2026-W13', 0], ['2026-W14', 0]
+      ]);
+
+      const theirs = (await this.report(vendorAnalyticsController.getRevenue, ben, { interval: 'month' })).body;
+      assert.deepStrictEqual(theirs.totals, { revenue: 25, refunded: 0, netRevenue: 25, units: 1, orders: 1 });
+    });
+
+    await this.test('Product sales list best sellers first with a line per variant', async () => {
+      const db = new MemoryDb(this);
+      const { ana, shirt, bowl } = await this.stockUp(db);
+      const { products } = (await this.report(vendorAnalyticsController.getProductSales, ana)).body;
+      assert.deepStrictEqual(products.map((p) => [String(p.product), p.units, p.refundedUnits, p.revenue]), [
+        [String(shirt._id), 3, 1, 60], [String(bowl._id), 2, 0, 30]
+      ]);
+      assert.deepStrictEqual(products[0].variants.map((v) => [v.name, v.sku, v.units, v.revenue]), [['L', 'SH-L', 2, 40], ['S', 'SH-S', 1, 20]]);
+      assert.deepStrictEqual([products[1].variants, products[1].image, products[1].slug], [[], 'https://cdn.example.com/bowl.png', 'bowl']);
+      assert.strictEqual((await this.report(vendorAnalyticsController.getProductSales, ana, { limit: '1' })).body.products.length, 1);
+    });
+
+    await this.test('Wishlist conversion counts wishlisting shoppers who bought the product in the range', async () => {
+      const db = new MemoryDb(this);
+      const { ana, sam, kim, lou, shirt, bowl, hat } = await this.stockUp(db);
+      db.seed(Wishlist, [
+        { user: sam._id, items: [{ product: shirt._id }, { product: bowl._id }] },
+        { user: lou._id, items: [{ product: shirt._id }] },
+        { user: kim._id, items: [{ product: hat._id }] }
+      ]);
+      const { body } = await this.report(vendorAnalyticsController.getWishlistConversion, ana);
+      assert.deepStrictEqual(body.totals, { wishlisted: 3, converted: 2, conversionRate: 66.67 });
+      assert.deepStrictEqual(body.products.map((p) => [p.name, p.wishlisted, p.converted, p.conversionRate, p.buyers]), [
+        ['Shirt', 2, 1, 50, 2], ['Bowl', 1, 1, 100, 2]
+      ]);
+
+      const noProducts = { _id: new mongoose.Types.ObjectId() };
+      assert.deepStrictEqual((await this.report(vendorAnalyticsController.getWishlistConversion, noProducts)).body, { totals: { wishlisted: 0, converted: 0, conversionRate: 0 }, products: [] });
+    });
+
+    await this.test('Customer regions merge spellings of a state and keep orders without an address', async () => {
+      const db = new MemoryDb(this);
+      const { ana } = await this.stockUp(db);
+      const { regions } = (await this.report(vendorAnalyticsController.getCustomerRegions, ana)).body;
+      assert.deepStrictEqual(regions.map((r) => [r.state && r.state.toLowerCase(), r.country, r.customers, r.orders, r.units, r.revenue]), [
+        ['lagos', 'NG', 2, 2, 4, 75],
+        [null, null, 1, 1, 1, 15]
+      ]);
+    });
+
+    await this.test('Refund rates compare refunded units, orders and value with what was sold', async () => {
+      const db = new MemoryDb(this);
+      const { ana, ben, shirt } = await this.stockUp(db);
+      const { body } = await this.report(vendorAnalyticsController.getRefundRates, ana);
+      assert.deepStrictEqual(body.totals, {
+        units: 5, refundedUnits: 1, unitRefundRate: 20, orders: 3, refundedOrders: 1, orderRefundRate: 33.33, revenue: 90, refunded: 20, revenueRefundRate: 22.22
+      });
+      assert.deepStrictEqual(body.products.map((p) => [String(p.product), p.units, p.refundedUnits, p.unitRefundRate, p.refunded]), [[String(shirt._id), 3, 1, 33.33, 20]]);
+
+      const none = (await this.report(vendorAnalyticsController.getRefundRates, ben, { from: '2026-04-01', to: '2026-04-30' })).body;
+      assert.deepStrictEqual([none.totals.units, none.totals.unitRefundRate, none.products], [0, 0, []]);
+    });
+
+    this.printResults();
+  }
+}
+
+// Run tests
+const vendorAnalyticsTests = new VendorAnalyticsTests();
+vendorAnalyticsTests.runAllTests();
@@ -0,0 +1,217 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Private documents are written to private-uploads/ under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vendor-application-tests-'));
+process.chdir(workDir);
+delete process.env.STORAGE_DRIVER;
+delete process.env.GCP_BUCKET;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test_key';
+process.env.VENDOR_APPLICATION_EMAILS = 'sellers@example.com';
+
+const TestSuite = require('./helpers/TestSuite');
+const MemoryDb = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/http');
+const emailConfig = require('../src/email/config');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const VendorApplication = require('../src/models/VendorApplication');
+const vendorApplicationController = require('../src/controllers/vendorApplicationController');
+const fileController = require('../src/controllers/fileController');
+const productController = require('../src/controllers/productController');
+const adminUserController = require('../src/controllers/adminUserController');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n');
+
+class VendorApplicationTests extends TestSuite {
+  constructor() {
+    super('Vendor Application');
+  }
+
+  // An applicant and an admin reviewing applications
+  stockUp(db) {
+    const [applicant, reviewer] = db.seed(User, [
+      { name: 'Ana', email: 'ana@example.com', password: 'secret123' },
+      { name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'admin' }
+    ]);
+    return { applicant: this.signedIn(applicant), reviewer: this.signedIn(reviewer) };
+  }
+
+  // req.user as the auth middleware sets it
+  signedIn(user) {
+    return { _id: user._id, id: String(user._id), role: user.role, approved: user.approved, name: user.name, email: user.email };
+  }
+
+  captureEmails() {
+    const sent = [];
+    this.stub(emailConfig.resend.emails, 'send', async (email) => {
+      sent.push(email);
+      return { data: { id: `email_${sent.length}` }, error: null };
+    });
+    return sent;
+  }
+
+  privateFiles() {
+    const dir = path.join(workDir, 'private-uploads');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  }
+
+  apply(user, body = { businessName: 'Ana Ceramics', documentTypes: 'business_registration' }, files = [{ originalname: 'registration.pdf', buffer: PDF }]) {
+    return callHandler(vendorApplicationController.submitApplication, { user, body, files });
+  }
+
+  review(reviewer, application, body) {
+    return callHandler(vendorApplicationController.adminUpdateApplicationStatus, { user: reviewer, params: { id: String(application._id) }, body });
+  }
+
+  // Follow a signed document link the way GET /api/files/:key receives it
+  openLink(signedUrl) {
+    const url = new URL(signedUrl);
+    return callHandler(fileController.getSignedDocument, {
+      params: { key: decodeURIComponent(url.pathname.split('/').pop()) },
+      query: Object.fromEntries(url.searchParams)
+    });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Vendor Application Tests...\n');
+
+    await this.test('Applications need a business name and readable documents; nothing is stored otherwise', async () => {
+      const db = new MemoryDb(this);
+      const { applicant, reviewer } = this.stockUp(db);
+      const errors = async (...args) => (await this.apply(...args)).body.errors.map((e) => e.msg);
+      assert.deepStrictEqual(await errors(reviewer), ['Admins cannot apply to sell']);
+      assert.deepStrictEqual(await errors(applicant, { businessName: ' ' }), ['Business name is required']);
+      assert.deepStrictEqual(await errors(applicant, { businessName: 'Ana Ceramics', businessType: 'charity' }), ['Business type must be individual or company']);
+      assert.deepStrictEqual(await errors(applicant, { businessName: 'Ana Ceramics' }, []), ['At least one document is required']);
+      assert.deepStrictEqual(await errors(applicant, { businessName: 'Ana Ceramics' }, [
+        { originalname: 'id.pdf', buffer: PDF },
+        { originalname: 'notes.pdf', buffer: Buffer.from('not really a pdf file') },
+        { originalname: 'blank.png', buffer: Buffer.alloc(0) }
+      ]), ['notes.pdf is not a PDF or an image', 'blank.png is empty']);
+      assert.deepStrictEqual(this.privateFiles(), []);
+      assert.strictEqual(await VendorApplication.countDocuments(), 0);
+    });
+
+    await this.test('Documents are stored privately and handed out as expiring signed links', async () => {
+      const db = new MemoryDb(this);
+      const { applicant } = this.stockUp(db);
+      const sent = this.captureEmails();
+      const { status, body } = await this.apply(applicant, {
+        businessName: 'Ana Ceramics', businessType: 'individual', address: '{"city":"Lagos","country":"ng"}', documentTypes: ['id_document', 'passport']
+      }, [{ originalname: 'id.pdf', buffer: PDF }, { originalname: 'extra.pdf', buffer: PDF }]);
+      assert.strictEqual(status, 201);
+      assert.deepStrictEqual([body.status, body.address.country, body.notes, body.reviewedBy], ['submitted', 'NG', undefined, undefined]);
+      assert.deepStrictEqual(body.documents.map((doc) => [doc.type, doc.fileName, doc.key]), [['id_document', 'id.pdf', undefined], ['other', 'extra.pdf', undefined]]);
+      assert.strictEqual(this.privateFiles().length, 2);
+      assert.strictEqual(fs.existsSync(path.join(workDir, 'uploads')), false);
+
+      const { signedUrl } = body.documents[0];
+      assert.match(signedUrl, /^http:\/\/localhost:5000\/api\/files\/[^?]+\.pdf\?expires=\d+&signature=[0-9a-f]{64}$/);
+      const opened = await this.openLink(signedUrl);
+      assert.deepStrictEqual([opened.status, opened.body, opened.headers['cache-control']], [200, PDF, 'private, no-store']);
+      assert.strictEqual((await this.openLink(signedUrl.replace(/signature=./, 'signature=0'))).status, 404);
+      assert.strictEqual((await this.openLink(signedUrl.replace(/expires=\d+/, `expires=${Math.floor(Date.now() / 1000) - 1}`))).status, 404);
+
+      assert.deepStrictEqual(sent.map((email) => email.to), [['ana@example.com'], ['sellers@example.com']]);
+      assert.match(sent[1].subject, /^New seller application: Ana Ceramics/);
+      assert.strictEqual((await this.apply(applicant)).status, 409);
+    });
+
+    await this.test('Reviews follow the application lifecycle and approval makes the applicant a vendor', async () => {
+      const db = new MemoryDb(this);
+      const { applicant, reviewer } = this.stockUp(db);
+      const sent = this.captureEmails();
+      const { body: application } = await this.apply(applicant);
+
+      assert.strictEqual((await this.review(reviewer, application, { status: 'open' })).status, 400);
+      assert.deepStrictEqual((await this.review(reviewer, application, { status: 'rejected' })).body.errors, [{ msg: 'A reason is required to reject an application' }]);
+      const inReview = await this.review(reviewer, application, { status: 'in_review', note: 'Checking the registration' });
+      assert.deepStrictEqual([inReview.body.status, inReview.body.notes.map((n) => [n.note, n.status])], ['in_review', [['Checking the registration', 'in_review']]]);
+      assert.deepStrictEqual((await this.review(reviewer, application, { status: 'submitted' })).body.errors, [{ msg: 'A in_review application can only move to: approved, rejected' }]);
+
+      await this.review(reviewer, application, { status: 'approved' });
+      const user = await User.findById(applicant._id).lean();
+      assert.deepStrictEqual([user.role, user.approved, user.companyName], ['vendor', true, 'Ana Ceramics']);
+      assert.deepStrictEqual((await this.review(reviewer, application, { status: 'rejected', reason: 'x' })).body.errors, [{ msg: 'The application is already approved' }]);
+      assert.deepStrictEqual(sent.filter((email) => email.to[0] === 'ana@example.com').length, 3);
+
+      // The applicant sees the outcome but not the internal notes
+      const [mine] = (await callHandler(vendorApplicationController.getMyApplications, { user: applicant })).body;
+      assert.deepStrictEqual([mine.status, mine.notes, mine.documents[0].signedUrl.includes('/api/files/')], ['approved', undefined, true]);
+    });
+
+    await this.test('A rejected applicant is told why and can apply again', async () => {
+      const db = new MemoryDb(this);
+      const { applicant, reviewer } = this.stockUp(db);
+      const sent = this.captureEmails();
+      const { body: application } = await this.apply(applicant);
+      await this.review(reviewer, application, { status: 'rejected', reason: 'The registration document is unreadable' });
+      assert.ok(sent[sent.length - 1].html.includes('The registration document is unreadable'));
+      assert.strictEqual((await User.findById(applicant._id).lean()).role, 'user');
+      assert.strictEqual((await this.apply(applicant)).status, 201);
+
+      const listed = await callHandler(vendorApplicationController.adminListApplications, { user: reviewer, query: { status: 'submitted' } });
+      assert.deepStrictEqual([listed.body.pagination.total, listed.body.applications[0].documents[0].key], [1, undefined]);
+      assert.strictEqual((await callHandler(vendorApplicationController.adminListApplications, { user: reviewer, query: { status: 'done' } })).status, 400);
+
+      const addNote = (note) => callHandler(vendorApplicationController.adminAddApplicationNote, { user: reviewer, params: { id: String(listed.body.applications[0]._id) }, body: { note } });
+      assert.strictEqual((await addNote('  ')).status, 400);
+      assert.deepStrictEqual((await addNote('Second try, looks fine')).body.map((n) => [n.note, n.author.name]), [['Second try, looks fine', 'Ada']]);
+      const detail = await callHandler(vendorApplicationController.adminGetApplication, { user: reviewer, params: { id: String(listed.body.applications[0]._id) } });
+      assert.ok(detail.body.documents[0].signedUrl);
+      assert.strictEqual(detail.body.documents[0].key, undefined);
+    });
+
+    await this.test('Vendors save drafts only until they are approved', async () => {
+      const db = new MemoryDb(this);
+      const [pending, approved] = db.seed(User, [
+        { name: 'Pat', email: 'pat@example.com', password: 'secret123', role: 'vendor', approved: false },
+        { name: 'Val', email: 'val@example.com', password: 'secret123', role: 'vendor', approved: true }
+      ]).map((user) => this.signedIn(user));
+      const create = (user, body) => callHandler(productController.createProduct, { user, body: { name: 'Bowl', price: 8, ...body } });
+
+      const draft = await create(pending);
+      assert.deepStrictEqual([draft.status, draft.body.published], [200, false]);
+      assert.deepStrictEqual((await create(pending, { published: 'true' })).body.errors, [{ msg: 'Your vendor account must be approved before you can publish products' }]);
+      assert.strictEqual((await create(pending, { published: 'false' })).status, 200);
+      assert.strictEqual((await create(approved)).body.published, true);
+
+      const params = { id: String(draft.body._id) };
+      assert.strictEqual((await callHandler(productController.updateProduct, { user: pending, params, body: { published: true } })).status, 403);
+      assert.strictEqual((await callHandler(productController.setPublishStatus, { user: pending, params, body: { published: true } })).status, 403);
+      const imported = await callHandler(productController.bulkUpsert, { user: pending, body: [{ name: 'Vase', slug: 'vase', price: 30, published: true }, { name: 'Jug', slug: 'jug', price: 12 }] });
+      assert.deepStrictEqual([imported.body.upserted, imported.body.errors.length], [1, 1]);
+      assert.strictEqual((await Product.findOne({ slug: 'jug' }).lean()).published, false);
+      assert.strictEqual(await Product.countDocuments({ published: true }), 1);
+    });
+
+    await this.test('Admins approve vendors only through an approved application', async () => {
+      const db = new MemoryDb(this);
+      const { applicant, reviewer } = this.stockUp(db);
+      this.captureEmails();
+      const approve = (body) => callHandler(adminUserController.approveUser, { user: reviewer, params: { id: applicant.id }, body });
+      assert.deepStrictEqual((await approve({ role: 'vendor', approved: true })).body.errors, [{ msg: 'Sellers are approved by reviewing their vendor application (/api/admin/vendor-applications)' }]);
+      assert.strictEqual((await approve({ role: 'vendor' })).status, 200);
+      assert.strictEqual((await approve({ approved: true })).status, 400);
+
+      const { body: application } = await this.apply({ ...applicant, role: 'vendor' });
+      await this.review(reviewer, application, { status: 'approved' });
+      // Suspending and reinstating an approved seller is allowed
+      assert.strictEqual((await approve({ approved: false })).status, 200);
+      assert.strictEqual((await approve({ approved: true })).status, 200);
+      assert.strictEqual((await User.findById(applicant._id).lean()).approved, true);
+    });
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+}
+
+// Run tests
+const vendorApplicationTests = new VendorApplicationTests();
+vendorApplicationTests.runAllTests();